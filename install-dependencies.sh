@@ -15,6 +15,9 @@ apt-get install -y libreoffice
 # Install Ghostscript (for PDF operations)
 apt-get install -y ghostscript
 
+# Install qpdf (for PDF encryption and decryption)
+apt-get install -y qpdf
+
 # Install poppler-utils (for PDF to image conversion)
 apt-get install -y poppler-utils
 
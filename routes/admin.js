@@ -0,0 +1,131 @@
+const express = require('express');
+const { requireAdmin } = require('../utils/adminAuth');
+const { runCleanup } = require('../utils/cleanup');
+const { issueKey, revokeKey, listKeys } = require('../utils/apiKeys');
+const { listDeliveries } = require('../utils/webhooks');
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+/**
+ * POST /admin/cleanup
+ * Runs the retention cleanup immediately and returns what was deleted
+ * 
+ * Body:
+ * - dryRun: optional, if true only reports what would be deleted
+ */
+router.post('/cleanup', async (req, res, next) => {
+  try {
+    const dryRun = req.body?.dryRun === true || req.body?.dryRun === 'true';
+    const report = await runCleanup({ dryRun });
+
+    res.json({
+      success: true,
+      report: report,
+      message: `${dryRun ? 'Would delete' : 'Deleted'} ${report.deletedCount} item(s), ${report.freedBytes} bytes`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /admin/keys
+ * Issues a new API key. The key itself is only returned in this response.
+ * 
+ * Body:
+ * - name: optional label
+ * - dailyOperations: optional, operations per day
+ * - dailyMB: optional, megabytes processed per day
+ * - maxFileSizeMB: optional, maximum size of a single uploaded file
+ */
+router.post('/keys', async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    const limits = {};
+    const limitFields = [
+      ['dailyOperations', 'dailyOperations', 1],
+      ['dailyMB', 'dailyBytes', 1024 * 1024],
+      ['maxFileSizeMB', 'maxFileSizeBytes', 1024 * 1024]
+    ];
+
+    for (const [field, limit, factor] of limitFields) {
+      if (body[field] === undefined) {
+        continue;
+      }
+      const value = Number(body[field]);
+      if (!Number.isFinite(value) || value <= 0) {
+        return res.status(400).json({
+          error: 'Invalid limit',
+          message: `${field} must be a positive number`
+        });
+      }
+      limits[limit] = Math.round(value * factor);
+    }
+
+    const { key, record } = await issueKey({ name: body.name, limits });
+
+    res.status(201).json({
+      success: true,
+      key: key,
+      ...record,
+      message: 'Store this key now, it cannot be shown again'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /admin/keys
+ * Lists all API keys with their limits and today's usage
+ */
+router.get('/keys', async (req, res, next) => {
+  try {
+    const keys = await listKeys();
+    res.json({
+      success: true,
+      keys: keys
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /admin/keys/:id
+ * Revokes an API key
+ */
+router.delete('/keys/:id', async (req, res, next) => {
+  try {
+    const record = await revokeKey(req.params.id);
+    if (!record) {
+      return res.status(404).json({
+        error: 'Key not found',
+        message: 'No API key with this ID exists'
+      });
+    }
+
+    res.json({
+      success: true,
+      ...record,
+      message: 'API key revoked'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /admin/webhooks
+ * Lists recent webhook deliveries with every attempt, newest first
+ */
+router.get('/webhooks', (req, res) => {
+  res.json({
+    success: true,
+    deliveries: listDeliveries()
+  });
+});
+
+module.exports = router;
@@ -4,6 +4,10 @@ const path = require('path');
 const fs = require('fs-extra');
 const { v4: uuidv4 } = require('uuid');
 const { compressPdf } = require('../utils/pdfOperations');
+const { jobHandler } = require('../utils/jobQueue');
+const { createDownloadUrl } = require('../utils/downloadTokens');
+const { createWorkspace } = require('../utils/workspace');
+const { requireFileType } = require('../utils/fileType');
 
 const router = express.Router();
 
@@ -34,17 +38,13 @@ const upload = multer({
  * - file: multipart file (PDF)
  * - quality: optional compression quality (1-100, default: 50)
  */
-router.post('/', upload.single('file'), async (req, res, next) => {
+router.post('/', upload.single('file'), requireFileType(['pdf']), jobHandler('compress', async (req, res, next) => {
+  let workspace = null;
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
-    if (path.extname(req.file.originalname).toLowerCase() !== '.pdf') {
-      await fs.remove(req.file.path);
-      return res.status(400).json({ error: 'File must be a PDF' });
-    }
-
     const inputPath = req.file.path;
     const outputDir = process.env.OUTPUT_DIR || './outputs';
     
@@ -53,7 +53,8 @@ router.post('/', upload.single('file'), async (req, res, next) => {
     const baseName = path.basename(originalName, path.extname(originalName));
     const sanitizedBaseName = baseName.replace(/[^a-zA-Z0-9._-]/g, '_');
     const outputFileName = `compressed_${sanitizedBaseName}_PDFound.pdf`;
-    const outputPath = path.join(outputDir, outputFileName);
+    workspace = await createWorkspace(outputDir, req.workspaceId);
+    const outputPath = workspace.file(outputFileName);
 
     const quality = parseInt(req.body.quality) || 50;
     const clampedQuality = Math.max(1, Math.min(100, quality));
@@ -69,7 +70,7 @@ router.post('/', upload.single('file'), async (req, res, next) => {
     await fs.remove(inputPath);
 
     // Return download URL
-    const downloadUrl = `/downloads/${path.basename(resultPath)}`;
+    const downloadUrl = createDownloadUrl(workspace.relative(outputFileName));
 
     res.json({
       success: true,
@@ -86,9 +87,10 @@ router.post('/', upload.single('file'), async (req, res, next) => {
     if (req.file) {
       await fs.remove(req.file.path).catch(() => {});
     }
+    await workspace?.remove();
     next(error);
   }
-});
+}));
 
 module.exports = router;
 
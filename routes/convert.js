@@ -3,8 +3,11 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs-extra');
 const { v4: uuidv4 } = require('uuid');
-const { convertDocument } = require('../utils/documentConverter');
-const { convertImageToPdf, convertPdfToImages } = require('../utils/imageConverter');
+const { findConverter, normalizeFormat, resolveOptions } = require('../utils/converters');
+const { jobHandler } = require('../utils/jobQueue');
+const { createDownloadUrl } = require('../utils/downloadTokens');
+const { createWorkspace } = require('../utils/workspace');
+const { IMAGE_TYPES, OFFICE_TYPES, requireFileType } = require('../utils/fileType');
 
 const router = express.Router();
 
@@ -33,10 +36,12 @@ const upload = multer({
  * 
  * Body:
  * - file: multipart file
- * - fromType: 'docx' | 'xlsx' | 'pptx' | 'jpg' | 'png' | 'pdf'
- * - toType: 'pdf' | 'jpg'
+ * - fromType: source format (optional, detected from the file content; 415 if it does not match)
+ * - toType: target format
+ * - any options declared by the matching converter (see GET /formats)
  */
-router.post('/', upload.single('file'), async (req, res, next) => {
+router.post('/', upload.single('file'), requireFileType(['pdf', ...IMAGE_TYPES, ...OFFICE_TYPES]), jobHandler('convert', async (req, res, next) => {
+  let workspace = null;
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
@@ -49,6 +54,17 @@ router.post('/', upload.single('file'), async (req, res, next) => {
       return res.status(400).json({ error: 'toType is required' });
     }
 
+    // The source format comes from the file content, fromType only has to agree with it
+    const detectedFromType = req.file.detectedType;
+    if (fromType && fromType !== 'unknown' && normalizeFormat(fromType) !== detectedFromType) {
+      await fs.remove(req.file.path);
+      return res.status(415).json({
+        error: 'File type mismatch',
+        message: `fromType is ${normalizeFormat(fromType)} but the uploaded file is ${detectedFromType}`,
+        detectedType: detectedFromType
+      });
+    }
+
     const inputPath = req.file.path;
     const outputDir = process.env.OUTPUT_DIR || './outputs';
     
@@ -66,77 +82,33 @@ router.post('/', upload.single('file'), async (req, res, next) => {
     const finalBaseName = sanitizedBaseName.trim() || 'converted_file';
     
     // Use same base name with app name and new extension
-    let outputFileName = `${finalBaseName}_PDFound.${toType}`;
-    let outputPath = path.join(outputDir, outputFileName);
-    
-    // Handle filename conflicts - if file exists, add a number suffix
-    let counter = 1;
-    while (await fs.pathExists(outputPath)) {
-      outputFileName = `${finalBaseName}_PDFound_${counter}.${toType}`;
-      outputPath = path.join(outputDir, outputFileName);
-      counter++;
-    }
+    // Each request gets its own workspace, so names never collide between users
+    const outputFileName = `${finalBaseName}_PDFound.${toType}`;
+    workspace = await createWorkspace(outputDir, req.workspaceId);
+    const outputPath = workspace.file(outputFileName);
     
     // Log for debugging
     console.log(`Filename processing - Original: "${originalName}", Base: "${baseName}", Sanitized: "${finalBaseName}", Output: "${outputFileName}"`);
 
-    // Auto-detect file type from extension if not provided
-    // Use both originalname and the saved file path extension
-    const originalExt = path.extname(req.file.originalname).toLowerCase().replace('.', '');
-    const savedExt = path.extname(req.file.path).toLowerCase().replace('.', '');
-    const fileExtension = originalExt || savedExt;
-    
-    let detectedFromType = fromType;
-    
-    // If fromType not provided or doesn't match, use file extension
-    if (!detectedFromType || detectedFromType === 'unknown') {
-      detectedFromType = fileExtension;
-    }
-
-    // Normalize file extensions
-    if (detectedFromType === 'jpeg') detectedFromType = 'jpg';
-    if (fileExtension === 'jpeg') detectedFromType = 'jpg';
-    
     // Log for debugging
     console.log(`Conversion request: originalName=${req.file.originalname}, fromType=${fromType}, detectedFromType=${detectedFromType}, toType=${toType}`);
 
-    let resultPath;
-
-    // Document to PDF conversions (docx, xlsx, pptx -> pdf)
-    if (['docx', 'xlsx', 'pptx'].includes(detectedFromType.toLowerCase()) && toType.toLowerCase() === 'pdf') {
-      resultPath = await convertDocument(inputPath, outputPath, detectedFromType.toLowerCase());
-    }
-    // Image to PDF conversions (jpg, jpeg, png -> pdf)
-    else if (['jpg', 'jpeg', 'png'].includes(detectedFromType.toLowerCase()) && toType.toLowerCase() === 'pdf') {
-      resultPath = await convertImageToPdf(inputPath, outputPath);
-    }
-    // PDF to JPG conversions (pdf -> jpg)
-    else if (detectedFromType.toLowerCase() === 'pdf' && toType.toLowerCase() === 'jpg') {
-      // For PDF to JPG, we'll return the first page as JPG
-      // Use a temp directory to avoid conflicts
-      const tempDir = path.join(outputDir, `temp_${uuidv4()}`);
-      await fs.ensureDir(tempDir);
-      
-      const result = await convertPdfToImages(inputPath, tempDir);
-      if (result && result.length > 0) {
-        // Rename the first image to the desired output filename
-        const firstImage = result[0];
-        await fs.move(firstImage, outputPath, { overwrite: true });
-        resultPath = outputPath;
-        
-        // Clean up temp directory and other images
-        await fs.remove(tempDir);
-      } else {
-        await fs.remove(tempDir);
-        throw new Error('PDF to image conversion failed: No images were generated');
-      }
-    }
-    else {
+    const converter = findConverter(detectedFromType, toType);
+    if (!converter) {
       await fs.remove(inputPath);
+      await workspace.remove();
       return res.status(400).json({ 
-        error: `Unsupported conversion: ${detectedFromType} to ${toType}. Supported: docx/xlsx/pptx/jpg/png -> pdf, pdf -> jpg` 
+        error: `Unsupported conversion: ${detectedFromType} to ${toType}. See GET /formats for supported conversions` 
       });
     }
+    const options = resolveOptions(converter, req.body);
+
+    let resultPath = await converter.convert(inputPath, outputPath, {
+      from: detectedFromType,
+      to: normalizeFormat(toType),
+      options,
+      job: req.job
+    });
 
     // Clean up input file
     await fs.remove(inputPath);
@@ -152,7 +124,7 @@ router.post('/', upload.single('file'), async (req, res, next) => {
 
     // Return download URL using the correct filename
     const finalFileName = path.basename(resultPath);
-    const downloadUrl = `/downloads/${finalFileName}`;
+    const downloadUrl = createDownloadUrl(workspace.relative(finalFileName));
     const stats = await fs.stat(resultPath);
 
     console.log(`Conversion complete: Final filename = ${finalFileName}, Output path = ${resultPath}`);
@@ -162,7 +134,7 @@ router.post('/', upload.single('file'), async (req, res, next) => {
       downloadUrl: downloadUrl,
       fileName: finalFileName,
       fileSize: stats.size,
-      message: `Successfully converted ${fromType} to ${toType}`
+      message: `Successfully converted ${detectedFromType} to ${toType}`
     });
 
   } catch (error) {
@@ -170,9 +142,10 @@ router.post('/', upload.single('file'), async (req, res, next) => {
     if (req.file) {
       await fs.remove(req.file.path).catch(() => {});
     }
+    await workspace?.remove();
     next(error);
   }
-});
+}));
 
 module.exports = router;
 
@@ -0,0 +1,63 @@
+const express = require('express');
+const { getJob, cancelJob, serializeJob } = require('../utils/jobQueue');
+
+const router = express.Router();
+
+/**
+ * Finds a job visible to the caller (jobs of other API keys are hidden)
+ */
+function findJob(req) {
+  const job = getJob(req.params.id);
+  if (!job || (req.apiKey && job.ownerId !== req.apiKey.id)) {
+    return null;
+  }
+  return job;
+}
+
+/**
+ * GET /jobs/:id
+ * Returns status, progress and (once completed) the download URL of an async job
+ */
+router.get('/:id', (req, res) => {
+  const job = findJob(req);
+  if (!job) {
+    return res.status(404).json({
+      error: 'Job not found',
+      message: 'The job does not exist or has expired'
+    });
+  }
+
+  res.json({
+    success: true,
+    ...serializeJob(job)
+  });
+});
+
+/**
+ * DELETE /jobs/:id
+ * Cancels a queued or running job
+ */
+router.delete('/:id', (req, res) => {
+  const job = findJob(req) && cancelJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      error: 'Job not found',
+      message: 'The job does not exist or has expired'
+    });
+  }
+
+  if (job.status !== 'cancelled') {
+    return res.status(409).json({
+      error: 'Job already finished',
+      message: `Job is ${job.status} and can no longer be cancelled`
+    });
+  }
+
+  res.json({
+    success: true,
+    ...serializeJob(job),
+    message: 'Job cancelled'
+  });
+});
+
+module.exports = router;
@@ -4,6 +4,11 @@ const path = require('path');
 const fs = require('fs-extra');
 const { v4: uuidv4 } = require('uuid');
 const { mergePdfs } = require('../utils/pdfOperations');
+const { jobHandler } = require('../utils/jobQueue');
+const { createDownloadUrl } = require('../utils/downloadTokens');
+const { createWorkspace } = require('../utils/workspace');
+const { requireFileType } = require('../utils/fileType');
+const { parseMergeSpec } = require('../utils/mergeSpec');
 
 const router = express.Router();
 
@@ -32,8 +37,13 @@ const upload = multer({
  * 
  * Body:
  * - files: multipart files (multiple PDFs)
+ * - spec: optional JSON, per-file pages, rotation and position (see utils/mergeSpec.js)
+ * - bookmarks: add an outline entry per source document (default: false)
+ * - separators: insert a blank page between documents (default: false)
+ * - onError: fail (default) or skip; skipped files are listed in warnings
  */
-router.post('/', upload.array('files', 10), async (req, res, next) => {
+router.post('/', upload.array('files', 10), requireFileType(['pdf']), jobHandler('merge', async (req, res, next) => {
+  let workspace = null;
   try {
     if (!req.files || req.files.length < 2) {
       return res.status(400).json({ 
@@ -41,18 +51,7 @@ router.post('/', upload.array('files', 10), async (req, res, next) => {
       });
     }
 
-    // Verify all files are PDFs
-    const nonPdfFiles = req.files.filter(file => 
-      path.extname(file.originalname).toLowerCase() !== '.pdf'
-    );
-
-    if (nonPdfFiles.length > 0) {
-      // Clean up uploaded files
-      await Promise.all(req.files.map(file => fs.remove(file.path)));
-      return res.status(400).json({ 
-        error: 'All files must be PDF format' 
-      });
-    }
+    const { inputs, options, warnings } = parseMergeSpec(req.body, req.files);
 
     const outputDir = process.env.OUTPUT_DIR || './outputs';
     
@@ -61,16 +60,17 @@ router.post('/', upload.array('files', 10), async (req, res, next) => {
     const baseName = path.basename(firstFileName, path.extname(firstFileName));
     const sanitizedBaseName = baseName.replace(/[^a-zA-Z0-9._-]/g, '_');
     const outputFileName = `merged_${sanitizedBaseName}_PDFound.pdf`;
-    const outputPath = path.join(outputDir, outputFileName);
+    workspace = await createWorkspace(outputDir, req.workspaceId);
+    const outputPath = workspace.file(outputFileName);
 
-    const inputPaths = req.files.map(file => file.path);
-    const resultPath = await mergePdfs(inputPaths, outputPath);
+    const result = await mergePdfs(inputs, outputPath, options);
+    const resultPath = result.outputPath;
 
     // Clean up input files
-    await Promise.all(inputPaths.map(path => fs.remove(path)));
+    await Promise.all(req.files.map(file => fs.remove(file.path)));
 
     // Return download URL
-    const downloadUrl = `/downloads/${path.basename(resultPath)}`;
+    const downloadUrl = createDownloadUrl(workspace.relative(outputFileName));
     const stats = await fs.stat(resultPath);
 
     res.json({
@@ -78,7 +78,10 @@ router.post('/', upload.array('files', 10), async (req, res, next) => {
       downloadUrl: downloadUrl,
       fileName: path.basename(resultPath),
       fileSize: stats.size,
-      message: `Successfully merged ${req.files.length} PDF files`
+      pageCount: result.pageCount,
+      documents: result.documents,
+      warnings: [...warnings, ...result.warnings],
+      message: `Successfully merged ${result.documents.length} PDF files`
     });
 
   } catch (error) {
@@ -88,9 +91,10 @@ router.post('/', upload.array('files', 10), async (req, res, next) => {
         fs.remove(file.path).catch(() => {})
       ));
     }
+    await workspace?.remove();
     next(error);
   }
-});
+}));
 
 module.exports = router;
 
@@ -5,11 +5,14 @@ const fs = require('fs-extra');
 const { v4: uuidv4 } = require('uuid');
 const Tesseract = require('tesseract.js');
 const { PDFDocument } = require('pdf-lib');
-const { exec } = require('child_process');
-const { promisify } = require('util');
+const { jobHandler } = require('../utils/jobQueue');
+const { createDownloadUrl } = require('../utils/downloadTokens');
+const { createWorkspace } = require('../utils/workspace');
+const { requireFileType } = require('../utils/fileType');
+const { runTool } = require('../utils/toolRunner');
+const { withRepair } = require('../utils/pdfRepair');
 
 const router = express.Router();
-const execAsync = promisify(exec);
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -38,33 +41,35 @@ const upload = multer({
  * - file: multipart file (JPG, PNG, or PDF)
  * - extractText: optional, if true returns text file download URL
  */
-router.post('/', upload.single('file'), async (req, res, next) => {
+router.post('/', upload.single('file'), requireFileType(['pdf', 'png', 'jpg', 'webp']), jobHandler('ocr', async (req, res, next) => {
+  let workspace = null;
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
     const inputPath = req.file.path;
-    const fileExtension = path.extname(req.file.originalname).toLowerCase();
     const extractText = req.body.extractText === 'true';
     const outputDir = process.env.OUTPUT_DIR || './outputs';
+    workspace = await createWorkspace(outputDir, req.workspaceId);
 
     let extractedText = '';
     let pageCount = 1;
 
     // Handle PDF files - convert pages to images first
-    if (fileExtension === '.pdf') {
+    if (req.file.detectedType === 'pdf') {
       // Convert PDF pages to images using pdftoppm
-      const imageDir = path.join(outputDir, `ocr_${uuidv4()}`);
-      await fs.ensureDir(imageDir);
+      const imageDir = await workspace.tempDir('ocr');
       
       const outputPrefix = path.join(imageDir, 'page');
-      const command = `pdftoppm -png -r 300 "${inputPath}" "${outputPrefix}"`;
       
       try {
-        await execAsync(command);
+        await withRepair(inputPath, pdfPath => runTool('pdftoppm', ['-png', '-r', '300', pdfPath, outputPrefix], { signal: req.job?.signal }), { signal: req.job?.signal });
       } catch (error) {
-        throw new Error('PDF to image conversion failed. Ensure poppler-utils is installed.');
+        if (error.notFound) {
+          throw new Error('PDF to image conversion failed. Ensure poppler-utils is installed.');
+        }
+        throw new Error(`PDF to image conversion failed: ${error.message}`);
       }
 
       // Find all generated images
@@ -79,10 +84,12 @@ router.post('/', upload.single('file'), async (req, res, next) => {
       // Perform OCR on each page
       const pageTexts = [];
       for (let i = 0; i < imageFiles.length; i++) {
+        req.job?.throwIfCancelled();
         const { data: { text } } = await Tesseract.recognize(imageFiles[i], 'eng', {
           logger: m => console.log(m)
         });
         pageTexts.push(`--- Page ${i + 1} ---\n${text}\n`);
+        req.job?.setProgress(((i + 1) / imageFiles.length) * 100);
       }
 
       extractedText = pageTexts.join('\n\n');
@@ -106,9 +113,11 @@ router.post('/', upload.single('file'), async (req, res, next) => {
 
     if (extractText) {
       fileName = `extracted_text_${uuidv4()}.txt`;
-      const textFilePath = path.join(outputDir, fileName);
+      const textFilePath = workspace.file(fileName);
       await fs.writeFile(textFilePath, extractedText, 'utf8');
-      downloadUrl = `/downloads/${fileName}`;
+      downloadUrl = createDownloadUrl(workspace.relative(fileName));
+    } else {
+      await workspace.remove();
     }
 
     res.json({
@@ -125,9 +134,10 @@ router.post('/', upload.single('file'), async (req, res, next) => {
     if (req.file) {
       await fs.remove(req.file.path).catch(() => {});
     }
+    await workspace?.remove();
     next(error);
   }
-});
+}));
 
 module.exports = router;
 
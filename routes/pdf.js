@@ -3,12 +3,31 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs-extra');
 const { v4: uuidv4 } = require('uuid');
-const { PDFDocument } = require('pdf-lib');
-const { exec } = require('child_process');
-const { promisify } = require('util');
+const { jobHandler } = require('../utils/jobQueue');
+const { createDownloadUrl } = require('../utils/downloadTokens');
+const { createWorkspace } = require('../utils/workspace');
+const { FONT_TYPES, requireFileType } = require('../utils/fileType');
+const { runTool } = require('../utils/toolRunner');
+const { repairPdf, withRepair } = require('../utils/pdfRepair');
+const { protectPdf, unlockPdf } = require('../utils/pdfEncryption');
+const { signPdf, verifySignatures } = require('../utils/pdfSignatures');
+const { redactPdf } = require('../utils/redaction');
+const { convertToPdfa, validatePdfa } = require('../utils/pdfa');
+const {
+  rotatePages,
+  deletePages,
+  extractPages,
+  insertPages,
+  duplicatePages,
+  reorderPages
+} = require('../utils/pageOperations');
+const { inspectPdf } = require('../utils/pdfInfo');
+const { renderThumbnails } = require('../utils/thumbnails');
+const { readMetadataFile, writeMetadata } = require('../utils/pdfMetadata');
+const { listFormFields, fillForm } = require('../utils/pdfForms');
+const { addHeaderFooter } = require('../utils/headerFooter');
 
 const router = express.Router();
-const execAsync = promisify(exec);
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -29,42 +48,281 @@ const upload = multer({
   }
 });
 
+/**
+ * POST /pdf/info
+ * Returns structured information about a PDF without changing it
+ *
+ * Body:
+ * - file: PDF file
+ * - password: password of an encrypted file (optional)
+ */
+router.post('/info', upload.single('file'), requireFileType(['pdf']), jobHandler('info', async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const info = await inspectPdf(req.file.path, {
+      password: req.body.password,
+      signal: req.job?.signal
+    });
+
+    await fs.remove(req.file.path);
+
+    res.json({
+      success: true,
+      fileName: req.file.originalname,
+      ...info
+    });
+
+  } catch (error) {
+    if (req.file) {
+      await fs.remove(req.file.path).catch(() => {});
+    }
+    next(error);
+  }
+}));
+
+/**
+ * POST /pdf/metadata/read
+ * Returns the Info dictionary, custom properties and XMP packet
+ *
+ * Body:
+ * - file: PDF file
+ */
+router.post('/metadata/read', upload.single('file'), requireFileType(['pdf']), jobHandler('read-metadata', async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const metadata = await readMetadataFile(req.file.path);
+
+    await fs.remove(req.file.path);
+
+    res.json({
+      success: true,
+      fileName: req.file.originalname,
+      ...metadata
+    });
+
+  } catch (error) {
+    if (req.file) {
+      await fs.remove(req.file.path).catch(() => {});
+    }
+    next(error);
+  }
+}));
+
+/**
+ * POST /pdf/metadata
+ * Sets or removes metadata
+ *
+ * Body:
+ * - file: PDF file
+ * - title, author, subject, keywords, creator, producer: text, an empty value removes the field
+ * - creationDate, modificationDate: ISO 8601 dates
+ * - custom: JSON object of custom properties, null removes one
+ * - xmp: XMP packet to store as-is
+ * - strip: remove all metadata (Info, XMP, page metadata) before applying the fields above
+ */
+router.post('/metadata', upload.single('file'), requireFileType(['pdf']), jobHandler('metadata', async (req, res, next) => {
+  let workspace = null;
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const inputPath = req.file.path;
+    const outputDir = process.env.OUTPUT_DIR || './outputs';
+    const outputFileName = `metadata_${uuidv4()}.pdf`;
+    workspace = await createWorkspace(outputDir, req.workspaceId);
+    const outputPath = workspace.file(outputFileName);
+
+    const { metadata } = await writeMetadata(inputPath, outputPath, {
+      title: req.body.title,
+      author: req.body.author,
+      subject: req.body.subject,
+      keywords: req.body.keywords,
+      creator: req.body.creator,
+      producer: req.body.producer,
+      creationDate: req.body.creationDate,
+      modificationDate: req.body.modificationDate,
+      custom: req.body.custom,
+      xmp: req.body.xmp,
+      strip: req.body.strip === 'true' || req.body.strip === true
+    });
+
+    await fs.remove(inputPath);
+
+    const downloadUrl = createDownloadUrl(workspace.relative(outputFileName));
+    const stats = await fs.stat(outputPath);
+
+    res.json({
+      success: true,
+      downloadUrl: downloadUrl,
+      fileName: outputFileName,
+      fileSize: stats.size,
+      metadata: metadata,
+      message: 'Successfully updated PDF metadata'
+    });
+
+  } catch (error) {
+    if (req.file) {
+      await fs.remove(req.file.path).catch(() => {});
+    }
+    await workspace?.remove();
+    next(error);
+  }
+}));
+
+/**
+ * POST /pdf/forms/fields
+ * Lists the form fields with their type, options and current value
+ *
+ * Body:
+ * - file: PDF file
+ */
+router.post('/forms/fields', upload.single('file'), requireFileType(['pdf']), jobHandler('form-fields', async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const form = await listFormFields(req.file.path);
+
+    await fs.remove(req.file.path);
+
+    res.json({
+      success: true,
+      fileName: req.file.originalname,
+      formType: form.type,
+      fieldCount: form.fields.length,
+      fields: form.fields
+    });
+
+  } catch (error) {
+    if (req.file) {
+      await fs.remove(req.file.path).catch(() => {});
+    }
+    next(error);
+  }
+}));
+
+/**
+ * POST /pdf/forms/fill
+ * Fills form fields and optionally flattens the form
+ *
+ * Body:
+ * - file: PDF file
+ * - values: JSON object of field name → value (text, true/false, option or list of options, null clears)
+ * - flatten: make the filled form read-only page content (default: false)
+ * - font: font for the field values, standard or from FONTS_DIR (default: helvetica)
+ * - fontFile: TTF or OTF font for non-Latin values (optional)
+ */
+router.post('/forms/fill', upload.fields([{ name: 'file', maxCount: 1 }, { name: 'fontFile', maxCount: 1 }]), requireFileType({ file: ['pdf'], fontFile: FONT_TYPES }), jobHandler('fill-form', async (req, res, next) => {
+  const uploads = Object.values(req.files || {}).flat();
+  let workspace = null;
+  try {
+    const file = req.files?.file?.[0];
+    if (!file) {
+      await Promise.all(uploads.map(upload => fs.remove(upload.path)));
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+    const fontFile = req.files.fontFile?.[0];
+
+    const outputDir = process.env.OUTPUT_DIR || './outputs';
+    const outputFileName = `filled_${uuidv4()}.pdf`;
+    workspace = await createWorkspace(outputDir, req.workspaceId);
+    const outputPath = workspace.file(outputFileName);
+
+    const result = await fillForm(file.path, outputPath, req.body.values, {
+      flatten: req.body.flatten,
+      font: req.body.font,
+      fontBytes: fontFile ? await fs.readFile(fontFile.path) : null
+    });
+
+    await Promise.all(uploads.map(upload => fs.remove(upload.path)));
+
+    const downloadUrl = createDownloadUrl(workspace.relative(outputFileName));
+    const stats = await fs.stat(outputPath);
+
+    res.json({
+      success: true,
+      downloadUrl: downloadUrl,
+      fileName: outputFileName,
+      fileSize: stats.size,
+      filled: result.filled,
+      skipped: result.skipped,
+      unknownFields: result.unknownFields,
+      flattened: result.flattened,
+      warnings: result.warnings,
+      message: `Successfully filled ${result.filled.length} field(s)${result.flattened ? ' and flattened the form' : ''}`
+    });
+
+  } catch (error) {
+    await Promise.all(uploads.map(upload => fs.remove(upload.path).catch(() => {})));
+    await workspace?.remove();
+    next(error);
+  }
+}));
+
+/**
+ * POST /pdf/header-footer
+ * Adds header and footer text
+ *
+ * Body:
+ * - file: PDF file
+ * - headerLeft, headerCenter, headerRight, footerLeft, footerCenter, footerRight: templates
+ *   with {page}, {pages}, {date}, {filename} and {title}
+ * - evenHeaderLeft, ..., evenFooterRight: templates for even pages (default: same as odd pages)
+ * - mirror: swap left and right on even pages (default: false)
+ * - skipFirst: no header or footer on the first page (default: false)
+ * - pages: page range (default: all)
+ * - dateFormat: format of {date} with YYYY, MM and DD (default: YYYY-MM-DD)
+ * - font, fontSize (default: 9), color, margin (default: 36)
+ */
+router.post('/header-footer', upload.single('file'), requireFileType(['pdf']), jobHandler('header-footer', pageOperation(
+  'header_footer',
+  (inputPath, outputPath, req) => addHeaderFooter(inputPath, outputPath, { ...req.body, fileName: req.file.originalname }),
+  result => `Successfully added header and footer to ${result.pages.length} page(s)`
+)));
+
 /**
  * POST /pdf/protect
- * Adds password protection to PDF
+ * Encrypts a PDF with AES-256 and sets its permissions
+ *
+ * Body:
+ * - file: PDF file
+ * - userPassword: password to open the file (empty: opens without a password, restrictions still apply)
+ * - password: same as userPassword
+ * - ownerPassword: password that lifts the restrictions (default: the user password)
+ * - allowPrint: true, false, full, low or none (default: full)
+ * - allowCopy, allowModify, allowAnnotate, allowFillForms: true or false (default: true)
  */
-router.post('/protect', upload.single('file'), async (req, res, next) => {
+router.post('/protect', upload.single('file'), requireFileType(['pdf']), jobHandler('protect', async (req, res, next) => {
+  let workspace = null;
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
-    const password = req.body.password;
-    if (!password) {
+    if (!req.body.userPassword && !req.body.password && !req.body.ownerPassword) {
       await fs.remove(req.file.path);
-      return res.status(400).json({ error: 'Password is required' });
+      return res.status(400).json({ error: 'Password is required', message: 'Set userPassword, ownerPassword or both' });
     }
 
     const inputPath = req.file.path;
     const outputDir = process.env.OUTPUT_DIR || './outputs';
     const outputFileName = `protected_${uuidv4()}.pdf`;
-    const outputPath = path.join(outputDir, outputFileName);
-
-    // Use qpdf to encrypt PDF (requires qpdf to be installed)
-    // Alternative: Use pdf-lib which doesn't support encryption, so we'll use Ghostscript
-    const command = `gs -sDEVICE=pdfwrite -dCompatibilityLevel=1.4 -sOwnerPassword="${password}" -sUserPassword="${password}" -dNOPAUSE -dQUIET -dBATCH -sOutputFile="${outputPath}" "${inputPath}"`;
+    workspace = await createWorkspace(outputDir, req.workspaceId);
+    const outputPath = workspace.file(outputFileName);
 
-    try {
-      await execAsync(command);
-    } catch (error) {
-      // Fallback: Use pdf-lib (note: pdf-lib doesn't support encryption in free version)
-      // For production, consider using a paid library or cloud service
-      throw new Error('PDF encryption requires qpdf or Ghostscript with encryption support. This feature may not be available on free tier.');
-    }
+    const { encryption, warnings } = await protectPdf(inputPath, outputPath, { ...req.body, signal: req.job?.signal });
 
     await fs.remove(inputPath);
 
-    const downloadUrl = `/downloads/${outputFileName}`;
+    const downloadUrl = createDownloadUrl(workspace.relative(outputFileName));
     const stats = await fs.stat(outputPath);
 
     res.json({
@@ -72,22 +330,34 @@ router.post('/protect', upload.single('file'), async (req, res, next) => {
       downloadUrl: downloadUrl,
       fileName: outputFileName,
       fileSize: stats.size,
-      message: 'Successfully protected PDF with password'
+      encryption: encryption,
+      warnings: warnings,
+      message: encryption.userPassword
+        ? 'Successfully protected PDF with password'
+        : 'Successfully restricted PDF permissions'
     });
 
   } catch (error) {
     if (req.file) {
       await fs.remove(req.file.path).catch(() => {});
     }
+    await workspace?.remove();
     next(error);
   }
-});
+}));
 
 /**
  * POST /pdf/unlock
- * Removes password from PDF
+ * Removes password and restrictions from PDF
+ *
+ * Body:
+ * - file: PDF file
+ * - password: user or owner password
+ *
+ * The response reports the encryption and permissions the file had.
  */
-router.post('/unlock', upload.single('file'), async (req, res, next) => {
+router.post('/unlock', upload.single('file'), requireFileType(['pdf']), jobHandler('unlock', async (req, res, next) => {
+  let workspace = null;
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
@@ -102,20 +372,76 @@ router.post('/unlock', upload.single('file'), async (req, res, next) => {
     const inputPath = req.file.path;
     const outputDir = process.env.OUTPUT_DIR || './outputs';
     const outputFileName = `unlocked_${uuidv4()}.pdf`;
-    const outputPath = path.join(outputDir, outputFileName);
+    workspace = await createWorkspace(outputDir, req.workspaceId);
+    const outputPath = workspace.file(outputFileName);
 
-    // Use qpdf to decrypt PDF
-    const command = `qpdf --password="${password}" --decrypt "${inputPath}" "${outputPath}"`;
+    const { encryption } = await unlockPdf(inputPath, outputPath, password, { signal: req.job?.signal });
 
-    try {
-      await execAsync(command);
-    } catch (error) {
-      throw new Error('PDF decryption failed. Incorrect password or qpdf not available.');
+    await fs.remove(inputPath);
+
+    const downloadUrl = createDownloadUrl(workspace.relative(outputFileName));
+    const stats = await fs.stat(outputPath);
+
+    res.json({
+      success: true,
+      downloadUrl: downloadUrl,
+      fileName: outputFileName,
+      fileSize: stats.size,
+      encryption: encryption,
+      message: encryption.encrypted ? 'Successfully removed password from PDF' : 'PDF was not encrypted'
+    });
+
+  } catch (error) {
+    if (req.file) {
+      await fs.remove(req.file.path).catch(() => {});
     }
+    await workspace?.remove();
+    next(error);
+  }
+}));
 
-    await fs.remove(inputPath);
+/**
+ * POST /pdf/sign
+ * Signs a PDF (PAdES) with a PKCS#12 certificate
+ *
+ * The signature is appended as an incremental update, so existing
+ * signatures stay valid.
+ *
+ * Body:
+ * - file: PDF file
+ * - certificate: PKCS#12 (.p12/.pfx) file (default: the server certificate, SIGNING_CERT_PATH)
+ * - certificatePassword: password of the uploaded certificate
+ * - visible: draw the signature on a page (default: false)
+ * - page: page of a visible signature (default: 1)
+ * - position: top-left, ..., bottom-right, center (default: bottom-right), or x and y in points
+ * - width, height: signature box in points (default: 200 x 60)
+ * - fieldName: signature field; an existing empty one is signed in place (default: Signature1, ...)
+ * - reason, location, contactInfo, signerName: signature details (optional)
+ */
+router.post('/sign', upload.fields([{ name: 'file', maxCount: 1 }, { name: 'certificate', maxCount: 1 }]), requireFileType({ file: ['pdf'], certificate: ['p12'] }), jobHandler('sign', async (req, res, next) => {
+  const uploads = Object.values(req.files || {}).flat();
+  let workspace = null;
+  try {
+    const file = req.files?.file?.[0];
+    if (!file) {
+      await Promise.all(uploads.map(upload => fs.remove(upload.path)));
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+    const certificateFile = req.files.certificate?.[0];
+
+    const outputDir = process.env.OUTPUT_DIR || './outputs';
+    const outputFileName = `signed_${uuidv4()}.pdf`;
+    workspace = await createWorkspace(outputDir, req.workspaceId);
+    const outputPath = workspace.file(outputFileName);
+
+    const result = await signPdf(file.path, outputPath, {
+      ...req.body,
+      certificate: certificateFile ? await fs.readFile(certificateFile.path) : null
+    });
+
+    await Promise.all(uploads.map(upload => fs.remove(upload.path)));
 
-    const downloadUrl = `/downloads/${outputFileName}`;
+    const downloadUrl = createDownloadUrl(workspace.relative(outputFileName));
     const stats = await fs.stat(outputPath);
 
     res.json({
@@ -123,7 +449,47 @@ router.post('/unlock', upload.single('file'), async (req, res, next) => {
       downloadUrl: downloadUrl,
       fileName: outputFileName,
       fileSize: stats.size,
-      message: 'Successfully removed password from PDF'
+      fieldName: result.fieldName,
+      visible: result.visible,
+      page: result.page,
+      signer: result.signer,
+      signingTime: result.signingTime,
+      warnings: result.warnings,
+      message: `Successfully signed PDF as ${result.signer.name || result.signer.subject}`
+    });
+
+  } catch (error) {
+    await Promise.all(uploads.map(upload => fs.remove(upload.path).catch(() => {})));
+    await workspace?.remove();
+    next(error);
+  }
+}));
+
+/**
+ * POST /pdf/verify-signatures
+ * Reports the signatures of a PDF: signer, signing time, integrity and
+ * whether the document changed after signing
+ *
+ * Body:
+ * - file: PDF file
+ */
+router.post('/verify-signatures', upload.single('file'), requireFileType(['pdf']), jobHandler('verify-signatures', async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const result = await verifySignatures(req.file.path);
+
+    await fs.remove(req.file.path);
+
+    res.json({
+      success: true,
+      fileName: req.file.originalname,
+      ...result,
+      message: result.signatureCount === 0
+        ? 'The PDF has no signatures'
+        : `Checked ${result.signatureCount} signature(s): ${result.valid ? 'all intact' : 'some are invalid or could not be checked'}`
     });
 
   } catch (error) {
@@ -132,49 +498,239 @@ router.post('/unlock', upload.single('file'), async (req, res, next) => {
     }
     next(error);
   }
-});
+}));
+
+/**
+ * POST /pdf/redact
+ * Removes text, image pixels and metadata matching search terms, patterns
+ * or presets, or inside page areas, and covers them with boxes
+ *
+ * Body:
+ * - file: PDF file
+ * - terms: text to redact, one term or a JSON array
+ * - patterns: regular expressions, one or a JSON array ("\d{4}" or "/secret/i")
+ * - presets: email, phone, ssn, creditCard, iban (comma separated or JSON array)
+ * - areas: JSON array of { page, x, y, width, height } in points on the visible page,
+ *   origin bottom-left; page is a page number or range
+ * - pages: page range searched for terms, patterns and presets (default: all)
+ * - matchCase: case-sensitive matching (default: false)
+ * - wholeWord: terms only match whole words (default: false)
+ * - fillColor: box color (default: #000000)
+ */
+router.post('/redact', upload.single('file'), requireFileType(['pdf']), jobHandler('redact', async (req, res, next) => {
+  let workspace = null;
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const outputDir = process.env.OUTPUT_DIR || './outputs';
+    const outputFileName = `redacted_${uuidv4()}.pdf`;
+    workspace = await createWorkspace(outputDir, req.workspaceId);
+    const outputPath = workspace.file(outputFileName);
+
+    const result = await redactPdf(req.file.path, outputPath, { ...req.body, signal: req.job?.signal });
+
+    await fs.remove(req.file.path);
+
+    const downloadUrl = createDownloadUrl(workspace.relative(outputFileName));
+    const stats = await fs.stat(outputPath);
+    const { totals } = result.report;
+
+    res.json({
+      success: true,
+      downloadUrl: downloadUrl,
+      fileName: outputFileName,
+      fileSize: stats.size,
+      report: result.report,
+      warnings: result.warnings,
+      message: `Redacted ${totals.matches} match(es) and ${totals.areas} area(s) on ${result.report.pages.length} page(s)`
+    });
+
+  } catch (error) {
+    if (req.file) {
+      await fs.remove(req.file.path).catch(() => {});
+    }
+    await workspace?.remove();
+    next(error);
+  }
+}));
+
+/**
+ * POST /pdf/to-pdfa
+ * Converts a PDF to PDF/A with embedded fonts and an sRGB output intent
+ *
+ * Body:
+ * - file: PDF file
+ * - level: 1b, 2b or 3b (default: 2b)
+ */
+router.post('/to-pdfa', upload.single('file'), requireFileType(['pdf']), jobHandler('to-pdfa', async (req, res, next) => {
+  let workspace = null;
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const outputDir = process.env.OUTPUT_DIR || './outputs';
+    const outputFileName = `pdfa_${uuidv4()}.pdf`;
+    workspace = await createWorkspace(outputDir, req.workspaceId);
+    const outputPath = workspace.file(outputFileName);
+
+    const result = await convertToPdfa(req.file.path, outputPath, req.body.level, { signal: req.job?.signal });
+
+    await fs.remove(req.file.path);
+
+    const downloadUrl = createDownloadUrl(workspace.relative(outputFileName));
+    const stats = await fs.stat(outputPath);
+    const { validation } = result;
+
+    res.json({
+      success: true,
+      downloadUrl: downloadUrl,
+      fileName: outputFileName,
+      fileSize: stats.size,
+      level: result.level,
+      compliant: validation.compliant,
+      violations: validation.violations,
+      message: validation.compliant
+        ? `Successfully converted PDF to PDF/A-${result.level}`
+        : `Converted PDF to PDF/A-${result.level}, ${validation.violations.length} violation(s) remain`
+    });
+
+  } catch (error) {
+    if (req.file) {
+      await fs.remove(req.file.path).catch(() => {});
+    }
+    await workspace?.remove();
+    next(error);
+  }
+}));
+
+/**
+ * POST /pdf/validate-pdfa
+ * Lists the PDF/A conformance violations of a PDF
+ *
+ * Body:
+ * - file: PDF file
+ * - level: 1b, 2b or 3b (default: the level the file claims, else 2b)
+ */
+router.post('/validate-pdfa', upload.single('file'), requireFileType(['pdf']), jobHandler('validate-pdfa', async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const result = await validatePdfa(req.file.path, { level: req.body.level });
+
+    await fs.remove(req.file.path);
+
+    res.json({
+      success: true,
+      fileName: req.file.originalname,
+      ...result,
+      message: result.compliant
+        ? `No PDF/A-${result.level} violations found`
+        : `Found ${result.violations.length} PDF/A-${result.level} violation(s)`
+    });
+
+  } catch (error) {
+    if (req.file) {
+      await fs.remove(req.file.path).catch(() => {});
+    }
+    next(error);
+  }
+}));
+
+/**
+ * POST /pdf/repair
+ * Rebuilds a damaged PDF (broken cross-reference table, object streams or
+ * offsets) with qpdf, or Ghostscript when qpdf cannot open it
+ *
+ * Body:
+ * - file: PDF file
+ * - linearize: true to linearize the result for fast web view
+ */
+router.post('/repair', upload.single('file'), requireFileType(['pdf']), jobHandler('repair', async (req, res, next) => {
+  let workspace = null;
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const outputDir = process.env.OUTPUT_DIR || './outputs';
+    const outputFileName = `repaired_${uuidv4()}.pdf`;
+    workspace = await createWorkspace(outputDir, req.workspaceId);
+    const outputPath = workspace.file(outputFileName);
+
+    const result = await repairPdf(req.file.path, outputPath, {
+      linearize: req.body.linearize === 'true' || req.body.linearize === true,
+      signal: req.job?.signal
+    });
+
+    await fs.remove(req.file.path);
+
+    const downloadUrl = createDownloadUrl(workspace.relative(outputFileName));
+    const stats = await fs.stat(outputPath);
+
+    res.json({
+      success: true,
+      downloadUrl: downloadUrl,
+      fileName: outputFileName,
+      fileSize: stats.size,
+      method: result.method,
+      damaged: result.damaged,
+      issues: result.issues,
+      pageCount: result.pageCount,
+      originalPageCount: result.originalPageCount,
+      linearized: result.linearized,
+      message: result.damaged
+        ? `Repaired PDF, ${result.issues.length} problem(s) found`
+        : 'No problems found, the PDF has been rewritten'
+    });
+
+  } catch (error) {
+    if (req.file) {
+      await fs.remove(req.file.path).catch(() => {});
+    }
+    await workspace?.remove();
+    next(error);
+  }
+}));
 
 /**
  * POST /pdf/reorder
  * Reorders PDF pages
+ *
+ * Body:
+ * - file: PDF file
+ * - pageOrder: JSON array of 1-based page numbers, e.g. [3,1,2]
  */
-router.post('/reorder', upload.single('file'), async (req, res, next) => {
+router.post('/reorder', upload.single('file'), requireFileType(['pdf']), jobHandler('reorder', async (req, res, next) => {
+  let workspace = null;
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
-    const pageOrder = JSON.parse(req.body.pageOrder || '[]');
-    if (!Array.isArray(pageOrder) || pageOrder.length === 0) {
+    let pageOrder;
+    try {
+      pageOrder = JSON.parse(req.body.pageOrder || '[]');
+    } catch (error) {
       await fs.remove(req.file.path);
-      return res.status(400).json({ error: 'Page order array is required' });
+      return res.status(400).json({ error: 'pageOrder must be a JSON array of page numbers' });
     }
 
     const inputPath = req.file.path;
     const outputDir = process.env.OUTPUT_DIR || './outputs';
     const outputFileName = `reordered_${uuidv4()}.pdf`;
-    const outputPath = path.join(outputDir, outputFileName);
-
-    // Load PDF
-    const pdfBytes = await fs.readFile(inputPath);
-    const pdfDoc = await PDFDocument.load(pdfBytes);
-    const newPdf = await PDFDocument.create();
-
-    // Copy pages in new order (convert to 0-based index)
-    const pageIndices = pageOrder.map(p => p - 1);
-    const copiedPages = await newPdf.copyPages(pdfDoc, pageIndices);
-    
-    copiedPages.forEach((page) => {
-      newPdf.addPage(page);
-    });
+    workspace = await createWorkspace(outputDir, req.workspaceId);
+    const outputPath = workspace.file(outputFileName);
 
-    // Save reordered PDF
-    const reorderedBytes = await newPdf.save();
-    await fs.writeFile(outputPath, reorderedBytes);
+    await reorderPages(inputPath, outputPath, { pageOrder });
 
     await fs.remove(inputPath);
 
-    const downloadUrl = `/downloads/${outputFileName}`;
+    const downloadUrl = createDownloadUrl(workspace.relative(outputFileName));
     const stats = await fs.stat(outputPath);
 
     res.json({
@@ -189,15 +745,245 @@ router.post('/reorder', upload.single('file'), async (req, res, next) => {
     if (req.file) {
       await fs.remove(req.file.path).catch(() => {});
     }
+    await workspace?.remove();
     next(error);
   }
-});
+}));
+
+/**
+ * Handler for the /pdf/pages operations
+ *
+ * @param {string} prefix - Output file name prefix
+ * @param {Function} run - `(inputPath, outputPath, req) => result` of utils/pageOperations.js
+ * @param {Function} describe - Builds the success message from the result
+ */
+function pageOperation(prefix, run, describe) {
+  return async (req, res, next) => {
+    const file = req.file || req.files?.file?.[0];
+    const uploads = req.file ? [req.file] : Object.values(req.files || {}).flat();
+    let workspace = null;
+    try {
+      if (!file) {
+        await Promise.all(uploads.map(upload => fs.remove(upload.path)));
+        return res.status(400).json({ error: 'No file uploaded' });
+      }
+
+      const outputDir = process.env.OUTPUT_DIR || './outputs';
+      const outputFileName = `${prefix}_${uuidv4()}.pdf`;
+      workspace = await createWorkspace(outputDir, req.workspaceId);
+      const outputPath = workspace.file(outputFileName);
+
+      const result = await run(file.path, outputPath, req);
+
+      await Promise.all(uploads.map(upload => fs.remove(upload.path)));
+
+      const downloadUrl = createDownloadUrl(workspace.relative(outputFileName));
+      const stats = await fs.stat(outputPath);
+
+      res.json({
+        success: true,
+        downloadUrl: downloadUrl,
+        fileName: outputFileName,
+        fileSize: stats.size,
+        pageCount: result.pageCount,
+        pages: result.pages,
+        message: describe(result)
+      });
+
+    } catch (error) {
+      await Promise.all(uploads.map(upload => fs.remove(upload.path).catch(() => {})));
+      await workspace?.remove();
+      next(error);
+    }
+  };
+}
+
+/**
+ * POST /pdf/pages/rotate
+ * Rotates pages
+ *
+ * Body:
+ * - file: PDF file
+ * - angle: 90, 180 or 270 (negative values rotate counter-clockwise)
+ * - pages: page range, e.g. "1-3,5" (default: all)
+ */
+router.post('/pages/rotate', upload.single('file'), requireFileType(['pdf']), jobHandler('rotate-pages', pageOperation(
+  'rotated',
+  (inputPath, outputPath, req) => rotatePages(inputPath, outputPath, { pages: req.body.pages || 'all', angle: req.body.angle }),
+  result => `Successfully rotated ${result.pages.length} page(s)`
+)));
+
+/**
+ * POST /pdf/pages/delete
+ * Deletes pages
+ *
+ * Body:
+ * - file: PDF file
+ * - pages: page range to delete, e.g. "2,7-8"
+ */
+router.post('/pages/delete', upload.single('file'), requireFileType(['pdf']), jobHandler('delete-pages', pageOperation(
+  'deleted',
+  (inputPath, outputPath, req) => deletePages(inputPath, outputPath, { pages: req.body.pages }),
+  result => `Successfully deleted ${result.pages.length} page(s)`
+)));
+
+/**
+ * POST /pdf/pages/extract
+ * Copies pages into a new PDF
+ *
+ * Body:
+ * - file: PDF file
+ * - pages: page range to extract, in output order, e.g. "5-9"
+ */
+router.post('/pages/extract', upload.single('file'), requireFileType(['pdf']), jobHandler('extract-pages', pageOperation(
+  'extracted',
+  (inputPath, outputPath, req) => extractPages(inputPath, outputPath, { pages: req.body.pages }),
+  result => `Successfully extracted ${result.pages.length} page(s)`
+)));
+
+/**
+ * POST /pdf/pages/insert
+ * Inserts pages from a second PDF
+ *
+ * Body:
+ * - file: PDF file to insert into
+ * - insertFile: PDF file the pages come from
+ * - position: 1-based page number the inserted pages start at (default: append)
+ * - pages: page range of insertFile (default: all)
+ */
+router.post('/pages/insert', upload.fields([{ name: 'file', maxCount: 1 }, { name: 'insertFile', maxCount: 1 }]), requireFileType(['pdf']), jobHandler('insert-pages', pageOperation(
+  'inserted',
+  async (inputPath, outputPath, req) => {
+    const insertFile = req.files?.insertFile?.[0];
+    if (!insertFile) {
+      const error = new Error('insertFile is required');
+      error.status = 400;
+      throw error;
+    }
+    return insertPages(inputPath, insertFile.path, outputPath, {
+      position: req.body.position,
+      pages: req.body.pages || 'all'
+    });
+  },
+  result => `Successfully inserted ${result.pages.length} page(s)`
+)));
+
+/**
+ * POST /pdf/pages/duplicate
+ * Duplicates pages, each copy follows its original
+ *
+ * Body:
+ * - file: PDF file
+ * - pages: page range to duplicate
+ * - copies: copies per page (default: 1)
+ */
+router.post('/pages/duplicate', upload.single('file'), requireFileType(['pdf']), jobHandler('duplicate-pages', pageOperation(
+  'duplicated',
+  (inputPath, outputPath, req) => duplicatePages(inputPath, outputPath, { pages: req.body.pages, copies: req.body.copies ?? 1 }),
+  result => `Successfully duplicated ${result.pages.length} page(s)`
+)));
+
+/**
+ * POST /pdf/thumbnails
+ * Renders page thumbnails; renders are cached by document content, page,
+ * width and format
+ *
+ * Body:
+ * - file: PDF file
+ * - pages: page range, e.g. "1-12" (default: all)
+ * - width: width in pixels, 16-2000 (default: 200)
+ * - format: webp (default), png or jpeg
+ * - output: urls (default, one download URL per page) or zip
+ */
+router.post('/thumbnails', upload.single('file'), requireFileType(['pdf']), jobHandler('thumbnails', async (req, res, next) => {
+  let workspace = null;
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const output = String(req.body.output || 'urls').toLowerCase();
+    if (!['urls', 'zip'].includes(output)) {
+      await fs.remove(req.file.path);
+      return res.status(400).json({ error: 'output must be urls or zip' });
+    }
+
+    const outputDir = process.env.OUTPUT_DIR || './outputs';
+    const result = await renderThumbnails(req.file.path, outputDir, {
+      pages: req.body.pages,
+      width: req.body.width,
+      format: req.body.format,
+      signal: req.job?.signal
+    });
+
+    await fs.remove(req.file.path);
+
+    const thumbnails = result.thumbnails.map(thumbnail => ({
+      page: thumbnail.page,
+      width: thumbnail.width,
+      height: thumbnail.height,
+      fileSize: thumbnail.fileSize,
+      cached: thumbnail.cached,
+      ...(output === 'urls' ? { url: createDownloadUrl(thumbnail.relativePath) } : {})
+    }));
+    const renderedCount = thumbnails.filter(thumbnail => !thumbnail.cached).length;
+    const summary = {
+      contentHash: result.contentHash,
+      pageCount: result.pageCount,
+      format: result.format,
+      thumbnails: thumbnails,
+      message: `Successfully created ${thumbnails.length} thumbnail(s), ${renderedCount} rendered and ${thumbnails.length - renderedCount} from cache`
+    };
+
+    if (output === 'urls') {
+      return res.json({ success: true, ...summary });
+    }
+
+    // ZIP with page_<n>.<ext>, copied from the cache
+    const archiver = require('archiver');
+    workspace = await createWorkspace(outputDir, req.workspaceId);
+    const zipFileName = `thumbnails_${uuidv4()}.zip`;
+    const zipPath = workspace.file(zipFileName);
+    const zipOutput = fs.createWriteStream(zipPath);
+    const archive = archiver('zip', { zlib: { level: 9 } });
+
+    await new Promise((resolve, reject) => {
+      zipOutput.on('close', resolve);
+      archive.on('error', reject);
+      archive.pipe(zipOutput);
+
+      result.thumbnails.forEach((thumbnail) => {
+        archive.file(thumbnail.path, { name: `page_${thumbnail.page}${path.extname(thumbnail.path)}` });
+      });
+
+      archive.finalize();
+    });
+
+    const stats = await fs.stat(zipPath);
+
+    res.json({
+      success: true,
+      downloadUrl: createDownloadUrl(workspace.relative(zipFileName)),
+      fileName: zipFileName,
+      fileSize: stats.size,
+      ...summary
+    });
+
+  } catch (error) {
+    if (req.file) {
+      await fs.remove(req.file.path).catch(() => {});
+    }
+    await workspace?.remove();
+    next(error);
+  }
+}));
 
 /**
  * POST /pdf/extract-images
  * Extracts images from PDF
  */
-router.post('/extract-images', upload.single('file'), async (req, res, next) => {
+router.post('/extract-images', upload.single('file'), requireFileType(['pdf']), jobHandler('extract-images', async (req, res, next) => {
+  let workspace = null;
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
@@ -205,16 +991,17 @@ router.post('/extract-images', upload.single('file'), async (req, res, next) =>
 
     const inputPath = req.file.path;
     const outputDir = process.env.OUTPUT_DIR || './outputs';
-    const imageDir = path.join(outputDir, `images_${uuidv4()}`);
-    await fs.ensureDir(imageDir);
+    workspace = await createWorkspace(outputDir, req.workspaceId);
+    const imageDir = await workspace.tempDir('images');
 
     // Use pdfimages (from poppler-utils) to extract images
-    const command = `pdfimages -png "${inputPath}" "${path.join(imageDir, 'image')}"`;
-
     try {
-      await execAsync(command);
+      await withRepair(inputPath, pdfPath => runTool('pdfimages', ['-png', pdfPath, path.join(imageDir, 'image')], { signal: req.job?.signal }), { signal: req.job?.signal });
     } catch (error) {
-      throw new Error('Image extraction requires poppler-utils (pdfimages).');
+      if (error.notFound) {
+        throw new Error('Image extraction requires poppler-utils (pdfimages).');
+      }
+      throw new Error(`Image extraction failed: ${error.message}`);
     }
 
     // Find all extracted images
@@ -232,7 +1019,7 @@ router.post('/extract-images', upload.single('file'), async (req, res, next) =>
     // Create ZIP file with all images
     const archiver = require('archiver');
     const zipFileName = `extracted_images_${uuidv4()}.zip`;
-    const zipPath = path.join(outputDir, zipFileName);
+    const zipPath = workspace.file(zipFileName);
     const output = fs.createWriteStream(zipPath);
     const archive = archiver('zip', { zlib: { level: 9 } });
 
@@ -252,14 +1039,14 @@ router.post('/extract-images', upload.single('file'), async (req, res, next) =>
     await fs.remove(imageDir);
     await fs.remove(inputPath);
 
-    const downloadUrl = `/downloads/${zipFileName}`;
+    const downloadUrl = createDownloadUrl(workspace.relative(zipFileName));
     const stats = await fs.stat(zipPath);
 
     res.json({
       success: true,
       images: imageFiles.map((_, index) => ({
         pageNumber: index + 1,
-        imageUrl: `/downloads/${zipFileName}#image_${index + 1}.png`,
+        imageUrl: `${downloadUrl}#image_${index + 1}.png`,
         fileName: `image_${index + 1}.png`,
         width: 0, // Would need to read image metadata
         height: 0
@@ -275,15 +1062,17 @@ router.post('/extract-images', upload.single('file'), async (req, res, next) =>
     if (req.file) {
       await fs.remove(req.file.path).catch(() => {});
     }
+    await workspace?.remove();
     next(error);
   }
-});
+}));
 
 /**
  * POST /pdf/to-office
  * Converts PDF to Office formats (DOCX, XLSX, PPTX)
  */
-router.post('/to-office', upload.single('file'), async (req, res, next) => {
+router.post('/to-office', upload.single('file'), requireFileType(['pdf']), jobHandler('to-office', async (req, res, next) => {
+  let workspace = null;
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
@@ -298,33 +1087,38 @@ router.post('/to-office', upload.single('file'), async (req, res, next) => {
     const inputPath = req.file.path;
     const outputDir = process.env.OUTPUT_DIR || './outputs';
     const outputFileName = `converted_${uuidv4()}.${toType}`;
-    const outputPath = path.join(outputDir, outputFileName);
+    workspace = await createWorkspace(outputDir, req.workspaceId);
+    const outputPath = workspace.file(outputFileName);
 
     // Use LibreOffice to convert PDF to Office format
-    const command = `libreoffice --headless --nodefault --convert-to ${toType} --outdir "${outputDir}" "${inputPath}"`;
-
     try {
-      await execAsync(command);
-    } catch (error) {
-      throw new Error('PDF to Office conversion requires LibreOffice.');
-    }
+      await withRepair(inputPath, async (pdfPath) => {
+        await runTool('libreoffice', ['--headless', '--nodefault', '--convert-to', toType, '--outdir', workspace.dir, pdfPath], { signal: req.job?.signal });
 
-    // LibreOffice creates output with same name but different extension
-    const inputFileName = path.basename(inputPath, path.extname(inputPath));
-    const libreOfficeOutput = path.join(outputDir, `${inputFileName}.${toType}`);
+        // LibreOffice creates output with same name but different extension
+        const inputFileName = path.basename(pdfPath, path.extname(pdfPath));
+        const libreOfficeOutput = path.join(workspace.dir, `${inputFileName}.${toType}`);
 
-    // Rename if needed
-    if (libreOfficeOutput !== outputPath && await fs.pathExists(libreOfficeOutput)) {
-      await fs.move(libreOfficeOutput, outputPath, { overwrite: true });
+        // Rename if needed
+        if (libreOfficeOutput !== outputPath && await fs.pathExists(libreOfficeOutput)) {
+          await fs.move(libreOfficeOutput, outputPath, { overwrite: true });
+        }
+
+        // LibreOffice exits without an error when it cannot open the file
+        if (!(await fs.pathExists(outputPath))) {
+          throw new Error('output file not created');
+        }
+      }, { signal: req.job?.signal });
+    } catch (error) {
+      if (error.notFound) {
+        throw new Error('PDF to Office conversion requires LibreOffice.');
+      }
+      throw new Error(`PDF to Office conversion failed: ${error.message}`);
     }
 
     await fs.remove(inputPath);
 
-    if (!(await fs.pathExists(outputPath))) {
-      throw new Error('Conversion failed: output file not created');
-    }
-
-    const downloadUrl = `/downloads/${outputFileName}`;
+    const downloadUrl = createDownloadUrl(workspace.relative(outputFileName));
     const stats = await fs.stat(outputPath);
 
     res.json({
@@ -339,9 +1133,10 @@ router.post('/to-office', upload.single('file'), async (req, res, next) => {
     if (req.file) {
       await fs.remove(req.file.path).catch(() => {});
     }
+    await workspace?.remove();
     next(error);
   }
-});
+}));
 
 module.exports = router;
 
@@ -0,0 +1,369 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs-extra');
+const archiver = require('archiver');
+const { v4: uuidv4 } = require('uuid');
+const { findConverter, normalizeFormat, resolveOptions } = require('../utils/converters');
+const { mergePdfs, compressPdf } = require('../utils/pdfOperations');
+const { linearizePdf } = require('../utils/pdfRepair');
+const { protectPdf } = require('../utils/pdfEncryption');
+const { signPdf } = require('../utils/pdfSignatures');
+const { addWatermark } = require('../utils/watermark');
+const { jobHandler } = require('../utils/jobQueue');
+const { createDownloadUrl } = require('../utils/downloadTokens');
+const { createWorkspace } = require('../utils/workspace');
+const { IMAGE_TYPES, OFFICE_TYPES, requireFileType } = require('../utils/fileType');
+
+const router = express.Router();
+
+// Configure multer for file uploads
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    const uploadDir = process.env.UPLOAD_DIR || './uploads';
+    cb(null, uploadDir);
+  },
+  filename: (req, file, cb) => {
+    const uniqueName = `${uuidv4()}${path.extname(file.originalname)}`;
+    cb(null, uniqueName);
+  }
+});
+
+const upload = multer({
+  storage: storage,
+  limits: {
+    fileSize: (process.env.MAX_FILE_SIZE_MB || 100) * 1024 * 1024
+  }
+});
+
+const MAX_STEPS = 20;
+
+function stepError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function requirePdfs(files, type) {
+  const other = files.find(file => file.type !== 'pdf');
+  if (other) {
+    throw stepError(`${type} needs PDF input, but ${other.name}.${other.type} is not a PDF. Add a convert step first`);
+  }
+}
+
+/**
+ * Pipeline steps
+ *
+ * Each step takes the current list of files `{ path, name, type }` and
+ * returns the new list. Outputs are written to `dir`, a scratch directory
+ * of the step inside the pipeline workspace.
+ */
+const STEPS = {
+  // options: toType (default: pdf) plus the options of the matching converter
+  convert: {
+    validate: (options) => {
+      if (options.toType !== undefined && typeof options.toType !== 'string') {
+        return 'toType must be a string';
+      }
+      return null;
+    },
+    run: async (files, options, { dir, job }) => {
+      const toType = normalizeFormat(options.toType || 'pdf');
+      const results = [];
+      for (const file of files) {
+        if (file.type === toType) {
+          results.push(file);
+          continue;
+        }
+        const converter = findConverter(file.type, toType);
+        if (!converter) {
+          throw stepError(`Conversion from ${file.type} to ${toType} is not supported. See GET /formats for supported conversions`);
+        }
+        const outputPath = path.join(dir, `${file.name}.${toType}`);
+        await converter.convert(file.path, outputPath, {
+          from: file.type,
+          to: toType,
+          options: resolveOptions(converter, options),
+          job
+        });
+        results.push({ path: outputPath, name: file.name, type: toType });
+      }
+      return results;
+    }
+  },
+
+  // options: fileName (optional, name of the merged file without extension)
+  merge: {
+    validate: () => null,
+    run: async (files, options, { dir }) => {
+      requirePdfs(files, 'merge');
+      if (files.length < 2) {
+        throw stepError('merge needs at least 2 files');
+      }
+      const fileName = options.fileName ? path.basename(String(options.fileName), '.pdf') : '';
+      const name = fileName.replace(/[^a-zA-Z0-9._-]/g, '_') || `${files[0].name}_merged`;
+      const outputPath = path.join(dir, `${name}.pdf`);
+      await mergePdfs(files.map(file => file.path), outputPath);
+      return [{ path: outputPath, name, type: 'pdf' }];
+    }
+  },
+
+  // options: quality 1-100 (default: 50)
+  compress: {
+    validate: (options) => {
+      if (options.quality !== undefined) {
+        const quality = Number(options.quality);
+        if (!Number.isInteger(quality) || quality < 1 || quality > 100) {
+          return 'quality must be an integer between 1 and 100';
+        }
+      }
+      return null;
+    },
+    run: async (files, options, { dir, job }) => {
+      requirePdfs(files, 'compress');
+      const results = [];
+      for (const file of files) {
+        const outputPath = path.join(dir, `${file.name}.pdf`);
+        await compressPdf(file.path, outputPath, Number(options.quality) || 50, { signal: job?.signal });
+        results.push({ ...file, path: outputPath });
+      }
+      return results;
+    }
+  },
+
+  // no options; rewrites the PDFs for fast web view (requires qpdf)
+  linearize: {
+    validate: () => null,
+    run: async (files, options, { dir, job }) => {
+      requirePdfs(files, 'linearize');
+      const results = [];
+      for (const file of files) {
+        const outputPath = path.join(dir, `${file.name}.pdf`);
+        await linearizePdf(file.path, outputPath, { signal: job?.signal });
+        results.push({ ...file, path: outputPath });
+      }
+      return results;
+    }
+  },
+
+  // options: same as POST /watermark (text, layout, angle, opacity, fontSize, font, color, position, placement, pageRange); no image or font uploads
+  watermark: {
+    validate: () => null,
+    run: async (files, options, { dir }) => {
+      requirePdfs(files, 'watermark');
+      const results = [];
+      for (const file of files) {
+        const outputPath = path.join(dir, `${file.name}.pdf`);
+        await addWatermark(file.path, outputPath, options);
+        results.push({ ...file, path: outputPath });
+      }
+      return results;
+    }
+  },
+
+  // options: same as POST /pdf/protect (userPassword, ownerPassword, allowPrint, allowCopy, ...)
+  protect: {
+    validate: (options) => (options.password || options.userPassword || options.ownerPassword ? null : 'password is required'),
+    run: async (files, options, { dir, job }) => {
+      requirePdfs(files, 'protect');
+      const results = [];
+      for (const file of files) {
+        const outputPath = path.join(dir, `${file.name}.pdf`);
+        await protectPdf(file.path, outputPath, { ...options, signal: job?.signal });
+        results.push({ ...file, path: outputPath });
+      }
+      return results;
+    }
+  },
+
+  // options: same as POST /pdf/sign (visible, page, position, reason, location, ...); signs with the
+  // server certificate. Later steps rewrite the file and break the signature, so sign last
+  sign: {
+    validate: () => (process.env.SIGNING_CERT_PATH ? null : 'no server signing certificate is configured'),
+    run: async (files, options, { dir }) => {
+      requirePdfs(files, 'sign');
+      const results = [];
+      for (const file of files) {
+        const outputPath = path.join(dir, `${file.name}.pdf`);
+        await signPdf(file.path, outputPath, { ...options, certificate: null });
+        results.push({ ...file, path: outputPath });
+      }
+      return results;
+    }
+  }
+};
+
+/**
+ * Parses and validates the `steps` field
+ *
+ * @returns {{ steps?: Object[], error?: string }}
+ */
+function parseSteps(value) {
+  let steps = value;
+  if (typeof steps === 'string') {
+    try {
+      steps = JSON.parse(steps);
+    } catch (error) {
+      return { error: 'steps must be valid JSON' };
+    }
+  }
+
+  if (!Array.isArray(steps) || steps.length === 0) {
+    return { error: 'steps must be a non-empty array' };
+  }
+  if (steps.length > MAX_STEPS) {
+    return { error: `A pipeline can have at most ${MAX_STEPS} steps` };
+  }
+
+  const parsed = [];
+  for (const [index, step] of steps.entries()) {
+    const type = typeof step === 'string' ? step : step?.type;
+    const options = (step && typeof step.options === 'object' && step.options) || {};
+    if (!STEPS[type]) {
+      return { error: `Step ${index + 1}: unknown type "${type}". Supported: ${Object.keys(STEPS).join(', ')}` };
+    }
+    const problem = STEPS[type].validate(options);
+    if (problem) {
+      return { error: `Step ${index + 1} (${type}): ${problem}` };
+    }
+    parsed.push({ type, options });
+  }
+  return { steps: parsed };
+}
+
+async function zipFiles(files, zipPath) {
+  await new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(zipPath);
+    const archive = archiver('zip', { zlib: { level: 9 } });
+
+    output.on('close', resolve);
+    archive.on('error', reject);
+    archive.pipe(output);
+
+    files.forEach((file) => {
+      archive.file(file.path, { name: `${file.name}.${file.type}` });
+    });
+
+    archive.finalize();
+  });
+}
+
+/**
+ * POST /pipeline
+ * Runs several operations in a row on the server, without downloading
+ * intermediate files
+ *
+ * Body:
+ * - files: multipart files (PDF, images or Office documents)
+ * - steps: JSON array of steps, e.g.
+ *   [{"type":"convert","options":{"toType":"pdf"}},{"type":"merge"},{"type":"protect","options":{"password":"secret"}}]
+ *   Step types: convert, merge, compress, linearize, watermark, protect, sign
+ *
+ * Returns the final file (a ZIP if more than one file is left) and a report
+ * per step. If a step fails nothing is kept and `failedStep` names it.
+ */
+router.post('/', upload.array('files', 20), requireFileType(['pdf', ...IMAGE_TYPES, ...OFFICE_TYPES]), jobHandler('pipeline', async (req, res, next) => {
+  const uploads = req.files || [];
+  const report = [];
+  let workspace = null;
+  let currentStep = null;
+  try {
+    if (uploads.length === 0) {
+      return res.status(400).json({ error: 'No files uploaded' });
+    }
+
+    const { steps, error } = parseSteps(req.body.steps);
+    if (error) {
+      await Promise.all(uploads.map(file => fs.remove(file.path)));
+      return res.status(400).json({ error: 'Invalid pipeline', message: error });
+    }
+
+    const outputDir = process.env.OUTPUT_DIR || './outputs';
+    workspace = await createWorkspace(outputDir, req.workspaceId);
+
+    // Names must be unique, every step writes `<name>.<type>` into one directory
+    const usedNames = new Set();
+    let files = uploads.map((file) => {
+      const baseName = path.basename(file.originalname, path.extname(file.originalname));
+      let name = baseName.replace(/[^a-zA-Z0-9._-]/g, '_') || 'file';
+      for (let counter = 2; usedNames.has(name); counter++) {
+        name = `${baseName.replace(/[^a-zA-Z0-9._-]/g, '_') || 'file'}_${counter}`;
+      }
+      usedNames.add(name);
+      return { path: file.path, name, type: file.detectedType };
+    });
+    const stepDirs = [];
+
+    for (const [index, step] of steps.entries()) {
+      req.job?.throwIfCancelled();
+      currentStep = { index: index + 1, type: step.type };
+
+      const startedAt = Date.now();
+      const dir = await workspace.tempDir(`step${index + 1}`);
+      stepDirs.push(dir);
+      files = await STEPS[step.type].run(files, step.options, { dir, job: req.job });
+
+      const outputs = [];
+      for (const file of files) {
+        const stats = await fs.stat(file.path);
+        outputs.push({ fileName: `${file.name}.${file.type}`, fileSize: stats.size });
+      }
+      report.push({
+        step: index + 1,
+        type: step.type,
+        status: 'completed',
+        durationMs: Date.now() - startedAt,
+        outputs: outputs
+      });
+      req.job?.setProgress(((index + 1) / steps.length) * 100);
+    }
+    currentStep = null;
+
+    // Keep the final artifact, drop the intermediate files
+    let outputFileName;
+    if (files.length === 1) {
+      outputFileName = `${files[0].name}_PDFound.${files[0].type}`;
+      await fs.copy(files[0].path, workspace.file(outputFileName));
+    } else {
+      outputFileName = `pipeline_${files[0].name}_PDFound.zip`;
+      await zipFiles(files, workspace.file(outputFileName));
+    }
+    await Promise.all(stepDirs.map(dir => fs.remove(dir)));
+    await Promise.all(uploads.map(file => fs.remove(file.path)));
+
+    const stats = await fs.stat(workspace.file(outputFileName));
+
+    res.json({
+      success: true,
+      downloadUrl: createDownloadUrl(workspace.relative(outputFileName)),
+      fileName: outputFileName,
+      fileSize: stats.size,
+      steps: report,
+      message: `Successfully ran ${steps.length} step(s)`
+    });
+
+  } catch (error) {
+    // Nothing is kept when a step fails
+    await Promise.all(uploads.map(file => fs.remove(file.path).catch(() => {})));
+    await workspace?.remove();
+
+    if (!currentStep) {
+      return next(error);
+    }
+
+    report.push({
+      step: currentStep.index,
+      type: currentStep.type,
+      status: 'failed',
+      error: error.message
+    });
+    res.status(error.status || 500).json({
+      error: 'Pipeline failed',
+      message: `Step ${currentStep.index} (${currentStep.type}) failed: ${error.message}`,
+      failedStep: currentStep,
+      steps: report
+    });
+  }
+}));
+
+module.exports = router;
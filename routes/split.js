@@ -5,6 +5,10 @@ const fs = require('fs-extra');
 const { v4: uuidv4 } = require('uuid');
 const { splitPdf } = require('../utils/pdfOperations');
 const archiver = require('archiver');
+const { jobHandler } = require('../utils/jobQueue');
+const { createDownloadUrl } = require('../utils/downloadTokens');
+const { createWorkspace } = require('../utils/workspace');
+const { requireFileType } = require('../utils/fileType');
 
 const router = express.Router();
 
@@ -29,39 +33,52 @@ const upload = multer({
 
 /**
  * POST /split
- * Splits a PDF into individual pages
+ * Splits a PDF into several files
  * 
  * Body:
  * - file: multipart file (PDF)
+ * - mode: pages (one file per page, default), ranges, every, bookmarks or size
+ * - ranges: for mode "ranges", e.g. "1-3,4-10,11-" (one file per range)
+ * - every: for mode "every", pages per file
+ * - maxSizeMB: for mode "size", maximum size of one file
  * 
- * Returns a ZIP file containing all pages
+ * Mode "bookmarks" creates one file per top-level bookmark, named after its title.
+ * Returns a ZIP file containing the parts and a manifest.json
  */
-router.post('/', upload.single('file'), async (req, res, next) => {
+router.post('/', upload.single('file'), requireFileType(['pdf']), jobHandler('split', async (req, res, next) => {
+  let workspace = null;
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
-    if (path.extname(req.file.originalname).toLowerCase() !== '.pdf') {
-      await fs.remove(req.file.path);
-      return res.status(400).json({ error: 'File must be a PDF' });
-    }
-
     const inputPath = req.file.path;
     const outputDir = process.env.OUTPUT_DIR || './outputs';
-    const tempDir = path.join(outputDir, `split_${uuidv4()}`);
-
-    await fs.ensureDir(tempDir);
-
-    // Split PDF into pages
-    const pageFiles = await splitPdf(inputPath, tempDir);
+    workspace = await createWorkspace(outputDir, req.workspaceId);
+    const tempDir = await workspace.tempDir('split');
+
+    // Split PDF into parts
+    const mode = req.body.mode || 'pages';
+    const { pageCount, parts } = await splitPdf(inputPath, tempDir, {
+      mode,
+      ranges: req.body.ranges,
+      every: req.body.every,
+      maxBytes: parseFloat(req.body.maxSizeMB) * 1024 * 1024,
+      onProgress: (percent) => req.job?.setProgress(percent * 0.9)
+    });
+    const manifest = {
+      source: req.file.originalname,
+      mode,
+      pageCount,
+      parts: parts.map(({ path: partPath, ...part }) => part)
+    };
 
     // Create ZIP file with original filename and app name
     const originalName = req.file.originalname || 'split_file';
     const baseName = path.basename(originalName, path.extname(originalName));
     const sanitizedBaseName = baseName.replace(/[^a-zA-Z0-9._-]/g, '_');
     const zipFileName = `${sanitizedBaseName}_split_PDFound.zip`;
-    const zipPath = path.join(outputDir, zipFileName);
+    const zipPath = workspace.file(zipFileName);
 
     await new Promise((resolve, reject) => {
       const output = fs.createWriteStream(zipPath);
@@ -75,9 +92,10 @@ router.post('/', upload.single('file'), async (req, res, next) => {
       archive.on('error', reject);
       archive.pipe(output);
 
-      pageFiles.forEach((pageFile, index) => {
-        archive.file(pageFile, { name: `page_${index + 1}.pdf` });
+      parts.forEach((part) => {
+        archive.file(part.path, { name: part.fileName });
       });
+      archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
 
       archive.finalize();
     });
@@ -87,7 +105,7 @@ router.post('/', upload.single('file'), async (req, res, next) => {
     await fs.remove(inputPath);
 
     // Return download URL
-    const downloadUrl = `/downloads/${zipFileName}`;
+    const downloadUrl = createDownloadUrl(workspace.relative(zipFileName));
     const stats = await fs.stat(zipPath);
 
     res.json({
@@ -95,8 +113,9 @@ router.post('/', upload.single('file'), async (req, res, next) => {
       downloadUrl: downloadUrl,
       fileName: zipFileName,
       fileSize: stats.size,
-      pageCount: pageFiles.length,
-      message: `Successfully split PDF into ${pageFiles.length} pages`
+      pageCount: pageCount,
+      parts: manifest.parts,
+      message: `Successfully split PDF into ${parts.length} file(s)`
     });
 
   } catch (error) {
@@ -104,9 +123,10 @@ router.post('/', upload.single('file'), async (req, res, next) => {
     if (req.file) {
       await fs.remove(req.file.path).catch(() => {});
     }
+    await workspace?.remove();
     next(error);
   }
-});
+}));
 
 module.exports = router;
 
@@ -0,0 +1,130 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs-extra');
+const archiver = require('archiver');
+const { v4: uuidv4 } = require('uuid');
+const { stampPdfs } = require('../utils/stamping');
+const { jobHandler } = require('../utils/jobQueue');
+const { createDownloadUrl } = require('../utils/downloadTokens');
+const { createWorkspace } = require('../utils/workspace');
+const { requireFileType } = require('../utils/fileType');
+
+const router = express.Router();
+
+// Configure multer for file uploads
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    const uploadDir = process.env.UPLOAD_DIR || './uploads';
+    cb(null, uploadDir);
+  },
+  filename: (req, file, cb) => {
+    const uniqueName = `${uuidv4()}${path.extname(file.originalname)}`;
+    cb(null, uniqueName);
+  }
+});
+
+const upload = multer({
+  storage: storage,
+  limits: {
+    fileSize: (process.env.MAX_FILE_SIZE_MB || 100) * 1024 * 1024
+  }
+});
+
+/**
+ * POST /stamp
+ * Stamps page numbers or Bates numbers on one or more PDFs
+ *
+ * Body:
+ * - files: multipart files (PDFs, stamped in upload order)
+ * - template: text with {n}, {total}, {page}, {pages} and {file} (default: "Page {n} of {total}")
+ * - start: first number (default: 1)
+ * - padding: zero-pad {n} and {total} to this many digits (default: 0)
+ * - position: top-left, top-center, top-right, bottom-left, bottom-center, bottom-right, center (default: bottom-right)
+ * - margin: distance from the page edges in points (default: 36)
+ * - font: helvetica, helvetica-bold, times, times-bold, courier, ... (default: helvetica)
+ * - fontSize: font size (default: 10)
+ * - color: hex color (default: #000000)
+ * - pages: page range to stamp (default: all)
+ * - continuous: continue numbering across the files (default: false)
+ *
+ * Returns the stamped PDF, or a ZIP with the stamped PDFs and a
+ * manifest.json when several files are uploaded.
+ */
+router.post('/', upload.array('files', 50), requireFileType(['pdf']), jobHandler('stamp', async (req, res, next) => {
+  const uploads = req.files || [];
+  let workspace = null;
+  try {
+    if (uploads.length === 0) {
+      return res.status(400).json({ error: 'No files uploaded' });
+    }
+
+    const outputDir = process.env.OUTPUT_DIR || './outputs';
+    workspace = await createWorkspace(outputDir, req.workspaceId);
+    const tempDir = await workspace.tempDir('stamp');
+
+    // Output names must be unique inside the ZIP
+    const usedNames = new Set();
+    const files = uploads.map((file) => {
+      const baseName = path.basename(file.originalname, path.extname(file.originalname)).replace(/[^a-zA-Z0-9._-]/g, '_') || 'file';
+      let fileName = `${baseName}_stamped.pdf`;
+      for (let counter = 2; usedNames.has(fileName); counter++) {
+        fileName = `${baseName}_${counter}_stamped.pdf`;
+      }
+      usedNames.add(fileName);
+      return { path: file.path, name: file.originalname, fileName, outputPath: path.join(tempDir, fileName) };
+    });
+
+    const results = await stampPdfs(files, req.body);
+    const stamped = results.map(({ outputPath, ...result }, index) => ({ ...result, fileName: files[index].fileName }));
+
+    let outputFileName;
+    if (files.length === 1) {
+      outputFileName = files[0].fileName.replace(/_stamped\.pdf$/, '_stamped_PDFound.pdf');
+      await fs.move(files[0].outputPath, workspace.file(outputFileName));
+    } else {
+      outputFileName = `${files[0].fileName.replace(/\.pdf$/, '')}_set_PDFound.zip`;
+      const zipPath = workspace.file(outputFileName);
+
+      await new Promise((resolve, reject) => {
+        const output = fs.createWriteStream(zipPath);
+        const archive = archiver('zip', { zlib: { level: 9 } });
+
+        output.on('close', resolve);
+        archive.on('error', reject);
+        archive.pipe(output);
+
+        files.forEach((file) => {
+          archive.file(file.outputPath, { name: file.fileName });
+        });
+        archive.append(JSON.stringify({ files: stamped }, null, 2), { name: 'manifest.json' });
+
+        archive.finalize();
+      });
+    }
+
+    // Clean up temp directory and input files
+    await fs.remove(tempDir);
+    await Promise.all(uploads.map(file => fs.remove(file.path)));
+
+    const downloadUrl = createDownloadUrl(workspace.relative(outputFileName));
+    const stats = await fs.stat(workspace.file(outputFileName));
+    const stampedPages = stamped.reduce((sum, file) => sum + file.stampedPages, 0);
+
+    res.json({
+      success: true,
+      downloadUrl: downloadUrl,
+      fileName: outputFileName,
+      fileSize: stats.size,
+      files: stamped,
+      message: `Successfully stamped ${stampedPages} page(s) in ${stamped.length} file(s)`
+    });
+
+  } catch (error) {
+    await Promise.all(uploads.map(file => fs.remove(file.path).catch(() => {})));
+    await workspace?.remove();
+    next(error);
+  }
+}));
+
+module.exports = router;
@@ -3,8 +3,11 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs-extra');
 const { v4: uuidv4 } = require('uuid');
-const { PDFDocument, rgb, degrees } = require('pdf-lib');
-const sharp = require('sharp');
+const { jobHandler } = require('../utils/jobQueue');
+const { createDownloadUrl } = require('../utils/downloadTokens');
+const { createWorkspace } = require('../utils/workspace');
+const { FONT_TYPES, requireFileType } = require('../utils/fileType');
+const { addWatermark } = require('../utils/watermark');
 
 const router = express.Router();
 
@@ -29,108 +32,60 @@ const upload = multer({
 
 /**
  * POST /watermark
- * Adds watermark to PDF
+ * Adds a text or image watermark to a PDF
  * 
  * Body:
  * - file: multipart file (PDF)
- * - text: watermark text (optional)
+ * - image: multipart file (PNG or JPEG logo, optional; replaces the text)
+ * - fontFile: multipart file (TTF or OTF font for non-Latin text, optional)
+ * - text: watermark text (default: WATERMARK)
+ * - layout: single, diagonal or tiled (default: single)
+ * - position: center, top-left, top-center, top-right, bottom-left, bottom-center, bottom-right (default: center, single layout only)
+ * - angle: counterclockwise rotation in degrees (default: 0, page diagonal for diagonal, 45 for tiled)
  * - opacity: 0-1 (default: 0.5)
- * - fontSize: font size (default: 24)
+ * - fontSize: font size (default: 24; diagonal text is fitted to the page)
+ * - font: standard font or font file name from FONTS_DIR (default: helvetica)
  * - color: hex color (default: #000000)
- * - position: center, top-left, top-right, bottom-left, bottom-right (default: center)
+ * - scale: image width relative to the page width (default: 0.25, diagonal 0.5, tiled 0.15)
+ * - spacing: gap between tiles in points (default: 72)
+ * - margin: distance from the page edges in points (default: 50)
+ * - placement: over or behind the page content (default: over)
  * - pageRange: page range like "1-5" or "1,3,5" or "all" (default: all)
  */
-router.post('/', upload.single('file'), async (req, res, next) => {
+const watermarkUploads = upload.fields([
+  { name: 'file', maxCount: 1 },
+  { name: 'image', maxCount: 1 },
+  { name: 'fontFile', maxCount: 1 }
+]);
+
+router.post('/', watermarkUploads, requireFileType({ file: ['pdf'], image: ['png', 'jpg'], fontFile: FONT_TYPES }), jobHandler('watermark', async (req, res, next) => {
+  const uploads = Object.values(req.files || {}).flat();
+  let workspace = null;
   try {
-    if (!req.file) {
+    const file = req.files?.file?.[0];
+    if (!file) {
       return res.status(400).json({ error: 'No file uploaded' });
     }
+    const imageFile = req.files.image?.[0];
+    const fontFile = req.files.fontFile?.[0];
 
-    if (path.extname(req.file.originalname).toLowerCase() !== '.pdf') {
-      await fs.remove(req.file.path);
-      return res.status(400).json({ error: 'File must be a PDF' });
-    }
-
-    const inputPath = req.file.path;
+    const inputPath = file.path;
     const outputDir = process.env.OUTPUT_DIR || './outputs';
     const outputFileName = `watermarked_${uuidv4()}.pdf`;
-    const outputPath = path.join(outputDir, outputFileName);
-
-    // Parse watermark parameters
-    const watermarkText = req.body.text || 'WATERMARK';
-    const opacity = parseFloat(req.body.opacity) || 0.5;
-    const fontSize = parseInt(req.body.fontSize) || 24;
-    const color = req.body.color || '#000000';
-    const position = req.body.position || 'center';
-    const pageRange = req.body.pageRange || 'all';
-
-    // Parse color hex to RGB
-    const hex = color.replace('#', '');
-    const r = parseInt(hex.substring(0, 2), 16) / 255;
-    const g = parseInt(hex.substring(2, 4), 16) / 255;
-    const b = parseInt(hex.substring(4, 6), 16) / 255;
-
-    // Load PDF
-    const pdfBytes = await fs.readFile(inputPath);
-    const pdfDoc = await PDFDocument.load(pdfBytes);
-    const pages = pdfDoc.getPages();
-
-    // Parse page range
-    let pagesToWatermark = [];
-    if (pageRange === 'all') {
-      pagesToWatermark = pages.map((_, i) => i);
-    } else if (pageRange.includes('-')) {
-      // Range like "1-5"
-      const [start, end] = pageRange.split('-').map(n => parseInt(n) - 1);
-      pagesToWatermark = Array.from({ length: end - start + 1 }, (_, i) => start + i);
-    } else {
-      // Comma-separated like "1,3,5"
-      pagesToWatermark = pageRange.split(',').map(n => parseInt(n.trim()) - 1);
-    }
+    workspace = await createWorkspace(outputDir, req.workspaceId);
+    const outputPath = workspace.file(outputFileName);
 
-    // Calculate position
-    const getPosition = (page, pos) => {
-      const { width, height } = page.getSize();
-      switch (pos) {
-        case 'top-left':
-          return { x: 50, y: height - 50 };
-        case 'top-right':
-          return { x: width - 50, y: height - 50 };
-        case 'bottom-left':
-          return { x: 50, y: 50 };
-        case 'bottom-right':
-          return { x: width - 50, y: 50 };
-        default: // center
-          return { x: width / 2, y: height / 2 };
-      }
-    };
-
-    // Add watermark to selected pages
-    for (const pageIndex of pagesToWatermark) {
-      if (pageIndex >= 0 && pageIndex < pages.length) {
-        const page = pages[pageIndex];
-        const { x, y } = getPosition(page, position);
-
-        page.drawText(watermarkText, {
-          x: x,
-          y: y,
-          size: fontSize,
-          color: rgb(r, g, b),
-          opacity: opacity,
-          rotate: degrees(0)
-        });
-      }
-    }
-
-    // Save watermarked PDF
-    const modifiedPdfBytes = await pdfDoc.save();
-    await fs.writeFile(outputPath, modifiedPdfBytes);
+    const { pageCount } = await addWatermark(inputPath, outputPath, {
+      ...req.body,
+      image: imageFile ? { bytes: await fs.readFile(imageFile.path), type: imageFile.detectedType } : null,
+      fontBytes: fontFile ? await fs.readFile(fontFile.path) : null
+    });
 
-    // Clean up input file
-    await fs.remove(inputPath);
+    // Clean up input files
+    await Promise.all(uploads.map(upload => fs.remove(upload.path)));
 
     // Return download URL
-    const downloadUrl = `/downloads/${outputFileName}`;
+    const downloadUrl = createDownloadUrl(workspace.relative(outputFileName));
     const stats = await fs.stat(outputPath);
 
     res.json({
@@ -138,17 +93,16 @@ router.post('/', upload.single('file'), async (req, res, next) => {
       downloadUrl: downloadUrl,
       fileName: outputFileName,
       fileSize: stats.size,
-      message: `Successfully added watermark to ${pagesToWatermark.length} page(s)`
+      message: `Successfully added watermark to ${pageCount} page(s)`
     });
 
   } catch (error) {
     // Clean up files on error
-    if (req.file) {
-      await fs.remove(req.file.path).catch(() => {});
-    }
+    await Promise.all(uploads.map(upload => fs.remove(upload.path).catch(() => {})));
+    await workspace?.remove();
     next(error);
   }
-});
+}));
 
 module.exports = router;
 
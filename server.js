@@ -11,11 +11,26 @@ const fs = require('fs').promises;
 const fsSync = require('fs');
 const sharp = require('sharp');
 const os = require('os');
-const { exec } = require('child_process');
-const { promisify } = require('util');
 const { PDFDocument } = require('pdf-lib');
 const archiver = require('archiver');
-const execAsync = promisify(exec);
+const { jobHandler } = require('./utils/jobQueue');
+const { createDownloadUrl, verifyDownloadToken, markTokenUsed, releaseToken } = require('./utils/downloadTokens');
+const { createWorkspace } = require('./utils/workspace');
+const { runTool } = require('./utils/toolRunner');
+const { linearizePdf, withRepair } = require('./utils/pdfRepair');
+const { mergePdfs, splitPdf, compressionArgs } = require('./utils/pdfOperations');
+const { parseMergeSpec } = require('./utils/mergeSpec');
+const { requireApiKey, identifyApiKey } = require('./utils/apiKeys');
+const { IMAGE_TYPES, OFFICE_TYPES, requireFileType } = require('./utils/fileType');
+const { findConverter, normalizeFormat, resolveOptions, getConversionMatrix } = require('./utils/converters');
+const pdfRoutes = require('./routes/pdf');
+const ocrRoutes = require('./routes/ocr');
+const watermarkRoutes = require('./routes/watermark');
+const stampRoutes = require('./routes/stamp');
+const pipelineRoutes = require('./routes/pipeline');
+const jobRoutes = require('./routes/jobs');
+const adminRoutes = require('./routes/admin');
+const { configureCleanup, startCleanupSchedule } = require('./utils/cleanup');
 
 // Polyfill for navigator (required by @imgly/background-removal in Node.js)
 if (typeof global.navigator === 'undefined') {
@@ -39,6 +54,20 @@ const PORT = process.env.PORT || 3000;
 app.use(cors());
 app.use(express.json());
 
+// Operation endpoints need an API key and count against its daily quota
+app.use([
+    '/remove-background',
+    '/convert',
+    '/merge',
+    '/split',
+    '/compress',
+    '/pdf',
+    '/ocr',
+    '/watermark',
+    '/stamp',
+    '/pipeline'
+], requireApiKey);
+
 // Serve logo image
 app.get('/logo.png', async (req, res) => {
     try {
@@ -60,14 +89,23 @@ app.get('/logo.png', async (req, res) => {
 // Create necessary directories
 const UPLOAD_DIR = 'uploads';
 const DOWNLOAD_DIR = 'downloads';
+// Output directory used by the routers in routes/
+const OUTPUT_DIR = process.env.OUTPUT_DIR || './outputs';
 
 async function ensureDirectories() {
     await fs.mkdir(UPLOAD_DIR, { recursive: true });
     await fs.mkdir(DOWNLOAD_DIR, { recursive: true });
+    await fs.mkdir(OUTPUT_DIR, { recursive: true });
 }
 
 ensureDirectories();
 
+// Retention: expire old outputs and remove leftovers from crashed requests
+configureCleanup({
+    uploadDirs: [UPLOAD_DIR, process.env.UPLOAD_DIR || './uploads'],
+    outputDirs: [DOWNLOAD_DIR, OUTPUT_DIR]
+});
+
 // Configure multer for file uploads
 const storage = multer.diskStorage({
     destination: (req, file, cb) => {
@@ -85,7 +123,7 @@ const upload = multer({
         fileSize: 50 * 1024 * 1024 // 50 MB
     },
     fileFilter: (req, file, cb) => {
-        // Accept all file types for now
+        // The content is checked after upload by requireFileType, names can't be trusted
         cb(null, true);
     }
 });
@@ -233,6 +271,18 @@ app.get('/health', (req, res) => {
     res.json({ status: 'ok', message: 'Server is running' });
 });
 
+/**
+ * Supported Formats Endpoint
+ * GET /formats
+ * Returns the conversion matrix supported by POST /convert
+ */
+app.get('/formats', (req, res) => {
+    res.json({
+        success: true,
+        ...getConversionMatrix()
+    });
+});
+
 /**
  * robots.txt Endpoint
  * GET /robots.txt
@@ -283,7 +333,8 @@ app.get('/app-ads.txt', async (req, res) => {
  * Background Removal Endpoint
  * POST /remove-background
  */
-app.post('/remove-background', upload.single('file'), async (req, res) => {
+app.post('/remove-background', upload.single('file'), requireFileType(['jpg', 'png', 'webp']), jobHandler('remove-background', async (req, res) => {
+    let workspace = null;
     try {
         if (!req.file) {
             return res.status(400).json({
@@ -294,29 +345,19 @@ app.post('/remove-background', upload.single('file'), async (req, res) => {
 
         const inputPath = req.file.path;
         const originalName = req.file.originalname;
-        const fileExt = path.extname(originalName).toLowerCase();
-        
-        // Validate file type
-        const allowedExtensions = ['.jpg', '.jpeg', '.png', '.webp'];
-        if (!allowedExtensions.includes(fileExt)) {
-            await fs.unlink(inputPath);
-            return res.status(400).json({
-                error: 'Invalid file type',
-                message: 'Please upload a JPG, PNG, or WebP image'
-            });
-        }
 
         // Generate output filename
-        const baseName = path.basename(originalName, fileExt);
+        const baseName = path.basename(originalName, path.extname(originalName));
         const outputFileName = `${baseName}_no_bg.png`;
-        const outputPath = path.join(DOWNLOAD_DIR, outputFileName);
+        workspace = await createWorkspace(DOWNLOAD_DIR, req.workspaceId);
+        const outputPath = workspace.file(outputFileName);
 
         try {
             // @imgly/background-removal doesn't work in Node.js (browser-only library)
             // Try using rembg (Python) if available, otherwise use basic format conversion
             try {
                 // Try using rembg (Python) for actual background removal
-                await execAsync(`rembg i "${inputPath}" "${outputPath}"`);
+                await runTool('rembg', ['i', inputPath, outputPath], { signal: req.job?.signal });
                 console.log('✓ Background removed using rembg');
             } catch (rembgError) {
                 // If rembg is not available, use sharp to convert to PNG
@@ -332,7 +373,7 @@ app.post('/remove-background', upload.single('file'), async (req, res) => {
             await fs.unlink(inputPath);
 
             // Return success response
-            const downloadUrl = `/downloads/${outputFileName}`;
+            const downloadUrl = createDownloadUrl(workspace.relative(outputFileName));
             res.json({
                 success: true,
                 downloadUrl: downloadUrl,
@@ -350,6 +391,7 @@ app.post('/remove-background', upload.single('file'), async (req, res) => {
 
     } catch (error) {
         console.error('Background removal error:', error);
+        await workspace?.remove();
         
         // Clean up files on error
         if (req.file?.path) {
@@ -367,13 +409,15 @@ app.post('/remove-background', upload.single('file'), async (req, res) => {
             message: error.message || 'An error occurred while processing the image'
         });
     }
-});
+}));
 
 /**
- * Convert Endpoint (supports JPG to PNG and other conversions)
+ * Convert Endpoint
  * POST /convert
+ * Dispatches through the converter registry (see GET /formats)
  */
-app.post('/convert', upload.single('file'), async (req, res) => {
+app.post('/convert', upload.single('file'), requireFileType(['pdf', ...IMAGE_TYPES, ...OFFICE_TYPES]), jobHandler('convert', async (req, res) => {
+    let workspace = null;
     try {
         if (!req.file) {
             return res.status(400).json({
@@ -382,111 +426,39 @@ app.post('/convert', upload.single('file'), async (req, res) => {
             });
         }
 
-        const fromType = (req.body.fromType || 'jpg').toLowerCase();
-        const toType = (req.body.toType || 'png').toLowerCase();
+        const fromType = req.file.detectedType;
+        const toType = normalizeFormat(req.body.toType || 'png');
         const fileName = req.body.fileName || req.file.originalname;
         const inputPath = req.file.path;
 
-        // Determine output filename
-        const baseName = path.basename(fileName, path.extname(fileName));
-        let outputFileName;
-        let outputPath;
-
-        // JPG/JPEG to PNG
-        if ((fromType === 'jpg' || fromType === 'jpeg') && toType === 'png') {
-            outputFileName = `${baseName}.png`;
-            outputPath = path.join(DOWNLOAD_DIR, outputFileName);
-            
-            await sharp(inputPath)
-                .png()
-                .toFile(outputPath);
-        }
-        // Word documents (docx, doc) to PDF
-        else if ((fromType === 'docx' || fromType === 'doc') && toType === 'pdf') {
-            outputFileName = `${baseName}.pdf`;
-            outputPath = path.join(DOWNLOAD_DIR, outputFileName);
-            
-            // Use LibreOffice to convert Word to PDF
-            await execAsync(`libreoffice --headless --convert-to pdf --outdir "${DOWNLOAD_DIR}" "${inputPath}"`);
-            
-            // LibreOffice creates file with same name but .pdf extension
-            const libreOfficeOutput = path.join(DOWNLOAD_DIR, path.basename(inputPath, path.extname(inputPath)) + '.pdf');
-            if (await fs.access(libreOfficeOutput).then(() => true).catch(() => false)) {
-                // Rename to desired output filename
-                await fs.rename(libreOfficeOutput, outputPath);
-            } else {
-                throw new Error('LibreOffice conversion failed');
-            }
-        }
-        // Images (jpg, png, webp) to PDF
-        else if ((fromType === 'jpg' || fromType === 'jpeg' || fromType === 'png' || fromType === 'webp') && toType === 'pdf') {
-            outputFileName = `${baseName}.pdf`;
-            outputPath = path.join(DOWNLOAD_DIR, outputFileName);
-            
-            // Use sharp to convert image to PDF
-            const image = sharp(inputPath);
-            const metadata = await image.metadata();
-            const pdfDoc = await PDFDocument.create();
-            const imageBuffer = await fs.readFile(inputPath);
-            
-            let pdfImage;
-            if (fromType === 'png') {
-                pdfImage = await pdfDoc.embedPng(imageBuffer);
-            } else {
-                pdfImage = await pdfDoc.embedJpg(imageBuffer);
-            }
-            
-            const page = pdfDoc.addPage([metadata.width || 612, metadata.height || 792]);
-            page.drawImage(pdfImage, {
-                x: 0,
-                y: 0,
-                width: metadata.width || 612,
-                height: metadata.height || 792,
+        // fromType is optional; when given it has to match the file content
+        if (req.body.fromType && req.body.fromType !== 'unknown' && normalizeFormat(req.body.fromType) !== fromType) {
+            await fs.unlink(inputPath);
+            return res.status(415).json({
+                error: 'File type mismatch',
+                message: `fromType is ${normalizeFormat(req.body.fromType)} but the uploaded file is ${fromType}`,
+                detectedType: fromType
             });
-            
-            const pdfBytes = await pdfDoc.save();
-            await fs.writeFile(outputPath, pdfBytes);
         }
-        // PDF to JPG/JPEG
-        else if (fromType === 'pdf' && (toType === 'jpg' || toType === 'jpeg')) {
-            outputFileName = `${baseName}.jpg`;
-            outputPath = path.join(DOWNLOAD_DIR, outputFileName);
-            
-            // Use pdf2pic or poppler-utils (pdftoppm) to convert PDF to image
-            try {
-                // Try using pdftoppm (poppler-utils) - installed in Docker
-                await execAsync(`pdftoppm -jpeg -singlefile -r 300 "${inputPath}" "${path.join(DOWNLOAD_DIR, baseName)}"`);
-                const jpegOutput = path.join(DOWNLOAD_DIR, `${baseName}.jpg`);
-                if (await fs.access(jpegOutput).then(() => true).catch(() => false)) {
-                    await fs.rename(jpegOutput, outputPath);
-                } else {
-                    throw new Error('PDF to JPG conversion failed');
-                }
-            } catch (error) {
-                // Fallback: try using pdf2pic if available
-                const pdf2pic = require('pdf2pic');
-                const convert = pdf2pic.fromPath(inputPath, {
-                    density: 300,
-                    saveFilename: baseName,
-                    savePath: DOWNLOAD_DIR,
-                    format: 'jpg'
-                });
-                const result = await convert(1);
-                if (result.path) {
-                    await fs.rename(result.path, outputPath);
-                } else {
-                    throw new Error('PDF to JPG conversion failed');
-                }
-            }
-        }
-        // Unsupported conversion
-        else {
+
+        // Look up the converter for this format pair
+        const converter = findConverter(fromType, toType);
+        if (!converter) {
             await fs.unlink(inputPath);
             return res.status(400).json({
                 error: 'Conversion not supported',
-                message: `Conversion from ${fromType} to ${toType} is not supported`
+                message: `Conversion from ${fromType} to ${toType} is not supported. See GET /formats for supported conversions`
             });
         }
+        const options = resolveOptions(converter, req.body);
+
+        // Determine output filename
+        const baseName = path.basename(fileName, path.extname(fileName));
+        const outputFileName = `${baseName}.${toType}`;
+        workspace = await createWorkspace(DOWNLOAD_DIR, req.workspaceId);
+        const outputPath = workspace.file(outputFileName);
+
+        await converter.convert(inputPath, outputPath, { from: fromType, to: toType, options, job: req.job });
 
         // Clean up input file
         await fs.unlink(inputPath);
@@ -494,13 +466,14 @@ app.post('/convert', upload.single('file'), async (req, res) => {
         // Return success response
         res.json({
             success: true,
-            downloadUrl: `/downloads/${outputFileName}`,
+            downloadUrl: createDownloadUrl(workspace.relative(outputFileName)),
             fileName: outputFileName,
             message: 'Conversion successful'
         });
 
     } catch (error) {
         console.error('Conversion error:', error);
+        await workspace?.remove();
         
         if (req.file?.path) {
             try {
@@ -512,19 +485,20 @@ app.post('/convert', upload.single('file'), async (req, res) => {
             }
         }
 
-        res.status(500).json({
+        res.status(error.status || 500).json({
             error: 'Conversion failed',
             message: error.message || 'An error occurred during conversion'
         });
     }
-});
+}));
 
 /**
  * Convert Images Endpoint (multiple images to PDF)
  * POST /convert/images
  */
-app.post('/convert/images', upload.array('files'), async (req, res) => {
+app.post('/convert/images', upload.array('files'), requireFileType(IMAGE_TYPES), jobHandler('convert-images', async (req, res) => {
     const uploadedFiles = [];
+    let workspace = null;
     try {
         // Log request details for debugging
         console.log(`[convert/images] Request received`);
@@ -573,12 +547,14 @@ app.post('/convert/images', upload.array('files'), async (req, res) => {
                 const image = sharp(imageBuffer);
                 const metadata = await image.metadata();
                 
+                // pdf-lib embeds JPEG and PNG, anything else is re-encoded to PNG first
                 let pdfImage;
-                const ext = path.extname(file.originalname).toLowerCase();
-                if (ext === '.png') {
+                if (file.detectedType === 'jpg') {
+                    pdfImage = await pdfDoc.embedJpg(imageBuffer);
+                } else if (file.detectedType === 'png') {
                     pdfImage = await pdfDoc.embedPng(imageBuffer);
                 } else {
-                    pdfImage = await pdfDoc.embedJpg(imageBuffer);
+                    pdfImage = await pdfDoc.embedPng(await image.png().toBuffer());
                 }
                 
                 const page = pdfDoc.addPage([metadata.width || 612, metadata.height || 792]);
@@ -589,6 +565,7 @@ app.post('/convert/images', upload.array('files'), async (req, res) => {
                     height: metadata.height || 792,
                 });
                 processedCount++;
+                req.job?.setProgress((processedCount / req.files.length) * 100);
             } catch (imageError) {
                 console.error(`[convert/images] Error processing image ${file.originalname}:`, imageError);
                 // Continue with other images
@@ -601,7 +578,8 @@ app.post('/convert/images', upload.array('files'), async (req, res) => {
 
         // Generate output filename
         const outputFileName = `images_${Date.now()}.pdf`;
-        const outputPath = path.join(DOWNLOAD_DIR, outputFileName);
+        workspace = await createWorkspace(DOWNLOAD_DIR, req.workspaceId);
+        const outputPath = workspace.file(outputFileName);
         
         // Save PDF
         const pdfBytes = await pdfDoc.save();
@@ -617,13 +595,14 @@ app.post('/convert/images', upload.array('files'), async (req, res) => {
 
         res.json({
             success: true,
-            downloadUrl: `/downloads/${outputFileName}`,
+            downloadUrl: createDownloadUrl(workspace.relative(outputFileName)),
             fileName: outputFileName,
             message: `Successfully converted ${processedCount} image(s) to PDF`
         });
 
     } catch (error) {
         console.error('[convert/images] Conversion error:', error);
+        await workspace?.remove();
         
         // Clean up uploaded files on error
         for (const file of uploadedFiles) {
@@ -637,14 +616,15 @@ app.post('/convert/images', upload.array('files'), async (req, res) => {
             message: error.message || 'An error occurred during conversion'
         });
     }
-});
+}));
 
 /**
  * Merge PDFs Endpoint
  * POST /merge
  */
-app.post('/merge', upload.array('files'), async (req, res) => {
+app.post('/merge', upload.array('files'), requireFileType(['pdf']), jobHandler('merge', async (req, res) => {
     const uploadedFiles = [];
+    let workspace = null;
     try {
         if (!req.files || req.files.length === 0) {
             return res.status(400).json({
@@ -653,30 +633,20 @@ app.post('/merge', upload.array('files'), async (req, res) => {
             });
         }
 
-        // Create a new PDF document
-        const mergedPdf = await PDFDocument.create();
         uploadedFiles.push(...req.files);
 
-        // Merge all PDFs
-        for (const file of req.files) {
-            try {
-                const pdfBytes = await fs.readFile(file.path);
-                const pdf = await PDFDocument.load(pdfBytes);
-                const pages = await mergedPdf.copyPages(pdf, pdf.getPageIndices());
-                pages.forEach((page) => mergedPdf.addPage(page));
-            } catch (pdfError) {
-                console.error(`Error merging PDF ${file.originalname}:`, pdfError);
-                // Continue with other PDFs
-            }
-        }
+        // Per-file pages, rotation and order, plus bookmark/separator/onError options
+        const { inputs, options, warnings } = parseMergeSpec(req.body, req.files);
 
         // Generate output filename
         const outputFileName = `merged_${Date.now()}.pdf`;
-        const outputPath = path.join(DOWNLOAD_DIR, outputFileName);
-        
-        // Save merged PDF
-        const mergedPdfBytes = await mergedPdf.save();
-        await fs.writeFile(outputPath, mergedPdfBytes);
+        workspace = await createWorkspace(DOWNLOAD_DIR, req.workspaceId);
+        const outputPath = workspace.file(outputFileName);
+
+        // Merge all PDFs; unreadable files fail the request unless onError=skip
+        const result = await mergePdfs(inputs, outputPath, { ...options, signal: req.job?.signal });
+        warnings.push(...result.warnings);
+        warnings.forEach(warning => console.warn(`[merge] ${warning.file}: ${warning.message}`));
 
         // Clean up uploaded files
         for (const file of req.files) {
@@ -687,13 +657,17 @@ app.post('/merge', upload.array('files'), async (req, res) => {
 
         res.json({
             success: true,
-            downloadUrl: `/downloads/${outputFileName}`,
+            downloadUrl: createDownloadUrl(workspace.relative(outputFileName)),
             fileName: outputFileName,
-            message: 'Merge successful'
+            pageCount: result.pageCount,
+            documents: result.documents,
+            warnings: warnings,
+            message: warnings.length > 0 ? `Merge completed with ${warnings.length} warning(s)` : 'Merge successful'
         });
 
     } catch (error) {
         console.error('Merge error:', error);
+        await workspace?.remove();
         
         // Clean up uploaded files on error
         for (const file of uploadedFiles) {
@@ -702,18 +676,21 @@ app.post('/merge', upload.array('files'), async (req, res) => {
             } catch (e) {}
         }
         
-        res.status(500).json({
+        res.status(error.status || 500).json({
             error: 'Merge failed',
             message: error.message || 'An error occurred during merge'
         });
     }
-});
+}));
 
 /**
  * Split PDF Endpoint
  * POST /split
+ * Modes: pages (default), ranges ("1-3,4-10,11-"), every (N pages),
+ * bookmarks (top-level outline) and size (maxSizeMB)
  */
-app.post('/split', upload.single('file'), async (req, res) => {
+app.post('/split', upload.single('file'), requireFileType(['pdf']), jobHandler('split', async (req, res) => {
+    let workspace = null;
     try {
         if (!req.file) {
             return res.status(400).json({
@@ -723,13 +700,27 @@ app.post('/split', upload.single('file'), async (req, res) => {
         }
 
         const inputPath = req.file.path;
-        const pdfBytes = await fs.readFile(inputPath);
-        const pdf = await PDFDocument.load(pdfBytes);
-        const pageCount = pdf.getPageCount();
-
-        // Create a ZIP file containing all split PDFs
+        workspace = await createWorkspace(DOWNLOAD_DIR, req.workspaceId);
+        const tempDir = await workspace.tempDir('split');
+
+        const mode = req.body.mode || 'pages';
+        const { pageCount, parts } = await splitPdf(inputPath, tempDir, {
+            mode,
+            ranges: req.body.ranges,
+            every: req.body.every,
+            maxBytes: parseFloat(req.body.maxSizeMB) * 1024 * 1024,
+            onProgress: (percent) => req.job?.setProgress(percent * 0.9)
+        });
+        const manifest = {
+            source: req.file.originalname,
+            mode,
+            pageCount,
+            parts: parts.map(({ path: partPath, ...part }) => part)
+        };
+
+        // Create a ZIP file containing all split PDFs and the manifest
         const outputFileName = `split_${Date.now()}.zip`;
-        const outputPath = path.join(DOWNLOAD_DIR, outputFileName);
+        const outputPath = workspace.file(outputFileName);
         const output = fsSync.createWriteStream(outputPath);
         const archive = archiver('zip', { zlib: { level: 9 } });
 
@@ -738,31 +729,29 @@ app.post('/split', upload.single('file'), async (req, res) => {
             archive.on('error', reject);
             archive.pipe(output);
 
-            // Split PDF into individual pages
-            (async () => {
-                for (let i = 0; i < pageCount; i++) {
-                    const singlePagePdf = await PDFDocument.create();
-                    const [page] = await singlePagePdf.copyPages(pdf, [i]);
-                    singlePagePdf.addPage(page);
-                    const pageBytes = await singlePagePdf.save();
-                    archive.append(Buffer.from(pageBytes), { name: `page_${i + 1}.pdf` });
-                }
-                archive.finalize();
-            })();
+            parts.forEach((part) => {
+                archive.file(part.path, { name: part.fileName });
+            });
+            archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+            archive.finalize();
         });
+        await fs.rm(tempDir, { recursive: true, force: true });
 
         // Clean up input file
         await fs.unlink(inputPath);
 
         res.json({
             success: true,
-            downloadUrl: `/downloads/${outputFileName}`,
+            downloadUrl: createDownloadUrl(workspace.relative(outputFileName)),
             fileName: outputFileName,
-            message: `PDF split into ${pageCount} pages successfully`
+            pageCount: pageCount,
+            parts: manifest.parts,
+            message: `PDF split into ${parts.length} file(s) successfully`
         });
 
     } catch (error) {
         console.error('Split error:', error);
+        await workspace?.remove();
         
         if (req.file?.path) {
             try {
@@ -770,18 +759,19 @@ app.post('/split', upload.single('file'), async (req, res) => {
             } catch (e) {}
         }
         
-        res.status(500).json({
+        res.status(error.status || 500).json({
             error: 'Split failed',
             message: error.message || 'An error occurred during split'
         });
     }
-});
+}));
 
 /**
  * Compress PDF Endpoint
  * POST /compress
  */
-app.post('/compress', upload.single('file'), async (req, res) => {
+app.post('/compress', upload.single('file'), requireFileType(['pdf']), jobHandler('compress', async (req, res) => {
+    let workspace = null;
     try {
         if (!req.file) {
             return res.status(400).json({
@@ -792,6 +782,7 @@ app.post('/compress', upload.single('file'), async (req, res) => {
 
         const inputPath = req.file.path;
         const quality = parseInt(req.body.quality) || 50;
+        const linearize = req.body.linearize === 'true' || req.body.linearize === true;
         
         // Get original file size
         const originalSize = req.file.size;
@@ -799,41 +790,24 @@ app.post('/compress', upload.single('file'), async (req, res) => {
         // Use Ghostscript to compress PDF
         const baseName = path.basename(req.file.originalname, path.extname(req.file.originalname));
         const outputFileName = `${baseName}_compressed.pdf`;
-        const outputPath = path.join(DOWNLOAD_DIR, outputFileName);
-        
-        // Ghostscript compression settings - More aggressive compression for better results
-        // Lower quality = higher compression
-        let gsQuality = '/screen'; // 72 dpi - maximum compression
-        let additionalFlags = '';
+        workspace = await createWorkspace(DOWNLOAD_DIR, req.workspaceId);
+        const outputPath = workspace.file(outputFileName);
         
-        if (quality >= 90) {
-            // Very high quality (90-100): Light compression, preserve quality but still compress
-            gsQuality = '/printer';
-            additionalFlags = '-dColorImageResolution=200 -dGrayImageResolution=200 -dMonoImageResolution=200 -dDownsampleColorImages=true -dDownsampleGrayImages=true -dColorImageDownsampleThreshold=1.3 -dGrayImageDownsampleThreshold=1.3 -dJPEGQ=90 -dAutoRotatePages=/None';
-        } else if (quality >= 75) {
-            // High quality (75-89): Moderate compression, good quality
-            gsQuality = '/printer';
-            additionalFlags = '-dColorImageResolution=150 -dGrayImageResolution=150 -dMonoImageResolution=150 -dDownsampleColorImages=true -dDownsampleGrayImages=true -dDownsampleMonoImages=true -dColorImageDownsampleThreshold=1.2 -dGrayImageDownsampleThreshold=1.2 -dMonoImageDownsampleThreshold=1.2 -dJPEGQ=85 -dAutoRotatePages=/None';
-        } else if (quality >= 50) {
-            // Medium quality (50-74): Balanced compression
-            gsQuality = '/ebook';
-            additionalFlags = '-dColorImageResolution=150 -dGrayImageResolution=150 -dMonoImageResolution=150 -dDownsampleColorImages=true -dDownsampleGrayImages=true -dColorImageDownsampleThreshold=1.5 -dGrayImageDownsampleThreshold=1.5 -dJPEGQ=80';
-        } else if (quality >= 25) {
-            // Medium-high compression (25-49): Good compression with acceptable quality
-            gsQuality = '/printer';
-            additionalFlags = '-dColorImageResolution=150 -dGrayImageResolution=150 -dMonoImageResolution=150 -dDownsampleColorImages=true -dDownsampleGrayImages=true -dDownsampleMonoImages=true -dColorImageDownsampleThreshold=1.2 -dGrayImageDownsampleThreshold=1.2 -dMonoImageDownsampleThreshold=1.2 -dJPEGQ=75 -dAutoRotatePages=/None';
-        } else {
-            // Maximum compression (1-24): Aggressive compression for smallest file size
-            gsQuality = '/screen';
-            additionalFlags = '-dColorImageResolution=72 -dGrayImageResolution=72 -dMonoImageResolution=72 -dDownsampleColorImages=true -dDownsampleGrayImages=true -dDownsampleMonoImages=true -dColorImageDownsampleThreshold=1.0 -dGrayImageDownsampleThreshold=1.0 -dMonoImageDownsampleThreshold=1.0 -dJPEGQ=60 -dAutoRotatePages=/None -dEmbedAllFonts=false -dSubsetFonts=true -dCompressFonts=true';
+        // Compress using Ghostscript, on a repaired copy if the file is damaged
+        await withRepair(inputPath, pdfPath => runTool('gs', [
+            ...compressionArgs(quality),
+            '-dNOPAUSE',
+            '-dQUIET',
+            '-dBATCH',
+            `-sOutputFile=${outputPath.replace(/%/g, '%%')}`,
+            pdfPath
+        ], { signal: req.job?.signal }), { signal: req.job?.signal });
+
+        // Fast web view: the first page can be shown before the whole file is downloaded
+        if (linearize) {
+            await linearizePdf(outputPath, outputPath, { signal: req.job?.signal });
         }
 
-        // Additional compression flags for all quality levels - always apply optimization
-        const compressionFlags = '-dOptimize=true -dFastWebView=false -dDetectDuplicateImages=true -dCompressStreams=true -dUseFlateCompression=true -dCompressPages=true';
-        
-        // Compress using Ghostscript with aggressive settings
-        await execAsync(`gs -sDEVICE=pdfwrite -dCompatibilityLevel=1.4 -dPDFSETTINGS=${gsQuality} ${additionalFlags} ${compressionFlags} -dNOPAUSE -dQUIET -dBATCH -sOutputFile="${outputPath}" "${inputPath}"`);
-
         // Get compressed file size
         const stats = await fs.stat(outputPath);
         const compressedSize = stats.size;
@@ -843,15 +817,17 @@ app.post('/compress', upload.single('file'), async (req, res) => {
 
         res.json({
             success: true,
-            downloadUrl: `/downloads/${outputFileName}`,
+            downloadUrl: createDownloadUrl(workspace.relative(outputFileName)),
             fileName: outputFileName,
             message: 'Compression successful',
             originalSize: originalSize,
-            fileSize: compressedSize
+            fileSize: compressedSize,
+            linearized: linearize
         });
 
     } catch (error) {
         console.error('Compress error:', error);
+        await workspace?.remove();
         
         if (req.file?.path) {
             try {
@@ -859,26 +835,49 @@ app.post('/compress', upload.single('file'), async (req, res) => {
             } catch (e) {}
         }
         
-        res.status(500).json({
+        res.status(error.status || 500).json({
             error: 'Compression failed',
             message: error.message || 'An error occurred during compression'
         });
     }
-});
+}));
 
 /**
  * Download Endpoint
- * GET /downloads/:fileName
+ * GET /downloads/:token
+ * Serves generated files through signed, expiring download tokens
  */
-app.get('/downloads/:fileName', async (req, res) => {
+app.get('/downloads/:token', async (req, res) => {
     try {
-        const fileName = req.params.fileName;
-        const filePath = path.join(DOWNLOAD_DIR, fileName);
-
-        // Check if file exists
+        let link;
         try {
-            await fs.access(filePath);
-        } catch {
+            link = verifyDownloadToken(req.params.token);
+        } catch (tokenError) {
+            return res.status(tokenError.status || 403).json({
+                error: tokenError.status === 410 ? 'Link no longer valid' : 'Forbidden',
+                message: tokenError.message
+            });
+        }
+
+        // Redeemed before the file lookup, a concurrent request must already see it as used
+        markTokenUsed(link);
+
+        // Files come either from the handlers in this file (DOWNLOAD_DIR) or from the routers (OUTPUT_DIR)
+        let filePath = null;
+        for (const dir of [DOWNLOAD_DIR, OUTPUT_DIR]) {
+            const root = path.resolve(dir);
+            const candidate = path.resolve(root, link.fileName);
+            if (!candidate.startsWith(root + path.sep)) {
+                continue;
+            }
+            if (await fs.access(candidate).then(() => true).catch(() => false)) {
+                filePath = candidate;
+                break;
+            }
+        }
+
+        if (!filePath) {
+            releaseToken(link);
             return res.status(404).json({
                 error: 'File not found',
                 message: 'The requested file does not exist'
@@ -886,7 +885,7 @@ app.get('/downloads/:fileName', async (req, res) => {
         }
 
         // Send file
-        res.download(filePath, fileName, (err) => {
+        res.download(filePath, path.basename(link.fileName), (err) => {
             if (err) {
                 console.error('Download error:', err);
                 if (!res.headersSent) {
@@ -907,11 +906,21 @@ app.get('/downloads/:fileName', async (req, res) => {
     }
 });
 
+// Routers
+app.use('/pdf', pdfRoutes);
+app.use('/ocr', ocrRoutes);
+app.use('/watermark', watermarkRoutes);
+app.use('/stamp', stampRoutes);
+app.use('/pipeline', pipelineRoutes);
+app.use('/jobs', identifyApiKey, jobRoutes);
+app.use('/admin', adminRoutes);
+
 // Error handling middleware
 app.use((err, req, res, next) => {
+    const status = err.status || 500;
     console.error('Server error:', err);
-    res.status(500).json({
-        error: 'Internal server error',
+    res.status(status).json({
+        error: status < 500 ? 'Invalid request' : 'Internal server error',
         message: err.message || 'An unexpected error occurred'
     });
 });
@@ -926,6 +935,7 @@ app.use((req, res) => {
 
 // Start server
 app.listen(PORT, () => {
+    startCleanupSchedule();
     console.log(`PDFound Backend Server running on port ${PORT}`);
     console.log(`Health check: http://localhost:${PORT}/health`);
     console.log(`Background removal: POST http://localhost:${PORT}/remove-background`);
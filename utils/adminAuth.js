@@ -0,0 +1,32 @@
+const crypto = require('crypto');
+
+/**
+ * Express middleware protecting admin endpoints
+ *
+ * Requests must send the `ADMIN_TOKEN` environment value in the
+ * `X-Admin-Token` header. Admin endpoints are disabled when no token is set.
+ */
+function requireAdmin(req, res, next) {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (!adminToken) {
+    return res.status(503).json({
+      error: 'Admin endpoints disabled',
+      message: 'Set ADMIN_TOKEN to enable admin endpoints'
+    });
+  }
+
+  const provided = Buffer.from(req.get('X-Admin-Token') || '');
+  const expected = Buffer.from(adminToken);
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'A valid X-Admin-Token header is required'
+    });
+  }
+
+  next();
+}
+
+module.exports = {
+  requireAdmin
+};
@@ -0,0 +1,296 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs-extra');
+
+/**
+ * API keys with per-key daily quotas
+ *
+ * Keys live in a JSON file (API_KEYS_FILE). Only a SHA-256 hash of each key
+ * is stored; the plain key is returned once when it is issued.
+ */
+
+const API_KEYS_FILE = process.env.API_KEYS_FILE || './data/api-keys.json';
+
+// Set REQUIRE_API_KEY=false to leave the operation endpoints open
+const REQUIRE_API_KEY = process.env.REQUIRE_API_KEY !== 'false';
+
+// Limits for keys issued without explicit values
+const DEFAULT_LIMITS = {
+  dailyOperations: parseInt(process.env.API_KEY_DAILY_OPERATIONS) || 500,
+  dailyBytes: (parseInt(process.env.API_KEY_DAILY_MB) || 1024) * 1024 * 1024,
+  maxFileSizeBytes: (parseInt(process.env.API_KEY_MAX_FILE_MB) || parseInt(process.env.MAX_FILE_SIZE_MB) || 50) * 1024 * 1024
+};
+
+let store = null;
+let saveChain = Promise.resolve();
+
+async function loadStore() {
+  if (!store) {
+    try {
+      store = await fs.readJson(API_KEYS_FILE);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Could not read API key file: ${error.message}`);
+      }
+      store = { keys: [] };
+    }
+  }
+  return store;
+}
+
+/**
+ * Writes the store to disk; writes are serialized and go through a temp file
+ */
+function saveStore() {
+  saveChain = saveChain.then(async () => {
+    await fs.ensureDir(path.dirname(API_KEYS_FILE));
+    const tempFile = `${API_KEYS_FILE}.tmp`;
+    await fs.writeJson(tempFile, store, { spaces: 2 });
+    await fs.move(tempFile, API_KEYS_FILE, { overwrite: true });
+  }).catch((error) => {
+    console.error('Could not save API key file:', error.message);
+  });
+  return saveChain;
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function currentDay(now = new Date()) {
+  return now.toISOString().slice(0, 10);
+}
+
+function nextReset(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+}
+
+/**
+ * Resets a key's usage counters when a new (UTC) day has started
+ */
+function rollUsage(record) {
+  const day = currentDay();
+  if (!record.usage || record.usage.day !== day) {
+    record.usage = { day, operations: 0, bytes: 0 };
+  }
+  return record.usage;
+}
+
+/**
+ * Returns the public representation of a key (never includes the hash)
+ */
+function serializeKey(record) {
+  const usage = rollUsage(record);
+  return {
+    id: record.id,
+    name: record.name,
+    prefix: record.prefix,
+    createdAt: record.createdAt,
+    revokedAt: record.revokedAt,
+    limits: record.limits,
+    usage: {
+      ...usage,
+      resetAt: nextReset().toISOString()
+    }
+  };
+}
+
+/**
+ * Issues a new API key
+ *
+ * @param {Object} options
+ * @param {string} [options.name] - Label for the key
+ * @param {Object} [options.limits] - dailyOperations, dailyBytes, maxFileSizeBytes (defaults from env)
+ * @returns {Promise<{ key: string, record: Object }>} Plain key (shown once) and public record
+ */
+async function issueKey({ name = '', limits = {} } = {}) {
+  await loadStore();
+
+  const key = `pdf_${crypto.randomBytes(24).toString('base64url')}`;
+  const record = {
+    id: crypto.randomUUID(),
+    name: String(name),
+    prefix: key.slice(0, 8),
+    keyHash: hashKey(key),
+    createdAt: new Date().toISOString(),
+    revokedAt: null,
+    limits: { ...DEFAULT_LIMITS, ...limits },
+    usage: { day: currentDay(), operations: 0, bytes: 0 }
+  };
+
+  store.keys.push(record);
+  await saveStore();
+
+  return { key, record: serializeKey(record) };
+}
+
+/**
+ * Revokes a key
+ *
+ * @param {string} id - Key ID
+ * @returns {Promise<Object|null>} Public record, or null if the key does not exist
+ */
+async function revokeKey(id) {
+  await loadStore();
+  const record = store.keys.find(candidate => candidate.id === id);
+  if (!record) {
+    return null;
+  }
+
+  record.revokedAt = record.revokedAt || new Date().toISOString();
+  await saveStore();
+  return serializeKey(record);
+}
+
+/**
+ * Lists all keys with their current usage
+ *
+ * @returns {Promise<Object[]>} Public records
+ */
+async function listKeys() {
+  await loadStore();
+  return store.keys.map(serializeKey);
+}
+
+/**
+ * Builds the 429 response for a used up quota
+ */
+function quotaExceeded(message) {
+  const resetAt = nextReset();
+  return {
+    status: 429,
+    headers: { 'Retry-After': Math.ceil((resetAt.getTime() - Date.now()) / 1000) },
+    body: {
+      error: 'Quota exceeded',
+      message,
+      resetAt: resetAt.toISOString()
+    }
+  };
+}
+
+function sendRejection(res, rejection) {
+  res.set(rejection.headers || {});
+  return res.status(rejection.status).json(rejection.body);
+}
+
+/**
+ * Looks up the key from the `X-API-Key` header and sends 401 when it is
+ * missing, unknown or revoked
+ *
+ * @returns {Promise<Object|null>} Key record, or null if a response was sent
+ */
+async function authenticate(req, res) {
+  const key = req.get('X-API-Key');
+  if (!key) {
+    res.status(401).json({
+      error: 'Unauthorized',
+      message: 'An API key is required in the X-API-Key header'
+    });
+    return null;
+  }
+
+  await loadStore();
+  const keyHash = hashKey(key);
+  const record = store.keys.find(candidate => candidate.keyHash === keyHash);
+  if (!record || record.revokedAt) {
+    res.status(401).json({
+      error: 'Unauthorized',
+      message: record ? 'This API key has been revoked' : 'Invalid API key'
+    });
+    return null;
+  }
+
+  req.apiKey = { id: record.id, name: record.name };
+  return record;
+}
+
+/**
+ * Express middleware authenticating operation requests with the `X-API-Key` header
+ *
+ * Counts one operation per request against the daily quota and rejects the
+ * request with 429 once the operation or byte quota is used up. Uploaded
+ * file sizes are checked later through `req.quota.checkUploads(files)`,
+ * which jobHandler calls once multer has stored the files.
+ */
+async function requireApiKey(req, res, next) {
+  if (!REQUIRE_API_KEY) {
+    return next();
+  }
+
+  try {
+    const record = await authenticate(req, res);
+    if (!record) {
+      return;
+    }
+
+    const usage = rollUsage(record);
+    const { limits } = record;
+    const contentLength = parseInt(req.get('Content-Length')) || 0;
+
+    if (usage.operations >= limits.dailyOperations) {
+      return sendRejection(res, quotaExceeded(`Daily limit of ${limits.dailyOperations} operations reached`));
+    }
+    if (usage.bytes + contentLength > limits.dailyBytes) {
+      return sendRejection(res, quotaExceeded(`Daily limit of ${limits.dailyBytes} processed bytes reached`));
+    }
+
+    usage.operations++;
+    saveStore();
+
+    req.quota = {
+      // Returns a rejection ({ status, headers, body }) if an upload breaks the key's limits
+      checkUploads: (files) => {
+        const tooLarge = files.find(file => file.size > limits.maxFileSizeBytes);
+        if (tooLarge) {
+          return {
+            status: 413,
+            body: {
+              error: 'File too large',
+              message: `${tooLarge.originalname} exceeds the maximum file size of ${limits.maxFileSizeBytes} bytes for this API key`
+            }
+          };
+        }
+
+        const bytes = files.reduce((sum, file) => sum + file.size, 0);
+        const dayUsage = rollUsage(record);
+        if (dayUsage.bytes + bytes > limits.dailyBytes) {
+          return quotaExceeded(`Daily limit of ${limits.dailyBytes} processed bytes reached`);
+        }
+
+        dayUsage.bytes += bytes;
+        saveStore();
+        return null;
+      }
+    };
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Express middleware for endpoints that need a valid key but do not count
+ * against the quota (e.g. polling GET /jobs/:id)
+ */
+async function identifyApiKey(req, res, next) {
+  if (!REQUIRE_API_KEY) {
+    return next();
+  }
+
+  try {
+    if (await authenticate(req, res)) {
+      next();
+    }
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  issueKey,
+  revokeKey,
+  listKeys,
+  requireApiKey,
+  identifyApiKey
+};
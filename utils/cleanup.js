@@ -0,0 +1,239 @@
+const path = require('path');
+const fs = require('fs-extra');
+const cron = require('node-cron');
+const { getActiveJobFiles, getActiveWorkspaceIds } = require('./jobQueue');
+const { THUMBNAIL_CACHE_DIR } = require('./thumbnails');
+
+// How long generated files stay downloadable
+const FILE_TTL_HOURS = parseFloat(process.env.FILE_TTL_HOURS) || 24;
+
+// Uploads and temp directories older than this are leftovers from crashed requests
+const ORPHAN_TTL_MINUTES = parseFloat(process.env.ORPHAN_TTL_MINUTES) || 60;
+
+// Upper bound for everything kept in the output directories (0 = no limit)
+const MAX_DISK_MB = process.env.MAX_DISK_MB !== undefined ? parseFloat(process.env.MAX_DISK_MB) : 1024;
+
+// How often the scheduled cleanup runs; a cron expression takes precedence
+const CLEANUP_INTERVAL_HOURS = process.env.CLEANUP_INTERVAL_HOURS ? Number(process.env.CLEANUP_INTERVAL_HOURS) : 1;
+const CLEANUP_CRON = process.env.CLEANUP_CRON || null;
+
+// setInterval delays are limited to about 24.8 days
+const MAX_INTERVAL_HOURS = 24 * 24;
+
+// Scratch directories created next to outputs while a request is running
+const TEMP_DIR_PATTERN = /^(temp|ocr|split|images)_/;
+
+// Caches inside the output directories, their entries expire one by one
+const CACHE_DIRS = [THUMBNAIL_CACHE_DIR];
+
+const directories = {
+  uploadDirs: [process.env.UPLOAD_DIR || './uploads'],
+  outputDirs: [process.env.OUTPUT_DIR || './outputs']
+};
+
+let cleanupRunning = false;
+
+/**
+ * Sets which directories the cleanup looks at
+ *
+ * @param {Object} dirs
+ * @param {string[]} [dirs.uploadDirs] - Directories holding raw uploads
+ * @param {string[]} [dirs.outputDirs] - Directories holding generated files
+ */
+function configureCleanup({ uploadDirs, outputDirs }) {
+  if (uploadDirs) {
+    directories.uploadDirs = uploadDirs;
+  }
+  if (outputDirs) {
+    directories.outputDirs = outputDirs;
+  }
+}
+
+function uniqueResolved(dirs) {
+  return [...new Set(dirs.map(dir => path.resolve(dir)))];
+}
+
+/**
+ * Lists the direct children of a directory with their age and size
+ * (directories are measured recursively)
+ */
+async function listEntries(dir) {
+  if (!(await fs.pathExists(dir))) {
+    return [];
+  }
+
+  const entries = [];
+  for (const name of await fs.readdir(dir)) {
+    const entryPath = path.join(dir, name);
+    try {
+      const stats = await fs.stat(entryPath);
+      entries.push({
+        name,
+        path: entryPath,
+        isDirectory: stats.isDirectory(),
+        mtimeMs: stats.mtimeMs,
+        bytes: stats.isDirectory() ? await directorySize(entryPath) : stats.size
+      });
+    } catch (error) {
+      // Entry vanished while scanning (e.g. a request cleaned it up)
+    }
+  }
+  return entries;
+}
+
+async function directorySize(dir) {
+  let total = 0;
+  for (const name of await fs.readdir(dir)) {
+    const stats = await fs.stat(path.join(dir, name));
+    total += stats.isDirectory() ? await directorySize(path.join(dir, name)) : stats.size;
+  }
+  return total;
+}
+
+/**
+ * Deletes expired outputs, orphaned uploads and temp directories, then trims
+ * the output directories down to the disk budget (oldest first). Workspaces
+ * of running jobs and requests are skipped.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Only report what would be deleted
+ * @param {number} [options.now] - Reference timestamp (ms)
+ * @returns {Promise<Object>} Report of deleted entries
+ */
+async function runCleanup(options = {}) {
+  const { dryRun = false, now = Date.now() } = options;
+
+  if (cleanupRunning) {
+    throw new Error('A cleanup run is already in progress');
+  }
+  cleanupRunning = true;
+
+  const report = {
+    dryRun,
+    startedAt: new Date(now).toISOString(),
+    finishedAt: null,
+    deleted: [],
+    deletedCount: 0,
+    freedBytes: 0,
+    remainingBytes: 0,
+    errors: []
+  };
+
+  const remove = async (entry, reason) => {
+    try {
+      if (!dryRun) {
+        await fs.remove(entry.path);
+      }
+      report.deleted.push({ path: entry.path, reason, bytes: entry.bytes });
+      report.freedBytes += entry.bytes;
+    } catch (error) {
+      report.errors.push({ path: entry.path, message: error.message });
+    }
+  };
+
+  try {
+    const orphanCutoff = now - ORPHAN_TTL_MINUTES * 60 * 1000;
+    const ttlCutoff = now - FILE_TTL_HOURS * 60 * 60 * 1000;
+    const activeFiles = new Set(getActiveJobFiles().map(file => path.resolve(file)));
+    const activeWorkspaces = new Set(getActiveWorkspaceIds());
+
+    // Uploads are removed by their request, anything old is left over from a crash
+    for (const dir of uniqueResolved(directories.uploadDirs)) {
+      for (const entry of await listEntries(dir)) {
+        if (entry.mtimeMs < orphanCutoff && !activeFiles.has(entry.path)) {
+          await remove(entry, 'orphan');
+        }
+      }
+    }
+
+    const kept = [];
+    for (const dir of uniqueResolved(directories.outputDirs)) {
+      const entries = [];
+      for (const entry of await listEntries(dir)) {
+        if (entry.isDirectory && CACHE_DIRS.includes(entry.name)) {
+          entries.push(...await listEntries(entry.path));
+        } else {
+          entries.push(entry);
+        }
+      }
+
+      for (const entry of entries) {
+        if (entry.isDirectory && activeWorkspaces.has(entry.name)) {
+          // Still being written by a running job or request
+          continue;
+        }
+        if (entry.isDirectory && TEMP_DIR_PATTERN.test(entry.name) && entry.mtimeMs < orphanCutoff) {
+          await remove(entry, 'orphan');
+        } else if (entry.mtimeMs < ttlCutoff) {
+          await remove(entry, 'expired');
+        } else {
+          kept.push(entry);
+        }
+      }
+    }
+
+    // Enforce the disk budget by evicting the oldest outputs
+    const budgetBytes = MAX_DISK_MB * 1024 * 1024;
+    let totalBytes = kept.reduce((sum, entry) => sum + entry.bytes, 0);
+    if (budgetBytes > 0 && totalBytes > budgetBytes) {
+      kept.sort((a, b) => a.mtimeMs - b.mtimeMs);
+      while (totalBytes > budgetBytes && kept.length > 0) {
+        const entry = kept.shift();
+        await remove(entry, 'disk-budget');
+        totalBytes -= entry.bytes;
+      }
+    }
+
+    report.deletedCount = report.deleted.length;
+    report.remainingBytes = totalBytes;
+    report.finishedAt = new Date().toISOString();
+    return report;
+  } finally {
+    cleanupRunning = false;
+  }
+}
+
+/**
+ * Schedules the periodic cleanup and runs it once at startup
+ *
+ * Runs every CLEANUP_INTERVAL_HOURS counted from startup, or on the
+ * CLEANUP_CRON schedule when that is set.
+ *
+ * @returns {{ stop: Function }} Scheduled task
+ * @throws {Error} If CLEANUP_CRON or CLEANUP_INTERVAL_HOURS is invalid
+ */
+function startCleanupSchedule() {
+  if (CLEANUP_CRON && !cron.validate(CLEANUP_CRON)) {
+    throw new Error(`CLEANUP_CRON is not a valid cron expression: "${CLEANUP_CRON}"`);
+  }
+  if (!CLEANUP_CRON && !(CLEANUP_INTERVAL_HOURS > 0 && CLEANUP_INTERVAL_HOURS <= MAX_INTERVAL_HOURS)) {
+    throw new Error(`CLEANUP_INTERVAL_HOURS must be a positive number of hours up to ${MAX_INTERVAL_HOURS}, got "${process.env.CLEANUP_INTERVAL_HOURS}"`);
+  }
+
+  const run = async () => {
+    try {
+      const report = await runCleanup();
+      if (report.deletedCount > 0 || report.errors.length > 0) {
+        console.log(`Cleanup: deleted ${report.deletedCount} item(s), freed ${report.freedBytes} bytes, ${report.errors.length} error(s)`);
+      }
+    } catch (error) {
+      console.error('Cleanup error:', error.message);
+    }
+  };
+
+  let task;
+  if (CLEANUP_CRON) {
+    task = cron.schedule(CLEANUP_CRON, run);
+  } else {
+    const timer = setInterval(run, CLEANUP_INTERVAL_HOURS * 60 * 60 * 1000);
+    task = { stop: () => clearInterval(timer) };
+  }
+  run();
+  return task;
+}
+
+module.exports = {
+  configureCleanup,
+  runCleanup,
+  startCleanupSchedule
+};
@@ -0,0 +1,436 @@
+const crypto = require('crypto');
+const forge = require('node-forge');
+
+/**
+ * CMS (PKCS#7) signatures and PKCS#12 certificates for PDF signing
+ *
+ * node-forge reads the PKCS#12 containers and the ASN.1; keys and
+ * certificates are handed to Node's crypto as DER, so RSA and EC keys
+ * both work for signing and verification.
+ */
+
+const { asn1 } = forge;
+
+const OIDS = {
+  data: '1.2.840.113549.1.7.1',
+  signedData: '1.2.840.113549.1.7.2',
+  contentType: '1.2.840.113549.1.9.3',
+  messageDigest: '1.2.840.113549.1.9.4',
+  signingTime: '1.2.840.113549.1.9.5',
+  signingCertificateV2: '1.2.840.113549.1.9.16.2.47',
+  rsaEncryption: '1.2.840.113549.1.1.1',
+  ecdsaWithSha256: '1.2.840.10045.4.3.2',
+  sha256: '2.16.840.1.101.3.4.2.1'
+};
+
+// Digest algorithm OIDs → Node hash names
+const DIGESTS = {
+  '1.3.14.3.2.26': 'sha1',
+  '2.16.840.1.101.3.4.2.1': 'sha256',
+  '2.16.840.1.101.3.4.2.2': 'sha384',
+  '2.16.840.1.101.3.4.2.3': 'sha512'
+};
+
+// Signature algorithms verifiable with the signer's public key and the digest algorithm
+const SIGNATURE_ALGORITHMS = {
+  '1.2.840.113549.1.1.1': 'RSA',
+  '1.2.840.113549.1.1.5': 'RSA',
+  '1.2.840.113549.1.1.11': 'RSA',
+  '1.2.840.113549.1.1.12': 'RSA',
+  '1.2.840.113549.1.1.13': 'RSA',
+  '1.2.840.10045.2.1': 'ECDSA',
+  '1.2.840.10045.4.1': 'ECDSA',
+  '1.2.840.10045.4.3.2': 'ECDSA',
+  '1.2.840.10045.4.3.3': 'ECDSA',
+  '1.2.840.10045.4.3.4': 'ECDSA'
+};
+
+function cmsError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// ASN.1 building blocks
+
+const sequence = values => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, values);
+const set = values => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SET, true, values);
+const oid = value => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(value).getBytes());
+const nullValue = () => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.NULL, false, '');
+const integer = value => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, asn1.integerToDer(value).getBytes());
+const octets = bytes => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, bytes.toString('binary'));
+const tagged = (tag, values) => asn1.create(asn1.Class.CONTEXT_SPECIFIC, tag, true, values);
+
+function toDer(node) {
+  return Buffer.from(asn1.toDer(node).getBytes(), 'binary');
+}
+
+function fromDer(bytes) {
+  // Signature /Contents are zero padded after the DER
+  return asn1.fromDer(bytes.toString('binary'), { parseAllBytes: false });
+}
+
+function readOid(node) {
+  return asn1.derToOid(node.value);
+}
+
+/**
+ * DER encodes a SET OF with its elements in ascending order of their encoding
+ */
+function sortedSet(values) {
+  const encoded = values.map(value => ({ value, der: toDer(value) }));
+  encoded.sort((a, b) => Buffer.compare(a.der, b.der));
+  return encoded.map(({ value }) => value);
+}
+
+function attribute(type, value) {
+  return sequence([oid(type), set([value])]);
+}
+
+/**
+ * Reads the signing key and certificates of a PKCS#12 (.p12/.pfx) file
+ *
+ * The signer certificate is the one whose public key matches the private
+ * key; the other certificates are kept as its chain.
+ *
+ * @param {Buffer} bytes - PKCS#12 file content
+ * @param {string} [password] - Password of the file
+ * @returns {{ privateKey: KeyObject, certificate: X509Certificate, chain: X509Certificate[] }}
+ */
+function loadPkcs12(bytes, password = '') {
+  let p12;
+  try {
+    p12 = forge.pkcs12.pkcs12FromAsn1(asn1.fromDer(bytes.toString('binary')), String(password));
+  } catch (error) {
+    throw cmsError(/MAC could not be verified|Invalid password/i.test(error.message)
+      ? 'Incorrect certificate password'
+      : `Certificate could not be read: ${error.message}`);
+  }
+
+  const bagsOf = type => p12.getBags({ bagType: type })[type] || [];
+  const keys = [...bagsOf(forge.pki.oids.pkcs8ShroudedKeyBag), ...bagsOf(forge.pki.oids.keyBag)];
+  const certificates = bagsOf(forge.pki.oids.certBag);
+
+  // forge only decodes RSA; for other key types the bags keep the raw ASN.1
+  const privateKeys = keys.map(bag => crypto.createPrivateKey({
+    key: toDer(bag.key ? forge.pki.wrapRsaPrivateKey(forge.pki.privateKeyToAsn1(bag.key)) : bag.asn1),
+    format: 'der',
+    type: 'pkcs8'
+  }));
+  const x509 = certificates.map(bag => new crypto.X509Certificate(
+    toDer(bag.cert ? forge.pki.certificateToAsn1(bag.cert) : bag.asn1)
+  ));
+
+  const spki = key => key.export({ type: 'spki', format: 'der' });
+  for (const privateKey of privateKeys) {
+    const publicKey = spki(crypto.createPublicKey(privateKey));
+    const certificate = x509.find(cert => spki(cert.publicKey).equals(publicKey));
+    if (certificate) {
+      return { privateKey, certificate, chain: x509.filter(cert => cert !== certificate) };
+    }
+  }
+  throw cmsError('The certificate file must contain a private key and its certificate');
+}
+
+/**
+ * Creates a detached CAdES signature (ETSI.CAdES.detached) of a digest
+ *
+ * The signed attributes are the content type, the message digest and
+ * the ESS signing-certificate-v2 reference that PAdES requires. There is
+ * no signing-time attribute: PAdES takes the time from the signature
+ * dictionary's /M.
+ *
+ * @param {Buffer} digest - SHA-256 digest of the signed byte ranges
+ * @param {Object} credentials - See loadPkcs12
+ * @returns {Buffer} DER encoded ContentInfo
+ */
+function createCadesSignature(digest, credentials) {
+  const { privateKey, certificate, chain } = credentials;
+  const certificateDer = certificate.raw;
+  const certificateNode = fromDer(certificateDer);
+  const tbsCertificate = certificateNode.value[0].value;
+  // TBSCertificate: [0] version, serialNumber, signature, issuer, ...
+  const fieldOffset = tbsCertificate[0].tagClass === asn1.Class.CONTEXT_SPECIFIC ? 1 : 0;
+  const serialNumber = tbsCertificate[fieldOffset];
+  const issuer = tbsCertificate[fieldOffset + 2];
+
+  const signedAttributes = sortedSet([
+    attribute(OIDS.contentType, oid(OIDS.data)),
+    attribute(OIDS.messageDigest, octets(digest)),
+    attribute(OIDS.signingCertificateV2, sequence([
+      sequence([sequence([octets(crypto.createHash('sha256').update(certificateDer).digest())])])
+    ]))
+  ]);
+
+  // The signature covers the attributes encoded as a SET, not with their [0] tag
+  const ecKey = privateKey.asymmetricKeyType === 'ec';
+  const signature = crypto.sign('sha256', toDer(set(signedAttributes)), ecKey
+    ? { key: privateKey, dsaEncoding: 'der' }
+    : privateKey);
+
+  const signerInfo = sequence([
+    integer(1),
+    sequence([issuer, serialNumber]),
+    sequence([oid(OIDS.sha256)]),
+    tagged(0, signedAttributes),
+    ecKey ? sequence([oid(OIDS.ecdsaWithSha256)]) : sequence([oid(OIDS.rsaEncryption), nullValue()]),
+    octets(signature)
+  ]);
+
+  return toDer(sequence([
+    oid(OIDS.signedData),
+    tagged(0, [sequence([
+      integer(1),
+      set([sequence([oid(OIDS.sha256)])]),
+      sequence([oid(OIDS.data)]),
+      tagged(0, [certificateNode, ...chain.map(cert => fromDer(cert.raw))]),
+      set([signerInfo])
+    ])])
+  ]));
+}
+
+/**
+ * Checks the class and type of an ASN.1 node, so malformed signatures fail
+ * with a message instead of a TypeError
+ *
+ * @returns {Object} The node
+ */
+function expectNode(node, tagClass, type, constructed, what) {
+  if (!node || node.tagClass !== tagClass || node.type !== type ||
+    Array.isArray(node.value) !== constructed || Boolean(node.constructed) !== constructed) {
+    throw new Error(`${what} is missing or malformed`);
+  }
+  return node;
+}
+
+const expectSequence = (node, what) => expectNode(node, asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, what);
+const expectPrimitive = (node, type, what) => expectNode(node, asn1.Class.UNIVERSAL, type, false, what);
+const expectOid = (node, what) => readOid(expectPrimitive(node, asn1.Type.OID, what));
+
+function findAttribute(attributes, type) {
+  const found = attributes.find(attr => expectOid(expectSequence(attr, 'Signed attribute').value[0], 'Attribute type') === type);
+  return found ? expectNode(found.value[1], asn1.Class.UNIVERSAL, asn1.Type.SET, true, 'Attribute value').value[0] || null : null;
+}
+
+/**
+ * Reads the parts of a CMS SignedData needed for verification
+ *
+ * @param {Buffer} contents - DER encoded ContentInfo
+ * @returns {{ certificates: X509Certificate[], sid: Object, digestOid: string, signedAttributes: Object[]|null,
+ *   messageDigest: Buffer|null, signingTime: Date|null, signatureOid: string, signature: Buffer }}
+ *   `sid` is `{ serial }` (hex) or `{ keyId }`
+ * @throws {Error} If the structure is malformed
+ */
+function readSignedData(contents) {
+  const contentInfo = expectSequence(fromDer(contents), 'ContentInfo');
+  if (expectOid(contentInfo.value[0], 'Content type') !== OIDS.signedData) {
+    throw new Error('not a SignedData structure');
+  }
+  const content = expectNode(contentInfo.value[1], asn1.Class.CONTEXT_SPECIFIC, 0, true, 'SignedData content');
+  const signedData = expectSequence(content.value[0], 'SignedData').value;
+
+  const certificateSet = signedData.find(node => node.tagClass === asn1.Class.CONTEXT_SPECIFIC && node.type === 0);
+  const certificates = (Array.isArray(certificateSet?.value) ? certificateSet.value : [])
+    .filter(node => node.type === asn1.Type.SEQUENCE)
+    .map(node => new crypto.X509Certificate(toDer(node)));
+
+  const signerInfos = expectNode(signedData[signedData.length - 1], asn1.Class.UNIVERSAL, asn1.Type.SET, true, 'SignerInfos');
+  // SignerInfo: version, sid, digestAlgorithm, [0] signedAttrs?, signatureAlgorithm, signature
+  const [, sid, digestAlgorithm, ...rest] = expectSequence(signerInfos.value[0], 'SignerInfo').value;
+  const signedAttributes = rest[0]?.tagClass === asn1.Class.CONTEXT_SPECIFIC
+    ? expectNode(rest.shift(), asn1.Class.CONTEXT_SPECIFIC, 0, true, 'Signed attributes').value
+    : null;
+  const [signatureAlgorithm, signatureValue] = rest;
+
+  let signer;
+  if (sid?.type === asn1.Type.SEQUENCE) {
+    const serial = expectPrimitive(expectSequence(sid, 'Signer identifier').value[1], asn1.Type.INTEGER, 'Signer serial number');
+    signer = { serial: Buffer.from(serial.value, 'binary').toString('hex').replace(/^(00)+(?=.)/, '').toUpperCase() };
+  } else {
+    signer = { keyId: Buffer.from(expectNode(sid, asn1.Class.CONTEXT_SPECIFIC, 0, false, 'Signer key identifier').value, 'binary') };
+  }
+
+  let messageDigest = null;
+  let signingTime = null;
+  if (signedAttributes) {
+    const digestValue = findAttribute(signedAttributes, OIDS.messageDigest);
+    messageDigest = digestValue
+      ? Buffer.from(expectPrimitive(digestValue, asn1.Type.OCTETSTRING, 'Message digest').value, 'binary')
+      : null;
+    const timeValue = findAttribute(signedAttributes, OIDS.signingTime);
+    if (timeValue) {
+      signingTime = timeValue.type === asn1.Type.UTCTIME
+        ? asn1.utcTimeToDate(expectPrimitive(timeValue, asn1.Type.UTCTIME, 'Signing time').value)
+        : asn1.generalizedTimeToDate(expectPrimitive(timeValue, asn1.Type.GENERALIZEDTIME, 'Signing time').value);
+      if (Number.isNaN(signingTime?.getTime())) {
+        throw new Error('Signing time is malformed');
+      }
+    }
+  }
+
+  return {
+    certificates,
+    sid: signer,
+    digestOid: expectOid(expectSequence(digestAlgorithm, 'Digest algorithm').value[0], 'Digest algorithm'),
+    signedAttributes,
+    messageDigest,
+    signingTime,
+    signatureOid: expectOid(expectSequence(signatureAlgorithm, 'Signature algorithm').value[0], 'Signature algorithm'),
+    signature: Buffer.from(expectPrimitive(signatureValue, asn1.Type.OCTETSTRING, 'Signature value').value, 'binary')
+  };
+}
+
+/**
+ * Reads a CMS SignedData signature and checks it against the signed bytes
+ *
+ * A malformed structure counts as an invalid signature (`signatureValid`
+ * false, the reason in `error`).
+ *
+ * @param {Buffer} contents - Signature bytes (/Contents of the signature dictionary)
+ * @param {Buffer} signedBytes - The bytes covered by the signature
+ * @returns {{ digestAlgorithm: string|null, signingTime: Date|null, certificate: X509Certificate|null,
+ *   certificates: X509Certificate[], digestMatches: boolean|null, signatureValid: boolean|null,
+ *   error: string|null }} null results when the check was not possible, with the reason in `error`
+ */
+function verifyCmsSignature(contents, signedBytes) {
+  const result = {
+    digestAlgorithm: null,
+    signingTime: null,
+    certificate: null,
+    certificates: [],
+    digestMatches: null,
+    signatureValid: null,
+    error: null
+  };
+
+  let signed;
+  try {
+    signed = readSignedData(contents);
+  } catch (error) {
+    result.signatureValid = false;
+    result.error = `Signature could not be read: ${error.message}`;
+    return result;
+  }
+  result.certificates = signed.certificates;
+  result.signingTime = signed.signingTime;
+
+  if (signed.sid.serial) {
+    result.certificate = result.certificates.find(cert => cert.serialNumber.replace(/^(00)+(?=.)/, '').toUpperCase() === signed.sid.serial) || null;
+  } else {
+    // subjectKeyIdentifier: match on the SHA-1 of the public key, as most CAs compute it
+    result.certificate = result.certificates.find((cert) => {
+      const spki = cert.publicKey.export({ type: 'spki', format: 'der' }).toString('binary');
+      const subjectPublicKey = asn1.fromDer(spki, { decodeBitStrings: false }).value[1].value.slice(1);
+      return crypto.createHash('sha1').update(subjectPublicKey, 'binary').digest().equals(signed.sid.keyId);
+    }) || null;
+  }
+  if (!result.certificate) {
+    result.error = 'The signer certificate is not included in the signature';
+    return result;
+  }
+
+  const hash = DIGESTS[signed.digestOid];
+  if (!hash) {
+    result.error = `Unsupported digest algorithm ${signed.digestOid}`;
+    return result;
+  }
+  result.digestAlgorithm = hash.toUpperCase().replace('SHA', 'SHA-');
+  const digest = crypto.createHash(hash).update(signedBytes).digest();
+
+  let signedContent = signedBytes;
+  if (signed.signedAttributes) {
+    result.digestMatches = Boolean(signed.messageDigest) && signed.messageDigest.equals(digest);
+    signedContent = toDer(set(signed.signedAttributes));
+  }
+
+  const keyType = SIGNATURE_ALGORITHMS[signed.signatureOid];
+  if (!keyType) {
+    result.error = `Unsupported signature algorithm ${signed.signatureOid}`;
+    return result;
+  }
+
+  const publicKey = result.certificate.publicKey;
+  try {
+    result.signatureValid = crypto.verify(hash, signedContent, keyType === 'ECDSA'
+      ? { key: publicKey, dsaEncoding: 'der' }
+      : publicKey, signed.signature);
+  } catch (error) {
+    result.signatureValid = false;
+    result.error = `Signature could not be verified: ${error.message}`;
+  }
+  // Without signed attributes the signature is over the content itself
+  if (!signed.signedAttributes) {
+    result.digestMatches = result.signatureValid;
+  }
+  return result;
+}
+
+function parseDistinguishedName(name) {
+  const fields = {};
+  for (const line of String(name || '').split('\n')) {
+    const index = line.indexOf('=');
+    if (index > 0) {
+      fields[line.slice(0, index)] = line.slice(index + 1);
+    }
+  }
+  return fields;
+}
+
+/**
+ * Describes a certificate
+ *
+ * @param {X509Certificate} certificate
+ * @returns {{ name: string|null, organization: string|null, email: string|null, subject: string,
+ *   issuer: string, serialNumber: string, validFrom: string, validTo: string, selfSigned: boolean }}
+ */
+function describeCertificate(certificate) {
+  const subject = parseDistinguishedName(certificate.subject);
+  return {
+    name: subject.CN || null,
+    organization: subject.O || null,
+    email: subject.emailAddress || null,
+    subject: certificate.subject.split('\n').join(', '),
+    issuer: certificate.issuer.split('\n').join(', '),
+    serialNumber: certificate.serialNumber,
+    validFrom: new Date(certificate.validFrom).toISOString(),
+    validTo: new Date(certificate.validTo).toISOString(),
+    selfSigned: certificate.checkIssued(certificate)
+  };
+}
+
+/**
+ * Checks whether a certificate chains up to one of the trusted certificates
+ *
+ * @param {X509Certificate} certificate - Signer certificate
+ * @param {X509Certificate[]} intermediates - Other certificates of the signature
+ * @param {X509Certificate[]} trusted - Trust anchors
+ * @returns {boolean}
+ */
+function chainsToTrusted(certificate, intermediates, trusted) {
+  const isTrusted = cert => trusted.some(anchor => anchor.fingerprint256 === cert.fingerprint256);
+  let current = certificate;
+  // Bounded, so a loop in the presented certificates cannot hang
+  for (let depth = 0; depth < 10; depth++) {
+    if (isTrusted(current)) {
+      return true;
+    }
+    const issuer = [...trusted, ...intermediates].find(candidate => (
+      candidate.fingerprint256 !== current.fingerprint256 &&
+      current.checkIssued(candidate) &&
+      current.verify(candidate.publicKey)
+    ));
+    if (!issuer) {
+      return false;
+    }
+    current = issuer;
+  }
+  return false;
+}
+
+module.exports = {
+  loadPkcs12,
+  createCadesSignature,
+  verifyCmsSignature,
+  describeCertificate,
+  chainsToTrusted
+};
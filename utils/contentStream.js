@@ -0,0 +1,298 @@
+const { PDFRawStream, decodePDFRawStream } = require('pdf-lib');
+
+/**
+ * Content stream parsing
+ *
+ * Page descriptions, form XObjects and CMaps share the same PostScript-like
+ * syntax. Tokens carry their position in the source so callers can rewrite
+ * single operations and copy everything else unchanged.
+ */
+
+const IDENTITY_MATRIX = [1, 0, 0, 1, 0, 0];
+
+const WHITESPACE = new Set(['\x00', '\t', '\n', '\f', '\r', ' ']);
+const DELIMITERS = new Set(['(', ')', '<', '>', '[', ']', '{', '}', '/', '%']);
+
+const ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' };
+
+function decodeStream(stream) {
+  if (stream instanceof PDFRawStream) {
+    return Buffer.from(decodePDFRawStream(stream).decode());
+  }
+  if (typeof stream?.getUnencodedContents === 'function') {
+    return Buffer.from(stream.getUnencodedContents());
+  }
+  return null;
+}
+
+/**
+ * Reads a literal string starting after its opening parenthesis
+ *
+ * @returns {{ value: string, end: number }} Bytes as a latin1 string, and the
+ *   position after the closing parenthesis
+ */
+function readLiteralString(content, start) {
+  const length = content.length;
+  let value = '';
+  let depth = 1;
+  let i = start;
+
+  while (i < length) {
+    const char = content[i];
+    if (char === '\\') {
+      const next = content[i + 1];
+      if (ESCAPES[next]) {
+        value += ESCAPES[next];
+        i += 2;
+      } else if (next >= '0' && next <= '7') {
+        const octal = /^[0-7]{1,3}/.exec(content.slice(i + 1, i + 4))[0];
+        value += String.fromCharCode(parseInt(octal, 8) & 0xff);
+        i += 1 + octal.length;
+      } else if (next === '\r' || next === '\n') {
+        // Line continuation
+        i += next === '\r' && content[i + 2] === '\n' ? 3 : 2;
+      } else {
+        i += 1;
+      }
+    } else if (char === '(') {
+      depth++;
+      value += char;
+      i++;
+    } else if (char === ')') {
+      depth--;
+      i++;
+      if (depth === 0) {
+        break;
+      }
+      value += char;
+    } else if (char === '\r') {
+      // An unescaped end of line is read as a single newline
+      value += '\n';
+      i += content[i + 1] === '\n' ? 2 : 1;
+    } else {
+      value += char;
+      i++;
+    }
+  }
+  return { value, end: i };
+}
+
+function decodeHexString(hex) {
+  const digits = hex.replace(/[^0-9a-fA-F]/g, '');
+  return Buffer.from(digits.length % 2 === 0 ? digits : `${digits}0`, 'hex').toString('latin1');
+}
+
+/**
+ * Splits a content stream into tokens
+ *
+ * Each token has a type (number, string, name, literal, operator, arrayStart,
+ * arrayEnd, dictStart, dictEnd or delimiter), a value where it has one, and
+ * its start and end position. String values are the raw bytes as a latin1
+ * string. The data of an inline image belongs to its ID operator token.
+ *
+ * @param {string} content - Decoded stream as a latin1 string
+ */
+function* tokenize(content) {
+  const length = content.length;
+  let i = 0;
+
+  while (i < length) {
+    const char = content[i];
+    const start = i;
+
+    if (WHITESPACE.has(char)) {
+      i++;
+    } else if (char === '%') {
+      while (i < length && content[i] !== '\n' && content[i] !== '\r') i++;
+    } else if (char === '(') {
+      const { value, end } = readLiteralString(content, i + 1);
+      i = end;
+      yield { type: 'string', value, start, end };
+    } else if (char === '<' && content[i + 1] === '<') {
+      i += 2;
+      yield { type: 'dictStart', start, end: i };
+    } else if (char === '>' && content[i + 1] === '>') {
+      i += 2;
+      yield { type: 'dictEnd', start, end: i };
+    } else if (char === '<') {
+      const close = content.indexOf('>', i);
+      i = close === -1 ? length : close + 1;
+      yield { type: 'string', value: decodeHexString(content.slice(start + 1, i - 1)), hex: true, start, end: i };
+    } else if (char === '/') {
+      let end = i + 1;
+      while (end < length && !WHITESPACE.has(content[end]) && !DELIMITERS.has(content[end])) end++;
+      const value = content.slice(i + 1, end).replace(/#([0-9a-fA-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+      i = end;
+      yield { type: 'name', value, start, end };
+    } else if (char === '[' || char === ']') {
+      i++;
+      yield { type: char === '[' ? 'arrayStart' : 'arrayEnd', start, end: i };
+    } else if (DELIMITERS.has(char)) {
+      i++;
+      yield { type: 'delimiter', start, end: i };
+    } else {
+      let end = i;
+      while (end < length && !WHITESPACE.has(content[end]) && !DELIMITERS.has(content[end])) end++;
+      const token = content.slice(i, end);
+      i = end;
+
+      if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(token)) {
+        yield { type: 'number', value: parseFloat(token), start, end };
+      } else if (token === 'true' || token === 'false' || token === 'null') {
+        yield { type: 'literal', value: token, start, end };
+      } else {
+        // Inline image data is binary, skip to the EI operator
+        if (token === 'ID') {
+          const pattern = /\sEI(?=[\s/[<(]|$)/g;
+          pattern.lastIndex = i;
+          const match = pattern.exec(content);
+          i = match ? match.index + match[0].length : length;
+        }
+        yield { type: 'operator', value: token, start, end: i };
+      }
+    }
+  }
+}
+
+/**
+ * Groups tokens into operations
+ *
+ * Operands are nested: arrays have `items`, dictionaries `entries` (pairs
+ * of key name and value). Every operand keeps its start and end position,
+ * an operation spans from its first operand to its operator.
+ *
+ * @param {string} content - Decoded stream as a latin1 string
+ * @returns {{ operator: string, operands: Object[], start: number, end: number }[]}
+ */
+function parseOperations(content) {
+  const operations = [];
+  let operands = [];
+  const stack = [];
+
+  const add = (operand) => {
+    const parent = stack[stack.length - 1];
+    if (!parent) {
+      operands.push(operand);
+    } else if (parent.type === 'array') {
+      parent.items.push(operand);
+    } else {
+      parent.pending.push(operand);
+    }
+  };
+
+  for (const token of tokenize(content)) {
+    switch (token.type) {
+      case 'arrayStart':
+        stack.push({ type: 'array', items: [], start: token.start });
+        break;
+      case 'dictStart':
+        stack.push({ type: 'dict', pending: [], start: token.start });
+        break;
+      case 'arrayEnd':
+      case 'dictEnd': {
+        const open = stack.pop();
+        if (!open) {
+          break;
+        }
+        if (open.type === 'dict') {
+          const entries = [];
+          for (let i = 0; i + 1 < open.pending.length; i += 2) {
+            if (open.pending[i].type === 'name') {
+              entries.push([open.pending[i].value, open.pending[i + 1]]);
+            }
+          }
+          add({ type: 'dict', entries, start: open.start, end: token.end });
+        } else {
+          add({ type: 'array', items: open.items, start: open.start, end: token.end });
+        }
+        break;
+      }
+      case 'operator':
+        if (stack.length > 0) {
+          // Only PostScript code in Type 4 functions nests operators; keep it as a value
+          add({ type: 'literal', value: token.value, start: token.start, end: token.end });
+          break;
+        }
+        operations.push({
+          operator: token.value,
+          operands,
+          start: operands.length > 0 ? operands[0].start : token.start,
+          end: token.end
+        });
+        operands = [];
+        break;
+      case 'delimiter':
+        break;
+      default:
+        add(token);
+    }
+  }
+  return operations;
+}
+
+function multiply(m, n) {
+  return [
+    m[0] * n[0] + m[1] * n[2],
+    m[0] * n[1] + m[1] * n[3],
+    m[2] * n[0] + m[3] * n[2],
+    m[2] * n[1] + m[3] * n[3],
+    m[4] * n[0] + m[5] * n[2] + n[4],
+    m[4] * n[1] + m[5] * n[3] + n[5]
+  ];
+}
+
+/**
+ * Transforms a point by a matrix
+ *
+ * @returns {number[]} [x, y]
+ */
+function transformPoint(m, x, y) {
+  return [x * m[0] + y * m[2] + m[4], x * m[1] + y * m[3] + m[5]];
+}
+
+/**
+ * Inverts a matrix
+ *
+ * @returns {number[]|null} null for a degenerate matrix
+ */
+function invert(m) {
+  const determinant = m[0] * m[3] - m[1] * m[2];
+  if (Math.abs(determinant) < 1e-12) {
+    return null;
+  }
+  return [
+    m[3] / determinant,
+    -m[1] / determinant,
+    -m[2] / determinant,
+    m[0] / determinant,
+    (m[2] * m[5] - m[3] * m[4]) / determinant,
+    (m[1] * m[4] - m[0] * m[5]) / determinant
+  ];
+}
+
+/**
+ * Formats a number for a content stream (no exponent, at most 4 decimals)
+ */
+function formatNumber(value) {
+  const rounded = Math.round(value * 10000) / 10000;
+  return String(Object.is(rounded, -0) ? 0 : rounded);
+}
+
+/**
+ * Writes bytes (a latin1 string) as a hex string operand
+ */
+function formatHexString(bytes) {
+  return `<${Buffer.from(bytes, 'latin1').toString('hex')}>`;
+}
+
+module.exports = {
+  IDENTITY_MATRIX,
+  decodeStream,
+  tokenize,
+  parseOperations,
+  multiply,
+  transformPoint,
+  invert,
+  formatNumber,
+  formatHexString
+};
@@ -0,0 +1,158 @@
+/**
+ * Registry of file converters used by /convert
+ *
+ * Each converter declares the formats it reads and writes plus the options it
+ * accepts, so the endpoint can dispatch without hard-coded format pairs and
+ * GET /formats can report the supported conversion matrix.
+ */
+
+const converters = [];
+
+// Alternative spellings clients send for the same format
+const FORMAT_ALIASES = {
+  jpeg: 'jpg',
+  tif: 'tiff',
+  heif: 'heic'
+};
+
+/**
+ * Normalizes a format name (lowercase, no leading dot, aliases resolved)
+ *
+ * @param {string} format - Format or extension, e.g. 'JPEG' or '.docx'
+ * @returns {string} Normalized format
+ */
+function normalizeFormat(format) {
+  const normalized = String(format || '').trim().toLowerCase().replace(/^\./, '');
+  return FORMAT_ALIASES[normalized] || normalized;
+}
+
+/**
+ * Registers a converter
+ *
+ * @param {Object} converter
+ * @param {string} converter.id - Unique converter name
+ * @param {string} [converter.description] - Human readable description
+ * @param {string[]} converter.from - Input formats
+ * @param {string[]} converter.to - Output formats
+ * @param {Object} [converter.options] - Option specs keyed by name: { type, default, min, max, values, description }
+ * @param {Function} converter.convert - async (inputPath, outputPath, { from, to, options, job }) => outputPath
+ */
+function registerConverter(converter) {
+  if (!converter.id || typeof converter.convert !== 'function') {
+    throw new Error('Converter requires an id and a convert function');
+  }
+  if (converters.some(existing => existing.id === converter.id)) {
+    throw new Error(`Converter "${converter.id}" is already registered`);
+  }
+
+  converters.push({
+    description: '',
+    options: {},
+    ...converter,
+    from: converter.from.map(normalizeFormat),
+    to: converter.to.map(normalizeFormat)
+  });
+}
+
+/**
+ * Finds the converter handling a format pair
+ *
+ * @param {string} from - Input format
+ * @param {string} to - Output format
+ * @returns {Object|null} Converter, or null if the conversion is not supported
+ */
+function findConverter(from, to) {
+  const fromFormat = normalizeFormat(from);
+  const toFormat = normalizeFormat(to);
+  return converters.find(converter =>
+    converter.from.includes(fromFormat) && converter.to.includes(toFormat)
+  ) || null;
+}
+
+/**
+ * Reads a converter's options from a request body, applying defaults and validation
+ *
+ * @param {Object} converter - Converter from findConverter
+ * @param {Object} source - Raw values (usually req.body)
+ * @returns {Object} Parsed options
+ */
+function resolveOptions(converter, source = {}) {
+  const options = {};
+
+  for (const [name, spec] of Object.entries(converter.options)) {
+    const raw = source[name];
+    if (raw === undefined || raw === '') {
+      options[name] = spec.default;
+      continue;
+    }
+
+    let value = raw;
+    if (spec.type === 'integer' || spec.type === 'number') {
+      value = spec.type === 'integer' ? parseInt(raw, 10) : parseFloat(raw);
+      if (Number.isNaN(value)) {
+        throw optionError(`Option "${name}" must be a number`);
+      }
+      if (spec.min !== undefined && value < spec.min) {
+        throw optionError(`Option "${name}" must be at least ${spec.min}`);
+      }
+      if (spec.max !== undefined && value > spec.max) {
+        throw optionError(`Option "${name}" must be at most ${spec.max}`);
+      }
+    } else if (spec.type === 'boolean') {
+      value = raw === true || raw === 'true' || raw === '1';
+    } else if (spec.values) {
+      value = String(raw).toLowerCase();
+      if (!spec.values.includes(value)) {
+        throw optionError(`Option "${name}" must be one of: ${spec.values.join(', ')}`);
+      }
+    }
+
+    options[name] = value;
+  }
+
+  return options;
+}
+
+function optionError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Returns the supported conversion matrix
+ *
+ * @returns {{ conversions: Object<string, string[]>, converters: Object[] }}
+ */
+function getConversionMatrix() {
+  const conversions = {};
+  for (const converter of converters) {
+    for (const from of converter.from) {
+      conversions[from] = conversions[from] || [];
+      for (const to of converter.to) {
+        if (to !== from && !conversions[from].includes(to)) {
+          conversions[from].push(to);
+        }
+      }
+    }
+  }
+
+  return {
+    conversions,
+    converters: converters.map(({ id, description, from, to, options }) => ({
+      id,
+      description,
+      from,
+      to,
+      options
+    }))
+  };
+}
+
+module.exports = {
+  normalizeFormat,
+  registerConverter,
+  findConverter,
+  resolveOptions,
+  getConversionMatrix
+};
@@ -0,0 +1,133 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { v4: uuidv4 } = require('uuid');
+const { registerConverter, ...registry } = require('./converterRegistry');
+const { convertDocument } = require('./documentConverter');
+const { convertImageToPdf, convertPdfToImages, convertImage } = require('./imageConverter');
+const { PDFA_LEVELS, convertToPdfa } = require('./pdfa');
+const { loadPdfFile } = require('./pdfRepair');
+
+/**
+ * Built-in converters
+ *
+ * Requiring this module registers them and re-exports the registry API, so
+ * routes only need `require('../utils/converters')`.
+ */
+
+function converterError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Reads the page count of a PDF to convert
+ */
+async function readPageCount(inputPath, signal) {
+  let pdfDoc;
+  try {
+    ({ pdfDoc } = await loadPdfFile(inputPath, { ignoreEncryption: true, updateMetadata: false }, { signal }));
+  } catch (error) {
+    if (error.cancelled) {
+      throw error;
+    }
+    throw converterError(`PDF could not be read: ${error.message}`, 422);
+  }
+  if (pdfDoc.isEncrypted) {
+    throw converterError('The PDF is encrypted. Remove the password with /pdf/unlock first', 422);
+  }
+  return pdfDoc.getPageCount();
+}
+
+const PDFA_OPTION = {
+  type: 'string',
+  values: PDFA_LEVELS,
+  description: 'Produce PDF/A (1b, 2b or 3b) with embedded fonts and an sRGB output intent'
+};
+
+registerConverter({
+  id: 'office-to-pdf',
+  description: 'Office documents to PDF using LibreOffice',
+  from: ['docx', 'doc', 'xlsx', 'xls', 'pptx', 'ppt', 'odt', 'ods', 'odp', 'rtf'],
+  to: ['pdf'],
+  options: {
+    pdfa: PDFA_OPTION
+  },
+  convert: (inputPath, outputPath, { from, options, job }) => convertDocument(inputPath, outputPath, from, {
+    signal: job?.signal,
+    pdfa: options.pdfa
+  })
+});
+
+registerConverter({
+  id: 'image-to-pdf',
+  description: 'Images to a single-page PDF',
+  from: ['jpg', 'png', 'webp'],
+  to: ['pdf'],
+  options: {
+    pdfa: PDFA_OPTION
+  },
+  convert: async (inputPath, outputPath, { options, job }) => {
+    if (!options.pdfa) {
+      return convertImageToPdf(inputPath, outputPath);
+    }
+    // The image PDF is converted to PDF/A by Ghostscript
+    const tempPath = path.join(path.dirname(outputPath), `temp_${uuidv4()}.pdf`);
+    try {
+      await convertImageToPdf(inputPath, tempPath);
+      await convertToPdfa(tempPath, outputPath, options.pdfa, { signal: job?.signal });
+      return outputPath;
+    } finally {
+      await fs.remove(tempPath).catch(() => {});
+    }
+  }
+});
+
+registerConverter({
+  id: 'pdf-to-image',
+  description: 'Renders one PDF page as an image using pdftoppm',
+  from: ['pdf'],
+  to: ['jpg', 'png'],
+  options: {
+    page: { type: 'integer', default: 1, min: 1, description: 'Page to render (1-based)' },
+    dpi: { type: 'integer', default: 300, min: 36, max: 600, description: 'Render resolution' }
+  },
+  convert: async (inputPath, outputPath, { to, options, job }) => {
+    const pageCount = await readPageCount(inputPath, job?.signal);
+    if (options.page > pageCount) {
+      throw converterError(`page must be between 1 and ${pageCount}`);
+    }
+
+    // Render into a private temp directory, then keep only the requested page
+    const tempDir = path.join(path.dirname(outputPath), `temp_${uuidv4()}`);
+    try {
+      const images = await convertPdfToImages(inputPath, tempDir, {
+        format: to,
+        dpi: options.dpi,
+        firstPage: options.page,
+        lastPage: options.page,
+        signal: job?.signal
+      });
+      await fs.move(images[0], outputPath, { overwrite: true });
+      return outputPath;
+    } finally {
+      await fs.remove(tempDir).catch(() => {});
+    }
+  }
+});
+
+registerConverter({
+  id: 'image-to-image',
+  description: 'Converts between image formats using sharp',
+  from: ['jpg', 'png', 'webp', 'tiff', 'gif'],
+  to: ['png', 'jpg', 'webp', 'tiff'],
+  options: {
+    quality: { type: 'integer', default: 90, min: 1, max: 100, description: 'Quality for lossy formats' }
+  },
+  convert: (inputPath, outputPath, { to, options }) => convertImage(inputPath, outputPath, to, options)
+});
+
+module.exports = {
+  registerConverter,
+  ...registry
+};
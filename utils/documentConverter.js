@@ -1,9 +1,35 @@
-const { exec } = require('child_process');
-const { promisify } = require('util');
 const path = require('path');
 const fs = require('fs-extra');
+const { runTool } = require('./toolRunner');
 
-const execAsync = promisify(exec);
+// LibreOffice PDF export filter per document family, needed to pass export options
+const PDF_EXPORT_FILTERS = {
+  docx: 'writer_pdf_Export',
+  doc: 'writer_pdf_Export',
+  odt: 'writer_pdf_Export',
+  rtf: 'writer_pdf_Export',
+  xlsx: 'calc_pdf_Export',
+  xls: 'calc_pdf_Export',
+  ods: 'calc_pdf_Export',
+  pptx: 'impress_pdf_Export',
+  ppt: 'impress_pdf_Export',
+  odp: 'impress_pdf_Export'
+};
+
+/**
+ * Builds the --convert-to argument
+ *
+ * PDF/A uses the export filter's SelectPdfVersion option (1, 2 or 3 for
+ * PDF/A-1b, 2b and 3b), which embeds the fonts and adds an sRGB output
+ * intent. Filter options as JSON need LibreOffice 7.4 or later.
+ */
+function convertToArgument(fileType, pdfa) {
+  if (!pdfa) {
+    return 'pdf';
+  }
+  const filter = PDF_EXPORT_FILTERS[fileType] || 'writer_pdf_Export';
+  return `pdf:${filter}:${JSON.stringify({ SelectPdfVersion: { type: 'long', value: pdfa[0] } })}`;
+}
 
 /**
  * Converts Office documents (docx, xlsx, pptx) to PDF using LibreOffice
@@ -11,35 +37,32 @@ const execAsync = promisify(exec);
  * @param {string} inputPath - Path to input file
  * @param {string} outputPath - Path to output PDF file
  * @param {string} fileType - Type of file: 'docx', 'xlsx', or 'pptx'
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Stops LibreOffice when aborted
+ * @param {string} [options.pdfa] - Produce PDF/A: '1b', '2b' or '3b'
  * @returns {Promise<string>} Path to converted file
  */
-async function convertDocument(inputPath, outputPath, fileType) {
+async function convertDocument(inputPath, outputPath, fileType, options = {}) {
   try {
     const outputDir = path.dirname(outputPath);
     await fs.ensureDir(outputDir);
 
-    // Check if LibreOffice is available
-    try {
-      await execAsync('which libreoffice');
-    } catch (whichError) {
-      throw new Error('LibreOffice is not installed. Document conversion requires LibreOffice to be installed on the server.');
-    }
-
     // LibreOffice command to convert to PDF
     // --headless: run without GUI
-    // --convert-to pdf: convert to PDF format
+    // --convert-to pdf: convert to PDF format (with filter options for PDF/A)
     // --outdir: output directory
     // --nodefault: don't start a document
-    const command = `libreoffice --headless --nodefault --convert-to pdf --outdir "${outputDir}" "${inputPath}"`;
-
-    // Execute with timeout (60 seconds)
-    const timeout = 60000;
-    const execPromise = execAsync(command);
-    const timeoutPromise = new Promise((_, reject) => 
-      setTimeout(() => reject(new Error('Conversion timeout after 60 seconds')), timeout)
-    );
-
-    await Promise.race([execPromise, timeoutPromise]);
+    try {
+      await runTool('libreoffice', ['--headless', '--nodefault', '--convert-to', convertToArgument(fileType, options.pdfa), '--outdir', outputDir, inputPath], {
+        timeout: 60000,
+        signal: options.signal
+      });
+    } catch (toolError) {
+      if (toolError.notFound) {
+        throw new Error('LibreOffice is not installed. Document conversion requires LibreOffice to be installed on the server.');
+      }
+      throw toolError;
+    }
 
     // LibreOffice creates output with same name but .pdf extension
     const inputFileName = path.basename(inputPath, path.extname(inputPath));
@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+
+/**
+ * Signed, expiring download links
+ *
+ * Token format: `<payload>.<signature>`, both base64url. The payload is JSON
+ * `{ f: fileName, exp: unixSeconds, su: singleUse, n: nonce }` and the
+ * signature is HMAC-SHA256 of the encoded payload with DOWNLOAD_SECRET, so a
+ * token can be checked anywhere the secret is known.
+ */
+
+// Lifetime of a download link
+const DOWNLOAD_LINK_TTL_MINUTES = parseFloat(process.env.DOWNLOAD_LINK_TTL_MINUTES) || 60;
+
+// Issue links that stop working after the first download
+const DOWNLOAD_SINGLE_USE = process.env.DOWNLOAD_SINGLE_USE === 'true';
+
+let downloadSecret = process.env.DOWNLOAD_SECRET;
+if (!downloadSecret) {
+  downloadSecret = crypto.randomBytes(32).toString('hex');
+  console.warn('⚠ DOWNLOAD_SECRET is not set. Using a random secret, download links will stop working after a restart.');
+}
+
+// Nonces of single-use tokens that were already redeemed, mapped to their expiry
+const usedNonces = new Map();
+
+/**
+ * Error raised for invalid, expired or already used download tokens
+ */
+class DownloadTokenError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'DownloadTokenError';
+    this.status = status;
+  }
+}
+
+function sign(encodedPayload) {
+  return crypto.createHmac('sha256', downloadSecret).update(encodedPayload).digest('base64url');
+}
+
+/**
+ * Creates a signed download token for a generated file
+ *
+ * @param {string} fileName - File name relative to the download directories
+ * @param {Object} [options]
+ * @param {number} [options.expiresInSeconds] - Link lifetime (default: DOWNLOAD_LINK_TTL_MINUTES)
+ * @param {boolean} [options.singleUse] - Invalidate after the first download (default: DOWNLOAD_SINGLE_USE)
+ * @returns {string} Token
+ */
+function createDownloadToken(fileName, options = {}) {
+  const {
+    expiresInSeconds = DOWNLOAD_LINK_TTL_MINUTES * 60,
+    singleUse = DOWNLOAD_SINGLE_USE
+  } = options;
+
+  const payload = {
+    f: fileName,
+    exp: Math.floor(Date.now() / 1000) + Math.round(expiresInSeconds)
+  };
+  if (singleUse) {
+    payload.su = true;
+    payload.n = crypto.randomBytes(12).toString('base64url');
+  }
+
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${encodedPayload}.${sign(encodedPayload)}`;
+}
+
+/**
+ * Builds the download URL for a generated file
+ *
+ * @param {string} fileName - File name relative to the download directories
+ * @param {Object} [options] - See createDownloadToken
+ * @returns {string} URL path, e.g. /downloads/<token>
+ */
+function createDownloadUrl(fileName, options = {}) {
+  return `/downloads/${createDownloadToken(fileName, options)}`;
+}
+
+/**
+ * Verifies a download token
+ *
+ * @param {string} token - Token from the download URL
+ * @returns {{ fileName: string, expiresAt: Date, singleUse: boolean, nonce: string|undefined }}
+ * @throws {DownloadTokenError} 403 when tampered or malformed, 410 when expired or already used
+ */
+function verifyDownloadToken(token) {
+  const [encodedPayload, signature, ...rest] = String(token || '').split('.');
+  if (!encodedPayload || !signature || rest.length > 0) {
+    throw new DownloadTokenError('Invalid download link', 403);
+  }
+
+  const expected = Buffer.from(sign(encodedPayload));
+  const provided = Buffer.from(signature);
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    throw new DownloadTokenError('Invalid download link', 403);
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new DownloadTokenError('Invalid download link', 403);
+  }
+
+  if (typeof payload.f !== 'string' || typeof payload.exp !== 'number') {
+    throw new DownloadTokenError('Invalid download link', 403);
+  }
+  if (payload.exp * 1000 < Date.now()) {
+    throw new DownloadTokenError('Download link has expired', 410);
+  }
+  if (payload.su && usedNonces.has(payload.n)) {
+    throw new DownloadTokenError('Download link has already been used', 410);
+  }
+
+  return {
+    fileName: payload.f,
+    expiresAt: new Date(payload.exp * 1000),
+    singleUse: Boolean(payload.su),
+    nonce: payload.n
+  };
+}
+
+/**
+ * Marks a single-use token as redeemed
+ *
+ * Call it right after verifyDownloadToken, before anything async, so two
+ * concurrent requests cannot both redeem the token.
+ *
+ * @param {Object} verified - Result of verifyDownloadToken
+ */
+function markTokenUsed(verified) {
+  if (!verified.singleUse) {
+    return;
+  }
+
+  const now = Date.now();
+  for (const [nonce, expiresAt] of usedNonces) {
+    if (expiresAt < now) {
+      usedNonces.delete(nonce);
+    }
+  }
+  usedNonces.set(verified.nonce, verified.expiresAt.getTime());
+}
+
+/**
+ * Makes a single-use token usable again, e.g. when its file was not found
+ *
+ * @param {Object} verified - Result of verifyDownloadToken
+ */
+function releaseToken(verified) {
+  if (verified.singleUse) {
+    usedNonces.delete(verified.nonce);
+  }
+}
+
+module.exports = {
+  DownloadTokenError,
+  createDownloadToken,
+  createDownloadUrl,
+  verifyDownloadToken,
+  markTokenUsed,
+  releaseToken
+};
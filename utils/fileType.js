@@ -0,0 +1,344 @@
+const fs = require('fs-extra');
+
+/**
+ * File type detection from file signatures (magic bytes)
+ *
+ * Upload names and extensions are never trusted: the type used for routing
+ * and conversion is read from the file content.
+ */
+
+// Bytes read from the start of a file; enough for every signature below
+const HEADER_SIZE = 4096;
+
+// The zip end-of-central-directory record is within the last 64 KB + 22 bytes
+const ZIP_EOCD_SEARCH_SIZE = 65536 + 22;
+
+// Safety limit when following the OLE directory chain
+const OLE_MAX_DIRECTORY_SECTORS = 256;
+
+const MIME_TYPES = {
+  pdf: 'application/pdf',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  tiff: 'image/tiff',
+  heic: 'image/heic',
+  rtf: 'application/rtf',
+  zip: 'application/zip',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  odt: 'application/vnd.oasis.opendocument.text',
+  ods: 'application/vnd.oasis.opendocument.spreadsheet',
+  odp: 'application/vnd.oasis.opendocument.presentation',
+  doc: 'application/msword',
+  xls: 'application/vnd.ms-excel',
+  ppt: 'application/vnd.ms-powerpoint',
+  ole: 'application/x-ole-storage',
+  ttf: 'font/ttf',
+  otf: 'font/otf',
+  p12: 'application/x-pkcs12'
+};
+
+// Groups usable in requireFileType()
+const IMAGE_TYPES = ['png', 'jpg', 'gif', 'webp', 'tiff', 'heic'];
+const OFFICE_TYPES = ['docx', 'xlsx', 'pptx', 'odt', 'ods', 'odp', 'doc', 'xls', 'ppt', 'rtf'];
+const FONT_TYPES = ['ttf', 'otf'];
+
+// ISO base media brands used by HEIF/HEIC images
+const HEIF_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'hevm', 'hevs', 'mif1', 'msf1'];
+
+const ODF_MIME_TYPES = {
+  'application/vnd.oasis.opendocument.text': 'odt',
+  'application/vnd.oasis.opendocument.spreadsheet': 'ods',
+  'application/vnd.oasis.opendocument.presentation': 'odp'
+};
+
+// OLE stream names identifying legacy Office documents
+const OLE_STREAMS = {
+  WordDocument: 'doc',
+  Workbook: 'xls',
+  Book: 'xls',
+  'PowerPoint Document': 'ppt'
+};
+
+const OLE_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+async function readAt(fd, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await fs.read(fd, buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+function startsWith(buffer, signature, offset = 0) {
+  return buffer.length >= offset + signature.length &&
+    buffer.subarray(offset, offset + signature.length).equals(Buffer.from(signature));
+}
+
+/**
+ * Detects the ISO base media (ftyp) based image formats
+ */
+function detectFtyp(header) {
+  if (header.length < 12 || header.toString('latin1', 4, 8) !== 'ftyp') {
+    return null;
+  }
+
+  const boxSize = Math.min(header.readUInt32BE(0), header.length);
+  const majorBrand = header.toString('latin1', 8, 12);
+  const brands = [majorBrand];
+  for (let offset = 16; offset + 4 <= boxSize; offset += 4) {
+    brands.push(header.toString('latin1', offset, offset + 4));
+  }
+
+  // AVIF files also carry mif1, but are not HEIC
+  if (majorBrand === 'avif' || majorBrand === 'avis') {
+    return null;
+  }
+  return brands.some(brand => HEIF_BRANDS.includes(brand)) ? 'heic' : null;
+}
+
+/**
+ * Recognises a PKCS#12 (PFX) file: a DER SEQUENCE starting with INTEGER 3
+ * followed by the authSafe ContentInfo SEQUENCE
+ */
+function isPkcs12(header) {
+  if (header.length < 8 || header[0] !== 0x30) {
+    return false;
+  }
+  // Short form, long form (1-3 length bytes) or BER indefinite length
+  let offset = 2;
+  if (header[1] > 0x80 && header[1] <= 0x83) {
+    offset += header[1] - 0x80;
+  } else if (header[1] > 0x83) {
+    return false;
+  }
+  return startsWith(header, [0x02, 0x01, 0x03, 0x30], offset);
+}
+
+/**
+ * Lists the entry names of a zip file from its central directory
+ */
+async function readZipEntryNames(fd, fileSize) {
+  const tailSize = Math.min(fileSize, ZIP_EOCD_SEARCH_SIZE);
+  const tail = await readAt(fd, fileSize - tailSize, tailSize);
+
+  let eocd = -1;
+  for (let offset = tail.length - 22; offset >= 0; offset--) {
+    if (tail.readUInt32LE(offset) === 0x06054b50) {
+      eocd = offset;
+      break;
+    }
+  }
+  if (eocd === -1) {
+    return [];
+  }
+
+  const entryCount = tail.readUInt16LE(eocd + 10);
+  const directorySize = tail.readUInt32LE(eocd + 12);
+  const directoryOffset = tail.readUInt32LE(eocd + 16);
+  if (directoryOffset + directorySize > fileSize) {
+    return [];
+  }
+  const directory = await readAt(fd, directoryOffset, directorySize);
+
+  const names = [];
+  let offset = 0;
+  for (let i = 0; i < entryCount && offset + 46 <= directory.length; i++) {
+    if (directory.readUInt32LE(offset) !== 0x02014b50) {
+      break;
+    }
+    const nameLength = directory.readUInt16LE(offset + 28);
+    const extraLength = directory.readUInt16LE(offset + 30);
+    const commentLength = directory.readUInt16LE(offset + 32);
+    names.push(directory.toString('utf8', offset + 46, offset + 46 + nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return names;
+}
+
+/**
+ * Tells OOXML and ODF documents apart from plain zip archives
+ */
+async function detectZip(fd, header, fileSize) {
+  // ODF stores an uncompressed "mimetype" entry first
+  const nameLength = header.readUInt16LE(26);
+  const extraLength = header.readUInt16LE(28);
+  if (header.readUInt16LE(8) === 0 && header.toString('latin1', 30, 30 + nameLength) === 'mimetype') {
+    const dataStart = 30 + nameLength + extraLength;
+    const mimeType = header.toString('latin1', dataStart, dataStart + header.readUInt32LE(18));
+    if (ODF_MIME_TYPES[mimeType]) {
+      return ODF_MIME_TYPES[mimeType];
+    }
+  }
+
+  const names = await readZipEntryNames(fd, fileSize);
+  if (names.includes('[Content_Types].xml')) {
+    if (names.some(name => name.startsWith('word/'))) return 'docx';
+    if (names.some(name => name.startsWith('xl/'))) return 'xlsx';
+    if (names.some(name => name.startsWith('ppt/'))) return 'pptx';
+  }
+  return 'zip';
+}
+
+/**
+ * Reads the stream names of an OLE compound file to tell doc, xls and ppt apart
+ */
+async function detectOle(fd, header) {
+  // Version 3 files use 512 byte sectors, version 4 files 4096 byte sectors
+  const sectorShift = header.readUInt16LE(30);
+  if (sectorShift !== 9 && sectorShift !== 12) {
+    return 'ole';
+  }
+  const sectorSize = 1 << sectorShift;
+  const firstDirectorySector = header.readUInt32LE(48);
+  const firstDifatSector = header.readUInt32LE(68);
+  const sectorOffset = (sector) => (sector + 1) * sectorSize;
+
+  // Locations of the FAT sectors: 109 in the header, the rest in DIFAT sectors
+  const fatSectors = [];
+  for (let i = 0; i < 109; i++) {
+    fatSectors.push(header.readUInt32LE(76 + i * 4));
+  }
+  let difatSector = firstDifatSector;
+  for (let i = 0; difatSector < 0xfffffffa && i < OLE_MAX_DIRECTORY_SECTORS; i++) {
+    const difat = await readAt(fd, sectorOffset(difatSector), sectorSize);
+    const entries = sectorSize / 4 - 1;
+    for (let j = 0; j < entries && (j + 1) * 4 <= difat.length; j++) {
+      fatSectors.push(difat.readUInt32LE(j * 4));
+    }
+    difatSector = difat.length === sectorSize ? difat.readUInt32LE(entries * 4) : 0xfffffffe;
+  }
+
+  const entriesPerFatSector = sectorSize / 4;
+  const nextSector = async (sector) => {
+    const fatSector = fatSectors[Math.floor(sector / entriesPerFatSector)];
+    if (fatSector === undefined || fatSector >= 0xfffffffa) {
+      return 0xfffffffe;
+    }
+    const entry = await readAt(fd, sectorOffset(fatSector) + (sector % entriesPerFatSector) * 4, 4);
+    return entry.length === 4 ? entry.readUInt32LE(0) : 0xfffffffe;
+  };
+
+  // Each directory entry is 128 bytes and starts with a UTF-16LE name
+  let sector = firstDirectorySector;
+  for (let i = 0; sector < 0xfffffffa && i < OLE_MAX_DIRECTORY_SECTORS; i++) {
+    const directory = await readAt(fd, sectorOffset(sector), sectorSize);
+    for (let offset = 0; offset + 128 <= directory.length; offset += 128) {
+      const nameLength = directory.readUInt16LE(offset + 64);
+      const name = directory.toString('utf16le', offset, offset + Math.max(0, nameLength - 2));
+      if (OLE_STREAMS[name]) {
+        return OLE_STREAMS[name];
+      }
+    }
+    sector = await nextSector(sector);
+  }
+  return 'ole';
+}
+
+/**
+ * Detects the type of a file from its content
+ *
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<{ type: string, mime: string }|null>} Detected type (format names as used
+ *   by the converter registry, e.g. 'pdf', 'jpg', 'docx'), or null if unknown
+ */
+async function detectFileType(filePath) {
+  const fd = await fs.open(filePath, 'r');
+  try {
+    const { size } = await fs.fstat(fd);
+    const header = await readAt(fd, 0, HEADER_SIZE);
+    let type = null;
+
+    if (startsWith(header, '%PDF-')) {
+      type = 'pdf';
+    } else if (startsWith(header, PNG_SIGNATURE)) {
+      type = 'png';
+    } else if (startsWith(header, [0xff, 0xd8, 0xff])) {
+      type = 'jpg';
+    } else if (startsWith(header, 'GIF87a') || startsWith(header, 'GIF89a')) {
+      type = 'gif';
+    } else if (startsWith(header, 'RIFF') && startsWith(header, 'WEBP', 8)) {
+      type = 'webp';
+    } else if (startsWith(header, [0x49, 0x49, 0x2a, 0x00]) || startsWith(header, [0x4d, 0x4d, 0x00, 0x2a])) {
+      type = 'tiff';
+    } else if (startsWith(header, '{\\rtf')) {
+      type = 'rtf';
+    } else if (startsWith(header, [0x50, 0x4b, 0x03, 0x04]) && header.length >= 30) {
+      type = await detectZip(fd, header, size);
+    } else if (startsWith(header, OLE_SIGNATURE) && header.length >= 512) {
+      type = await detectOle(fd, header);
+    } else if (startsWith(header, [0x00, 0x01, 0x00, 0x00]) || startsWith(header, 'true')) {
+      // sfnt version of TrueType outlines; 'true' is used by older Apple fonts
+      type = 'ttf';
+    } else if (startsWith(header, 'OTTO')) {
+      type = 'otf';
+    } else if (isPkcs12(header)) {
+      type = 'p12';
+    } else {
+      type = detectFtyp(header);
+    }
+
+    // PDF readers accept up to 1 KB of junk before the header. Only a fallback:
+    // images and archives can carry "%PDF-" in their metadata or first entry.
+    if (!type && header.subarray(0, 1024).includes('%PDF-')) {
+      type = 'pdf';
+    }
+
+    return type ? { type, mime: MIME_TYPES[type] } : null;
+  } finally {
+    await fs.close(fd);
+  }
+}
+
+/**
+ * Express middleware rejecting uploads whose content is not one of the
+ * allowed types with 415. Runs after multer; sets `file.detectedType` on
+ * every upload.
+ *
+ * @param {string[]|Object} allowedTypes - Accepted types, e.g. ['pdf'] or IMAGE_TYPES,
+ *   or field name → accepted types when the upload fields differ,
+ *   e.g. { file: ['pdf'], image: ['png', 'jpg'] }
+ * @returns {Function} Express middleware
+ */
+function requireFileType(allowedTypes) {
+  return async (req, res, next) => {
+    const files = Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat();
+    if (req.file) {
+      files.unshift(req.file);
+    }
+
+    try {
+      for (const file of files) {
+        const fieldTypes = Array.isArray(allowedTypes) ? allowedTypes : allowedTypes[file.fieldname] || [];
+        const detected = await detectFileType(file.path);
+        file.detectedType = detected?.type || null;
+
+        if (!detected || !fieldTypes.includes(detected.type)) {
+          await Promise.all(files.map(upload => fs.remove(upload.path).catch(() => {})));
+          return res.status(415).json({
+            error: 'Unsupported file type',
+            message: detected
+              ? `${file.originalname} is a ${detected.type} file (${detected.mime}); expected ${fieldTypes.join(', ')}`
+              : `${file.originalname} is not a recognised file type; expected ${fieldTypes.join(', ')}`,
+            fileName: file.originalname,
+            detectedType: detected?.type || null,
+            allowedTypes: fieldTypes
+          });
+        }
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = {
+  IMAGE_TYPES,
+  OFFICE_TYPES,
+  FONT_TYPES,
+  detectFileType,
+  requireFileType
+};
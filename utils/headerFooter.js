@@ -0,0 +1,173 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { parsePageList } = require('./pageRanges');
+const { loadPdfFile } = require('./pdfRepair');
+const { embedFont, checkGlyphs, parseColor, drawTextAt } = require('./textPlacement');
+
+/**
+ * Header and footer templates
+ *
+ * Six slots (header/footer × left/center/right) take a template each.
+ * Placeholders: {page}, {pages}, {date}, {filename} and {title}.
+ * Even pages can have their own layout: `even` slots override the odd-page
+ * slots, and `mirror` swaps left and right on even pages (book layout).
+ */
+
+const SLOTS = {
+  headerLeft: 'top-left',
+  headerCenter: 'top-center',
+  headerRight: 'top-right',
+  footerLeft: 'bottom-left',
+  footerCenter: 'bottom-center',
+  footerRight: 'bottom-right'
+};
+
+const MIRRORED = {
+  headerLeft: 'headerRight',
+  headerRight: 'headerLeft',
+  footerLeft: 'footerRight',
+  footerRight: 'footerLeft'
+};
+
+const PLACEHOLDER_PATTERN = /\{(page|pages|date|filename|title)\}/g;
+
+function layoutError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function parseNumber(value, name, min, max, fallback) {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || number > max) {
+    throw layoutError(`${name} must be a number between ${min} and ${max}`);
+  }
+  return number;
+}
+
+/**
+ * Formats a date with YYYY, MM and DD tokens
+ */
+function formatDate(date, format) {
+  const values = {
+    YYYY: String(date.getFullYear()),
+    MM: String(date.getMonth() + 1).padStart(2, '0'),
+    DD: String(date.getDate()).padStart(2, '0')
+  };
+  return format.replace(/YYYY|MM|DD/g, token => values[token]);
+}
+
+/**
+ * Reads the slot templates from request fields
+ *
+ * @returns {{ odd: Object, even: Object }} Slot name → template, per page parity
+ */
+function parseLayout(options) {
+  const odd = {};
+  const even = {};
+  for (const slot of Object.keys(SLOTS)) {
+    const evenKey = `even${slot[0].toUpperCase()}${slot.slice(1)}`;
+    for (const [target, key] of [[odd, slot], [even, evenKey]]) {
+      const value = options[key];
+      if (value === undefined || value === null || value === '') {
+        continue;
+      }
+      if (/[\r\n]/.test(value)) {
+        throw layoutError(`${key} must be a single line`);
+      }
+      target[slot] = String(value);
+    }
+  }
+
+  if (Object.keys(odd).length === 0 && Object.keys(even).length === 0) {
+    throw layoutError(`At least one of ${Object.keys(SLOTS).join(', ')} is required`);
+  }
+
+  // Even pages: explicit even slots, else the odd layout (mirrored if asked)
+  const mirror = options.mirror === true || options.mirror === 'true';
+  const evenLayout = {};
+  for (const slot of Object.keys(SLOTS)) {
+    const source = mirror && MIRRORED[slot] ? MIRRORED[slot] : slot;
+    if (odd[source] !== undefined) {
+      evenLayout[slot] = odd[source];
+    }
+  }
+  Object.assign(evenLayout, even);
+
+  return { odd, even: evenLayout };
+}
+
+/**
+ * Adds headers and footers to a PDF
+ *
+ * @param {string} inputPath - Source PDF
+ * @param {string} outputPath - Output PDF
+ * @param {Object} options
+ * @param {string} [options.headerLeft] - Template, likewise headerCenter, headerRight,
+ *   footerLeft, footerCenter and footerRight
+ * @param {string} [options.evenHeaderLeft] - Template for even pages, likewise for the other slots
+ * @param {boolean|string} [options.mirror] - Swap left and right slots on even pages
+ * @param {boolean|string} [options.skipFirst] - Leave the first page blank (e.g. a cover)
+ * @param {string} [options.pages] - Page range (default: all)
+ * @param {string} [options.fileName] - Value of {filename} (default: input file name)
+ * @param {string} [options.dateFormat] - Format of {date} with YYYY, MM, DD (default: YYYY-MM-DD)
+ * @param {string} [options.font] - Standard font or font file name, see embedFont (default: helvetica)
+ * @param {number} [options.fontSize] - Font size (default: 9)
+ * @param {string} [options.color] - Hex color (default: #000000)
+ * @param {number} [options.margin] - Distance from the page edges in points (default: 36)
+ * @returns {Promise<{ outputPath: string, pageCount: number, pages: number[] }>} `pages` lists the pages that got a header or footer
+ */
+async function addHeaderFooter(inputPath, outputPath, options = {}) {
+  const layout = parseLayout(options);
+  const fontSize = parseNumber(options.fontSize, 'fontSize', 4, 72, 9);
+  const margin = parseNumber(options.margin, 'margin', 0, 500, 36);
+  const color = parseColor(options.color || '#000000');
+  const skipFirst = options.skipFirst === true || options.skipFirst === 'true';
+  const dateFormat = options.dateFormat || 'YYYY-MM-DD';
+
+  let pdfDoc;
+  try {
+    ({ pdfDoc } = await loadPdfFile(inputPath));
+  } catch (error) {
+    const loadError = new Error(`PDF could not be read: ${error.message}`);
+    loadError.status = 422;
+    throw loadError;
+  }
+
+  const pageCount = pdfDoc.getPageCount();
+  const font = await embedFont(pdfDoc, options.font || 'helvetica');
+  const selected = [...new Set(parsePageList(options.pages || 'all', pageCount))]
+    .filter(pageNumber => !(skipFirst && pageNumber === 1))
+    .sort((a, b) => a - b);
+
+  const fileName = options.fileName || path.basename(inputPath);
+  const values = {
+    pages: String(pageCount),
+    date: formatDate(new Date(), dateFormat),
+    filename: fileName,
+    title: pdfDoc.getTitle() || path.basename(fileName, path.extname(fileName))
+  };
+
+  for (const pageNumber of selected) {
+    const page = pdfDoc.getPage(pageNumber - 1);
+    const slots = pageNumber % 2 === 0 ? layout.even : layout.odd;
+
+    for (const [slot, template] of Object.entries(slots)) {
+      const text = template.replace(PLACEHOLDER_PATTERN, (match, key) => (
+        key === 'page' ? String(pageNumber) : values[key]
+      ));
+      checkGlyphs(font, text);
+      drawTextAt(page, text, { font, size: fontSize, position: SLOTS[slot], margin, color });
+    }
+  }
+
+  await fs.writeFile(outputPath, await pdfDoc.save());
+  return { outputPath, pageCount, pages: selected };
+}
+
+module.exports = {
+  addHeaderFooter
+};
@@ -2,16 +2,14 @@ const sharp = require('sharp');
 const fs = require('fs-extra');
 const path = require('path');
 const { PDFDocument } = require('pdf-lib');
-const { exec } = require('child_process');
-const { promisify } = require('util');
-
-const execAsync = promisify(exec);
+const { runTool } = require('./toolRunner');
+const { withRepair } = require('./pdfRepair');
 
 // Check if we're on Linux and handle accordingly
 const isLinux = process.platform === 'linux';
 
 /**
- * Converts an image (JPG, PNG) to PDF
+ * Converts an image (JPG, PNG, or anything sharp can read such as WebP) to PDF
  * 
  * @param {string} inputPath - Path to input image file
  * @param {string} outputPath - Path to output PDF file
@@ -31,11 +29,14 @@ async function convertImageToPdf(inputPath, outputPath) {
     const imageBuffer = await fs.readFile(inputPath);
     let imageData;
 
-    // Embed image based on format
-    if (path.extname(inputPath).toLowerCase() === '.png') {
+    // Embed image based on its actual format; pdf-lib only embeds JPG and PNG,
+    // so other formats are re-encoded as PNG first
+    if (metadata.format === 'png') {
       imageData = await pdfDoc.embedPng(imageBuffer);
-    } else {
+    } else if (metadata.format === 'jpeg') {
       imageData = await pdfDoc.embedJpg(imageBuffer);
+    } else {
+      imageData = await pdfDoc.embedPng(await sharp(imageBuffer).png().toBuffer());
     }
 
     // Draw image on page
@@ -57,40 +58,60 @@ async function convertImageToPdf(inputPath, outputPath) {
 }
 
 /**
- * Converts PDF pages to JPG images
+ * Converts PDF pages to JPG (or PNG) images
  * Uses pdftoppm (from poppler-utils) which is Linux-compatible
  * 
  * @param {string} inputPath - Path to input PDF file
  * @param {string} outputDir - Directory to save output images
+ * @param {Object} [options]
+ * @param {string} [options.format] - 'jpg' or 'png' (default: 'jpg')
+ * @param {number} [options.dpi] - Render resolution (default: 150)
+ * @param {number} [options.width] - Render width in pixels, height follows the page shape (overrides dpi)
+ * @param {number} [options.firstPage] - First page to render (1-based, default: first)
+ * @param {number} [options.lastPage] - Last page to render (1-based, default: last)
+ * @param {AbortSignal} [options.signal] - Stops pdftoppm when aborted
  * @returns {Promise<string[]>} Array of paths to converted image files
  */
-async function convertPdfToImages(inputPath, outputDir) {
+async function convertPdfToImages(inputPath, outputDir, options = {}) {
   try {
     await fs.ensureDir(outputDir);
 
+    const { format = 'jpg', dpi = 150, width, firstPage, lastPage, signal } = options;
     const outputPrefix = path.join(outputDir, path.basename(inputPath, '.pdf'));
-    
+    const args = [format === 'png' ? '-png' : '-jpeg'];
+    if (width) {
+      args.push('-scale-to-x', String(width), '-scale-to-y', '-1');
+    } else {
+      args.push('-r', String(dpi));
+    }
+    if (firstPage) {
+      args.push('-f', String(firstPage));
+    }
+    if (lastPage) {
+      args.push('-l', String(lastPage));
+    }
+
     // Use pdftoppm (from poppler-utils) - Linux compatible
-    // This converts PDF to images using system command
-    const command = `pdftoppm -jpeg -r 150 "${inputPath}" "${outputPrefix}"`;
-    
     try {
-      await execAsync(command);
-    } catch (execError) {
+      await withRepair(inputPath, pdfPath => runTool('pdftoppm', [...args, pdfPath, outputPrefix], { signal }).catch((error) => {
+        // Pages past the end of the document are a bad request, not damage to repair
+        if (/wrong page range/i.test(error.stderr || '')) {
+          error.status = 400;
+        }
+        throw error;
+      }), { signal });
+    } catch (toolError) {
       // Check if poppler-utils is installed
-      try {
-        await execAsync('which pdftoppm');
-      } catch (whichError) {
+      if (toolError.notFound) {
         throw new Error('PDF to image conversion requires poppler-utils to be installed on the server. Please install it using: apt-get install poppler-utils (Linux) or brew install poppler (Mac).');
       }
-      // If pdftoppm exists but command failed, throw original error
-      throw new Error(`PDF to image conversion failed: ${execError.message}`);
+      throw toolError;
     }
 
     // Find all generated image files
     const files = await fs.readdir(outputDir);
     const imageFiles = files
-      .filter(file => file.startsWith(path.basename(inputPath, '.pdf')) && (file.endsWith('.jpg') || file.endsWith('.jpeg')))
+      .filter(file => file.startsWith(path.basename(inputPath, '.pdf')) && /\.(jpe?g|png)$/.test(file))
       .map(file => path.join(outputDir, file))
       .sort(); // Sort to maintain page order
 
@@ -100,12 +121,50 @@ async function convertPdfToImages(inputPath, outputDir) {
 
     return imageFiles;
   } catch (error) {
-    throw new Error(`PDF to image conversion failed: ${error.message}`);
+    const failure = new Error(`PDF to image conversion failed: ${error.message}`);
+    failure.status = error.status;
+    throw failure;
+  }
+}
+
+/**
+ * Converts an image to another image format (PNG, JPG, WebP, TIFF)
+ * 
+ * @param {string} inputPath - Path to input image file
+ * @param {string} outputPath - Path to output image file
+ * @param {string} format - Target format: 'png', 'jpg', 'webp' or 'tiff'
+ * @param {Object} [options]
+ * @param {number} [options.quality] - Quality for lossy formats (1-100, default: 90)
+ * @returns {Promise<string>} Path to converted file
+ */
+async function convertImage(inputPath, outputPath, format, options = {}) {
+  try {
+    const { quality = 90 } = options;
+    const image = sharp(inputPath);
+
+    if (format === 'png') {
+      image.png();
+    } else if (format === 'jpg') {
+      // JPG has no alpha channel, flatten transparent areas onto white
+      image.flatten({ background: '#ffffff' }).jpeg({ quality });
+    } else if (format === 'webp') {
+      image.webp({ quality });
+    } else if (format === 'tiff') {
+      image.tiff({ quality });
+    } else {
+      throw new Error(`Unsupported image format: ${format}`);
+    }
+
+    await image.toFile(outputPath);
+    return outputPath;
+  } catch (error) {
+    throw new Error(`Image conversion failed: ${error.message}`);
   }
 }
 
 module.exports = {
   convertImageToPdf,
-  convertPdfToImages
+  convertPdfToImages,
+  convertImage
 };
 
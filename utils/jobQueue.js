@@ -0,0 +1,402 @@
+const fs = require('fs-extra');
+const { v4: uuidv4 } = require('uuid');
+const { validateCallbackUrl, sendWebhook, serializeDelivery } = require('./webhooks');
+
+// Number of async jobs processed at the same time
+const JOB_CONCURRENCY = Math.max(1, parseInt(process.env.JOB_CONCURRENCY) || 2);
+
+// How long finished jobs stay queryable through GET /jobs/:id
+const JOB_RETENTION_MINUTES = parseInt(process.env.JOB_RETENTION_MINUTES) || 60;
+
+const jobs = new Map();
+const pendingJobs = [];
+let runningCount = 0;
+
+// Workspace IDs of sync requests that are still running
+const activeRequests = new Set();
+
+/**
+ * Thrown inside a job task once the job has been cancelled
+ */
+class JobCancelledError extends Error {
+  constructor() {
+    super('Job was cancelled');
+    this.name = 'JobCancelledError';
+  }
+}
+
+/**
+ * Returns the public representation of a job
+ *
+ * @param {Object} job - Internal job record
+ * @returns {Object} Job status object
+ */
+function serializeJob(job) {
+  return {
+    jobId: job.id,
+    type: job.type,
+    status: job.status,
+    progress: job.progress,
+    downloadUrl: job.result?.downloadUrl || null,
+    fileName: job.result?.fileName || null,
+    result: job.result,
+    error: job.error,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    webhook: job.webhook ? serializeDelivery(job.webhook) : undefined
+  };
+}
+
+/**
+ * Adds a job to the queue
+ *
+ * The task receives a context with `signal` (AbortSignal fired on cancel),
+ * `setProgress(percent)` and `throwIfCancelled()`.
+ *
+ * @param {string} type - Operation name (convert, merge, ...)
+ * @param {Function} task - Async function doing the work, resolves to the job result
+ * @param {Object} [options]
+ * @param {string[]} [options.files] - Uploaded files the job still needs (protected from cleanup)
+ * @param {string} [options.ownerId] - API key that submitted the job
+ * @param {string} [options.callbackUrl] - Webhook notified when the job ends
+ * @returns {Object} Internal job record
+ */
+function enqueueJob(type, task, options = {}) {
+  const controller = new AbortController();
+  const job = {
+    id: uuidv4(),
+    type,
+    files: options.files || [],
+    ownerId: options.ownerId || null,
+    callbackUrl: options.callbackUrl || null,
+    webhook: null,
+    status: 'queued',
+    progress: 0,
+    result: null,
+    error: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    task,
+    controller
+  };
+
+  job.context = {
+    id: job.id,
+    signal: controller.signal,
+    setProgress: (percent) => {
+      if (job.status === 'running') {
+        job.progress = Math.max(0, Math.min(100, Math.round(percent)));
+      }
+    },
+    throwIfCancelled: () => {
+      if (controller.signal.aborted) {
+        throw new JobCancelledError();
+      }
+    }
+  };
+
+  jobs.set(job.id, job);
+  pendingJobs.push(job);
+  processQueue();
+
+  return job;
+}
+
+/**
+ * Starts queued jobs while worker slots are free
+ */
+function processQueue() {
+  while (runningCount < JOB_CONCURRENCY && pendingJobs.length > 0) {
+    const job = pendingJobs.shift();
+    runJob(job);
+  }
+}
+
+async function runJob(job) {
+  runningCount++;
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+
+  try {
+    const result = await job.task(job.context);
+    if (job.status === 'running') {
+      job.status = 'completed';
+      job.progress = 100;
+      job.result = result;
+    }
+  } catch (error) {
+    if (job.status === 'running') {
+      job.status = 'failed';
+      job.error = error.message || 'Job failed';
+    }
+    if (!(error instanceof JobCancelledError)) {
+      console.error(`Job ${job.id} (${job.type}) failed:`, error);
+    }
+  } finally {
+    runningCount--;
+    finishJob(job);
+    processQueue();
+  }
+}
+
+function finishJob(job) {
+  job.finishedAt = job.finishedAt || new Date().toISOString();
+  job.task = null;
+
+  if (job.callbackUrl) {
+    job.webhook = sendWebhook(job.callbackUrl, `job.${job.status}`, serializeJob(job));
+  }
+
+  // Forget finished jobs after the retention period
+  setTimeout(() => jobs.delete(job.id), JOB_RETENTION_MINUTES * 60 * 1000).unref();
+}
+
+/**
+ * Looks up a job by ID
+ *
+ * @param {string} id - Job ID
+ * @returns {Object|undefined} Internal job record
+ */
+function getJob(id) {
+  return jobs.get(id);
+}
+
+/**
+ * Lists the uploaded files of all queued and running jobs
+ *
+ * @returns {string[]} File paths
+ */
+function getActiveJobFiles() {
+  const files = [];
+  for (const job of jobs.values()) {
+    if (job.status === 'queued' || job.status === 'running') {
+      files.push(...job.files);
+    }
+  }
+  return files;
+}
+
+/**
+ * Lists the workspace IDs of all queued and running jobs and of sync requests
+ * still in progress, so the cleanup leaves their outputs alone
+ *
+ * @returns {string[]} Workspace IDs
+ */
+function getActiveWorkspaceIds() {
+  const ids = [...activeRequests];
+  for (const job of jobs.values()) {
+    if (job.status === 'queued' || job.status === 'running') {
+      ids.push(job.id);
+    }
+  }
+  return ids;
+}
+
+/**
+ * Cancels a queued or running job
+ *
+ * Queued jobs are dropped immediately. Running jobs get their signal aborted
+ * and are reported as cancelled; their eventual result is discarded.
+ *
+ * @param {string} id - Job ID
+ * @returns {Object|null} Internal job record, or null if the job does not exist
+ */
+function cancelJob(id) {
+  const job = jobs.get(id);
+  if (!job) {
+    return null;
+  }
+
+  if (job.status === 'queued') {
+    pendingJobs.splice(pendingJobs.indexOf(job), 1);
+    job.status = 'cancelled';
+    finishJob(job);
+  } else if (job.status === 'running') {
+    job.status = 'cancelled';
+    job.finishedAt = new Date().toISOString();
+    job.controller.abort();
+  }
+
+  return job;
+}
+
+/**
+ * Checks whether the client asked for async processing (`async=true` in query or body)
+ */
+function wantsAsync(req) {
+  const flag = req.query.async ?? req.body?.async;
+  return flag === true || flag === 'true' || flag === '1';
+}
+
+/**
+ * Collects multer uploads from req.file and req.files (array or field map)
+ */
+function uploadedFiles(req) {
+  const files = Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat();
+  return req.file ? [req.file, ...files] : files;
+}
+
+/**
+ * Sends the completion webhook of a synchronous request once the handler
+ * responds. The payload has the same shape as for async jobs (`jobId` is null).
+ */
+function notifyOnResponse(type, callbackUrl, res) {
+  const createdAt = new Date().toISOString();
+  const json = res.json.bind(res);
+
+  res.json = (body) => {
+    const failed = res.statusCode >= 400;
+    const delivery = sendWebhook(callbackUrl, failed ? 'job.failed' : 'job.completed', serializeJob({
+      id: null,
+      type,
+      status: failed ? 'failed' : 'completed',
+      progress: failed ? 0 : 100,
+      result: failed ? null : body,
+      error: failed ? body?.message || body?.error || `Request failed with status ${res.statusCode}` : null,
+      createdAt,
+      startedAt: createdAt,
+      finishedAt: new Date().toISOString()
+    }));
+    res.setHeader('X-Webhook-Delivery', delivery.id);
+    return json(body);
+  };
+}
+
+/**
+ * Builds a stand-in for the Express response that records what the handler sends
+ */
+function createResponseRecorder(onFinish) {
+  return {
+    statusCode: 200,
+    headersSent: false,
+    headers: {},
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+      return this;
+    },
+    json(body) {
+      this.headersSent = true;
+      onFinish(this.statusCode, body);
+      return this;
+    },
+    send(body) {
+      return this.json(body);
+    }
+  };
+}
+
+/**
+ * Wraps a route handler so it can run either inline (default) or as a queued job.
+ *
+ * In async mode the client gets `202` with a job ID right away, and whatever
+ * the handler would have sent becomes the job result. Handlers can use
+ * `req.job` (null in sync mode) to report progress and check for cancellation,
+ * and create their workspace with `req.workspaceId` (the job ID in async mode).
+ *
+ * Uploads are checked against the API key's limits (`req.quota`) first. An
+ * optional `callbackUrl` (query or body) gets a signed webhook when the
+ * operation ends, in both modes.
+ *
+ * @param {string} type - Operation name recorded on the job
+ * @param {Function} handler - Express handler `(req, res, next)`
+ * @returns {Function} Express handler
+ */
+function jobHandler(type, handler) {
+  return async (req, res, next) => {
+    const rejection = req.quota?.checkUploads(uploadedFiles(req));
+    if (rejection) {
+      await Promise.all(uploadedFiles(req).map(file => fs.remove(file.path).catch(() => {})));
+      res.set(rejection.headers || {});
+      return res.status(rejection.status).json(rejection.body);
+    }
+
+    let callbackUrl = null;
+    const requestedCallback = req.query.callbackUrl ?? req.body?.callbackUrl;
+    if (requestedCallback) {
+      try {
+        callbackUrl = await validateCallbackUrl(requestedCallback);
+      } catch (error) {
+        await Promise.all(uploadedFiles(req).map(file => fs.remove(file.path).catch(() => {})));
+        return res.status(error.status).json({
+          error: 'Invalid callbackUrl',
+          message: error.message
+        });
+      }
+    }
+
+    if (!wantsAsync(req)) {
+      req.job = null;
+      if (callbackUrl) {
+        notifyOnResponse(type, callbackUrl, res);
+      }
+      // In progress until the handler is done and the response has been sent
+      const workspaceId = uuidv4();
+      activeRequests.add(workspaceId);
+      let pending = 2;
+      const release = () => {
+        pending -= 1;
+        if (pending === 0) {
+          activeRequests.delete(workspaceId);
+        }
+      };
+      res.once('close', release);
+      req.workspaceId = workspaceId;
+      return Promise.resolve(handler(req, res, next)).finally(release);
+    }
+
+    const job = enqueueJob(type, (context) => new Promise((resolve, reject) => {
+      const jobReq = Object.create(req);
+      jobReq.job = context;
+      jobReq.workspaceId = context.id;
+
+      const recorder = createResponseRecorder((statusCode, body) => {
+        if (statusCode >= 400) {
+          const message = body?.message || body?.error || `Request failed with status ${statusCode}`;
+          reject(new Error(message));
+        } else {
+          resolve(body);
+        }
+      });
+
+      Promise.resolve(handler(jobReq, recorder, (error) => {
+        reject(error || new Error('Request was not handled'));
+      }))
+        .then(() => {
+          if (!recorder.headersSent) {
+            reject(new Error('Job finished without a result'));
+          }
+        })
+        .catch(reject);
+    }), {
+      files: uploadedFiles(req).map(file => file.path),
+      ownerId: req.apiKey?.id,
+      callbackUrl
+    });
+
+    const statusUrl = `/jobs/${job.id}`;
+    res.status(202).location(statusUrl).json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      statusUrl: statusUrl,
+      message: 'Job accepted for processing'
+    });
+  };
+}
+
+module.exports = {
+  JobCancelledError,
+  enqueueJob,
+  getJob,
+  getActiveJobFiles,
+  getActiveWorkspaceIds,
+  cancelJob,
+  serializeJob,
+  jobHandler
+};
@@ -0,0 +1,126 @@
+/**
+ * Parses the merge request: which uploaded file goes where, with which pages
+ *
+ * `spec` (JSON) is either an array of entries or
+ * `{ files: [...entries], bookmarks, separators, linearize, onError }`. An entry is
+ * `{ file, pages, rotate, position, title }`:
+ * - file: upload index (0-based) or original file name (default: the entry's index)
+ * - pages: page range such as "1-3,5" (default: all)
+ * - rotate: 0, 90, 180 or 270, added to the page rotation
+ * - position: 1-based place in the output (default: order in the spec)
+ * - title: bookmark title (default: file name)
+ * Without a spec every upload is merged in upload order.
+ */
+
+const ON_ERROR_MODES = ['fail', 'skip'];
+
+function specError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function parseFlag(value) {
+  return value === true || value === 'true' || value === '1';
+}
+
+/**
+ * Builds the mergePdfs inputs and options from a request
+ *
+ * @param {Object} body - Request body (`spec`, and optionally `bookmarks`, `separators`, `linearize`, `onError`)
+ * @param {Object[]} files - Multer uploads
+ * @returns {{ inputs: Object[], options: Object, warnings: Object[] }}
+ * @throws {Error} With status 400 if the spec is invalid
+ */
+function parseMergeSpec(body, files) {
+  let spec = body.spec;
+  if (typeof spec === 'string') {
+    try {
+      spec = JSON.parse(spec);
+    } catch (error) {
+      throw specError('spec must be valid JSON');
+    }
+  }
+
+  const settings = spec && !Array.isArray(spec) && typeof spec === 'object' ? spec : {};
+  const entries = Array.isArray(spec) ? spec : settings.files;
+
+  const onError = settings.onError ?? body.onError ?? 'fail';
+  if (!ON_ERROR_MODES.includes(onError)) {
+    throw specError(`onError must be one of ${ON_ERROR_MODES.join(', ')}`);
+  }
+  const options = {
+    bookmarks: parseFlag(settings.bookmarks ?? body.bookmarks),
+    separators: parseFlag(settings.separators ?? body.separators),
+    linearize: parseFlag(settings.linearize ?? body.linearize),
+    onError
+  };
+
+  if (entries === undefined) {
+    return {
+      inputs: files.map(file => ({ path: file.path, name: file.originalname })),
+      options,
+      warnings: []
+    };
+  }
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw specError('spec must list at least one file');
+  }
+
+  const positions = new Set();
+  const used = new Set();
+  const placed = entries.map((entry, index) => {
+    if (!entry || typeof entry !== 'object') {
+      throw specError(`spec entry ${index + 1} must be an object`);
+    }
+
+    const reference = entry.file ?? index;
+    const fileIndex = typeof reference === 'number'
+      ? reference
+      : files.findIndex(file => file.originalname === reference);
+    const file = files[fileIndex];
+    if (!file) {
+      throw specError(`spec entry ${index + 1}: no uploaded file matches ${JSON.stringify(reference)}`);
+    }
+
+    const rotate = entry.rotate === undefined ? 0 : Number(entry.rotate);
+    if (!Number.isInteger(rotate) || rotate % 90 !== 0) {
+      throw specError(`spec entry ${index + 1}: rotate must be a multiple of 90`);
+    }
+
+    const position = entry.position === undefined ? index + 1 : Number(entry.position);
+    if (!Number.isInteger(position) || position < 1) {
+      throw specError(`spec entry ${index + 1}: position must be a positive integer`);
+    }
+    if (positions.has(position)) {
+      throw specError(`spec entry ${index + 1}: position ${position} is used twice`);
+    }
+    positions.add(position);
+    used.add(fileIndex);
+
+    return {
+      position,
+      input: {
+        path: file.path,
+        name: file.originalname,
+        title: entry.title ? String(entry.title) : undefined,
+        pages: entry.pages === undefined ? undefined : String(entry.pages),
+        rotate
+      }
+    };
+  });
+
+  const warnings = files
+    .filter((file, index) => !used.has(index))
+    .map(file => ({ file: file.originalname, message: 'Not referenced in spec, left out' }));
+
+  return {
+    inputs: placed.sort((a, b) => a.position - b.position).map(entry => entry.input),
+    options,
+    warnings
+  };
+}
+
+module.exports = {
+  parseMergeSpec
+};
@@ -0,0 +1,215 @@
+const { PDFDocument, degrees } = require('pdf-lib');
+const fs = require('fs-extra');
+const { parsePageList } = require('./pageRanges');
+const { loadPdfFile } = require('./pdfRepair');
+
+/**
+ * Page-level PDF operations
+ *
+ * Pages are selected with the page range syntax of utils/pageRanges.js
+ * ("1-3,5,8-"). Out-of-range pages are rejected with status 400.
+ */
+
+function pageError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+async function loadPdf(inputPath) {
+  const { pdfDoc } = await loadPdfFile(inputPath);
+  return pdfDoc;
+}
+
+/**
+ * Copies the given pages of a document, in order, into a new document
+ *
+ * @param {Array<{ doc: PDFDocument, index: number }>} pages - 0-based pages to copy
+ */
+async function buildPdf(pages) {
+  const newPdf = await PDFDocument.create();
+  // copyPages once per source document, it duplicates shared resources otherwise
+  const bySource = new Map();
+  pages.forEach(({ doc, index }) => {
+    if (!bySource.has(doc)) {
+      bySource.set(doc, []);
+    }
+    bySource.get(doc).push(index);
+  });
+
+  const copied = new Map();
+  for (const [doc, indices] of bySource) {
+    copied.set(doc, await newPdf.copyPages(doc, indices));
+  }
+  pages.forEach(({ doc }) => newPdf.addPage(copied.get(doc).shift()));
+  return newPdf;
+}
+
+async function savePdf(pdfDoc, outputPath) {
+  const bytes = await pdfDoc.save();
+  await fs.writeFile(outputPath, bytes);
+  return { outputPath, pageCount: pdfDoc.getPageCount() };
+}
+
+function requirePages(pages) {
+  if (pages === undefined || pages === null || String(pages).trim() === '') {
+    throw pageError('pages is required, e.g. "1-3,5"');
+  }
+  return String(pages);
+}
+
+/**
+ * Rotates pages by a multiple of 90 degrees, added to their current rotation
+ *
+ * @param {string} inputPath - Source PDF
+ * @param {string} outputPath - Output PDF
+ * @param {Object} options
+ * @param {string} [options.pages] - Pages to rotate (default: all)
+ * @param {number} options.angle - 90, 180, 270 or negative equivalents
+ * @returns {Promise<{ outputPath: string, pageCount: number, pages: number[] }>}
+ */
+async function rotatePages(inputPath, outputPath, { pages = 'all', angle }) {
+  const rotation = Number(angle);
+  if (!Number.isInteger(rotation) || rotation % 90 !== 0 || rotation === 0) {
+    throw pageError('angle must be a non-zero multiple of 90');
+  }
+
+  const pdfDoc = await loadPdf(inputPath);
+  const selected = [...new Set(parsePageList(pages, pdfDoc.getPageCount()))];
+  selected.forEach((pageNumber) => {
+    const page = pdfDoc.getPage(pageNumber - 1);
+    page.setRotation(degrees((((page.getRotation().angle + rotation) % 360) + 360) % 360));
+  });
+
+  return { ...(await savePdf(pdfDoc, outputPath)), pages: selected };
+}
+
+/**
+ * Removes pages
+ *
+ * @param {Object} options
+ * @param {string} options.pages - Pages to delete
+ * @returns {Promise<{ outputPath: string, pageCount: number, pages: number[] }>}
+ */
+async function deletePages(inputPath, outputPath, { pages }) {
+  const pdfDoc = await loadPdf(inputPath);
+  const removed = new Set(parsePageList(requirePages(pages), pdfDoc.getPageCount()));
+  if (removed.size === pdfDoc.getPageCount()) {
+    throw pageError('Cannot delete every page of the document');
+  }
+
+  const kept = pdfDoc.getPageIndices()
+    .filter(index => !removed.has(index + 1))
+    .map(index => ({ doc: pdfDoc, index }));
+  const newPdf = await buildPdf(kept);
+
+  return { ...(await savePdf(newPdf, outputPath)), pages: [...removed].sort((a, b) => a - b) };
+}
+
+/**
+ * Copies pages into a new document, in the given order
+ *
+ * @param {Object} options
+ * @param {string} options.pages - Pages to extract, e.g. "5-9"
+ * @returns {Promise<{ outputPath: string, pageCount: number, pages: number[] }>}
+ */
+async function extractPages(inputPath, outputPath, { pages }) {
+  const pdfDoc = await loadPdf(inputPath);
+  const selected = parsePageList(requirePages(pages), pdfDoc.getPageCount());
+  const newPdf = await buildPdf(selected.map(pageNumber => ({ doc: pdfDoc, index: pageNumber - 1 })));
+
+  return { ...(await savePdf(newPdf, outputPath)), pages: selected };
+}
+
+/**
+ * Inserts pages of a second PDF
+ *
+ * @param {string} inputPath - PDF to insert into
+ * @param {string} sourcePath - PDF the pages come from
+ * @param {string} outputPath - Output PDF
+ * @param {Object} options
+ * @param {number} [options.position] - 1-based page number the inserted pages start at
+ *   (default: pageCount + 1, i.e. append)
+ * @param {string} [options.pages] - Pages of the source PDF (default: all)
+ * @returns {Promise<{ outputPath: string, pageCount: number, pages: number[] }>}
+ *   `pages` are the page numbers of the inserted pages in the output
+ */
+async function insertPages(inputPath, sourcePath, outputPath, { position, pages = 'all' }) {
+  const pdfDoc = await loadPdf(inputPath);
+  const sourceDoc = await loadPdf(sourcePath);
+  const pageCount = pdfDoc.getPageCount();
+
+  const at = position === undefined || position === '' ? pageCount + 1 : Number(position);
+  if (!Number.isInteger(at) || at < 1 || at > pageCount + 1) {
+    throw pageError(`position must be between 1 and ${pageCount + 1} (the document has ${pageCount} page(s))`);
+  }
+
+  const inserted = parsePageList(pages, sourceDoc.getPageCount())
+    .map(pageNumber => ({ doc: sourceDoc, index: pageNumber - 1 }));
+  const original = pdfDoc.getPageIndices().map(index => ({ doc: pdfDoc, index }));
+  const newPdf = await buildPdf([
+    ...original.slice(0, at - 1),
+    ...inserted,
+    ...original.slice(at - 1)
+  ]);
+
+  return {
+    ...(await savePdf(newPdf, outputPath)),
+    pages: inserted.map((_, i) => at + i)
+  };
+}
+
+/**
+ * Duplicates pages; the copies follow the original page
+ *
+ * @param {Object} options
+ * @param {string} options.pages - Pages to duplicate
+ * @param {number} [options.copies] - Copies per page, 1-100 (default: 1)
+ * @returns {Promise<{ outputPath: string, pageCount: number, pages: number[] }>}
+ */
+async function duplicatePages(inputPath, outputPath, { pages, copies = 1 }) {
+  const count = Number(copies);
+  if (!Number.isInteger(count) || count < 1 || count > 100) {
+    throw pageError('copies must be an integer between 1 and 100');
+  }
+
+  const pdfDoc = await loadPdf(inputPath);
+  const selected = new Set(parsePageList(requirePages(pages), pdfDoc.getPageCount()));
+  const newPdf = await buildPdf(pdfDoc.getPageIndices().flatMap(index => (
+    Array(selected.has(index + 1) ? count + 1 : 1).fill({ doc: pdfDoc, index })
+  )));
+
+  return { ...(await savePdf(newPdf, outputPath)), pages: [...selected].sort((a, b) => a - b) };
+}
+
+/**
+ * Puts pages in a new order
+ *
+ * @param {Object} options
+ * @param {number[]} options.pageOrder - 1-based page numbers; pages may be left out or repeated
+ * @returns {Promise<{ outputPath: string, pageCount: number, pages: number[] }>}
+ */
+async function reorderPages(inputPath, outputPath, { pageOrder }) {
+  if (!Array.isArray(pageOrder) || pageOrder.length === 0) {
+    throw pageError('Page order array is required');
+  }
+
+  const pdfDoc = await loadPdf(inputPath);
+  const pageCount = pdfDoc.getPageCount();
+  const invalid = pageOrder.filter(page => !Number.isInteger(page) || page < 1 || page > pageCount);
+  if (invalid.length > 0) {
+    throw pageError(`Invalid page number(s) ${invalid.map(page => JSON.stringify(page)).join(', ')}: the document has ${pageCount} page(s)`);
+  }
+
+  const newPdf = await buildPdf(pageOrder.map(pageNumber => ({ doc: pdfDoc, index: pageNumber - 1 })));
+  return { ...(await savePdf(newPdf, outputPath)), pages: pageOrder };
+}
+
+module.exports = {
+  rotatePages,
+  deletePages,
+  extractPages,
+  insertPages,
+  duplicatePages,
+  reorderPages
+};
@@ -0,0 +1,77 @@
+/**
+ * Page range parsing
+ *
+ * Syntax (1-based, comma separated): "5", "1-3", "11-" (to the last page),
+ * "-3" (from the first page) and "all".
+ */
+
+function rangeError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Parses a page range expression into ranges
+ *
+ * @param {string} spec - Range expression, e.g. "1-3,4-10,11-"
+ * @param {number} pageCount - Number of pages in the document
+ * @returns {{ start: number, end: number }[]} 1-based inclusive ranges, in the given order
+ * @throws {Error} With status 400 if the expression is invalid or out of bounds
+ */
+function parsePageRanges(spec, pageCount) {
+  const text = String(spec ?? '').trim();
+  if (!text) {
+    throw rangeError('Page range is empty');
+  }
+  if (text.toLowerCase() === 'all') {
+    return [{ start: 1, end: pageCount }];
+  }
+
+  return text.split(',').map((part) => {
+    const item = part.trim();
+    const match = item.match(/^(\d*)\s*-\s*(\d*)$|^(\d+)$/);
+    if (!match || (match[1] === '' && match[2] === '')) {
+      throw rangeError(`Invalid page range "${item}". Use e.g. "1-3,5,8-"`);
+    }
+
+    const start = match[3] ? parseInt(match[3]) : (match[1] ? parseInt(match[1]) : 1);
+    const end = match[3] ? start : (match[2] ? parseInt(match[2]) : pageCount);
+
+    if (start < 1 || end < 1) {
+      throw rangeError(`Invalid page range "${item}": pages start at 1`);
+    }
+    if (start > end) {
+      throw rangeError(`Invalid page range "${item}": start is after end`);
+    }
+    if (end > pageCount) {
+      throw rangeError(`Invalid page range "${item}": the document has ${pageCount} page(s)`);
+    }
+    return { start, end };
+  });
+}
+
+/**
+ * Parses a page range expression into a list of page numbers
+ *
+ * @param {string} spec - Range expression, e.g. "1-3,5"
+ * @param {number} pageCount - Number of pages in the document
+ * @returns {number[]} 1-based page numbers, in the given order (duplicates kept)
+ */
+function parsePageList(spec, pageCount) {
+  return parsePageRanges(spec, pageCount)
+    .flatMap(({ start, end }) => Array.from({ length: end - start + 1 }, (_, i) => start + i));
+}
+
+/**
+ * Formats a range for file names and reports, e.g. "4-10" or "7"
+ */
+function formatPageRange({ start, end }) {
+  return start === end ? String(start) : `${start}-${end}`;
+}
+
+module.exports = {
+  parsePageRanges,
+  parsePageList,
+  formatPageRange
+};
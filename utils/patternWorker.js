@@ -0,0 +1,147 @@
+const { Worker, isMainThread, parentPort } = require('worker_threads');
+
+/**
+ * Runs user supplied regular expressions in a worker thread
+ *
+ * A pattern with catastrophic backtracking (e.g. "(a|a)+$") can take
+ * minutes on a short text. In a worker it only blocks the worker, which is
+ * terminated when a search takes longer than the time limit.
+ */
+
+// Time limit for one search of one text
+const PATTERN_TIMEOUT_MS = parseInt(process.env.PATTERN_TIMEOUT_MS) || 2000;
+
+if (!isMainThread) {
+  const compiled = new Map();
+  parentPort.on('message', ({ id, source, flags, text }) => {
+    try {
+      const key = `${flags}/${source}`;
+      if (!compiled.has(key)) {
+        compiled.set(key, new RegExp(source, flags));
+      }
+      const regex = compiled.get(key);
+      regex.lastIndex = 0;
+      const ranges = [];
+      let match;
+      while ((match = regex.exec(text)) !== null) {
+        if (match[0].length === 0) {
+          regex.lastIndex++;
+        } else {
+          ranges.push([match.index, match.index + match[0].length]);
+        }
+      }
+      parentPort.postMessage({ id, ranges });
+    } catch (error) {
+      parentPort.postMessage({ id, error: error.message });
+    }
+  });
+}
+
+/**
+ * Error raised when a pattern exceeds the time limit
+ */
+class PatternTimeoutError extends Error {
+  constructor(source) {
+    super(`Pattern ${JSON.stringify(source)} took longer than ${PATTERN_TIMEOUT_MS} ms to match and was stopped. Avoid nested quantifiers such as (a+)+`);
+    this.name = 'PatternTimeoutError';
+    this.status = 400;
+  }
+}
+
+function cancelledError() {
+  const error = new Error('Pattern search was cancelled');
+  error.cancelled = true;
+  return error;
+}
+
+/**
+ * A worker that searches texts one at a time; create one per operation and
+ * close it when done
+ */
+class PatternWorker {
+  /**
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Stops a running search when aborted
+   */
+  constructor(options = {}) {
+    this.worker = null;
+    this.nextId = 0;
+    this.signal = options.signal;
+  }
+
+  start() {
+    if (!this.worker) {
+      this.worker = new Worker(__filename);
+      this.worker.unref();
+    }
+    return this.worker;
+  }
+
+  /**
+   * Finds all non-empty matches of a regular expression
+   *
+   * @param {RegExp} regex - Pattern with the g flag
+   * @param {string} text - Text to search
+   * @returns {Promise<number[][]>} [start, end] of each match
+   * @throws {PatternTimeoutError} With status 400 if the search takes too long
+   */
+  findAll(regex, text) {
+    if (this.signal?.aborted) {
+      return Promise.reject(cancelledError());
+    }
+    const worker = this.start();
+    const id = this.nextId++;
+
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      const finish = () => {
+        clearTimeout(timer);
+        worker.off('message', onMessage);
+        worker.off('error', onError);
+        this.signal?.removeEventListener('abort', onAbort);
+      };
+      // The search cannot be interrupted, only the whole thread
+      const stop = (error) => {
+        finish();
+        this.worker = null;
+        worker.terminate().catch(() => {});
+        reject(error);
+      };
+      const onMessage = (message) => {
+        if (message.id !== id) {
+          return;
+        }
+        finish();
+        if (message.error) {
+          reject(new Error(message.error));
+        } else {
+          resolve(message.ranges);
+        }
+      };
+      const onError = (error) => {
+        finish();
+        this.worker = null;
+        reject(error);
+      };
+      const onAbort = () => stop(cancelledError());
+      timer = setTimeout(() => stop(new PatternTimeoutError(regex.source)), PATTERN_TIMEOUT_MS);
+
+      worker.on('message', onMessage);
+      worker.on('error', onError);
+      this.signal?.addEventListener('abort', onAbort);
+      worker.postMessage({ id, source: regex.source, flags: regex.flags, text });
+    });
+  }
+
+  close() {
+    const { worker } = this;
+    this.worker = null;
+    return worker ? worker.terminate().then(() => {}, () => {}) : Promise.resolve();
+  }
+}
+
+module.exports = {
+  PATTERN_TIMEOUT_MS,
+  PatternTimeoutError,
+  PatternWorker
+};
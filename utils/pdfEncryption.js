@@ -0,0 +1,286 @@
+const { PDFDict } = require('pdf-lib');
+const { runTool } = require('./toolRunner');
+const { loadPdfFile } = require('./pdfRepair');
+const { lookupAs, nameOf, numberOf } = require('./pdfObjects');
+
+/**
+ * PDF encryption with qpdf
+ *
+ * Files are protected with AES-256 (PDF 2.0 / Acrobat X, security handler
+ * revision 6). The user password is needed to open the file; the owner
+ * password lifts the permission restrictions. An empty user password gives
+ * a file that opens without a password but keeps its restrictions.
+ *
+ * Permissions are honoured by well-behaved viewers only; they are not a
+ * substitute for a user password.
+ */
+
+// Permission flags accepted by protectPdf, as request fields
+const PERMISSION_FIELDS = {
+  print: 'allowPrint',
+  copy: 'allowCopy',
+  modify: 'allowModify',
+  annotate: 'allowAnnotate',
+  fillForms: 'allowFillForms'
+};
+
+const PRINT_LEVELS = ['full', 'low', 'none'];
+
+function encryptionError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Reads the encryption dictionary
+ *
+ * Permission bits are from the /P entry (PDF 32000-1, table 22). Revision 2
+ * handlers only define print, modify, copy and annotate; the other flags
+ * follow them.
+ *
+ * @param {PDFDocument} pdfDoc - pdf-lib document, loaded with ignoreEncryption
+ * @returns {{ encrypted: boolean, method: string|null, keyLength: number|null, permissions: Object|null }}
+ */
+function readEncryption(pdfDoc) {
+  const encrypt = pdfDoc.context.lookup(pdfDoc.context.trailerInfo.Encrypt);
+  if (!(encrypt instanceof PDFDict)) {
+    return { encrypted: false, method: null, keyLength: null, permissions: null };
+  }
+
+  const version = numberOf(encrypt, 'V') || 0;
+  const revision = numberOf(encrypt, 'R') || 0;
+  const filter = nameOf(encrypt, 'Filter');
+
+  let method = 'RC4';
+  let keyLength = version === 1 ? 40 : numberOf(encrypt, 'Length') || 40;
+  if (version >= 5) {
+    method = 'AES';
+    keyLength = 256;
+  } else if (version === 4) {
+    const cryptFilters = lookupAs(encrypt, 'CF', PDFDict);
+    const streamFilter = nameOf(encrypt, 'StmF');
+    const cryptFilter = streamFilter ? lookupAs(cryptFilters, streamFilter, PDFDict) : undefined;
+    method = nameOf(cryptFilter, 'CFM') === 'AESV2' ? 'AES' : 'RC4';
+    keyLength = 128;
+  }
+  if (filter && filter !== 'Standard') {
+    method = `${filter} (${method})`;
+  }
+
+  const p = numberOf(encrypt, 'P') | 0;
+  const bit = position => (p & (1 << (position - 1))) !== 0;
+  const permissions = {
+    print: bit(3),
+    modify: bit(4),
+    copy: bit(5),
+    annotate: bit(6),
+    fillForms: revision >= 3 ? bit(9) : bit(6),
+    extractForAccessibility: revision >= 3 ? bit(10) : bit(5),
+    assemble: revision >= 3 ? bit(11) : bit(4),
+    printHighQuality: revision >= 3 ? bit(12) : bit(3)
+  };
+
+  return { encrypted: true, method, keyLength, permissions };
+}
+
+/**
+ * Reads the encryption dictionary of a PDF file
+ *
+ * @param {string} inputPath - PDF file
+ * @returns {Promise<Object>} See readEncryption
+ */
+async function readEncryptionFile(inputPath) {
+  let pdfDoc;
+  try {
+    ({ pdfDoc } = await loadPdfFile(inputPath, { ignoreEncryption: true, updateMetadata: false }));
+  } catch (error) {
+    throw encryptionError(`PDF could not be read: ${error.message}`, 422);
+  }
+  return readEncryption(pdfDoc);
+}
+
+function parseAllowed(value, name) {
+  if (value === undefined || value === null || value === '' || value === true || value === 'true') {
+    return true;
+  }
+  if (value === false || value === 'false') {
+    return false;
+  }
+  throw encryptionError(`${name} must be true or false`);
+}
+
+/**
+ * Reads the permission flags of a request
+ *
+ * Everything is allowed unless switched off. allowPrint also takes a level:
+ * full, low (degraded, e.g. no high-resolution printing) or none.
+ *
+ * @param {Object} options - allowPrint, allowCopy, allowModify, allowAnnotate, allowFillForms
+ * @returns {{ print: string, copy: boolean, modify: boolean, annotate: boolean, fillForms: boolean }}
+ */
+function parsePermissions(options = {}) {
+  const permissions = {};
+  for (const [permission, field] of Object.entries(PERMISSION_FIELDS)) {
+    if (permission === 'print') {
+      const value = options[field];
+      if (PRINT_LEVELS.includes(value)) {
+        permissions.print = value;
+      } else {
+        permissions.print = parseAllowed(value, field) ? 'full' : 'none';
+      }
+    } else {
+      permissions[permission] = parseAllowed(options[field], field);
+    }
+  }
+  return permissions;
+}
+
+/**
+ * Encrypts a PDF with AES-256
+ *
+ * @param {string} inputPath - Source PDF (must not be encrypted)
+ * @param {string} outputPath - Output PDF
+ * @param {Object} options
+ * @param {string} [options.userPassword] - Password to open the file (empty: opens without one)
+ * @param {string} [options.password] - Same as userPassword, for older clients
+ * @param {string} [options.ownerPassword] - Password that lifts the restrictions (default: the user password)
+ * @param {string} [options.allowPrint] - true/false, or full, low or none (default: full)
+ * @param {boolean|string} [options.allowCopy] - Copy text and images (default: true)
+ * @param {boolean|string} [options.allowModify] - Edit and assemble pages (default: true)
+ * @param {boolean|string} [options.allowAnnotate] - Add comments; also allows form filling (default: true)
+ * @param {boolean|string} [options.allowFillForms] - Fill form fields (default: true)
+ * @param {AbortSignal} [options.signal] - Cancels qpdf (e.g. job cancellation)
+ * @returns {Promise<{ outputPath: string, encryption: Object, warnings: string[] }>}
+ */
+async function protectPdf(inputPath, outputPath, options = {}) {
+  const userPassword = String(options.userPassword ?? options.password ?? '');
+  const ownerPassword = String(options.ownerPassword || userPassword);
+  if (!ownerPassword) {
+    throw encryptionError('A user password, an owner password or both are required');
+  }
+  const permissions = parsePermissions(options);
+  const restricted = permissions.print !== 'full' || !permissions.copy || !permissions.modify ||
+    !permissions.annotate || !permissions.fillForms;
+
+  const warnings = [];
+  if (!userPassword && !restricted) {
+    warnings.push('No user password and no restrictions: the file opens without a password and allows everything');
+  }
+  if (userPassword && ownerPassword === userPassword && restricted) {
+    warnings.push('The owner password is the user password, so anyone who can open the file can lift the restrictions');
+  }
+  if (permissions.annotate && !permissions.fillForms) {
+    warnings.push('allowFillForms=false has no effect while allowAnnotate is true, since the annotate permission includes form filling');
+  }
+
+  if ((await readEncryptionFile(inputPath)).encrypted) {
+    throw encryptionError('The PDF is already encrypted. Remove the password with /pdf/unlock first');
+  }
+
+  const yesNo = allowed => (allowed ? 'y' : 'n');
+  try {
+    // qpdf exits with 3 when it succeeded with warnings
+    await runTool('qpdf', [
+      '--encrypt', userPassword, ownerPassword, '256',
+      `--print=${permissions.print}`,
+      `--extract=${yesNo(permissions.copy)}`,
+      `--modify-other=${yesNo(permissions.modify)}`,
+      `--assemble=${yesNo(permissions.modify)}`,
+      `--annotate=${yesNo(permissions.annotate)}`,
+      `--form=${yesNo(permissions.fillForms)}`,
+      '--',
+      inputPath,
+      outputPath
+    ], { allowedExitCodes: [0, 3], signal: options.signal });
+  } catch (error) {
+    if (error.cancelled) {
+      throw error;
+    }
+    if (error.notFound) {
+      throw new Error('PDF encryption requires qpdf to be installed on the server.');
+    }
+    throw encryptionError(`PDF encryption failed: ${error.message}`, 422);
+  }
+
+  return {
+    outputPath,
+    encryption: {
+      method: 'AES',
+      keyLength: 256,
+      userPassword: Boolean(userPassword),
+      ownerPassword: ownerPassword !== userPassword,
+      permissions
+    },
+    warnings
+  };
+}
+
+/**
+ * Writes a decrypted copy of a PDF
+ *
+ * Errors carry `passwordRequired` when the password was wrong or missing,
+ * and `notFound` when qpdf is not installed.
+ *
+ * @param {string} inputPath - Encrypted PDF
+ * @param {string} outputPath - Output PDF
+ * @param {string} [password] - User or owner password (default: empty, which opens files
+ *   that only have an owner password)
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels qpdf
+ * @returns {Promise<string>} outputPath
+ */
+async function decryptPdf(inputPath, outputPath, password = '', options = {}) {
+  try {
+    // qpdf exits with 3 when it succeeded with warnings
+    await runTool('qpdf', [`--password=${password}`, '--decrypt', inputPath, outputPath], {
+      allowedExitCodes: [0, 3],
+      signal: options.signal
+    });
+  } catch (error) {
+    if (error.cancelled || error.notFound) {
+      throw error;
+    }
+    if (/invalid password/i.test(error.stderr)) {
+      const passwordError = encryptionError(password ? 'Incorrect password' : 'A password is required to open this file');
+      passwordError.passwordRequired = true;
+      throw passwordError;
+    }
+    throw encryptionError(`PDF decryption failed: ${error.message}`, 422);
+  }
+  return outputPath;
+}
+
+/**
+ * Removes the password and restrictions of a PDF
+ *
+ * @param {string} inputPath - Encrypted PDF
+ * @param {string} outputPath - Output PDF
+ * @param {string} password - User or owner password
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels qpdf
+ * @returns {Promise<{ outputPath: string, encryption: Object }>} `encryption` describes the
+ *   input file, see readEncryption
+ */
+async function unlockPdf(inputPath, outputPath, password, options = {}) {
+  const encryption = await readEncryptionFile(inputPath);
+  try {
+    await decryptPdf(inputPath, outputPath, password, options);
+  } catch (error) {
+    if (error.notFound) {
+      throw new Error('PDF decryption requires qpdf to be installed on the server.');
+    }
+    throw error;
+  }
+  return { outputPath, encryption };
+}
+
+module.exports = {
+  PERMISSION_FIELDS,
+  readEncryption,
+  readEncryptionFile,
+  parsePermissions,
+  protectPdf,
+  decryptPdf,
+  unlockPdf
+};
@@ -0,0 +1,516 @@
+const {
+  PDFName,
+  PDFDict,
+  PDFArray,
+  PDFNumber,
+  PDFRawStream,
+  StandardFontEmbedder,
+  StandardFonts
+} = require('pdf-lib');
+const { decodeStream, parseOperations } = require('./contentStream');
+const { lookupAs, numberOf } = require('./pdfObjects');
+
+/**
+ * Font decoding for text extraction
+ *
+ * Splits shown strings into glyphs and gives each its Unicode text and
+ * advance width. Text comes from the font's ToUnicode CMap where there is
+ * one, otherwise from its encoding and glyph names. Widths are in text
+ * space units for a font size of 1.
+ */
+
+// Glyph names with no single Unicode character, as their letters
+const LIGATURES = { ff: 'ff', fi: 'fi', fl: 'fl', ffi: 'ffi', ffl: 'ffl', IJ: 'IJ', ij: 'ij' };
+
+// Default vertical extent of glyphs when the font does not say
+const DEFAULT_ASCENT = 0.8;
+const DEFAULT_DESCENT = -0.2;
+
+// Ranges larger than this in a ToUnicode CMap are looked up, not expanded
+const MAX_EXPANDED_RANGE = 256;
+
+let glyphNames = null;
+let winAnsiCodes = null;
+
+/**
+ * Builds the glyph name → Unicode table from pdf-lib's standard encodings
+ */
+function loadGlyphNames() {
+  if (!glyphNames) {
+    glyphNames = new Map();
+    winAnsiCodes = new Map();
+    for (const font of [StandardFonts.Helvetica, StandardFonts.Symbol, StandardFonts.ZapfDingbats]) {
+      const { unicodeMappings } = StandardFontEmbedder.for(font).encoding;
+      for (const [codePoint, [code, name]] of Object.entries(unicodeMappings)) {
+        // Some names have several code points (space, hyphen); the lowest is the usual one
+        if (!glyphNames.has(name)) {
+          glyphNames.set(name, String.fromCodePoint(Number(codePoint)));
+        }
+        if (font === StandardFonts.Helvetica) {
+          winAnsiCodes.set(code, name);
+        }
+      }
+    }
+  }
+  return glyphNames;
+}
+
+/**
+ * Unicode text of a glyph name (standard names, uniXXXX, uXXXX[XX], a_b ligatures)
+ *
+ * @returns {string|null}
+ */
+function glyphNameToText(name) {
+  const names = loadGlyphNames();
+  if (names.has(name)) {
+    return names.get(name);
+  }
+  if (LIGATURES[name]) {
+    return LIGATURES[name];
+  }
+  let match = /^uni((?:[0-9A-F]{4})+)$/.exec(name);
+  if (match) {
+    return String.fromCharCode(...match[1].match(/.{4}/g).map(hex => parseInt(hex, 16)));
+  }
+  match = /^u([0-9A-F]{4,6})$/.exec(name);
+  if (match && parseInt(match[1], 16) <= 0x10ffff) {
+    return String.fromCodePoint(parseInt(match[1], 16));
+  }
+  // Variants (a.sc, one.oldstyle) and ligatures (f_f_i)
+  const base = name.split('.')[0];
+  if (base && base !== name) {
+    return glyphNameToText(base);
+  }
+  if (name.includes('_')) {
+    const parts = name.split('_').map(glyphNameToText);
+    return parts.every(part => part !== null) ? parts.join('') : null;
+  }
+  return null;
+}
+
+/**
+ * Base encoding of a simple font, as code → glyph name
+ *
+ * StandardEncoding is approximated by WinAnsi, which agrees with it for
+ * letters, digits and most punctuation. MacRoman codes above 127 are read
+ * with the platform decoder.
+ */
+function baseEncoding(name, standardFont) {
+  loadGlyphNames();
+  if (!name && (standardFont === StandardFonts.Symbol || standardFont === StandardFonts.ZapfDingbats)) {
+    const codes = new Map();
+    for (const [, [code, glyphName]] of Object.entries(StandardFontEmbedder.for(standardFont).encoding.unicodeMappings)) {
+      codes.set(code, glyphName);
+    }
+    return codes;
+  }
+  const codes = new Map(winAnsiCodes);
+  if (name === 'MacRomanEncoding') {
+    const decoder = new TextDecoder('macintosh');
+    for (let code = 128; code < 256; code++) {
+      codes.set(code, { text: decoder.decode(Uint8Array.of(code)) });
+    }
+  } else if (name !== 'WinAnsiEncoding') {
+    codes.set(0x27, 'quoteright');
+    codes.set(0x60, 'quoteleft');
+  }
+  return codes;
+}
+
+/**
+ * Maps a BaseFont name to one of the standard 14 fonts (also their common
+ * Windows names, e.g. ArialMT or TimesNewRomanPS-BoldMT)
+ *
+ * @returns {string|null} StandardFonts value
+ */
+function standardFontFor(baseFont) {
+  const name = (baseFont || '').replace(/^[A-Z]{6}\+/, '');
+  if (/^symbol/i.test(name)) {
+    return StandardFonts.Symbol;
+  }
+  if (/^zapfdingbats/i.test(name)) {
+    return StandardFonts.ZapfDingbats;
+  }
+  const bold = /bold|black|heavy/i.test(name);
+  const italic = /italic|oblique/i.test(name);
+  if (/^(helvetica|arial)/i.test(name)) {
+    return StandardFonts[`Helvetica${bold ? 'Bold' : ''}${italic ? 'Oblique' : ''}`];
+  }
+  if (/^times/i.test(name)) {
+    return bold || italic ? StandardFonts[`Times${bold ? 'Bold' : ''}${italic ? 'Italic' : ''}`] : StandardFonts.TimesRoman;
+  }
+  if (/^courier/i.test(name)) {
+    return StandardFonts[`Courier${bold ? 'Bold' : ''}${italic ? 'Oblique' : ''}`];
+  }
+  return null;
+}
+
+function bytesToNumber(bytes) {
+  let value = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    value = value * 256 + bytes.charCodeAt(i);
+  }
+  return value;
+}
+
+function decodeUtf16(bytes) {
+  if (bytes.length % 2 !== 0) {
+    return bytes;
+  }
+  return Buffer.from(bytes, 'latin1').swap16().toString('utf16le');
+}
+
+/**
+ * Parsed CMap: code space ranges, code → Unicode (ToUnicode) and
+ * code → CID (embedded encodings)
+ */
+class CMap {
+  constructor(content) {
+    this.codespaces = [];
+    this.unicode = new Map();
+    this.unicodeRanges = [];
+    this.cids = new Map();
+    this.cidRanges = [];
+
+    for (const { operator, operands } of parseOperations(content)) {
+      const values = operands.filter(operand => ['string', 'array', 'number', 'name'].includes(operand.type));
+      switch (operator) {
+        case 'endcodespacerange':
+          for (let i = 0; i + 1 < values.length; i += 2) {
+            this.codespaces.push({ low: values[i].value, high: values[i + 1].value });
+          }
+          break;
+        case 'endbfchar':
+          for (let i = 0; i + 1 < values.length; i += 2) {
+            const target = values[i + 1];
+            const text = target.type === 'name' ? glyphNameToText(target.value) : decodeUtf16(target.value || '');
+            if (typeof values[i].value === 'string' && text !== null) {
+              this.unicode.set(values[i].value, text);
+            }
+          }
+          break;
+        case 'endbfrange':
+          for (let i = 0; i + 2 < values.length; i += 3) {
+            this.addUnicodeRange(values[i].value, values[i + 1].value, values[i + 2]);
+          }
+          break;
+        case 'endcidchar':
+          for (let i = 0; i + 1 < values.length; i += 2) {
+            this.cids.set(values[i].value, values[i + 1].value);
+          }
+          break;
+        case 'endcidrange':
+          for (let i = 0; i + 2 < values.length; i += 3) {
+            const [low, high, cid] = [values[i].value, values[i + 1].value, values[i + 2].value];
+            if (typeof low === 'string' && typeof high === 'string' && typeof cid === 'number') {
+              this.cidRanges.push({ length: low.length, low: bytesToNumber(low), high: bytesToNumber(high), cid });
+            }
+          }
+          break;
+        default:
+          break;
+      }
+    }
+  }
+
+  addUnicodeRange(low, high, target) {
+    if (typeof low !== 'string' || typeof high !== 'string' || low.length !== high.length) {
+      return;
+    }
+    const start = bytesToNumber(low);
+    const end = bytesToNumber(high);
+    if (end < start) {
+      return;
+    }
+    if (target.type === 'array') {
+      target.items.slice(0, end - start + 1).forEach((item, offset) => {
+        if (item.type === 'string') {
+          this.unicode.set(this.codeBytes(start + offset, low.length), decodeUtf16(item.value));
+        }
+      });
+    } else if (target.type === 'string') {
+      const range = { length: low.length, low: start, high: end, base: decodeUtf16(target.value) };
+      if (end - start < MAX_EXPANDED_RANGE) {
+        for (let code = start; code <= end; code++) {
+          this.unicode.set(this.codeBytes(code, low.length), this.rangeText(range, code));
+        }
+      } else {
+        this.unicodeRanges.push(range);
+      }
+    }
+  }
+
+  codeBytes(code, length) {
+    let bytes = '';
+    for (let i = length - 1; i >= 0; i--) {
+      bytes += String.fromCharCode(Math.floor(code / 256 ** i) % 256);
+    }
+    return bytes;
+  }
+
+  // The last character of the range's destination is incremented
+  rangeText(range, code) {
+    const { base } = range;
+    if (!base) {
+      return '';
+    }
+    return base.slice(0, -1) + String.fromCharCode(base.charCodeAt(base.length - 1) + code - range.low);
+  }
+
+  /**
+   * Length of the code that starts at `offset`, from the code space ranges
+   *
+   * @returns {number|null} null when the CMap has no code space ranges
+   */
+  codeLength(bytes, offset) {
+    if (this.codespaces.length === 0) {
+      return null;
+    }
+    for (const { low, high } of this.codespaces) {
+      const candidate = bytes.slice(offset, offset + low.length);
+      if (candidate.length !== low.length || high.length !== low.length) {
+        continue;
+      }
+      let inside = true;
+      for (let i = 0; i < candidate.length && inside; i++) {
+        const byte = candidate.charCodeAt(i);
+        inside = byte >= low.charCodeAt(i) && byte <= high.charCodeAt(i);
+      }
+      if (inside) {
+        return low.length;
+      }
+    }
+    return Math.min(...this.codespaces.map(({ low }) => low.length));
+  }
+
+  lookupUnicode(bytes) {
+    if (this.unicode.has(bytes)) {
+      return this.unicode.get(bytes);
+    }
+    const code = bytesToNumber(bytes);
+    const range = this.unicodeRanges.find(entry => entry.length === bytes.length && code >= entry.low && code <= entry.high);
+    return range ? this.rangeText(range, code) : null;
+  }
+
+  lookupCid(bytes) {
+    if (this.cids.has(bytes)) {
+      return this.cids.get(bytes);
+    }
+    const code = bytesToNumber(bytes);
+    const range = this.cidRanges.find(entry => entry.length === bytes.length && code >= entry.low && code <= entry.high);
+    return range ? range.cid + code - range.low : code;
+  }
+}
+
+function loadCMap(stream) {
+  if (!(stream instanceof PDFRawStream)) {
+    return null;
+  }
+  try {
+    return new CMap(decodeStream(stream).toString('latin1'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Decodes the strings shown with one font
+ */
+class FontDecoder {
+  /**
+   * @param {PDFContext} context - pdf-lib context
+   * @param {PDFDict} dict - Font dictionary
+   */
+  constructor(context, dict) {
+    this.context = context;
+    this.dict = dict;
+    this.subtype = lookupAs(dict, 'Subtype', PDFName)?.decodeText();
+    this.baseFont = lookupAs(dict, 'BaseFont', PDFName)?.decodeText() || null;
+    this.composite = this.subtype === 'Type0';
+    this.toUnicode = loadCMap(dict.lookup(PDFName.of('ToUnicode')));
+    this.vertical = false;
+
+    let descriptor;
+    if (this.composite) {
+      descriptor = this.loadComposite();
+    } else {
+      descriptor = this.loadSimple();
+    }
+    this.loadExtent(descriptor);
+  }
+
+  loadSimple() {
+    this.standardFont = standardFontFor(this.baseFont);
+    this.metrics = this.standardFont ? StandardFontEmbedder.for(this.standardFont).font : null;
+
+    // Type 3 glyph widths are in glyph space, scaled by the font matrix
+    const fontMatrix = lookupAs(this.dict, 'FontMatrix', PDFArray);
+    this.widthScale = this.subtype === 'Type3' && fontMatrix
+      ? Math.abs(fontMatrix.lookup(0, PDFNumber).asNumber())
+      : 0.001;
+
+    const descriptor = lookupAs(this.dict, 'FontDescriptor', PDFDict);
+    this.firstChar = numberOf(this.dict, 'FirstChar') ?? 0;
+    this.widths = lookupAs(this.dict, 'Widths', PDFArray)?.asArray()
+      .map(width => this.context.lookup(width))
+      .map(width => (width instanceof PDFNumber ? width.asNumber() : null)) || null;
+    this.missingWidth = numberOf(descriptor, 'MissingWidth') ?? null;
+
+    const encoding = this.dict.lookup(PDFName.of('Encoding'));
+    let encodingName = encoding instanceof PDFName ? encoding.decodeText() : undefined;
+    if (encoding instanceof PDFDict) {
+      encodingName = lookupAs(encoding, 'BaseEncoding', PDFName)?.decodeText();
+    }
+    this.encoding = baseEncoding(encodingName, this.standardFont);
+
+    const differences = encoding instanceof PDFDict ? lookupAs(encoding, 'Differences', PDFArray) : undefined;
+    let code = 0;
+    for (const item of differences?.asArray() || []) {
+      const value = this.context.lookup(item);
+      if (value instanceof PDFNumber) {
+        code = value.asNumber();
+      } else if (value instanceof PDFName) {
+        this.encoding.set(code, value.decodeText());
+        code++;
+      }
+    }
+    return descriptor;
+  }
+
+  loadComposite() {
+    const descendant = this.context.lookup(lookupAs(this.dict, 'DescendantFonts', PDFArray)?.get(0));
+    const cidFont = descendant instanceof PDFDict ? descendant : undefined;
+
+    const encoding = this.dict.lookup(PDFName.of('Encoding'));
+    this.encodingName = encoding instanceof PDFName ? encoding.decodeText() : null;
+    this.cmap = encoding instanceof PDFRawStream ? loadCMap(encoding) : null;
+    this.vertical = /-V$/.test(this.encodingName || '') ||
+      (encoding instanceof PDFRawStream && numberOf(encoding.dict, 'WMode') === 1);
+
+    this.defaultWidth = numberOf(cidFont, 'DW') ?? 1000;
+    this.cidWidths = new Map();
+    this.cidWidthRanges = [];
+    const widths = lookupAs(cidFont, 'W', PDFArray)?.asArray().map(item => this.context.lookup(item)) || [];
+    for (let i = 0; i < widths.length;) {
+      const first = widths[i];
+      const next = widths[i + 1];
+      if (!(first instanceof PDFNumber)) {
+        i++;
+      } else if (next instanceof PDFArray) {
+        next.asArray().forEach((width, offset) => {
+          const value = this.context.lookup(width);
+          if (value instanceof PDFNumber) {
+            this.cidWidths.set(first.asNumber() + offset, value.asNumber());
+          }
+        });
+        i += 2;
+      } else if (next instanceof PDFNumber && widths[i + 2] instanceof PDFNumber) {
+        this.cidWidthRanges.push([first.asNumber(), next.asNumber(), widths[i + 2].asNumber()]);
+        i += 3;
+      } else {
+        i++;
+      }
+    }
+    return lookupAs(cidFont, 'FontDescriptor', PDFDict);
+  }
+
+  loadExtent(descriptor) {
+    let ascent = numberOf(descriptor, 'Ascent');
+    let descent = numberOf(descriptor, 'Descent');
+    if (this.metrics) {
+      ascent = ascent || this.metrics.Ascender;
+      descent = descent || this.metrics.Descender;
+    }
+    if (this.subtype === 'Type3') {
+      const bbox = lookupAs(this.dict, 'FontBBox', PDFArray)?.asArray().map(value => this.context.lookup(value));
+      if (bbox?.length === 4 && bbox.every(value => value instanceof PDFNumber)) {
+        ascent = bbox[3].asNumber() * this.widthScale * 1000;
+        descent = bbox[1].asNumber() * this.widthScale * 1000;
+      }
+    }
+    this.ascent = ascent > 0 ? Math.min(ascent / 1000, 1.5) : DEFAULT_ASCENT;
+    this.descent = descent < 0 ? Math.max(descent / 1000, -1) : DEFAULT_DESCENT;
+  }
+
+  /**
+   * Splits a string into character codes
+   *
+   * @param {string} bytes - Shown string as a latin1 string
+   * @returns {string[]} Codes, each as a latin1 string
+   */
+  splitCodes(bytes) {
+    if (!this.composite) {
+      return bytes.split('');
+    }
+    const codes = [];
+    const cmap = this.cmap || this.toUnicode;
+    for (let offset = 0; offset < bytes.length;) {
+      const length = Math.max(1, (!/^Identity-/.test(this.encodingName || '') && cmap?.codeLength(bytes, offset)) || 2);
+      codes.push(bytes.slice(offset, offset + length));
+      offset += length;
+    }
+    return codes;
+  }
+
+  textOf(bytes) {
+    const mapped = this.toUnicode?.lookupUnicode(bytes);
+    if (mapped !== null && mapped !== undefined) {
+      return mapped;
+    }
+    if (this.composite) {
+      // Predefined Unicode CMaps use UCS-2 / UTF-16 codes
+      return /^Uni.*-(UCS2|UTF16)-[HV]$/.test(this.encodingName || '') ? decodeUtf16(bytes) : '';
+    }
+    const entry = this.encoding.get(bytes.charCodeAt(0));
+    if (entry && typeof entry === 'object') {
+      return entry.text;
+    }
+    return (entry && glyphNameToText(entry)) ?? bytes;
+  }
+
+  widthOf(bytes) {
+    if (this.composite) {
+      const cid = this.cmap ? this.cmap.lookupCid(bytes) : bytesToNumber(bytes);
+      let width = this.cidWidths.get(cid);
+      if (width === undefined) {
+        width = this.cidWidthRanges.find(([first, last]) => cid >= first && cid <= last)?.[2] ?? this.defaultWidth;
+      }
+      return width / 1000;
+    }
+
+    const code = bytes.charCodeAt(0);
+    const width = this.widths?.[code - this.firstChar];
+    if (typeof width === 'number') {
+      return width * this.widthScale;
+    }
+    if (this.widths && this.missingWidth !== null) {
+      return this.missingWidth * this.widthScale;
+    }
+    // Fonts without widths are standard fonts; unknown ones get Helvetica's
+    const metrics = this.metrics || StandardFontEmbedder.for(StandardFonts.Helvetica).font;
+    const glyphName = this.encoding.get(code);
+    const standardWidth = typeof glyphName === 'string' ? metrics.getWidthOfGlyph(glyphName) : undefined;
+    return (standardWidth ?? 500) / 1000;
+  }
+
+  /**
+   * Splits a shown string into glyphs
+   *
+   * @param {string} bytes - Shown string as a latin1 string
+   * @returns {{ bytes: string, text: string, width: number, wordSpace: boolean }[]} `wordSpace`
+   *   is true for single-byte code 32, which word spacing applies to
+   */
+  decode(bytes) {
+    return this.splitCodes(bytes).map(code => ({
+      bytes: code,
+      text: this.textOf(code),
+      width: this.widthOf(code),
+      wordSpace: code === ' '
+    }));
+  }
+}
+
+module.exports = {
+  FontDecoder,
+  glyphNameToText
+};
@@ -0,0 +1,376 @@
+const fs = require('fs-extra');
+const {
+  PDFName,
+  PDFDict,
+  PDFArray,
+  PDFTextField,
+  PDFCheckBox,
+  PDFRadioGroup,
+  PDFDropdown,
+  PDFOptionList,
+  PDFButton,
+  PDFSignature,
+  pushGraphicsState,
+  popGraphicsState,
+  translate,
+  rotateInPlace,
+  drawObject
+} = require('pdf-lib');
+const { embedFont } = require('./textPlacement');
+const { loadPdfFile } = require('./pdfRepair');
+
+/**
+ * AcroForm fields: listing, filling and flattening
+ *
+ * Values are set through pdf-lib, which also redraws the field appearances
+ * so filled values show in every viewer, not only in those that regenerate
+ * appearances themselves. XFA forms are not supported by pdf-lib; their
+ * AcroForm fallback fields are filled and the XFA data is removed.
+ */
+
+function formError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Field class, type name, current value and type specific properties
+const FIELD_TYPES = [
+  [PDFTextField, 'text', field => field.getText() ?? null, field => ({
+    maxLength: field.getMaxLength() ?? null,
+    multiline: field.isMultiline()
+  })],
+  [PDFCheckBox, 'checkbox', field => field.isChecked(), () => ({})],
+  [PDFRadioGroup, 'radio', field => field.getSelected() ?? null, field => ({ options: field.getOptions() })],
+  [PDFDropdown, 'dropdown', field => field.getSelected(), field => ({
+    options: field.getOptions(),
+    editable: field.isEditable(),
+    multiSelect: field.isMultiselect()
+  })],
+  [PDFOptionList, 'list', field => field.getSelected(), field => ({
+    options: field.getOptions(),
+    multiSelect: field.isMultiselect()
+  })],
+  [PDFButton, 'button', () => null, () => ({})],
+  [PDFSignature, 'signature', () => null, field => ({ signed: field.acroField.dict.has(PDFName.of('V')) })]
+];
+
+function fieldType(field) {
+  return FIELD_TYPES.find(([FieldClass]) => field instanceof FieldClass) || [null, 'unknown', () => null, () => ({})];
+}
+
+/**
+ * Maps widget annotation refs to 1-based page numbers
+ */
+function widgetPages(pdfDoc) {
+  const pages = new Map();
+  pdfDoc.getPages().forEach((page, index) => {
+    const annotations = page.node.lookup(PDFName.of('Annots'));
+    if (annotations instanceof PDFArray) {
+      annotations.asArray().forEach(ref => pages.set(ref, index + 1));
+    }
+  });
+  return pages;
+}
+
+function acroFormType(pdfDoc) {
+  const acroForm = pdfDoc.catalog.lookup(PDFName.of('AcroForm'));
+  if (!(acroForm instanceof PDFDict)) {
+    return null;
+  }
+  return acroForm.has(PDFName.of('XFA')) ? 'xfa' : 'acroform';
+}
+
+/**
+ * Lists the form fields of a loaded document
+ *
+ * @param {PDFDocument} pdfDoc - pdf-lib document
+ * @returns {{ type: string|null, fields: Object[] }} Form type ('acroform', 'xfa' or null)
+ *   and per field: name, type, value, required, readOnly, pages and type specific
+ *   properties (options, maxLength, multiline, editable, multiSelect, signed)
+ */
+function readFormFields(pdfDoc) {
+  const type = acroFormType(pdfDoc);
+  if (!type) {
+    return { type: null, fields: [] };
+  }
+
+  const pages = widgetPages(pdfDoc);
+  const fields = pdfDoc.getForm().getFields().map((field) => {
+    const [, typeName, getValue, describe] = fieldType(field);
+    let value = null;
+    try {
+      value = getValue(field);
+    } catch (error) {
+      value = null;
+    }
+    const widgetRefs = field.acroField.getWidgets().map(widget => pdfDoc.context.getObjectRef(widget.dict));
+    return {
+      name: field.getName(),
+      type: typeName,
+      value: value,
+      required: field.isRequired(),
+      readOnly: field.isReadOnly(),
+      pages: [...new Set(widgetRefs.map(ref => pages.get(ref)).filter(Boolean))].sort((a, b) => a - b),
+      ...describe(field)
+    };
+  });
+
+  return { type, fields };
+}
+
+async function loadPdf(inputPath) {
+  let pdfDoc;
+  try {
+    ({ pdfDoc } = await loadPdfFile(inputPath, { ignoreEncryption: true, updateMetadata: false }));
+  } catch (error) {
+    throw formError(`PDF could not be read: ${error.message}`, 422);
+  }
+  // pdf-lib cannot decrypt, field values of encrypted files would be unreadable
+  if (pdfDoc.isEncrypted) {
+    throw formError('The PDF is encrypted. Remove the password with /pdf/unlock first', 422);
+  }
+  return pdfDoc;
+}
+
+/**
+ * Lists the form fields of a PDF file
+ *
+ * @param {string} inputPath - PDF file
+ * @returns {Promise<{ type: string|null, fields: Object[] }>} See readFormFields
+ */
+async function listFormFields(inputPath) {
+  return readFormFields(await loadPdf(inputPath));
+}
+
+/**
+ * Parses the field values of a request
+ *
+ * @param {Object|string} values - Field name → value, or the same as JSON
+ * @returns {Object}
+ */
+function parseFieldValues(values) {
+  if (values === undefined || values === null || values === '') {
+    throw formError('values is required: a JSON object of field name → value');
+  }
+  let parsed = values;
+  if (typeof values === 'string') {
+    try {
+      parsed = JSON.parse(values);
+    } catch (error) {
+      throw formError(`values is not valid JSON: ${error.message}`);
+    }
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw formError('values must be a JSON object of field name → value');
+  }
+  return parsed;
+}
+
+function toList(value) {
+  if (value === null || value === '') {
+    return [];
+  }
+  return (Array.isArray(value) ? value : [value]).map(String);
+}
+
+function parseChecked(value) {
+  if (value === true || value === false) {
+    return value;
+  }
+  const normalized = String(value).toLowerCase();
+  if (['true', 'on', 'yes', '1'].includes(normalized)) {
+    return true;
+  }
+  if (['false', 'off', 'no', '0', ''].includes(normalized)) {
+    return false;
+  }
+  throw formError(`expected true or false, got ${JSON.stringify(value)}`);
+}
+
+function checkOptions(field, values) {
+  const options = field.getOptions();
+  const invalid = values.filter(value => !options.includes(value));
+  if (invalid.length > 0) {
+    throw formError(`${invalid.map(value => JSON.stringify(value)).join(', ')} is not an option (${options.join(', ')})`);
+  }
+}
+
+/**
+ * Sets one field
+ *
+ * @returns {string|null} Reason the field was skipped, or null when it was set
+ */
+function setFieldValue(field, typeName, value) {
+  switch (typeName) {
+    case 'text':
+      if (value !== null && typeof value === 'object') {
+        throw formError('expected text');
+      }
+      field.setText(value === null || value === '' ? undefined : String(value));
+      return null;
+
+    case 'checkbox':
+      if (parseChecked(value)) {
+        field.check();
+      } else {
+        field.uncheck();
+      }
+      return null;
+
+    case 'radio': {
+      const [option, ...rest] = toList(value);
+      if (rest.length > 0) {
+        throw formError('a radio group takes one option');
+      }
+      if (option === undefined) {
+        field.clear();
+      } else {
+        checkOptions(field, [option]);
+        field.select(option);
+      }
+      return null;
+    }
+
+    case 'dropdown':
+    case 'list': {
+      const selected = toList(value);
+      if (selected.length > 1 && !field.isMultiselect()) {
+        throw formError('the field takes one option');
+      }
+      // Editable dropdowns also accept free text
+      if (!(typeName === 'dropdown' && field.isEditable())) {
+        checkOptions(field, selected);
+      }
+      if (selected.length === 0) {
+        field.clear();
+      } else {
+        field.select(selected.length === 1 ? selected[0] : selected);
+      }
+      return null;
+    }
+
+    case 'button':
+      return 'Push buttons have no value';
+
+    case 'signature':
+      return 'Signature fields are signed, not filled; the field is kept unsigned';
+
+    default:
+      return 'Unsupported field type';
+  }
+}
+
+/**
+ * Flattens all fields except signature fields, which stay signable
+ *
+ * Same as pdf-lib's form.flatten(), which has no way to leave fields out:
+ * each widget's appearance is drawn onto its page, then the field is removed.
+ */
+function flattenForm(form) {
+  const fields = form.getFields().filter(field => !(field instanceof PDFSignature));
+  try {
+    for (const field of fields) {
+      for (const widget of field.acroField.getWidgets()) {
+        const page = form.findWidgetPage(widget);
+        const xObjectKey = page.node.newXObject('FlatWidget', form.findWidgetAppearanceRef(field, widget));
+        const rectangle = widget.getRectangle();
+        page.pushOperators(...[
+          pushGraphicsState(),
+          translate(rectangle.x, rectangle.y),
+          ...rotateInPlace({ ...rectangle, rotation: 0 }),
+          drawObject(xObjectKey),
+          popGraphicsState()
+        ].filter(Boolean));
+      }
+      form.removeField(field);
+    }
+  } catch (error) {
+    throw formError(`Form could not be flattened: ${error.message}`, 422);
+  }
+}
+
+/**
+ * Fills form fields and optionally flattens the form
+ *
+ * Values: text fields take text, checkboxes true/false, radio groups and
+ * dropdowns one of their options (several for multi-select fields, any
+ * text for editable dropdowns), lists one or more options. null clears a
+ * field.
+ *
+ * @param {string} inputPath - Source PDF
+ * @param {string} outputPath - Output PDF
+ * @param {Object|string} values - Field name → value, or the same as JSON
+ * @param {Object} [options]
+ * @param {boolean} [options.flatten] - Turn the fields into page content so they cannot be edited
+ * @param {string} [options.font] - Font for the field appearances, see embedFont (default: helvetica)
+ * @param {Buffer} [options.fontBytes] - Uploaded TTF/OTF font, for non-Latin values
+ * @returns {Promise<{ outputPath: string, filled: string[], skipped: Object[], unknownFields: string[],
+ *   flattened: boolean, warnings: string[] }>}
+ */
+async function fillForm(inputPath, outputPath, values, options = {}) {
+  const fieldValues = parseFieldValues(values);
+  const pdfDoc = await loadPdf(inputPath);
+  const type = acroFormType(pdfDoc);
+  if (!type) {
+    throw formError('The PDF has no form fields');
+  }
+
+  const warnings = [];
+  if (type === 'xfa') {
+    warnings.push('XFA form data was removed; the AcroForm fields were filled');
+  }
+
+  // getForm() drops XFA data, so it is only called once the type is known
+  const form = pdfDoc.getForm();
+  const fields = new Map(form.getFields().map(field => [field.getName(), field]));
+
+  const filled = [];
+  const skipped = [];
+  const unknownFields = [];
+  for (const [name, value] of Object.entries(fieldValues)) {
+    const field = fields.get(name);
+    if (!field) {
+      unknownFields.push(name);
+      continue;
+    }
+    const [, typeName] = fieldType(field);
+    let reason;
+    try {
+      reason = setFieldValue(field, typeName, value);
+    } catch (error) {
+      throw formError(`${name}: ${error.message}`, error.status || 400);
+    }
+    if (reason) {
+      skipped.push({ name, type: typeName, reason });
+    } else {
+      filled.push(name);
+    }
+  }
+  if (unknownFields.length > 0) {
+    warnings.push(`Unknown field(s): ${unknownFields.join(', ')}`);
+  }
+
+  const font = options.font || options.fontBytes ? await embedFont(pdfDoc, options.font, options.fontBytes) : undefined;
+  try {
+    form.updateFieldAppearances(font);
+  } catch (error) {
+    // The default Helvetica only covers WinAnsi (Latin) characters
+    throw formError(`Field values could not be drawn: ${error.message}. Pass a font that covers them`);
+  }
+
+  const flatten = options.flatten === true || options.flatten === 'true';
+  if (flatten) {
+    flattenForm(form);
+  }
+
+  await fs.writeFile(outputPath, await pdfDoc.save({ updateFieldAppearances: false }));
+  return { outputPath, filled, skipped, unknownFields, flattened: flatten, warnings };
+}
+
+module.exports = {
+  readFormFields,
+  listFormFields,
+  parseFieldValues,
+  fillForm
+};
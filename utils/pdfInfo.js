@@ -0,0 +1,482 @@
+const fs = require('fs-extra');
+const {
+  PDFDocument,
+  PDFName,
+  PDFDict,
+  PDFArray,
+  PDFRef,
+  PDFString,
+  PDFHexString,
+  PDFNumber,
+  PDFBool,
+  PDFRawStream
+} = require('pdf-lib');
+const { IDENTITY_MATRIX, decodeStream, tokenize, multiply } = require('./contentStream');
+const { readMetadata } = require('./pdfMetadata');
+const { readEncryption, decryptPdf } = require('./pdfEncryption');
+const { readFormFields } = require('./pdfForms');
+const { loadPdfFile } = require('./pdfRepair');
+const { lookupAs } = require('./pdfObjects');
+
+/**
+ * PDF inspection
+ *
+ * Reads structure and metadata with pdf-lib and walks the page content
+ * streams to find text, images and fonts. Encrypted files are decrypted with
+ * qpdf first when possible, otherwise only unencrypted structure is reported.
+ */
+
+// Nesting limit for form XObjects (guards against self-referencing forms)
+const MAX_FORM_DEPTH = 8;
+
+const TEXT_OPERATORS = new Set(['Tj', 'TJ', '\'', '"']);
+
+function toValue(object) {
+  if (object instanceof PDFString || object instanceof PDFHexString) {
+    return object.decodeText();
+  }
+  if (object instanceof PDFName) {
+    return object.decodeText();
+  }
+  if (object instanceof PDFNumber) {
+    return object.asNumber();
+  }
+  if (object instanceof PDFBool) {
+    return object.asBoolean();
+  }
+  return null;
+}
+
+function describeColorSpace(colorSpace) {
+  if (colorSpace instanceof PDFName) {
+    return colorSpace.decodeText();
+  }
+  if (colorSpace instanceof PDFArray && colorSpace.size() > 0) {
+    return toValue(colorSpace.lookup(0));
+  }
+  return null;
+}
+
+function describeFilter(filter) {
+  if (filter instanceof PDFName) {
+    return filter.decodeText();
+  }
+  if (filter instanceof PDFArray) {
+    return filter.asArray().map(toValue).join(', ');
+  }
+  return null;
+}
+
+/**
+ * Collects text, images and fonts of one page, including form XObjects
+ */
+class PageScanner {
+  constructor(pdfDoc, report) {
+    this.context = pdfDoc.context;
+    this.report = report;
+  }
+
+  scanPage(page, pageNumber) {
+    const result = { hasText: false, imageCount: 0 };
+    const contents = page.node.lookup(PDFName.of('Contents'));
+    const streams = contents instanceof PDFArray
+      ? contents.asArray().map(ref => this.context.lookup(ref))
+      : [contents];
+
+    const content = streams
+      .map(stream => decodeStream(stream)?.toString('latin1') || '')
+      .join('\n');
+    const resources = page.node.Resources();
+
+    this.scanContent(content, resources, IDENTITY_MATRIX, pageNumber, result, 0);
+    return result;
+  }
+
+  scanContent(content, resources, baseMatrix, pageNumber, result, depth) {
+    this.collectFonts(resources, pageNumber);
+    const xObjects = lookupAs(resources, 'XObject', PDFDict);
+
+    const stack = [];
+    let ctm = baseMatrix;
+    let operands = [];
+
+    for (const token of tokenize(content)) {
+      if (token.type !== 'operator') {
+        operands.push(token);
+        continue;
+      }
+
+      switch (token.value) {
+        case 'q':
+          stack.push(ctm);
+          break;
+        case 'Q':
+          ctm = stack.pop() || baseMatrix;
+          break;
+        case 'cm': {
+          const values = operands.slice(-6).map(operand => operand.value);
+          if (values.length === 6 && values.every(value => typeof value === 'number')) {
+            ctm = multiply(values, ctm);
+          }
+          break;
+        }
+        case 'ID': {
+          // Operands are the inline image dictionary (BI /W 10 /H 10 ... ID)
+          const valueOf = (...keys) => {
+            const index = operands.findIndex(entry => entry.type === 'name' && keys.includes(entry.value));
+            return index === -1 ? undefined : operands[index + 1]?.value;
+          };
+          this.recordImage(`inline-${pageNumber}-${result.imageCount}`, {
+            width: valueOf('W', 'Width'),
+            height: valueOf('H', 'Height'),
+            bitsPerComponent: valueOf('BPC', 'BitsPerComponent') ?? null,
+            colorSpace: valueOf('CS', 'ColorSpace') ?? null,
+            filter: valueOf('F', 'Filter') ?? null,
+            inline: true
+          }, ctm, pageNumber);
+          result.imageCount++;
+          break;
+        }
+        case 'Do': {
+          const name = operands[operands.length - 1];
+          if (name?.type === 'name' && xObjects) {
+            this.drawXObject(xObjects, name.value, resources, ctm, pageNumber, result, depth);
+          }
+          break;
+        }
+        default:
+          if (TEXT_OPERATORS.has(token.value)) {
+            result.hasText = true;
+          }
+      }
+
+      operands = [];
+    }
+  }
+
+  drawXObject(xObjects, name, resources, ctm, pageNumber, result, depth) {
+    const ref = xObjects.get(PDFName.of(name));
+    const xObject = this.context.lookup(ref);
+    if (!(xObject instanceof PDFRawStream)) {
+      return;
+    }
+
+    const { dict } = xObject;
+    const subtype = lookupAs(dict, 'Subtype', PDFName);
+
+    if (subtype === PDFName.of('Image')) {
+      this.recordImage(ref instanceof PDFRef ? ref.toString() : `${pageNumber}-${name}`, {
+        width: toValue(dict.lookup(PDFName.of('Width'))),
+        height: toValue(dict.lookup(PDFName.of('Height'))),
+        bitsPerComponent: toValue(dict.lookup(PDFName.of('BitsPerComponent'))),
+        colorSpace: describeColorSpace(dict.lookup(PDFName.of('ColorSpace'))),
+        filter: describeFilter(dict.lookup(PDFName.of('Filter'))),
+        inline: false
+      }, ctm, pageNumber);
+      result.imageCount++;
+    } else if (subtype === PDFName.of('Form') && depth < MAX_FORM_DEPTH) {
+      const matrix = lookupAs(dict, 'Matrix', PDFArray);
+      const formMatrix = matrix && matrix.size() === 6
+        ? matrix.asArray().map(value => toValue(value) ?? 0)
+        : IDENTITY_MATRIX;
+      const content = decodeStream(xObject)?.toString('latin1') || '';
+      const formResources = lookupAs(dict, 'Resources', PDFDict) || resources;
+      this.scanContent(content, formResources, multiply(formMatrix, ctm), pageNumber, result, depth + 1);
+    }
+  }
+
+  recordImage(key, details, ctm, pageNumber) {
+    const { images } = this.report;
+    if (!images.has(key)) {
+      images.set(key, { ...details, dpi: null, pages: [] });
+    }
+    const image = images.get(key);
+    if (!image.pages.includes(pageNumber)) {
+      image.pages.push(pageNumber);
+    }
+
+    // Images are drawn into the unit square, the CTM gives their size on the page in points
+    const shownWidth = Math.hypot(ctm[0], ctm[1]);
+    const shownHeight = Math.hypot(ctm[2], ctm[3]);
+    if (shownWidth > 0 && shownHeight > 0 && details.width && details.height) {
+      const dpi = {
+        x: Math.round(details.width / (shownWidth / 72)),
+        y: Math.round(details.height / (shownHeight / 72))
+      };
+      // Keep the lowest resolution the image is shown at
+      if (!image.dpi || Math.min(dpi.x, dpi.y) < Math.min(image.dpi.x, image.dpi.y)) {
+        image.dpi = dpi;
+      }
+    }
+  }
+
+  collectFonts(resources, pageNumber) {
+    const fonts = lookupAs(resources, 'Font', PDFDict);
+    if (!fonts) {
+      return;
+    }
+
+    for (const [name, ref] of fonts.entries()) {
+      const font = this.context.lookup(ref);
+      if (!(font instanceof PDFDict)) {
+        continue;
+      }
+      const key = ref instanceof PDFRef ? ref.toString() : `${pageNumber}-${name.decodeText()}`;
+      if (!this.report.fonts.has(key)) {
+        this.report.fonts.set(key, { ...describeFont(font), pages: [] });
+      }
+      const entry = this.report.fonts.get(key);
+      if (!entry.pages.includes(pageNumber)) {
+        entry.pages.push(pageNumber);
+      }
+    }
+  }
+}
+
+function describeFont(font) {
+  const subtype = toValue(font.lookup(PDFName.of('Subtype')));
+  const baseFont = toValue(font.lookup(PDFName.of('BaseFont'))) || toValue(font.lookup(PDFName.of('Name'))) || 'unknown';
+
+  // Composite fonts keep the descriptor on the descendant font
+  let descriptorOwner = font;
+  if (subtype === 'Type0') {
+    const descendants = lookupAs(font, 'DescendantFonts', PDFArray);
+    const descendant = descendants?.lookup(0);
+    descriptorOwner = descendant instanceof PDFDict ? descendant : font;
+  }
+  const descriptor = lookupAs(descriptorOwner, 'FontDescriptor', PDFDict);
+  const embedded = subtype === 'Type3' ||
+    ['FontFile', 'FontFile2', 'FontFile3'].some(key => descriptor?.has(PDFName.of(key)));
+  const subset = /^[A-Z]{6}\+/.test(baseFont);
+
+  return {
+    name: subset ? baseFont.slice(7) : baseFont,
+    type: subtype,
+    embedded: embedded,
+    subset: subset
+  };
+}
+
+/**
+ * Walks every entry of a name tree (/Kids, /Names)
+ */
+function walkNameTree(node, callback, depth = 0) {
+  if (!(node instanceof PDFDict) || depth > 32) {
+    return;
+  }
+  const names = lookupAs(node, 'Names', PDFArray);
+  if (names) {
+    for (let i = 0; i + 1 < names.size(); i += 2) {
+      callback(toValue(names.lookup(i)), names.lookup(i + 1));
+    }
+  }
+  const kids = lookupAs(node, 'Kids', PDFArray);
+  if (kids) {
+    for (let i = 0; i < kids.size(); i++) {
+      walkNameTree(kids.lookup(i), callback, depth + 1);
+    }
+  }
+}
+
+function describeFileSpec(fileSpec, fallbackName) {
+  if (!(fileSpec instanceof PDFDict)) {
+    return null;
+  }
+  const embeddedFiles = lookupAs(fileSpec, 'EF', PDFDict);
+  const stream = embeddedFiles?.lookup(PDFName.of('UF')) || embeddedFiles?.lookup(PDFName.of('F'));
+  const params = stream instanceof PDFRawStream ? lookupAs(stream.dict, 'Params', PDFDict) : undefined;
+  const size = toValue(params?.lookup(PDFName.of('Size')));
+  const mimeType = stream instanceof PDFRawStream ? toValue(stream.dict.lookup(PDFName.of('Subtype'))) : null;
+
+  return {
+    name: toValue(fileSpec.lookup(PDFName.of('UF'))) || toValue(fileSpec.lookup(PDFName.of('F'))) || fallbackName,
+    description: toValue(fileSpec.lookup(PDFName.of('Desc'))),
+    size: typeof size === 'number' ? size : null,
+    mimeType: mimeType
+  };
+}
+
+function readAttachments(pdfDoc) {
+  const attachments = [];
+  const names = lookupAs(pdfDoc.catalog, 'Names', PDFDict);
+  walkNameTree(lookupAs(names, 'EmbeddedFiles', PDFDict), (name, fileSpec) => {
+    const attachment = describeFileSpec(fileSpec, name);
+    if (attachment) {
+      attachments.push({ ...attachment, page: null });
+    }
+  });
+
+  // Files attached to annotations on a page
+  pdfDoc.getPages().forEach((page, index) => {
+    const annotations = lookupAs(page.node, 'Annots', PDFArray);
+    annotations?.asArray().forEach((ref) => {
+      const annotation = pdfDoc.context.lookup(ref);
+      if (annotation instanceof PDFDict && lookupAs(annotation, 'Subtype', PDFName) === PDFName.of('FileAttachment')) {
+        const attachment = describeFileSpec(annotation.lookup(PDFName.of('FS')), 'attachment');
+        if (attachment) {
+          attachments.push({ ...attachment, page: index + 1 });
+        }
+      }
+    });
+  });
+  return attachments;
+}
+
+function readVersion(pdfDoc, bytes) {
+  const header = /%PDF-(\d+\.\d+)/.exec(bytes.subarray(0, 1024).toString('latin1'));
+  const headerVersion = header ? header[1] : null;
+  // The catalog can raise the version of an updated file
+  const catalogVersion = toValue(pdfDoc.catalog.lookup(PDFName.of('Version')));
+  if (catalogVersion && (!headerVersion || parseFloat(catalogVersion) > parseFloat(headerVersion))) {
+    return String(catalogVersion);
+  }
+  return headerVersion;
+}
+
+/**
+ * Decrypts a copy of an encrypted PDF with qpdf
+ *
+ * @returns {Promise<{ path?: string, passwordRequired?: boolean, error?: string }>}
+ */
+async function decryptCopy(inputPath, password, signal) {
+  const outputPath = `${inputPath}.decrypted.pdf`;
+  try {
+    await decryptPdf(inputPath, outputPath, password, { signal });
+    return { path: outputPath };
+  } catch (error) {
+    await fs.remove(outputPath).catch(() => {});
+    if (error.cancelled) {
+      throw error;
+    }
+    if (error.notFound) {
+      return { error: 'qpdf is not installed, content of encrypted files cannot be inspected' };
+    }
+    if (error.passwordRequired) {
+      return { passwordRequired: true, error: error.message };
+    }
+    return { error: error.message };
+  }
+}
+
+/**
+ * Inspects a PDF
+ *
+ * @param {string} inputPath - PDF file
+ * @param {Object} [options]
+ * @param {string} [options.password] - Password for encrypted files (default: empty, which
+ *   opens files that only have an owner password)
+ * @param {AbortSignal} [options.signal] - Cancels the qpdf call
+ * @returns {Promise<Object>} Document info, see README (POST /pdf/info)
+ */
+async function inspectPdf(inputPath, options = {}) {
+  const { password = '', signal } = options;
+  const { size: fileSize } = await fs.stat(inputPath);
+  const warnings = [];
+
+  let loaded;
+  try {
+    loaded = await loadPdfFile(inputPath, { ignoreEncryption: true, updateMetadata: false }, { signal });
+  } catch (error) {
+    const loadError = new Error(`PDF could not be read: ${error.message}`);
+    loadError.status = 422;
+    throw loadError;
+  }
+  const { pdfDoc, bytes } = loaded;
+  if (loaded.repair) {
+    warnings.push(`The file is damaged, a repaired copy was inspected: ${loaded.repair.issues.join('; ')}`);
+  }
+
+  const encryption = readEncryption(pdfDoc);
+  encryption.passwordRequired = encryption.encrypted ? null : false;
+
+  // pdf-lib cannot decrypt, strings and streams of encrypted files are inspected on a decrypted copy
+  let contentDoc = encryption.encrypted ? null : pdfDoc;
+  if (encryption.encrypted) {
+    const decrypted = await decryptCopy(inputPath, password, signal);
+    if (decrypted.path) {
+      try {
+        contentDoc = await PDFDocument.load(await fs.readFile(decrypted.path), { updateMetadata: false });
+        encryption.passwordRequired = Boolean(password);
+      } finally {
+        await fs.remove(decrypted.path);
+      }
+    } else {
+      encryption.passwordRequired = decrypted.passwordRequired ?? null;
+      warnings.push(`Encrypted file: ${decrypted.error}. Metadata, text, fonts, images, attachments and form fields are not reported`);
+    }
+  }
+
+  const report = { images: new Map(), fonts: new Map() };
+  const scanner = contentDoc ? new PageScanner(contentDoc, report) : null;
+  const contentPages = contentDoc?.getPages();
+
+  const pages = pdfDoc.getPages().map((page, index) => {
+    const { width, height } = page.getSize();
+    const rotation = ((page.getRotation().angle % 360) + 360) % 360;
+    const sideways = rotation === 90 || rotation === 270;
+    const info = {
+      page: index + 1,
+      width: Math.round(width * 100) / 100,
+      height: Math.round(height * 100) / 100,
+      rotation: rotation,
+      orientation: (sideways ? height > width : width > height) ? 'landscape' : 'portrait',
+      hasText: null,
+      imageOnly: null,
+      imageCount: null
+    };
+
+    if (scanner) {
+      try {
+        const { hasText, imageCount } = scanner.scanPage(contentPages[index], index + 1);
+        info.hasText = hasText;
+        info.imageOnly = !hasText && imageCount > 0;
+        info.imageCount = imageCount;
+      } catch (error) {
+        warnings.push(`Page ${index + 1} could not be analysed: ${error.message}`);
+      }
+    }
+    return info;
+  });
+
+  const safely = (label, read, fallback) => {
+    if (!contentDoc) {
+      return fallback;
+    }
+    try {
+      return read(contentDoc);
+    } catch (error) {
+      warnings.push(`${label} could not be read: ${error.message}`);
+      return fallback;
+    }
+  };
+
+  const images = Array.from(report.images.values());
+  const analysed = pages.filter(page => page.hasText !== null);
+
+  return {
+    fileSize: fileSize,
+    version: readVersion(pdfDoc, bytes),
+    pageCount: pages.length,
+    encryption: encryption,
+    metadata: safely('Metadata', readMetadata, null),
+    text: contentDoc ? {
+      pagesWithText: analysed.filter(page => page.hasText).length,
+      imageOnlyPages: analysed.filter(page => page.imageOnly).map(page => page.page),
+      needsOcr: analysed.length > 0 && analysed.every(page => !page.hasText) && analysed.some(page => page.imageOnly)
+    } : null,
+    pages: pages,
+    fonts: contentDoc ? Array.from(report.fonts.values()) : null,
+    images: contentDoc ? {
+      count: images.length,
+      minDpi: images.reduce((min, image) => (image.dpi ? Math.min(min ?? Infinity, image.dpi.x, image.dpi.y) : min), null),
+      items: images
+    } : null,
+    attachments: safely('Attachments', readAttachments, null),
+    form: safely('Form fields', readFormFields, null),
+    warnings: warnings
+  };
+}
+
+module.exports = {
+  inspectPdf
+};
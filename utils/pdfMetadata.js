@@ -0,0 +1,376 @@
+const fs = require('fs-extra');
+const {
+  PDFName,
+  PDFDict,
+  PDFRef,
+  PDFString,
+  PDFHexString,
+  PDFRawStream,
+  decodePDFRawStream
+} = require('pdf-lib');
+const { loadPdfFile } = require('./pdfRepair');
+
+/**
+ * Document metadata: the Info dictionary (standard and custom entries) and
+ * the XMP packet in the catalog's /Metadata stream
+ */
+
+// Info dictionary keys and their field names in the API
+const STANDARD_FIELDS = {
+  Title: 'title',
+  Author: 'author',
+  Subject: 'subject',
+  Keywords: 'keywords',
+  Creator: 'creator',
+  Producer: 'producer',
+  CreationDate: 'creationDate',
+  ModDate: 'modificationDate',
+  Trapped: 'trapped'
+};
+
+const DATE_KEYS = ['CreationDate', 'ModDate'];
+
+// Custom property names become PDF names, keep them simple
+const CUSTOM_KEY_PATTERN = /^[A-Za-z][A-Za-z0-9_.-]{0,63}$/;
+
+function metadataError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function decodeText(value) {
+  if (value instanceof PDFString || value instanceof PDFHexString || value instanceof PDFName) {
+    return value.decodeText();
+  }
+  return null;
+}
+
+/**
+ * Converts a PDF date (D:YYYYMMDDHHmmSSOHH'mm') to ISO 8601
+ */
+function parsePdfDate(value) {
+  const match = /^D:(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?([Zz+-])?(\d{2})?'?(\d{2})?/.exec(value);
+  if (!match) {
+    return value;
+  }
+  const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', sign, offsetHours = '00', offsetMinutes = '00'] = match;
+  const zone = !sign || sign.toUpperCase() === 'Z' ? 'Z' : `${sign}${offsetHours}:${offsetMinutes}`;
+  const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${zone}`);
+  return isNaN(date) ? value : date.toISOString();
+}
+
+function splitKeywords(value) {
+  return String(value).split(/[,;]/).map(keyword => keyword.trim()).filter(Boolean);
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Reads the metadata of a loaded document
+ *
+ * @param {PDFDocument} pdfDoc - pdf-lib document
+ * @returns {{ info: Object, custom: Object, xmp: string|null }} `info` holds the standard
+ *   fields (dates as ISO 8601, keywords as an array), `custom` any other Info entries
+ */
+function readMetadata(pdfDoc) {
+  const info = {};
+  const custom = {};
+  const infoDict = pdfDoc.context.lookup(pdfDoc.context.trailerInfo.Info);
+
+  if (infoDict instanceof PDFDict) {
+    for (const [key, value] of infoDict.entries()) {
+      const name = key.decodeText();
+      const text = decodeText(pdfDoc.context.lookup(value));
+      if (text === null) {
+        continue;
+      }
+      if (!STANDARD_FIELDS[name]) {
+        custom[name] = text;
+      } else if (DATE_KEYS.includes(name)) {
+        info[STANDARD_FIELDS[name]] = parsePdfDate(text);
+      } else if (name === 'Keywords') {
+        info.keywords = splitKeywords(text);
+      } else {
+        info[STANDARD_FIELDS[name]] = text;
+      }
+    }
+  }
+
+  let xmp = null;
+  const metadata = pdfDoc.catalog.lookup(PDFName.of('Metadata'));
+  if (metadata instanceof PDFRawStream) {
+    xmp = Buffer.from(decodePDFRawStream(metadata).decode()).toString('utf8');
+  }
+
+  return { info, custom, xmp };
+}
+
+/**
+ * Builds an XMP packet from Info values
+ *
+ * @param {Object} info - Standard fields as returned by readMetadata
+ * @param {Object} [extra]
+ * @param {{ part: string, conformance: string }} [extra.pdfa] - PDF/A identification
+ * @returns {string} XMP packet
+ */
+function buildXmp(info, extra = {}) {
+  const properties = [];
+  const alt = value => `<rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(value)}</rdf:li></rdf:Alt>`;
+
+  properties.push('<dc:format>application/pdf</dc:format>');
+  if (info.title) properties.push(`<dc:title>${alt(info.title)}</dc:title>`);
+  if (info.author) properties.push(`<dc:creator><rdf:Seq><rdf:li>${escapeXml(info.author)}</rdf:li></rdf:Seq></dc:creator>`);
+  if (info.subject) properties.push(`<dc:description>${alt(info.subject)}</dc:description>`);
+  if (info.keywords?.length) {
+    properties.push(`<dc:subject><rdf:Bag>${info.keywords.map(keyword => `<rdf:li>${escapeXml(keyword)}</rdf:li>`).join('')}</rdf:Bag></dc:subject>`);
+    properties.push(`<pdf:Keywords>${escapeXml(info.keywords.join(', '))}</pdf:Keywords>`);
+  }
+  if (info.producer) properties.push(`<pdf:Producer>${escapeXml(info.producer)}</pdf:Producer>`);
+  if (info.creator) properties.push(`<xmp:CreatorTool>${escapeXml(info.creator)}</xmp:CreatorTool>`);
+  if (info.creationDate) properties.push(`<xmp:CreateDate>${escapeXml(info.creationDate)}</xmp:CreateDate>`);
+  if (info.modificationDate) {
+    properties.push(`<xmp:ModifyDate>${escapeXml(info.modificationDate)}</xmp:ModifyDate>`);
+    properties.push(`<xmp:MetadataDate>${escapeXml(info.modificationDate)}</xmp:MetadataDate>`);
+  }
+  if (extra.pdfa) {
+    properties.push(`<pdfaid:part>${escapeXml(extra.pdfa.part)}</pdfaid:part>`);
+    if (extra.pdfa.conformance) {
+      properties.push(`<pdfaid:conformance>${escapeXml(extra.pdfa.conformance)}</pdfaid:conformance>`);
+    }
+  }
+
+  return [
+    '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+    '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+    '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+    '<rdf:Description rdf:about=""',
+    ' xmlns:dc="http://purl.org/dc/elements/1.1/"',
+    ' xmlns:xmp="http://ns.adobe.com/xap/1.0/"',
+    ' xmlns:pdf="http://ns.adobe.com/pdf/1.3/"',
+    ' xmlns:pdfaid="http://www.aiim.org/pdfa/ns/id/">',
+    ...properties,
+    '</rdf:Description>',
+    '</rdf:RDF>',
+    '</x:xmpmeta>',
+    '<?xpacket end="w"?>'
+  ].join('\n');
+}
+
+/**
+ * Reads the PDF/A identification (pdfaid:part and conformance) of an XMP packet
+ */
+function readPdfaId(xmp) {
+  const part = /pdfaid:part(?:>|=["'])\s*(\d)/.exec(xmp || '');
+  if (!part) {
+    return null;
+  }
+  const conformance = /pdfaid:conformance(?:>|=["'])\s*([A-Za-z])/.exec(xmp);
+  return { part: part[1], conformance: conformance ? conformance[1].toUpperCase() : null };
+}
+
+/**
+ * Stores an XMP packet in the catalog, replacing any existing one
+ */
+function setXmp(pdfDoc, xmp) {
+  const previous = pdfDoc.catalog.get(PDFName.of('Metadata'));
+  if (previous instanceof PDFRef) {
+    pdfDoc.context.delete(previous);
+  }
+  const stream = pdfDoc.context.stream(Buffer.from(xmp, 'utf8'), {
+    Type: 'Metadata',
+    Subtype: 'XML'
+  });
+  pdfDoc.catalog.set(PDFName.of('Metadata'), pdfDoc.context.register(stream));
+}
+
+/**
+ * Removes the Info dictionary, the XMP packet and page-level metadata
+ */
+function stripMetadata(pdfDoc) {
+  const { context } = pdfDoc;
+  const infoRef = context.trailerInfo.Info;
+  if (infoRef instanceof PDFRef) {
+    context.delete(infoRef);
+  }
+  context.trailerInfo.Info = undefined;
+
+  const removeFrom = (dict) => {
+    for (const key of ['Metadata', 'PieceInfo']) {
+      const value = dict.get(PDFName.of(key));
+      if (value instanceof PDFRef) {
+        context.delete(value);
+      }
+      dict.delete(PDFName.of(key));
+    }
+  };
+  removeFrom(pdfDoc.catalog);
+  pdfDoc.getPages().forEach(page => removeFrom(page.node));
+}
+
+async function loadPdf(inputPath) {
+  let pdfDoc;
+  try {
+    // updateMetadata: false, otherwise pdf-lib replaces Producer, Creator and dates
+    ({ pdfDoc } = await loadPdfFile(inputPath, { ignoreEncryption: true, updateMetadata: false }));
+  } catch (error) {
+    throw metadataError(`PDF could not be read: ${error.message}`, 422);
+  }
+  // pdf-lib cannot decrypt, strings of encrypted files would be unreadable
+  if (pdfDoc.isEncrypted) {
+    throw metadataError('The PDF is encrypted. Remove the password with /pdf/unlock first', 422);
+  }
+  return pdfDoc;
+}
+
+/**
+ * Reads the metadata of a PDF file
+ *
+ * @param {string} inputPath - PDF file
+ * @returns {Promise<{ info: Object, custom: Object, xmp: string|null }>} See readMetadata
+ */
+async function readMetadataFile(inputPath) {
+  return readMetadata(await loadPdf(inputPath));
+}
+
+function parseDate(value, field) {
+  const date = new Date(value);
+  if (isNaN(date)) {
+    throw metadataError(`${field} must be a date, e.g. 2024-05-01T09:30:00Z`);
+  }
+  return date;
+}
+
+function parseCustom(value) {
+  let custom = value;
+  if (typeof custom === 'string') {
+    try {
+      custom = JSON.parse(custom);
+    } catch (error) {
+      throw metadataError('custom must be a JSON object');
+    }
+  }
+  if (!custom || typeof custom !== 'object' || Array.isArray(custom)) {
+    throw metadataError('custom must be a JSON object');
+  }
+
+  for (const key of Object.keys(custom)) {
+    if (!CUSTOM_KEY_PATTERN.test(key)) {
+      throw metadataError(`Invalid custom property name "${key}": use letters, digits, "_", "." or "-"`);
+    }
+    if (STANDARD_FIELDS[key]) {
+      throw metadataError(`"${key}" is a standard field, set it with ${STANDARD_FIELDS[key]} instead`);
+    }
+  }
+  return custom;
+}
+
+/**
+ * Writes metadata
+ *
+ * Fields that are not given stay as they are; an empty string removes a
+ * field. When Info fields change and the file has an XMP packet, the packet
+ * is rebuilt from the new values (keeping the PDF/A identification) so
+ * viewers that prefer XMP show the same values.
+ *
+ * @param {string} inputPath - Source PDF
+ * @param {string} outputPath - Output PDF
+ * @param {Object} changes
+ * @param {string} [changes.title]
+ * @param {string} [changes.author]
+ * @param {string} [changes.subject]
+ * @param {string|string[]} [changes.keywords] - Array or comma separated list
+ * @param {string} [changes.creator]
+ * @param {string} [changes.producer]
+ * @param {string} [changes.creationDate] - ISO 8601
+ * @param {string} [changes.modificationDate] - ISO 8601 (default: now, unless stripping)
+ * @param {Object|string} [changes.custom] - Custom Info entries; null or "" removes one
+ * @param {string} [changes.xmp] - XMP packet to store as-is
+ * @param {boolean} [changes.strip] - Remove all metadata first
+ * @returns {Promise<{ outputPath: string, metadata: Object }>} Metadata as read back from the output
+ */
+async function writeMetadata(inputPath, outputPath, changes = {}) {
+  const pdfDoc = await loadPdf(inputPath);
+  const custom = changes.custom === undefined || changes.custom === '' ? {} : parseCustom(changes.custom);
+  const hadXmp = pdfDoc.catalog.has(PDFName.of('Metadata'));
+  const pdfa = readPdfaId(readMetadata(pdfDoc).xmp);
+
+  if (changes.strip) {
+    stripMetadata(pdfDoc);
+  }
+
+  const infoDict = pdfDoc.getInfoDict();
+  const setText = (key, value) => {
+    if (value === undefined || value === null) {
+      return false;
+    }
+    if (value === '') {
+      infoDict.delete(PDFName.of(key));
+    } else {
+      infoDict.set(PDFName.of(key), PDFHexString.fromText(String(value)));
+    }
+    return true;
+  };
+
+  let changed = false;
+  changed = setText('Title', changes.title) || changed;
+  changed = setText('Author', changes.author) || changed;
+  changed = setText('Subject', changes.subject) || changed;
+  changed = setText('Creator', changes.creator) || changed;
+  changed = setText('Producer', changes.producer) || changed;
+  if (changes.keywords !== undefined && changes.keywords !== null) {
+    const keywords = Array.isArray(changes.keywords) ? changes.keywords.map(String) : splitKeywords(changes.keywords);
+    changed = setText('Keywords', keywords.join(', ')) || changed;
+  }
+  if (changes.creationDate) {
+    pdfDoc.setCreationDate(parseDate(changes.creationDate, 'creationDate'));
+    changed = true;
+  }
+  for (const [key, value] of Object.entries(custom)) {
+    changed = setText(key, value === null ? '' : value) || changed;
+  }
+
+  if (changes.modificationDate) {
+    pdfDoc.setModificationDate(parseDate(changes.modificationDate, 'modificationDate'));
+  } else if (changed) {
+    pdfDoc.setModificationDate(new Date());
+  }
+
+  if (changes.xmp) {
+    if (!/<x:xmpmeta[\s>]/.test(changes.xmp)) {
+      throw metadataError('xmp must be an XMP packet (<x:xmpmeta ...>)');
+    }
+    setXmp(pdfDoc, changes.xmp);
+  } else if (changed && hadXmp && !changes.strip) {
+    setXmp(pdfDoc, buildXmp(readMetadata(pdfDoc).info, { pdfa }));
+  }
+
+  // Nothing left in a stripped file's Info dictionary
+  if (infoDict.entries().length === 0) {
+    const infoRef = pdfDoc.context.trailerInfo.Info;
+    if (infoRef instanceof PDFRef) {
+      pdfDoc.context.delete(infoRef);
+    }
+    pdfDoc.context.trailerInfo.Info = undefined;
+  }
+
+  const savedBytes = await pdfDoc.save();
+  await fs.writeFile(outputPath, savedBytes);
+
+  return { outputPath, metadata: readMetadata(pdfDoc) };
+}
+
+module.exports = {
+  readMetadata,
+  readMetadataFile,
+  writeMetadata,
+  buildXmp,
+  readPdfaId,
+  setXmp
+};
@@ -0,0 +1,42 @@
+const { PDFName, PDFNumber, PDFString, PDFHexString } = require('pdf-lib');
+
+/**
+ * Typed lookups on pdf-lib dictionaries
+ *
+ * Values of the wrong type count as missing, so malformed files read as
+ * incomplete instead of throwing.
+ */
+
+/**
+ * Looks up a key and returns it only if it has the expected type
+ * (pdf-lib's lookupMaybe throws on malformed files)
+ *
+ * @param {PDFDict} [dict] - Dictionary to read
+ * @param {string} key - Key without the slash
+ * @param {Function} type - pdf-lib object class, e.g. PDFDict
+ * @returns {Object|undefined} The value, or undefined if missing or of another type
+ */
+function lookupAs(dict, key, type) {
+  const value = dict?.lookup(PDFName.of(key));
+  return value instanceof type ? value : undefined;
+}
+
+function nameOf(dict, key) {
+  return lookupAs(dict, key, PDFName)?.decodeText() ?? null;
+}
+
+function numberOf(dict, key) {
+  return lookupAs(dict, key, PDFNumber)?.asNumber() ?? null;
+}
+
+function textOf(dict, key) {
+  const value = dict?.lookup(PDFName.of(key));
+  return value instanceof PDFString || value instanceof PDFHexString ? value.decodeText() : null;
+}
+
+module.exports = {
+  lookupAs,
+  nameOf,
+  numberOf,
+  textOf
+};
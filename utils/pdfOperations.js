@@ -1,77 +1,356 @@
-const { PDFDocument } = require('pdf-lib');
+const { PDFDocument, degrees } = require('pdf-lib');
 const fs = require('fs-extra');
 const path = require('path');
-const { exec } = require('child_process');
-const { promisify } = require('util');
-
-const execAsync = promisify(exec);
+const { runTool } = require('./toolRunner');
+const { parsePageRanges, parsePageList, formatPageRange } = require('./pageRanges');
+const { readOutline, writeOutline } = require('./pdfOutline');
+const { loadPdfFile, linearizePdf } = require('./pdfRepair');
 
 /**
  * Merges multiple PDF files into one
  * 
- * @param {string[]} inputPaths - Array of paths to input PDF files
+ * Inputs are merged in the given order. Each input is a path or an object
+ * `{ path, name, title, pages, rotate }`, where `pages` is a page range
+ * ("1-3,5", default: all), `rotate` is added to the page rotation (multiple
+ * of 90) and `title` is the bookmark title (default: name without extension).
+ * 
+ * @param {Array<string|Object>} inputs - Input PDF files
  * @param {string} outputPath - Path to output merged PDF file
- * @returns {Promise<string>} Path to merged file
+ * @param {Object} [options]
+ * @param {boolean} [options.bookmarks] - Add an outline entry per input
+ * @param {boolean} [options.separators] - Insert a blank page between inputs
+ * @param {boolean} [options.linearize] - Linearize the output for fast web view (requires qpdf)
+ * @param {string} [options.onError] - 'fail' (default) throws on an unreadable input,
+ *   'skip' leaves it out and reports it in `warnings`
+ * @param {AbortSignal} [options.signal] - Stops repairs and linearization when aborted
+ * @returns {Promise<{ outputPath: string, pageCount: number, documents: Object[], warnings: Object[] }>}
+ *   `documents` lists each merged input with its first page and page count in the output
  */
-async function mergePdfs(inputPaths, outputPath) {
+async function mergePdfs(inputs, outputPath, options = {}) {
+  const { bookmarks = false, separators = false, linearize = false, onError = 'fail' } = options;
+  const warnings = [];
+  const documents = [];
+  const outline = [];
+
   try {
     const mergedPdf = await PDFDocument.create();
 
     // Load and copy pages from each PDF
-    for (const inputPath of inputPaths) {
-      const pdfBytes = await fs.readFile(inputPath);
-      const pdf = await PDFDocument.load(pdfBytes);
-      const pages = await mergedPdf.copyPages(pdf, pdf.getPageIndices());
-      
-      pages.forEach((page) => {
+    for (const input of inputs) {
+      const { path: inputPath, name = path.basename(inputPath), title, pages, rotate = 0 } =
+        typeof input === 'string' ? { path: input } : input;
+
+      let pdf;
+      try {
+        const { pdfDoc, repair } = await loadPdfFile(inputPath, {}, { signal: options.signal });
+        pdf = pdfDoc;
+        if (repair) {
+          warnings.push({ file: name, message: `The file was damaged and has been repaired: ${repair.issues.join('; ')}` });
+        }
+      } catch (error) {
+        if (onError !== 'skip') {
+          const loadError = new Error(`${name} could not be read: ${error.message}`);
+          loadError.status = 422;
+          throw loadError;
+        }
+        warnings.push({ file: name, message: `Skipped, the file could not be read: ${error.message}` });
+        continue;
+      }
+
+      // Page range errors are request errors, not unreadable inputs
+      let pageIndices = pdf.getPageIndices();
+      if (pages) {
+        try {
+          pageIndices = parsePageList(pages, pdf.getPageCount()).map(page => page - 1);
+        } catch (error) {
+          error.message = `${name}: ${error.message}`;
+          throw error;
+        }
+      }
+
+      if (separators && documents.length > 0) {
+        const lastPage = mergedPdf.getPage(mergedPdf.getPageCount() - 1);
+        const { width, height } = lastPage.getSize();
+        mergedPdf.addPage([width, height]);
+      }
+
+      const startIndex = mergedPdf.getPageCount();
+      const copiedPages = await mergedPdf.copyPages(pdf, pageIndices);
+      copiedPages.forEach((page) => {
+        if (rotate) {
+          page.setRotation(degrees((((page.getRotation().angle + rotate) % 360) + 360) % 360));
+        }
         mergedPdf.addPage(page);
       });
+
+      documents.push({ file: name, startPage: startIndex + 1, pageCount: copiedPages.length });
+      outline.push({ title: title || path.basename(name, path.extname(name)), pageIndex: startIndex });
+    }
+
+    if (documents.length === 0) {
+      const emptyError = new Error('None of the files could be merged');
+      emptyError.status = 422;
+      throw emptyError;
+    }
+
+    if (bookmarks) {
+      writeOutline(mergedPdf, outline);
     }
 
     // Save merged PDF
     const mergedPdfBytes = await mergedPdf.save();
     await fs.writeFile(outputPath, mergedPdfBytes);
+    if (linearize) {
+      await linearizePdf(outputPath, outputPath, { signal: options.signal });
+    }
 
-    return outputPath;
+    return { outputPath, pageCount: mergedPdf.getPageCount(), documents, warnings };
   } catch (error) {
-    throw new Error(`PDF merge failed: ${error.message}`);
+    const wrapped = new Error(`PDF merge failed: ${error.message}`);
+    wrapped.status = error.status;
+    throw wrapped;
+  }
+}
+
+const SPLIT_MODES = ['pages', 'ranges', 'every', 'bookmarks', 'size'];
+
+function splitError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Makes a bookmark title usable as a file name
+ */
+function titleToFileName(title) {
+  return title
+    .replace(/[\u0000-\u001f\u007f/\\:*?"<>|]/g, '_')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 80) || 'untitled';
+}
+
+/**
+ * Groups 0-based page indices into the parts of a split
+ *
+ * @returns {Promise<{ pages: number[], title: string|null, name: string }[]>}
+ */
+async function planSplit(pdfDoc, options) {
+  const pageCount = pdfDoc.getPageCount();
+  const pageRange = (start, end) => Array.from({ length: end - start + 1 }, (_, i) => start + i);
+  const label = (pages) => formatPageRange({ start: pages[0] + 1, end: pages[pages.length - 1] + 1 });
+
+  switch (options.mode) {
+    case 'ranges': {
+      if (!options.ranges) {
+        throw splitError('ranges is required for mode "ranges", e.g. "1-3,4-10,11-"');
+      }
+      return parsePageRanges(options.ranges, pageCount).map(({ start, end }) => {
+        const pages = pageRange(start - 1, end - 1);
+        return { pages, title: null, name: `pages_${label(pages)}` };
+      });
+    }
+
+    case 'every': {
+      const every = Number(options.every);
+      if (!Number.isInteger(every) || every < 1) {
+        throw splitError('every must be a positive integer for mode "every"');
+      }
+      const parts = [];
+      for (let start = 0; start < pageCount; start += every) {
+        const pages = pageRange(start, Math.min(start + every, pageCount) - 1);
+        parts.push({ pages, title: null, name: `pages_${label(pages)}` });
+      }
+      return parts;
+    }
+
+    case 'bookmarks': {
+      // Top-level bookmarks in page order; the first part starts at page 1
+      const bookmarks = readOutline(pdfDoc)
+        .filter(entry => entry.pageIndex !== null)
+        .sort((a, b) => a.pageIndex - b.pageIndex);
+      if (bookmarks.length === 0) {
+        throw splitError('The PDF has no bookmarks pointing to its pages');
+      }
+      if (bookmarks[0].pageIndex > 0) {
+        bookmarks.unshift({ title: 'Front matter', pageIndex: 0 });
+      }
+
+      const parts = [];
+      bookmarks.forEach((bookmark, index) => {
+        const next = bookmarks.slice(index + 1).find(entry => entry.pageIndex > bookmark.pageIndex);
+        const end = next ? next.pageIndex - 1 : pageCount - 1;
+        // Bookmarks sharing a start page: the first one gets the pages
+        if (parts.length > 0 && parts[parts.length - 1].pages[0] === bookmark.pageIndex) {
+          return;
+        }
+        const title = bookmark.title || `Section ${parts.length + 1}`;
+        parts.push({ pages: pageRange(bookmark.pageIndex, end), title, name: titleToFileName(title) });
+      });
+      return parts;
+    }
+
+    case 'size': {
+      const maxBytes = Number(options.maxBytes);
+      if (!Number.isFinite(maxBytes) || maxBytes <= 0) {
+        throw splitError('maxSizeMB must be a positive number for mode "size"');
+      }
+
+      // Pages saved on their own give a (pessimistic) size estimate; shared
+      // resources are counted once per page
+      const parts = [];
+      let current = [];
+      let currentSize = 0;
+      for (let i = 0; i < pageCount; i++) {
+        const pageSize = await measurePages(pdfDoc, [i]);
+        if (current.length > 0 && currentSize + pageSize > maxBytes) {
+          parts.push(current);
+          current = [];
+          currentSize = 0;
+        }
+        current.push(i);
+        currentSize += pageSize;
+      }
+      if (current.length > 0) {
+        parts.push(current);
+      }
+      return parts.map(pages => ({ pages, title: null, name: `pages_${label(pages)}` }));
+    }
+
+    default:
+      // One file per page
+      return pageRange(0, pageCount - 1).map(i => ({ pages: [i], title: null, name: `page_${i + 1}` }));
   }
 }
 
+async function buildPart(pdfDoc, pages) {
+  const partPdf = await PDFDocument.create();
+  const copiedPages = await partPdf.copyPages(pdfDoc, pages);
+  copiedPages.forEach(page => partPdf.addPage(page));
+  return partPdf.save();
+}
+
+async function measurePages(pdfDoc, pages) {
+  return (await buildPart(pdfDoc, pages)).length;
+}
+
 /**
- * Splits a PDF into individual pages
+ * Splits a PDF into several files
  * 
  * @param {string} inputPath - Path to input PDF file
- * @param {string} outputDir - Directory to save individual page PDFs
- * @returns {Promise<string[]>} Array of paths to individual page PDFs
+ * @param {string} outputDir - Directory to save the parts
+ * @param {Object} [options]
+ * @param {string} [options.mode] - pages (one file per page, default), ranges, every, bookmarks or size
+ * @param {string} [options.ranges] - Mode ranges: one part per range, e.g. "1-3,4-10,11-"
+ * @param {number} [options.every] - Mode every: pages per part
+ * @param {number} [options.maxBytes] - Mode size: maximum size of a part
+ * @param {Function} [options.onProgress] - Called with the progress in percent
+ * @returns {Promise<{ pageCount: number, parts: Object[] }>} Page count of the input and the parts,
+ *   each with `path`, `fileName`, `title` (bookmarks mode), `startPage`, `endPage`, `pageCount`,
+ *   `size` and `oversized` (size mode, single page over the limit)
  */
-async function splitPdf(inputPath, outputDir) {
+async function splitPdf(inputPath, outputDir, options = {}) {
+  const mode = options.mode || 'pages';
+  if (!SPLIT_MODES.includes(mode)) {
+    throw splitError(`Unknown split mode "${mode}". Supported: ${SPLIT_MODES.join(', ')}`);
+  }
+
   try {
     await fs.ensureDir(outputDir);
 
-    const pdfBytes = await fs.readFile(inputPath);
-    const pdfDoc = await PDFDocument.load(pdfBytes);
-    const pageCount = pdfDoc.getPageCount();
-    const pageFiles = [];
-
-    // Create a separate PDF for each page
-    for (let i = 0; i < pageCount; i++) {
-      const newPdf = await PDFDocument.create();
-      const [copiedPage] = await newPdf.copyPages(pdfDoc, [i]);
-      newPdf.addPage(copiedPage);
-
-      const pageBytes = await newPdf.save();
-      const pageFileName = `page_${i + 1}.pdf`;
-      const pagePath = path.join(outputDir, pageFileName);
-      
-      await fs.writeFile(pagePath, pageBytes);
-      pageFiles.push(pagePath);
+    const { pdfDoc } = await loadPdfFile(inputPath);
+    const plan = await planSplit(pdfDoc, { ...options, mode });
+    const digits = Math.max(2, String(plan.length).length);
+    const parts = [];
+
+    for (let index = 0; index < plan.length; index++) {
+      const { pages, title, name } = plan[index];
+      const bytes = await buildPart(pdfDoc, pages);
+
+      // The size estimate can be off; halve parts that are still too large
+      if (mode === 'size' && bytes.length > options.maxBytes && pages.length > 1) {
+        const half = Math.ceil(pages.length / 2);
+        const label = (p) => formatPageRange({ start: p[0] + 1, end: p[p.length - 1] + 1 });
+        plan.splice(index + 1, 0,
+          { pages: pages.slice(half), title, name: `pages_${label(pages.slice(half))}` });
+        plan[index] = { pages: pages.slice(0, half), title, name: `pages_${label(pages.slice(0, half))}` };
+        index--;
+        continue;
+      }
+
+      const fileName = mode === 'pages' ? `${name}.pdf` : `${String(parts.length + 1).padStart(digits, '0')}_${name}.pdf`;
+      const partPath = path.join(outputDir, fileName);
+      await fs.writeFile(partPath, bytes);
+
+      parts.push({
+        path: partPath,
+        fileName,
+        title,
+        startPage: pages[0] + 1,
+        endPage: pages[pages.length - 1] + 1,
+        pageCount: pages.length,
+        size: bytes.length,
+        oversized: mode === 'size' && bytes.length > options.maxBytes
+      });
+      options.onProgress?.((parts.length / plan.length) * 100);
     }
 
-    return pageFiles;
+    return { pageCount: pdfDoc.getPageCount(), parts };
   } catch (error) {
-    throw new Error(`PDF split failed: ${error.message}`);
+    const wrapped = new Error(`PDF split failed: ${error.message}`);
+    wrapped.status = error.status;
+    throw wrapped;
+  }
+}
+
+/**
+ * Ghostscript arguments for a compression quality
+ *
+ * Shared by POST /compress and the pipeline's compress step, so `quality`
+ * means the same everywhere: higher keeps more image detail.
+ *
+ * @param {number} quality - 1-100, higher = better quality, less compression
+ * @returns {string[]} pdfwrite settings, without input and output file
+ */
+function compressionArgs(quality) {
+  let gsQuality;
+  let additionalFlags;
+
+  if (quality >= 90) {
+    // Very high quality (90-100): Light compression, preserve quality but still compress
+    gsQuality = '/printer';
+    additionalFlags = '-dColorImageResolution=200 -dGrayImageResolution=200 -dMonoImageResolution=200 -dDownsampleColorImages=true -dDownsampleGrayImages=true -dColorImageDownsampleThreshold=1.3 -dGrayImageDownsampleThreshold=1.3 -dJPEGQ=90 -dAutoRotatePages=/None';
+  } else if (quality >= 75) {
+    // High quality (75-89): Moderate compression, good quality
+    gsQuality = '/printer';
+    additionalFlags = '-dColorImageResolution=150 -dGrayImageResolution=150 -dMonoImageResolution=150 -dDownsampleColorImages=true -dDownsampleGrayImages=true -dDownsampleMonoImages=true -dColorImageDownsampleThreshold=1.2 -dGrayImageDownsampleThreshold=1.2 -dMonoImageDownsampleThreshold=1.2 -dJPEGQ=85 -dAutoRotatePages=/None';
+  } else if (quality >= 50) {
+    // Medium quality (50-74): Balanced compression
+    gsQuality = '/ebook';
+    additionalFlags = '-dColorImageResolution=150 -dGrayImageResolution=150 -dMonoImageResolution=150 -dDownsampleColorImages=true -dDownsampleGrayImages=true -dColorImageDownsampleThreshold=1.5 -dGrayImageDownsampleThreshold=1.5 -dJPEGQ=80';
+  } else if (quality >= 25) {
+    // Medium-high compression (25-49): Good compression with acceptable quality
+    gsQuality = '/printer';
+    additionalFlags = '-dColorImageResolution=150 -dGrayImageResolution=150 -dMonoImageResolution=150 -dDownsampleColorImages=true -dDownsampleGrayImages=true -dDownsampleMonoImages=true -dColorImageDownsampleThreshold=1.2 -dGrayImageDownsampleThreshold=1.2 -dMonoImageDownsampleThreshold=1.2 -dJPEGQ=75 -dAutoRotatePages=/None';
+  } else {
+    // Maximum compression (1-24): Aggressive compression for smallest file size
+    gsQuality = '/screen';
+    additionalFlags = '-dColorImageResolution=72 -dGrayImageResolution=72 -dMonoImageResolution=72 -dDownsampleColorImages=true -dDownsampleGrayImages=true -dDownsampleMonoImages=true -dColorImageDownsampleThreshold=1.0 -dGrayImageDownsampleThreshold=1.0 -dMonoImageDownsampleThreshold=1.0 -dJPEGQ=60 -dAutoRotatePages=/None -dEmbedAllFonts=false -dSubsetFonts=true -dCompressFonts=true';
   }
+
+  // Additional compression flags for all quality levels - always apply optimization
+  // (linearization is done by qpdf afterwards, Ghostscript's FastWebView output is not reliable)
+  const compressionFlags = '-dOptimize=true -dDetectDuplicateImages=true -dCompressStreams=true -dUseFlateCompression=true -dCompressPages=true';
+
+  // The flag strings above are constants, so splitting on spaces is safe
+  return [
+    '-sDEVICE=pdfwrite',
+    '-dCompatibilityLevel=1.4',
+    `-dPDFSETTINGS=${gsQuality}`,
+    ...additionalFlags.split(' '),
+    ...compressionFlags.split(' ')
+  ];
 }
 
 /**
@@ -79,41 +358,22 @@ async function splitPdf(inputPath, outputDir) {
  * 
  * @param {string} inputPath - Path to input PDF file
  * @param {string} outputPath - Path to output compressed PDF file
- * @param {number} quality - Compression quality (1-100, lower = more compression)
+ * @param {number} quality - Compression quality (1-100, higher = better quality, less compression)
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels Ghostscript (e.g. job cancellation)
  * @returns {Promise<string>} Path to compressed file
  */
-async function compressPdf(inputPath, outputPath, quality = 50) {
+async function compressPdf(inputPath, outputPath, quality = 50, options = {}) {
   try {
-    // Map quality (1-100) to Ghostscript compression settings
-    // Higher quality value = MORE compression = SMALLER file
-    // Lower quality value = LESS compression = LARGER file (better quality)
-    // Use more aggressive compression flags for higher quality values
-    
-    let gsSettings = '';
-    let imageResolution = '';
-    
-    if (quality >= 80) {
-      // Maximum compression - smallest file
-      gsSettings = '/screen';
-      imageResolution = '-dDownsampleColorImages=true -dColorImageResolution=72 -dDownsampleGrayImages=true -dGrayImageResolution=72 -dDownsampleMonoImages=true -dMonoImageResolution=72';
-    } else if (quality >= 50) {
-      // High compression
-      gsSettings = '/ebook';
-      imageResolution = '-dDownsampleColorImages=true -dColorImageResolution=150 -dDownsampleGrayImages=true -dGrayImageResolution=150';
-    } else if (quality >= 30) {
-      // Medium compression
-      gsSettings = '/printer';
-      imageResolution = '-dColorImageResolution=300 -dGrayImageResolution=300';
-    } else {
-      // Minimum compression - best quality, largest file
-      gsSettings = '/prepress';
-      imageResolution = ''; // No downsampling, keep original resolution
-    }
-
-    // Ghostscript command with additional compression flags
-    const command = `gs -sDEVICE=pdfwrite -dCompatibilityLevel=1.4 -dPDFSETTINGS=${gsSettings} -dEmbedAllFonts=true -dSubsetFonts=true -dCompressFonts=true -dOptimize=true ${imageResolution} -dNOPAUSE -dQUIET -dBATCH -sOutputFile="${outputPath}" "${inputPath}"`;
-
-    await execAsync(command);
+    await runTool('gs', [
+      ...compressionArgs(quality),
+      '-dNOPAUSE',
+      '-dQUIET',
+      '-dBATCH',
+      // '%' is a page number placeholder for Ghostscript, escape it in file names
+      `-sOutputFile=${outputPath.replace(/%/g, '%%')}`,
+      inputPath
+    ], { signal: options.signal });
 
     // Verify output file exists
     if (!(await fs.pathExists(outputPath))) {
@@ -122,6 +382,9 @@ async function compressPdf(inputPath, outputPath, quality = 50) {
 
     return outputPath;
   } catch (error) {
+    if (error.cancelled) {
+      throw error;
+    }
     // Fallback to pdf-lib compression if Ghostscript fails
     console.warn('Ghostscript compression failed, using pdf-lib fallback:', error.message);
     return compressPdfFallback(inputPath, outputPath, quality);
@@ -133,8 +396,7 @@ async function compressPdf(inputPath, outputPath, quality = 50) {
  */
 async function compressPdfFallback(inputPath, outputPath, quality) {
   try {
-    const pdfBytes = await fs.readFile(inputPath);
-    const pdfDoc = await PDFDocument.load(pdfBytes);
+    const { pdfDoc } = await loadPdfFile(inputPath);
     
     // Save with compression enabled
     const compressedBytes = await pdfDoc.save({
@@ -152,6 +414,7 @@ async function compressPdfFallback(inputPath, outputPath, quality) {
 module.exports = {
   mergePdfs,
   splitPdf,
+  compressionArgs,
   compressPdf
 };
 
@@ -0,0 +1,160 @@
+const { PDFName, PDFDict, PDFArray, PDFRef, PDFString, PDFHexString } = require('pdf-lib');
+const { lookupAs } = require('./pdfObjects');
+
+/**
+ * PDF outline (bookmarks) support on top of pdf-lib's low-level objects
+ */
+
+// Guards against malformed outlines that loop
+const MAX_OUTLINE_ITEMS = 10000;
+
+function decodeText(value) {
+  if (value instanceof PDFString || value instanceof PDFHexString || value instanceof PDFName) {
+    return value.decodeText();
+  }
+  return '';
+}
+
+/**
+ * Looks up a key in a name tree (/Kids, /Names)
+ */
+function lookupNameTree(node, key, depth = 0) {
+  if (!(node instanceof PDFDict) || depth > 32) {
+    return undefined;
+  }
+
+  const names = lookupAs(node, 'Names', PDFArray);
+  if (names) {
+    for (let i = 0; i + 1 < names.size(); i += 2) {
+      if (decodeText(names.lookup(i)) === key) {
+        return names.lookup(i + 1);
+      }
+    }
+  }
+
+  const kids = lookupAs(node, 'Kids', PDFArray);
+  if (kids) {
+    for (let i = 0; i < kids.size(); i++) {
+      const found = lookupNameTree(kids.lookup(i), key, depth + 1);
+      if (found !== undefined) {
+        return found;
+      }
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Resolves an outline item's destination to a page reference
+ */
+function resolveDestinationPage(pdfDoc, item) {
+  let destination = item.lookup(PDFName.of('Dest'));
+
+  if (!destination) {
+    const action = lookupAs(item, 'A', PDFDict);
+    if (action && action.lookup(PDFName.of('S')) === PDFName.of('GoTo')) {
+      destination = action.lookup(PDFName.of('D'));
+    }
+  }
+
+  // Named destinations: /Dests in the catalog (names) or the /Names /Dests tree (strings)
+  if (destination instanceof PDFName) {
+    const dests = lookupAs(pdfDoc.catalog, 'Dests', PDFDict);
+    destination = dests?.lookup(destination);
+  } else if (destination instanceof PDFString || destination instanceof PDFHexString) {
+    const names = lookupAs(pdfDoc.catalog, 'Names', PDFDict);
+    const tree = lookupAs(names, 'Dests', PDFDict);
+    destination = lookupNameTree(tree, destination.decodeText());
+  }
+
+  if (destination instanceof PDFDict) {
+    destination = destination.lookup(PDFName.of('D'));
+  }
+  if (destination instanceof PDFArray && destination.size() > 0) {
+    const page = destination.get(0);
+    return page instanceof PDFRef ? page : null;
+  }
+  return null;
+}
+
+/**
+ * Reads the top-level outline entries (bookmarks) of a PDF
+ *
+ * @param {PDFDocument} pdfDoc - Loaded pdf-lib document
+ * @returns {{ title: string, pageIndex: number|null }[]} Entries in outline order;
+ *   pageIndex is 0-based, null if the destination could not be resolved
+ */
+function readOutline(pdfDoc) {
+  const outlines = lookupAs(pdfDoc.catalog, 'Outlines', PDFDict);
+  if (!outlines) {
+    return [];
+  }
+
+  const pageIndexByRef = new Map(pdfDoc.getPages().map((page, index) => [page.ref.toString(), index]));
+  const entries = [];
+  const seen = new Set();
+  let item = lookupAs(outlines, 'First', PDFDict);
+
+  while (item && !seen.has(item) && entries.length < MAX_OUTLINE_ITEMS) {
+    seen.add(item);
+    const pageRef = resolveDestinationPage(pdfDoc, item);
+    const pageIndex = pageRef ? pageIndexByRef.get(pageRef.toString()) : undefined;
+
+    entries.push({
+      title: decodeText(item.lookup(PDFName.of('Title'))).trim(),
+      pageIndex: pageIndex === undefined ? null : pageIndex
+    });
+    item = lookupAs(item, 'Next', PDFDict);
+  }
+
+  return entries;
+}
+
+/**
+ * Replaces the outline of a PDF with a flat list of bookmarks
+ *
+ * @param {PDFDocument} pdfDoc - pdf-lib document
+ * @param {{ title: string, pageIndex: number }[]} entries - Bookmarks in order, pageIndex 0-based
+ */
+function writeOutline(pdfDoc, entries) {
+  const { context } = pdfDoc;
+  const pages = pdfDoc.getPages();
+  const valid = entries.filter(entry => pages[entry.pageIndex]);
+  if (valid.length === 0) {
+    pdfDoc.catalog.delete(PDFName.of('Outlines'));
+    return;
+  }
+
+  const outlineRef = context.nextRef();
+  const itemRefs = valid.map(() => context.nextRef());
+
+  valid.forEach((entry, index) => {
+    const item = context.obj({
+      Title: PDFHexString.fromText(entry.title),
+      Parent: outlineRef,
+      Dest: [pages[entry.pageIndex].ref, 'XYZ', null, null, null]
+    });
+    if (index > 0) {
+      item.set(PDFName.of('Prev'), itemRefs[index - 1]);
+    }
+    if (index < itemRefs.length - 1) {
+      item.set(PDFName.of('Next'), itemRefs[index + 1]);
+    }
+    context.assign(itemRefs[index], item);
+  });
+
+  context.assign(outlineRef, context.obj({
+    Type: 'Outlines',
+    First: itemRefs[0],
+    Last: itemRefs[itemRefs.length - 1],
+    Count: itemRefs.length
+  }));
+  pdfDoc.catalog.set(PDFName.of('Outlines'), outlineRef);
+  // Show the bookmarks panel when the file is opened
+  pdfDoc.catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+}
+
+module.exports = {
+  readOutline,
+  writeOutline
+};
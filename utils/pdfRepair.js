@@ -0,0 +1,297 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { v4: uuidv4 } = require('uuid');
+const { PDFDocument, EncryptedPDFError } = require('pdf-lib');
+const { runTool } = require('./toolRunner');
+
+/**
+ * Repair and linearization of PDF files
+ *
+ * Damaged files (truncated or missing cross-reference tables, broken object
+ * streams, bad object offsets) are rewritten with qpdf, which reconstructs
+ * the cross-reference table and recovers what it can. Files qpdf cannot
+ * open are re-rendered with Ghostscript, which is more tolerant but does not
+ * keep form fields and document structure.
+ */
+
+// Only the first problems are listed, a damaged file can produce thousands
+const MAX_ISSUES = 50;
+
+function repairError(message, status = 422) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Turns tool output into a list of problems, without file paths
+ *
+ * qpdf: "WARNING: /uploads/x.pdf (object 5 0, offset 812): expected endobj"
+ * Ghostscript: "   **** Error:  An error occurred while reading an XREF table."
+ */
+function parseIssues(output, inputPath, tool) {
+  const issues = [];
+  for (const line of output.split(/\r?\n/)) {
+    let issue = null;
+    if (tool === 'qpdf' && line.startsWith('WARNING: ')) {
+      issue = line
+        .slice('WARNING: '.length)
+        .split(inputPath).join('')
+        .replace(/^\s*\(([^)]*)\):\s*/, '$1: ')
+        .replace(/^:\s*/, '');
+    } else if (tool === 'gs' && /^\s*\*{4}\s*(Error|Warning)/.test(line)) {
+      issue = line.replace(/^\s*\*{4}\s*(Error|Warning):?\s*/, '').replace(/\s+/g, ' ');
+    }
+    if (issue && !issues.includes(issue.trim())) {
+      issues.push(issue.trim());
+    }
+  }
+  return issues;
+}
+
+function limitIssues(issues) {
+  if (issues.length <= MAX_ISSUES) {
+    return issues;
+  }
+  return [...issues.slice(0, MAX_ISSUES), `... and ${issues.length - MAX_ISSUES} more`];
+}
+
+async function countPages(bytes) {
+  try {
+    const pdfDoc = await PDFDocument.load(bytes, { ignoreEncryption: true, updateMetadata: false });
+    return { pageCount: pdfDoc.getPageCount(), error: null };
+  } catch (error) {
+    return { pageCount: null, error };
+  }
+}
+
+/**
+ * Linearizes a PDF for fast web view with qpdf
+ *
+ * Linearized files put the first page and the objects it needs at the start
+ * of the file, so viewers can show it before the rest is downloaded.
+ *
+ * @param {string} inputPath - Path to input PDF file
+ * @param {string} outputPath - Path to output PDF file (may equal inputPath)
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Stops qpdf when aborted
+ * @returns {Promise<string>} Path to linearized file
+ */
+async function linearizePdf(inputPath, outputPath, options = {}) {
+  // qpdf cannot write over its input
+  const targetPath = inputPath === outputPath
+    ? path.join(path.dirname(outputPath), `linearized_${uuidv4()}.pdf`)
+    : outputPath;
+
+  try {
+    // Exit code 3: written, with warnings
+    await runTool('qpdf', ['--linearize', inputPath, targetPath], {
+      allowedExitCodes: [0, 3],
+      signal: options.signal
+    });
+  } catch (error) {
+    await fs.remove(targetPath).catch(() => {});
+    if (error.cancelled) {
+      throw error;
+    }
+    if (error.notFound) {
+      throw new Error('qpdf is not installed. Linearization requires qpdf to be installed on the server.');
+    }
+    if (/invalid password/i.test(error.stderr)) {
+      throw repairError('The PDF is encrypted. Remove the password with /pdf/unlock first');
+    }
+    throw new Error(`Linearization failed: ${error.stderr.trim() || error.message}`);
+  }
+
+  if (targetPath !== outputPath) {
+    await fs.move(targetPath, outputPath, { overwrite: true });
+  }
+  return outputPath;
+}
+
+/**
+ * Rebuilds a damaged PDF
+ *
+ * qpdf is tried first, Ghostscript when qpdf cannot open the file or is not
+ * installed. Files that are not damaged are rewritten by qpdf unchanged
+ * apart from the file structure.
+ *
+ * @param {string} inputPath - Path to input PDF file
+ * @param {string} outputPath - Path to output PDF file
+ * @param {Object} [options]
+ * @param {boolean} [options.linearize] - Linearize the result for fast web view
+ * @param {AbortSignal} [options.signal] - Stops qpdf and Ghostscript when aborted
+ * @returns {Promise<{ outputPath: string, method: string, damaged: boolean, issues: string[],
+ *   pageCount: number, originalPageCount: number|null, linearized: boolean }>}
+ *   `method` is 'qpdf' or 'ghostscript'; `issues` lists the problems found and
+ *   fixed; `originalPageCount` is null when the original could not be read
+ */
+async function repairPdf(inputPath, outputPath, options = {}) {
+  const { linearize = false, signal } = options;
+  const original = await countPages(await fs.readFile(inputPath));
+  const issues = original.error ? [`The file could not be parsed: ${original.error.message}`] : [];
+  let method = 'qpdf';
+  let qpdfError = null;
+
+  try {
+    const { stderr, stdout } = await runTool('qpdf', [
+      ...(linearize ? ['--linearize'] : []),
+      inputPath,
+      outputPath
+    ], { allowedExitCodes: [0, 3], signal });
+    issues.push(...parseIssues(`${stdout}\n${stderr}`, inputPath, 'qpdf'));
+  } catch (error) {
+    if (error.cancelled) {
+      throw error;
+    }
+    if (/invalid password/i.test(error.stderr)) {
+      throw repairError('The PDF is encrypted. Remove the password with /pdf/unlock first');
+    }
+    qpdfError = error;
+  }
+
+  if (qpdfError) {
+    method = 'ghostscript';
+    if (!qpdfError.notFound) {
+      issues.push(...parseIssues(qpdfError.stderr, inputPath, 'qpdf'));
+    }
+    try {
+      const { stdout, stderr } = await runTool('gs', [
+        '-sDEVICE=pdfwrite',
+        '-dPDFSETTINGS=/prepress',
+        '-dAutoRotatePages=/None',
+        '-dNOPAUSE',
+        '-dBATCH',
+        // '%' is a page number placeholder for Ghostscript, escape it in file names
+        `-sOutputFile=${outputPath.replace(/%/g, '%%')}`,
+        inputPath
+      ], { signal });
+      issues.push(...parseIssues(`${stdout}\n${stderr}`, inputPath, 'gs'));
+    } catch (error) {
+      if (error.cancelled) {
+        throw error;
+      }
+      await fs.remove(outputPath).catch(() => {});
+      if (qpdfError.notFound && error.notFound) {
+        throw new Error('Repairing PDFs requires qpdf or Ghostscript to be installed on the server.');
+      }
+      throw repairError(`The PDF could not be repaired: ${(error.stderr || qpdfError.stderr || error.message).trim().split('\n').pop()}`);
+    }
+    if (linearize) {
+      await linearizePdf(outputPath, outputPath, { signal });
+    }
+  }
+
+  const repaired = await countPages(await fs.readFile(outputPath).catch(() => Buffer.alloc(0)));
+  if (repaired.error) {
+    await fs.remove(outputPath).catch(() => {});
+    throw repairError(`The PDF could not be repaired: ${repaired.error.message}`);
+  }
+  if (original.pageCount !== null && repaired.pageCount < original.pageCount) {
+    issues.push(`${original.pageCount - repaired.pageCount} page(s) could not be recovered`);
+  }
+
+  return {
+    outputPath,
+    method,
+    damaged: issues.length > 0,
+    issues: limitIssues(issues),
+    pageCount: repaired.pageCount,
+    originalPageCount: original.pageCount,
+    linearized: linearize
+  };
+}
+
+/**
+ * Loads a PDF with pdf-lib, repairing a copy first if it cannot be parsed
+ *
+ * Encrypted files are not repaired, pdf-lib's EncryptedPDFError is passed on.
+ * When the repair fails too (or no repair tool is installed), a 422 error
+ * with the original parse error as detail is thrown.
+ *
+ * @param {string} inputPath - Path to PDF file
+ * @param {Object} [loadOptions] - Options for PDFDocument.load
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Stops the repair when aborted
+ * @returns {Promise<{ pdfDoc: PDFDocument, bytes: Buffer, repair: Object|null }>} `bytes`
+ *   are the bytes the document was parsed from; `repair` is the result of
+ *   repairPdf when the file had to be repaired
+ */
+async function loadPdfFile(inputPath, loadOptions = {}, options = {}) {
+  const bytes = await fs.readFile(inputPath);
+  let loadError;
+  try {
+    const pdfDoc = await PDFDocument.load(bytes, loadOptions);
+    // A broken page tree only shows when the pages are read
+    pdfDoc.getPageCount();
+    return { pdfDoc, bytes, repair: null };
+  } catch (error) {
+    if (error instanceof EncryptedPDFError) {
+      throw error;
+    }
+    loadError = error;
+  }
+
+  const repairedPath = path.join(path.dirname(inputPath), `repaired_${uuidv4()}.pdf`);
+  try {
+    const repair = await repairPdf(inputPath, repairedPath, { signal: options.signal });
+    const repairedBytes = await fs.readFile(repairedPath);
+    const pdfDoc = await PDFDocument.load(repairedBytes, loadOptions);
+    console.warn(`Repaired ${path.basename(inputPath)} with ${repair.method}: ${repair.issues.join('; ')}`);
+    return { pdfDoc, bytes: repairedBytes, repair };
+  } catch (error) {
+    if (error.cancelled) {
+      throw error;
+    }
+    // A damaged upload is the client's problem, not a server fault
+    throw repairError(`The PDF is damaged and could not be repaired: ${loadError.message}`);
+  } finally {
+    await fs.remove(repairedPath).catch(() => {});
+  }
+}
+
+/**
+ * Runs an operation on a PDF, and once more on a repaired copy if it fails
+ *
+ * For external tools that reject damaged files. Cancellation, timeouts,
+ * missing tools and request errors are passed on without a repair, as is
+ * the original error when the file cannot be repaired.
+ *
+ * @param {string} inputPath - Path to PDF file
+ * @param {Function} operation - async (pdfPath) => result
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Stops the repair when aborted
+ * @returns {Promise<*>} Result of the operation
+ */
+async function withRepair(inputPath, operation, options = {}) {
+  try {
+    return await operation(inputPath);
+  } catch (error) {
+    if (error.cancelled || error.timedOut || error.notFound || (error.status && error.status < 500)) {
+      throw error;
+    }
+
+    const repairedPath = path.join(path.dirname(inputPath), `repaired_${uuidv4()}.pdf`);
+    try {
+      try {
+        const repair = await repairPdf(inputPath, repairedPath, { signal: options.signal });
+        console.warn(`Repaired ${path.basename(inputPath)} with ${repair.method}: ${repair.issues.join('; ')}`);
+      } catch (repairFailure) {
+        if (repairFailure.cancelled) {
+          throw repairFailure;
+        }
+        throw error;
+      }
+      return await operation(repairedPath);
+    } finally {
+      await fs.remove(repairedPath).catch(() => {});
+    }
+  }
+}
+
+module.exports = {
+  repairPdf,
+  linearizePdf,
+  loadPdfFile,
+  withRepair
+};
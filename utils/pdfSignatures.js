@@ -0,0 +1,810 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const {
+  PDFDocument,
+  PDFName,
+  PDFDict,
+  PDFArray,
+  PDFRef,
+  PDFNumber,
+  PDFString,
+  PDFHexString,
+  StandardFonts
+} = require('pdf-lib');
+const {
+  loadPkcs12,
+  createCadesSignature,
+  verifyCmsSignature,
+  describeCertificate,
+  chainsToTrusted
+} = require('./cms');
+const { findMissingGlyphs, validatePosition, getVisibleSize, toPageCoordinates } = require('./textPlacement');
+const { loadPdfFile } = require('./pdfRepair');
+const { nameOf, textOf } = require('./pdfObjects');
+
+/**
+ * PAdES signatures: signing with a PKCS#12 certificate and verification
+ *
+ * A signature is appended to the file as an incremental update: the
+ * original bytes are kept as they are and only the new and changed
+ * objects, a cross-reference section and a trailer are written after
+ * them. Earlier signatures, which cover the original bytes, stay valid.
+ *
+ * There is no timestamp authority; the signing time is the server clock
+ * and is not independently proven.
+ */
+
+// Filled in once the final layout of the file is known; as wide as any real offset
+const BYTE_RANGE_PLACEHOLDER = [0, 9999999999, 9999999999, 9999999999];
+
+// Room for the CMS structure on top of the certificates it carries
+const SIGNATURE_OVERHEAD = 4096;
+
+// SignaturesExist | AppendOnly
+const SIGNATURE_FLAGS = 3;
+
+// Print | Locked
+const WIDGET_FLAGS = 132;
+
+const DEFAULT_BOX = { width: 200, height: 60 };
+
+// Certificate and trust store files
+const CERTIFICATE_EXTENSIONS = ['.pem', '.crt', '.cer', '.der'];
+
+function signatureError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function parseNumber(value, name, min, max, fallback) {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || number > max) {
+    throw signatureError(`${name} must be a number between ${min} and ${max}`);
+  }
+  return number;
+}
+
+function parseText(value, name) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const text = String(value);
+  if (text.length > 500) {
+    throw signatureError(`${name} must be at most 500 characters`);
+  }
+  return text;
+}
+
+/**
+ * Parses a PDF for verification
+ *
+ * Damaged files are not repaired here: a repaired copy no longer has the
+ * bytes that were signed.
+ */
+async function loadPdf(bytes) {
+  let pdfDoc;
+  try {
+    pdfDoc = await PDFDocument.load(bytes, { ignoreEncryption: true, updateMetadata: false });
+  } catch (error) {
+    throw signatureError(`PDF could not be read: ${error.message}`, 422);
+  }
+  return pdfDoc;
+}
+
+/**
+ * Lists the terminal form fields with their full names and widgets
+ *
+ * Walks the AcroForm field tree directly: pdf-lib's getForm() rewrites
+ * parts of the form, which an incremental update must not do.
+ *
+ * @returns {{ ref: PDFRef, dict: PDFDict, name: string, type: string|null, widgets: PDFRef[] }[]}
+ */
+function collectFields(pdfDoc) {
+  const { context } = pdfDoc;
+  const acroForm = pdfDoc.catalog.lookup(PDFName.of('AcroForm'));
+  const fields = acroForm instanceof PDFDict ? acroForm.lookup(PDFName.of('Fields')) : null;
+  if (!(fields instanceof PDFArray)) {
+    return [];
+  }
+
+  const results = [];
+  const visited = new Set();
+  const visit = (ref, parentName, parentType) => {
+    const dict = context.lookup(ref);
+    if (!(ref instanceof PDFRef) || !(dict instanceof PDFDict) || visited.has(ref)) {
+      return;
+    }
+    visited.add(ref);
+    const partialName = textOf(dict, 'T');
+    const name = partialName === null ? parentName : [parentName, partialName].filter(Boolean).join('.');
+    const type = nameOf(dict, 'FT') || parentType;
+    const kids = dict.lookup(PDFName.of('Kids'));
+    const kidRefs = kids instanceof PDFArray ? kids.asArray() : [];
+    // Kids with a name are fields; kids without one are the widgets of this field
+    const childFields = kidRefs.filter(kid => context.lookup(kid) instanceof PDFDict && context.lookup(kid).has(PDFName.of('T')));
+    if (childFields.length > 0) {
+      childFields.forEach(kid => visit(kid, name, type));
+      return;
+    }
+    results.push({ ref, dict, name, type, widgets: kidRefs.length > 0 ? kidRefs : [ref] });
+  };
+  fields.asArray().forEach(ref => visit(ref, '', null));
+  return results;
+}
+
+/**
+ * Returns the 1-based page number of a widget annotation, or null
+ */
+function widgetPageNumber(pdfDoc, widgetRef) {
+  const pages = pdfDoc.getPages();
+  const widget = pdfDoc.context.lookup(widgetRef);
+  const pageRef = widget instanceof PDFDict ? widget.get(PDFName.of('P')) : null;
+  let index = pages.findIndex(page => page.ref === pageRef);
+  if (index === -1) {
+    index = pages.findIndex((page) => {
+      const annotations = page.node.lookup(PDFName.of('Annots'));
+      return annotations instanceof PDFArray && annotations.asArray().includes(widgetRef);
+    });
+  }
+  return index === -1 ? null : index + 1;
+}
+
+/**
+ * Reads the signing key and certificate: uploaded, or the server's
+ * certificate from SIGNING_CERT_PATH and SIGNING_CERT_PASSWORD
+ */
+async function loadCredentials(options) {
+  if (options.certificate) {
+    return loadPkcs12(options.certificate, options.certificatePassword || '');
+  }
+
+  const certificatePath = process.env.SIGNING_CERT_PATH;
+  if (!certificatePath) {
+    throw signatureError('Upload a PKCS#12 certificate; no server signing certificate is configured');
+  }
+  let bytes;
+  try {
+    bytes = await fs.readFile(certificatePath);
+  } catch (error) {
+    throw new Error(`The server signing certificate could not be read: ${error.message}`);
+  }
+  try {
+    return loadPkcs12(bytes, process.env.SIGNING_CERT_PASSWORD || '');
+  } catch (error) {
+    // A broken server certificate is a configuration error, not a bad request
+    throw new Error(`The server signing certificate could not be used: ${error.message}`);
+  }
+}
+
+/**
+ * Finds the startxref offset and the /Size of the last cross-reference section
+ */
+function readLastXref(bytes) {
+  const tail = bytes.toString('latin1', Math.max(0, bytes.length - 2048));
+  const matches = [...tail.matchAll(/startxref\s+(\d+)/g)];
+  const offset = matches.length > 0 ? Number(matches[matches.length - 1][1]) : NaN;
+  if (!Number.isSafeInteger(offset) || offset >= bytes.length) {
+    throw signatureError('The PDF has no valid cross-reference table; repair it before signing', 422);
+  }
+  // The trailer follows an xref table; an xref stream carries /Size in its dictionary
+  const section = bytes.toString('latin1', offset);
+  const size = Number((section.match(/\/Size\s+(\d+)/) || [])[1]) || 0;
+  return { offset, size, isStream: !section.startsWith('xref') };
+}
+
+/**
+ * Computes the annotation rectangle of a visible signature
+ *
+ * Positions and sizes are on the visible page (crop box and /Rotate).
+ *
+ * @returns {{ rect: number[], width: number, height: number, rotation: number }}
+ */
+function signatureBox(page, settings) {
+  const visible = getVisibleSize(page);
+  const { width, height, margin } = settings;
+  if (width > visible.width || height > visible.height) {
+    throw signatureError(`The signature box (${width}x${height}) is larger than the page (${Math.round(visible.width)}x${Math.round(visible.height)})`);
+  }
+
+  let x = settings.x;
+  let y = settings.y;
+  if (x === null || y === null) {
+    const [vertical, horizontal] = settings.position === 'center' ? ['center', 'center'] : settings.position.split('-');
+    x = horizontal === 'left' ? margin : horizontal === 'right' ? visible.width - margin - width : (visible.width - width) / 2;
+    y = vertical === 'bottom' ? margin : vertical === 'top' ? visible.height - margin - height : (visible.height - height) / 2;
+  } else if (x + width > visible.width || y + height > visible.height) {
+    throw signatureError('The signature box must be inside the page');
+  }
+
+  const corners = [[x, y], [x + width, y + height]].map(([cornerX, cornerY]) => toPageCoordinates(page, cornerX, cornerY));
+  return {
+    rect: [
+      Math.min(corners[0].x, corners[1].x),
+      Math.min(corners[0].y, corners[1].y),
+      Math.max(corners[0].x, corners[1].x),
+      Math.max(corners[0].y, corners[1].y)
+    ],
+    width,
+    height,
+    rotation: visible.rotation
+  };
+}
+
+/**
+ * Creates the appearance stream of a visible signature: a frame with the
+ * signer, date, reason and location
+ *
+ * The form is turned by the page's /Rotate so it reads upright on screen.
+ *
+ * @returns {PDFRef}
+ */
+async function createAppearance(pdfDoc, box, lines) {
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  await font.embed();
+
+  // Helvetica only covers WinAnsi (Latin) text
+  const drawable = lines.map((line) => {
+    const missing = new Set(findMissingGlyphs(font, line));
+    return [...line].map(char => (missing.has(char) ? '?' : char)).join('');
+  });
+
+  const padding = 4;
+  const widest = Math.max(...drawable.map(line => font.widthOfTextAtSize(line, 1)));
+  const fontSize = Math.min(10, (box.height - 2 * padding) / (drawable.length * 1.2), (box.width - 2 * padding) / widest);
+  const leading = fontSize * 1.2;
+  const format = number => Number(number.toFixed(3));
+
+  const content = [
+    'q 0.2 0.3 0.6 RG 1 w',
+    `0.5 0.5 ${format(box.width - 1)} ${format(box.height - 1)} re S Q`,
+    'BT 0 0 0 rg',
+    `/F1 ${format(fontSize)} Tf ${format(leading)} TL`,
+    `${padding} ${format(box.height - padding - fontSize)} Td`,
+    ...drawable.map((line, index) => `${index > 0 ? 'T* ' : ''}${font.encodeText(line)} Tj`),
+    'ET'
+  ].join('\n');
+
+  const radians = box.rotation * Math.PI / 180;
+  const [cos, sin] = [Math.round(Math.cos(radians)), Math.round(Math.sin(radians))];
+  const stream = pdfDoc.context.stream(content, {
+    Type: 'XObject',
+    Subtype: 'Form',
+    BBox: [0, 0, box.width, box.height],
+    Matrix: [cos, sin, -sin, cos, 0, 0],
+    Resources: { Font: { F1: font.ref } }
+  });
+  return pdfDoc.context.register(stream);
+}
+
+/**
+ * Adds a reference to an array entry of a dictionary, creating the array
+ * when missing, and records which object changed
+ */
+function appendReference(pdfDoc, dict, dictRef, key, ref, changed) {
+  const value = dict.get(PDFName.of(key));
+  const array = value instanceof PDFRef ? pdfDoc.context.lookup(value) : value;
+  if (array instanceof PDFArray) {
+    array.push(ref);
+    changed.add(value instanceof PDFRef ? value : dictRef);
+  } else {
+    dict.set(PDFName.of(key), pdfDoc.context.obj([ref]));
+    changed.add(dictRef);
+  }
+}
+
+function serializeObject(objectNumber, generation, object) {
+  const body = new Uint8Array(object.sizeInBytes());
+  object.copyBytesInto(body, 0);
+  return Buffer.concat([
+    Buffer.from(`${objectNumber} ${generation} obj\n`, 'latin1'),
+    body,
+    Buffer.from('\nendobj\n', 'latin1')
+  ]);
+}
+
+/**
+ * Writes the changed objects and their cross-reference section after the
+ * original bytes
+ *
+ * The section has the same form as the file's last one (table or stream),
+ * so readers that only understand one of them keep working.
+ *
+ * @returns {Buffer} The bytes to append
+ */
+function buildIncrementalUpdate(pdfDoc, original, lastXref, objects) {
+  const { context } = pdfDoc;
+  const chunks = [];
+  let offset = original.length;
+  const push = (chunk) => {
+    chunks.push(chunk);
+    offset += chunk.length;
+  };
+
+  if (![0x0a, 0x0d].includes(original[original.length - 1])) {
+    push(Buffer.from('\n'));
+  }
+
+  const entries = [];
+  for (const [ref, object] of objects) {
+    entries.push({ objectNumber: ref.objectNumber, generation: ref.generationNumber, offset });
+    push(serializeObject(ref.objectNumber, ref.generationNumber, object));
+  }
+
+  const trailer = {
+    Root: context.trailerInfo.Root,
+    Prev: lastXref.offset
+  };
+  if (context.trailerInfo.Info) {
+    trailer.Info = context.trailerInfo.Info;
+  }
+  if (context.trailerInfo.ID) {
+    trailer.ID = context.trailerInfo.ID;
+  }
+
+  const xrefOffset = offset;
+  if (lastXref.isStream) {
+    const objectNumber = Math.max(lastXref.size, ...entries.map(entry => entry.objectNumber + 1));
+    entries.push({ objectNumber, generation: 0, offset: xrefOffset });
+    const offsetWidth = Math.max(4, Math.ceil(Math.log2(xrefOffset + 1) / 8));
+    const data = Buffer.alloc(entries.length * (3 + offsetWidth));
+    const index = [];
+    entries.forEach((entry, position) => {
+      const row = position * (3 + offsetWidth);
+      data[row] = 1;
+      data.writeUIntBE(entry.offset, row + 1, offsetWidth);
+      data.writeUInt16BE(entry.generation, row + 1 + offsetWidth);
+      index.push(entry.objectNumber, 1);
+    });
+    const stream = context.stream(new Uint8Array(data), {
+      ...trailer,
+      Type: 'XRef',
+      Size: objectNumber + 1,
+      Index: index,
+      W: [1, offsetWidth, 2]
+    });
+    push(serializeObject(objectNumber, 0, stream));
+  } else {
+    const lines = ['xref'];
+    // One subsection per run of consecutive object numbers
+    for (let start = 0; start < entries.length;) {
+      let end = start + 1;
+      while (end < entries.length && entries[end].objectNumber === entries[end - 1].objectNumber + 1) {
+        end++;
+      }
+      lines.push(`${entries[start].objectNumber} ${end - start}`);
+      for (const entry of entries.slice(start, end)) {
+        lines.push(`${String(entry.offset).padStart(10, '0')} ${String(entry.generation).padStart(5, '0')} n\r`);
+      }
+      start = end;
+    }
+    const size = Math.max(lastXref.size, ...entries.map(entry => entry.objectNumber + 1));
+    lines.push('trailer', context.obj({ ...trailer, Size: size }).toString());
+    push(Buffer.from(`${lines.join('\n')}\n`, 'latin1'));
+  }
+
+  push(Buffer.from(`startxref\n${xrefOffset}\n%%EOF\n`, 'latin1'));
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Validates signing options and fills in defaults
+ */
+function parseSignOptions(options) {
+  const visible = options.visible === true || options.visible === 'true';
+  const x = parseNumber(options.x, 'x', 0, 14400, null);
+  const y = parseNumber(options.y, 'y', 0, 14400, null);
+  if ((x === null) !== (y === null)) {
+    throw signatureError('x and y must be given together');
+  }
+  const fieldName = parseText(options.fieldName, 'fieldName');
+  if (fieldName !== null && fieldName.includes('.')) {
+    throw signatureError('fieldName must not contain "."');
+  }
+  return {
+    visible,
+    page: parseNumber(options.page, 'page', 1, Number.MAX_SAFE_INTEGER, 1),
+    position: validatePosition(options.position || 'bottom-right'),
+    margin: parseNumber(options.margin, 'margin', 0, 500, 36),
+    x,
+    y,
+    width: parseNumber(options.width, 'width', 20, 14400, DEFAULT_BOX.width),
+    height: parseNumber(options.height, 'height', 10, 14400, DEFAULT_BOX.height),
+    fieldName,
+    reason: parseText(options.reason, 'reason'),
+    location: parseText(options.location, 'location'),
+    contactInfo: parseText(options.contactInfo, 'contactInfo'),
+    signerName: parseText(options.signerName, 'signerName')
+  };
+}
+
+/**
+ * Signs a PDF with a PKCS#12 certificate
+ *
+ * @param {string} inputPath - Source PDF (must not be encrypted)
+ * @param {string} outputPath - Output PDF
+ * @param {Object} options
+ * @param {Buffer} [options.certificate] - Uploaded PKCS#12 file (default: the server's SIGNING_CERT_PATH)
+ * @param {string} [options.certificatePassword] - Password of the uploaded certificate
+ * @param {boolean|string} [options.visible] - Draw the signature on a page (default: false)
+ * @param {number} [options.page] - 1-based page of a visible signature (default: 1)
+ * @param {string} [options.position] - Named position of the box (default: bottom-right)
+ * @param {number} [options.margin] - Distance from the page edges in points (default: 36)
+ * @param {number} [options.x] - Left edge on the visible page in points, with `y` instead of a position
+ * @param {number} [options.y] - Bottom edge on the visible page in points
+ * @param {number} [options.width] - Box width in points (default: 200)
+ * @param {number} [options.height] - Box height in points (default: 60)
+ * @param {string} [options.fieldName] - Signature field; an existing empty signature field is
+ *   signed in place (default: a new field named Signature1, Signature2, ...)
+ * @param {string} [options.reason] - Reason for signing
+ * @param {string} [options.location] - Place of signing
+ * @param {string} [options.contactInfo] - How to reach the signer
+ * @param {string} [options.signerName] - Name shown for the signer (default: the certificate's common name)
+ * @returns {Promise<{ outputPath: string, fieldName: string, visible: boolean, page: number|null,
+ *   signer: Object, signingTime: string, warnings: string[] }>}
+ */
+async function signPdf(inputPath, outputPath, options = {}) {
+  const settings = parseSignOptions(options);
+  const credentials = await loadCredentials(options);
+  const signer = describeCertificate(credentials.certificate);
+
+  const now = new Date();
+  if (now < new Date(signer.validFrom) || now > new Date(signer.validTo)) {
+    throw signatureError(`The certificate is only valid from ${signer.validFrom} to ${signer.validTo}`);
+  }
+
+  // A damaged file is repaired first, the signature then covers the repaired file
+  let loaded;
+  try {
+    loaded = await loadPdfFile(inputPath, { ignoreEncryption: true, updateMetadata: false });
+  } catch (error) {
+    throw signatureError(`PDF could not be read: ${error.message}`, 422);
+  }
+  const { pdfDoc, bytes: original } = loaded;
+  if (pdfDoc.isEncrypted) {
+    throw signatureError('The PDF is encrypted. Remove the password with /pdf/unlock first', 422);
+  }
+  const lastXref = readLastXref(original);
+  const { context } = pdfDoc;
+  // New objects must not reuse numbers of the previous revisions, including free ones
+  context.largestObjectNumber = Math.max(context.largestObjectNumber, lastXref.size - 1);
+  const originalLargest = context.largestObjectNumber;
+  const changed = new Set();
+  const warnings = [];
+  if (loaded.repair) {
+    warnings.push(`The file was damaged and has been repaired before signing: ${loaded.repair.issues.join('; ')}`);
+  }
+
+  const fields = collectFields(pdfDoc);
+  let field = settings.fieldName === null ? null : fields.find(candidate => candidate.name === settings.fieldName);
+  if (field && field.type !== 'Sig') {
+    throw signatureError(`Field "${settings.fieldName}" is not a signature field`);
+  }
+  if (field && field.dict.has(PDFName.of('V'))) {
+    throw signatureError(`Field "${settings.fieldName}" is already signed`);
+  }
+
+  let fieldName = settings.fieldName;
+  if (fieldName === null) {
+    const names = new Set(fields.map(candidate => candidate.name));
+    let counter = 1;
+    while (names.has(`Signature${counter}`)) {
+      counter++;
+    }
+    fieldName = `Signature${counter}`;
+  }
+
+  const signerName = settings.signerName || signer.name || signer.subject;
+  const signatureSize = [credentials.certificate, ...credentials.chain]
+    .reduce((sum, certificate) => sum + certificate.raw.length, SIGNATURE_OVERHEAD);
+  const placeholder = '0'.repeat(signatureSize * 2);
+
+  const signatureDict = context.obj({
+    Type: 'Sig',
+    Filter: 'Adobe.PPKLite',
+    SubFilter: 'ETSI.CAdES.detached',
+    ByteRange: BYTE_RANGE_PLACEHOLDER,
+    Contents: PDFHexString.of(placeholder),
+    M: PDFString.fromDate(now),
+    Name: PDFHexString.fromText(signerName)
+  });
+  for (const [key, value] of [['Reason', settings.reason], ['Location', settings.location], ['ContactInfo', settings.contactInfo]]) {
+    if (value !== null) {
+      signatureDict.set(PDFName.of(key), PDFHexString.fromText(value));
+    }
+  }
+  const signatureRef = context.register(signatureDict);
+
+  const appearanceLines = [
+    `Digitally signed by ${signerName}`,
+    `Date: ${now.toISOString().replace('T', ' ').replace(/\.\d+Z$/, ' UTC')}`,
+    settings.reason !== null ? `Reason: ${settings.reason}` : null,
+    settings.location !== null ? `Location: ${settings.location}` : null
+  ].filter(Boolean);
+
+  let pageNumber;
+  let visible;
+  if (field) {
+    // Sign the existing field where it is; its rectangle decides visibility
+    const widgetRef = field.widgets[0];
+    const widget = context.lookup(widgetRef);
+    const rect = widget.lookup(PDFName.of('Rect'));
+    const [x1, y1, x2, y2] = rect instanceof PDFArray ? rect.asArray().map(value => value.asNumber?.() ?? 0) : [0, 0, 0, 0];
+    pageNumber = widgetPageNumber(pdfDoc, widgetRef);
+    visible = Math.abs(x2 - x1) > 1 && Math.abs(y2 - y1) > 1 && pageNumber !== null;
+    if (settings.visible || options.position || settings.x !== null) {
+      warnings.push(`The existing field "${fieldName}" is signed at its own position; placement options were ignored`);
+    }
+
+    field.dict.set(PDFName.of('V'), signatureRef);
+    changed.add(field.ref);
+    if (visible) {
+      const rotation = getVisibleSize(pdfDoc.getPage(pageNumber - 1)).rotation;
+      const sideways = rotation === 90 || rotation === 270;
+      const width = Math.abs(x2 - x1);
+      const height = Math.abs(y2 - y1);
+      const box = { width: sideways ? height : width, height: sideways ? width : height, rotation };
+      widget.set(PDFName.of('AP'), context.obj({ N: await createAppearance(pdfDoc, box, appearanceLines) }));
+      changed.add(widgetRef);
+    }
+  } else {
+    visible = settings.visible;
+    const pageCount = pdfDoc.getPageCount();
+    if (settings.page > pageCount) {
+      throw signatureError(`page must be between 1 and ${pageCount}`);
+    }
+    pageNumber = visible ? settings.page : 1;
+    const page = pdfDoc.getPage(pageNumber - 1);
+
+    const widget = context.obj({
+      Type: 'Annot',
+      Subtype: 'Widget',
+      FT: 'Sig',
+      T: PDFHexString.fromText(fieldName),
+      V: signatureRef,
+      F: WIDGET_FLAGS,
+      P: page.ref,
+      Rect: [0, 0, 0, 0]
+    });
+    if (visible) {
+      const box = signatureBox(page, settings);
+      widget.set(PDFName.of('Rect'), context.obj(box.rect));
+      widget.set(PDFName.of('AP'), context.obj({ N: await createAppearance(pdfDoc, box, appearanceLines) }));
+    }
+    const widgetRef = context.register(widget);
+    appendReference(pdfDoc, page.node, page.ref, 'Annots', widgetRef, changed);
+
+    const catalogRef = context.trailerInfo.Root;
+    let acroFormRef = catalogRef;
+    let acroForm = pdfDoc.catalog.get(PDFName.of('AcroForm'));
+    if (acroForm instanceof PDFRef) {
+      acroFormRef = acroForm;
+      acroForm = context.lookup(acroForm);
+    }
+    if (!(acroForm instanceof PDFDict)) {
+      acroForm = context.obj({});
+      acroFormRef = context.register(acroForm);
+      pdfDoc.catalog.set(PDFName.of('AcroForm'), acroFormRef);
+      changed.add(catalogRef);
+    }
+    appendReference(pdfDoc, acroForm, acroFormRef, 'Fields', widgetRef, changed);
+  }
+
+  const acroFormValue = pdfDoc.catalog.get(PDFName.of('AcroForm'));
+  pdfDoc.catalog.lookup(PDFName.of('AcroForm')).set(PDFName.of('SigFlags'), PDFNumber.of(SIGNATURE_FLAGS));
+  changed.add(acroFormValue instanceof PDFRef ? acroFormValue : context.trailerInfo.Root);
+
+  const objects = context.enumerateIndirectObjects()
+    .filter(([ref]) => ref.objectNumber > originalLargest || changed.has(ref))
+    .sort(([a], [b]) => a.objectNumber - b.objectNumber);
+  const update = buildIncrementalUpdate(pdfDoc, original, lastXref, objects);
+
+  // Exclude the signature value, then fill in the byte range at the same width
+  const contentsStart = original.length + update.indexOf(`<${placeholder}>`, 0, 'latin1');
+  const contentsEnd = contentsStart + placeholder.length + 2;
+  const totalLength = original.length + update.length;
+  const byteRange = [0, contentsStart, contentsEnd, totalLength - contentsEnd];
+  const byteRangePlaceholder = context.obj(BYTE_RANGE_PLACEHOLDER).toString();
+  const byteRangeOffset = update.indexOf(byteRangePlaceholder, 0, 'latin1');
+  update.write(`[${byteRange.join(' ')}]`.padEnd(byteRangePlaceholder.length, ' '), byteRangeOffset, 'latin1');
+
+  const signed = Buffer.concat([original, update]);
+  const digest = crypto.createHash('sha256')
+    .update(signed.subarray(0, contentsStart))
+    .update(signed.subarray(contentsEnd))
+    .digest();
+  const signature = createCadesSignature(digest, credentials);
+  if (signature.length > signatureSize) {
+    throw new Error('The signature does not fit the space reserved for it');
+  }
+  signed.write(signature.toString('hex').toUpperCase(), contentsStart + 1, 'latin1');
+
+  await fs.writeFile(outputPath, signed);
+  return {
+    outputPath,
+    fieldName: field ? field.name : fieldName,
+    visible,
+    page: visible ? pageNumber : null,
+    signer,
+    signingTime: now.toISOString(),
+    warnings
+  };
+}
+
+/**
+ * Reads the trust anchors from TRUSTED_CERTS_DIR (PEM or DER files)
+ *
+ * @returns {Promise<X509Certificate[]|null>} null when no trust store is configured
+ */
+async function loadTrustedCertificates() {
+  const trustDir = process.env.TRUSTED_CERTS_DIR;
+  if (!trustDir) {
+    return null;
+  }
+  const entries = await fs.readdir(trustDir).catch(() => []);
+  const certificates = [];
+  for (const entry of entries) {
+    if (!CERTIFICATE_EXTENSIONS.includes(path.extname(entry).toLowerCase())) {
+      continue;
+    }
+    const bytes = await fs.readFile(path.join(trustDir, entry));
+    const text = bytes.toString('latin1');
+    const blocks = text.includes('-----BEGIN CERTIFICATE-----')
+      ? text.match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g)
+      : [bytes];
+    for (const block of blocks) {
+      try {
+        certificates.push(new crypto.X509Certificate(block));
+      } catch (error) {
+        // Not a certificate; other files may sit in the same directory
+      }
+    }
+  }
+  return certificates;
+}
+
+function parseSignatureDate(dict) {
+  const value = dict.lookup(PDFName.of('M'));
+  if (!(value instanceof PDFString)) {
+    return null;
+  }
+  try {
+    return value.decodeDate();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Checks one signature dictionary against the file bytes
+ */
+function verifySignature(bytes, signatureDict, trusted) {
+  const result = {
+    signer: null,
+    signingTime: null,
+    reason: textOf(signatureDict, 'Reason'),
+    location: textOf(signatureDict, 'Location'),
+    contactInfo: textOf(signatureDict, 'ContactInfo'),
+    subFilter: nameOf(signatureDict, 'SubFilter'),
+    digestAlgorithm: null,
+    integrity: 'unknown',
+    coversWholeDocument: false,
+    modifiedAfterSigning: null,
+    trusted: null,
+    certificateValidAtSigning: null,
+    error: null
+  };
+
+  const byteRangeValue = signatureDict.lookup(PDFName.of('ByteRange'));
+  const byteRange = byteRangeValue instanceof PDFArray
+    ? byteRangeValue.asArray().map(value => (value instanceof PDFNumber ? value.asNumber() : NaN))
+    : [];
+  const contentsValue = signatureDict.lookup(PDFName.of('Contents'));
+  const [start, length, gapEnd, tailLength] = byteRange;
+  const validRange = byteRange.length === 4 && byteRange.every(Number.isSafeInteger) &&
+    start === 0 && length > 0 && gapEnd > length && gapEnd + tailLength <= bytes.length &&
+    // The gap must be exactly the hex string of the signature value
+    bytes[length] === 0x3c && bytes[gapEnd - 1] === 0x3e;
+  if (!validRange || !(contentsValue instanceof PDFHexString || contentsValue instanceof PDFString)) {
+    result.integrity = 'invalid';
+    result.error = 'The signature byte range is malformed';
+    return result;
+  }
+
+  const signedEnd = gapEnd + tailLength;
+  result.coversWholeDocument = signedEnd === bytes.length;
+  result.modifiedAfterSigning = !result.coversWholeDocument;
+
+  if (!['ETSI.CAdES.detached', 'adbe.pkcs7.detached'].includes(result.subFilter)) {
+    result.signingTime = parseSignatureDate(signatureDict)?.toISOString() ?? null;
+    result.error = `Unsupported signature format ${result.subFilter}`;
+    return { ...result, signedEnd };
+  }
+
+  const signedBytes = Buffer.concat([bytes.subarray(0, length), bytes.subarray(gapEnd, signedEnd)]);
+  const cms = verifyCmsSignature(Buffer.from(contentsValue.asBytes()), signedBytes);
+  const signingTime = cms.signingTime || parseSignatureDate(signatureDict);
+
+  result.signingTime = signingTime ? signingTime.toISOString() : null;
+  result.digestAlgorithm = cms.digestAlgorithm;
+  result.error = cms.error;
+  if (cms.digestMatches === false || cms.signatureValid === false) {
+    result.integrity = 'invalid';
+    result.error = result.error || (cms.digestMatches === false
+      ? 'The signed content was changed after signing'
+      : 'The signature does not match the signer certificate');
+  } else if (cms.digestMatches && cms.signatureValid) {
+    result.integrity = 'valid';
+  }
+
+  if (cms.certificate) {
+    result.signer = describeCertificate(cms.certificate);
+    if (signingTime) {
+      result.certificateValidAtSigning = signingTime >= new Date(result.signer.validFrom) &&
+        signingTime <= new Date(result.signer.validTo);
+    }
+    if (trusted) {
+      const intermediates = cms.certificates.filter(certificate => certificate !== cms.certificate);
+      result.trusted = chainsToTrusted(cms.certificate, intermediates, trusted);
+    }
+  }
+  return { ...result, signedEnd };
+}
+
+/**
+ * Verifies the signatures of a PDF
+ *
+ * Integrity means the signed bytes are unchanged and the signature
+ * matches the signer's certificate. A signed revision followed by more
+ * bytes was modified after signing; later signatures also count as
+ * modifications, see `laterSignatures`. Trust is only checked when
+ * TRUSTED_CERTS_DIR is configured.
+ *
+ * @param {string} inputPath - PDF file
+ * @returns {Promise<{ signatureCount: number, valid: boolean, signatures: Object[], unsignedFields: string[] }>}
+ *   `valid` is true when there are signatures and all of them have integrity
+ */
+async function verifySignatures(inputPath) {
+  const bytes = await fs.readFile(inputPath);
+  const pdfDoc = await loadPdf(bytes);
+  const trusted = await loadTrustedCertificates();
+
+  const fields = collectFields(pdfDoc).filter(field => field.type === 'Sig');
+  const unsignedFields = [];
+  const checked = [];
+  for (const field of fields) {
+    const signatureDict = field.dict.lookup(PDFName.of('V'));
+    if (!(signatureDict instanceof PDFDict)) {
+      unsignedFields.push(field.name);
+      continue;
+    }
+    checked.push({
+      fieldName: field.name,
+      page: widgetPageNumber(pdfDoc, field.widgets[0]),
+      ...verifySignature(bytes, signatureDict, trusted)
+    });
+  }
+
+  // In signing order: each revision extends the bytes of the previous one
+  checked.sort((a, b) => (a.signedEnd ?? Number.MAX_SAFE_INTEGER) - (b.signedEnd ?? Number.MAX_SAFE_INTEGER));
+  const signatures = checked.map(({ signedEnd, ...signature }) => ({
+    ...signature,
+    laterSignatures: signedEnd === undefined ? 0 : checked.filter(other => other.signedEnd > signedEnd).length
+  }));
+
+  return {
+    signatureCount: signatures.length,
+    valid: signatures.length > 0 && signatures.every(signature => signature.integrity === 'valid'),
+    signatures,
+    unsignedFields
+  };
+}
+
+module.exports = {
+  signPdf,
+  verifySignatures
+};
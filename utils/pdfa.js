@@ -0,0 +1,965 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { v4: uuidv4 } = require('uuid');
+const {
+  PDFDocument,
+  PDFName,
+  PDFDict,
+  PDFArray,
+  PDFBool,
+  PDFRawStream
+} = require('pdf-lib');
+const { decodeStream, parseOperations } = require('./contentStream');
+const { readMetadata, readPdfaId } = require('./pdfMetadata');
+const { runTool } = require('./toolRunner');
+const { loadPdfFile } = require('./pdfRepair');
+const { lookupAs, nameOf, numberOf, textOf } = require('./pdfObjects');
+
+/**
+ * PDF/A conversion and validation
+ *
+ * Conversion runs the file through Ghostscript's pdfwrite device in PDF/A
+ * mode: fonts are embedded, colours are converted to RGB with an sRGB output
+ * intent, and features the standard does not allow are dropped.
+ *
+ * Validation checks the requirements of ISO 19005 parts 1-3 (level b) that
+ * can be decided from the file structure and the page content. It is not a
+ * full validator: font programs, ICC profiles and XMP schemas are not
+ * checked.
+ */
+
+const PDFA_LEVELS = ['1b', '2b', '3b'];
+
+// Nesting limit for form XObjects (guards against self-referencing forms)
+const MAX_FORM_DEPTH = 8;
+
+// Where distributions install the sRGB profile that ships with Ghostscript
+const ICC_PROFILE_PATHS = [
+  '/usr/share/color/icc/ghostscript/srgb.icc',
+  '/usr/share/ghostscript/iccprofiles/srgb.icc'
+];
+const GHOSTSCRIPT_SHARE_DIRS = ['/usr/share/ghostscript', '/usr/local/share/ghostscript', '/opt/homebrew/share/ghostscript'];
+
+// Device colour spaces, including the abbreviations of inline images
+const DEVICE_COLOR_SPACES = {
+  DeviceRGB: 'RGB',
+  RGB: 'RGB',
+  DeviceCMYK: 'CMYK',
+  CMYK: 'CMYK',
+  DeviceGray: 'Gray',
+  G: 'Gray'
+};
+
+const TEXT_OPERATORS = new Set(['Tj', 'TJ', '\'', '"']);
+
+const RENDERING_INTENTS = ['AbsoluteColorimetric', 'RelativeColorimetric', 'Saturation', 'Perceptual'];
+
+const FORBIDDEN_ACTIONS = ['Launch', 'Sound', 'Movie', 'ResetForm', 'ImportData', 'JavaScript', 'SetOCGState', 'Rendition', 'Trans', 'GoTo3DView'];
+const FORBIDDEN_ACTIONS_PDFA1 = ['Hide', 'SetState', 'NoOp'];
+const NAMED_ACTIONS = ['NextPage', 'PrevPage', 'FirstPage', 'LastPage'];
+
+// Annotation types of PDF 1.4 (PDF/A-1) and ISO 32000-1 (PDF/A-2 and 3) without the multimedia types
+const ANNOTATION_TYPES_PDFA1 = [
+  'Text', 'Link', 'FreeText', 'Line', 'Square', 'Circle', 'Highlight', 'Underline', 'Squiggly',
+  'StrikeOut', 'Stamp', 'Ink', 'Popup', 'Widget', 'PrinterMark', 'TrapNet'
+];
+const ANNOTATION_TYPES = [
+  ...ANNOTATION_TYPES_PDFA1, 'Polygon', 'PolyLine', 'Caret', 'FileAttachment', 'Watermark', 'Redact'
+];
+
+// Annotation flags (PDF 32000-1, table 165)
+const ANNOTATION_FLAGS = { Invisible: 1, Hidden: 2, Print: 4, NoView: 32, ToggleNoView: 256 };
+
+// Info entries and the XMP properties that must hold the same value
+const INFO_XMP_PROPERTIES = {
+  Title: 'dc:title',
+  Author: 'dc:creator',
+  Subject: 'dc:description',
+  Keywords: 'pdf:Keywords',
+  Creator: 'xmp:CreatorTool',
+  Producer: 'pdf:Producer',
+  CreationDate: 'xmp:CreateDate',
+  ModDate: 'xmp:ModifyDate'
+};
+
+function pdfaError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Parses a PDF/A level such as "2b", "PDF/A-2b" or "2"
+ *
+ * @returns {string} '1b', '2b' or '3b'
+ */
+function parsePdfaLevel(value, defaultLevel = '2b') {
+  if (value === undefined || value === null || value === '') {
+    return defaultLevel;
+  }
+  const level = String(value).trim().toLowerCase().replace(/^pdf\/?a-?/, '');
+  const normalized = /^\d$/.test(level) ? `${level}b` : level;
+  if (!PDFA_LEVELS.includes(normalized)) {
+    throw pdfaError(`level must be one of: ${PDFA_LEVELS.join(', ')}`);
+  }
+  return normalized;
+}
+
+async function loadPdf(inputPath) {
+  const bytes = await fs.readFile(inputPath);
+  let pdfDoc;
+  try {
+    pdfDoc = await PDFDocument.load(bytes, { ignoreEncryption: true, updateMetadata: false });
+  } catch (error) {
+    throw pdfaError(`PDF could not be read: ${error.message}`, 422);
+  }
+  return { bytes, pdfDoc };
+}
+
+let iccProfilePath = null;
+
+/**
+ * Finds the sRGB profile embedded as the output intent
+ *
+ * PDFA_ICC_PROFILE takes precedence over the profile shipped with Ghostscript.
+ */
+async function findIccProfile() {
+  if (process.env.PDFA_ICC_PROFILE) {
+    if (!(await fs.pathExists(process.env.PDFA_ICC_PROFILE))) {
+      throw new Error(`PDFA_ICC_PROFILE ${process.env.PDFA_ICC_PROFILE} does not exist`);
+    }
+    return process.env.PDFA_ICC_PROFILE;
+  }
+  if (iccProfilePath) {
+    return iccProfilePath;
+  }
+
+  const candidates = [...ICC_PROFILE_PATHS];
+  for (const dir of GHOSTSCRIPT_SHARE_DIRS) {
+    const versions = await fs.readdir(dir).catch(() => []);
+    candidates.push(...versions.map(version => path.join(dir, version, 'iccprofiles', 'srgb.icc')));
+  }
+  for (const candidate of candidates) {
+    if (await fs.pathExists(candidate)) {
+      iccProfilePath = candidate;
+      return candidate;
+    }
+  }
+  throw new Error('No sRGB ICC profile found for the PDF/A output intent. Set PDFA_ICC_PROFILE to an sRGB .icc file');
+}
+
+/**
+ * PostScript run before the input file, declares the output intent (from
+ * Ghostscript's PDFA_def.ps)
+ */
+function outputIntentDefinition(iccProfile) {
+  const profile = iccProfile.replace(/[\\()]/g, '\\$&');
+  return [
+    '%!',
+    `/ICCProfile (${profile}) def`,
+    '[/_objdef {icc_PDFA} /type /stream /OBJ pdfmark',
+    '[{icc_PDFA} << /N 3 >> /PUT pdfmark',
+    '[{icc_PDFA} ICCProfile (r) file /PUT pdfmark',
+    '[/_objdef {OutputIntent_PDFA} /type /dict /OBJ pdfmark',
+    '[{OutputIntent_PDFA} <<',
+    '  /Type /OutputIntent',
+    '  /S /GTS_PDFA1',
+    '  /DestOutputProfile {icc_PDFA}',
+    '  /OutputConditionIdentifier (sRGB)',
+    '  /Info (sRGB IEC61966-2.1)',
+    '>> /PUT pdfmark',
+    '[{Catalog} << /OutputIntents [ {OutputIntent_PDFA} ] >> /PUT pdfmark',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Converts a PDF to PDF/A with Ghostscript
+ *
+ * Features that cannot be converted (e.g. transparency for PDF/A-1, or
+ * JavaScript) are left out. The result is validated, so anything Ghostscript
+ * could not fix is reported in `validation.violations`.
+ *
+ * @param {string} inputPath - Path to input PDF file
+ * @param {string} outputPath - Path to output PDF file
+ * @param {string} [level] - '1b', '2b' (default) or '3b'
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Stops Ghostscript when aborted
+ * @returns {Promise<{ outputPath: string, level: string, validation: Object }>}
+ */
+async function convertToPdfa(inputPath, outputPath, level = '2b', options = {}) {
+  const pdfaLevel = parsePdfaLevel(level);
+  const part = pdfaLevel[0];
+
+  // Ghostscript reads damaged files itself, the repair only makes the check possible
+  let pdfDoc;
+  try {
+    ({ pdfDoc } = await loadPdfFile(inputPath, { ignoreEncryption: true, updateMetadata: false }, { signal: options.signal }));
+  } catch (error) {
+    if (error.cancelled) {
+      throw error;
+    }
+    throw pdfaError(`PDF could not be read: ${error.message}`, 422);
+  }
+  if (pdfDoc.isEncrypted) {
+    throw pdfaError('The PDF is encrypted. Remove the password with /pdf/unlock first', 422);
+  }
+
+  const iccProfile = await findIccProfile();
+  const definitionPath = path.join(path.dirname(outputPath), `pdfa_def_${uuidv4()}.ps`);
+  await fs.writeFile(definitionPath, outputIntentDefinition(iccProfile));
+
+  try {
+    await runTool('gs', [
+      `-dPDFA=${part}`,
+      // Leave out what PDF/A does not allow instead of failing
+      '-dPDFACompatibilityPolicy=1',
+      `-dCompatibilityLevel=${part === '1' ? '1.4' : '1.7'}`,
+      '-sDEVICE=pdfwrite',
+      '-sColorConversionStrategy=RGB',
+      '-sProcessColorModel=DeviceRGB',
+      '-dEmbedAllFonts=true',
+      '-dSubsetFonts=true',
+      '-dNOOUTERSAVE',
+      '-dNOPAUSE',
+      '-dQUIET',
+      '-dBATCH',
+      `--permit-file-read=${iccProfile}`,
+      // '%' is a page number placeholder for Ghostscript, escape it in file names
+      `-sOutputFile=${outputPath.replace(/%/g, '%%')}`,
+      definitionPath,
+      inputPath
+    ], { signal: options.signal });
+  } catch (error) {
+    if (error.cancelled) {
+      throw error;
+    }
+    if (error.notFound) {
+      throw new Error('Ghostscript is not installed. PDF/A conversion requires Ghostscript to be installed on the server.');
+    }
+    throw new Error(`PDF/A conversion failed: ${error.message}`);
+  } finally {
+    await fs.remove(definitionPath).catch(() => {});
+  }
+
+  if (!(await fs.pathExists(outputPath))) {
+    throw new Error('PDF/A conversion failed: output file not created');
+  }
+
+  const validation = await validatePdfa(outputPath, { level: pdfaLevel });
+  return { outputPath, level: pdfaLevel, validation };
+}
+
+/**
+ * Reads the value of an XMP property, the first item for arrays
+ */
+function xmpProperty(xmp, name) {
+  const escaped = name.replace(/[.:]/g, '\\$&');
+  const element = new RegExp(`<${escaped}(?:\\s[^>]*)?>([\\s\\S]*?)</${escaped}>`).exec(xmp);
+  const attribute = new RegExp(`\\s${escaped}\\s*=\\s*(["'])([\\s\\S]*?)\\1`).exec(xmp);
+  let value = element ? element[1] : attribute ? attribute[2] : null;
+  if (value === null) {
+    return null;
+  }
+  const item = /<rdf:li(?:\s[^>]*)?>([\s\S]*?)<\/rdf:li>/.exec(value);
+  if (item) {
+    value = item[1];
+  }
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (match, decimal) => String.fromCodePoint(parseInt(decimal, 10)))
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+function isFontEmbedded(font) {
+  if (nameOf(font, 'Subtype') === 'Type3') {
+    return true;
+  }
+  // Composite fonts keep the descriptor on the descendant font
+  let owner = font;
+  if (nameOf(font, 'Subtype') === 'Type0') {
+    const descendant = lookupAs(font, 'DescendantFonts', PDFArray)?.lookup(0);
+    owner = descendant instanceof PDFDict ? descendant : null;
+  }
+  const descriptor = lookupAs(owner, 'FontDescriptor', PDFDict);
+  return ['FontFile', 'FontFile2', 'FontFile3'].some(key => descriptor?.lookup(PDFName.of(key)) instanceof PDFRawStream);
+}
+
+function filterNames(filter) {
+  if (filter instanceof PDFName) {
+    return [filter.decodeText()];
+  }
+  if (filter instanceof PDFArray) {
+    return filter.asArray().filter(item => item instanceof PDFName).map(item => item.decodeText());
+  }
+  return [];
+}
+
+/**
+ * Collects the PDF/A violations of one document
+ */
+class PdfaValidator {
+  constructor(pdfDoc, bytes, part) {
+    this.pdfDoc = pdfDoc;
+    this.context = pdfDoc.context;
+    this.bytes = bytes;
+    this.part = part;
+    this.violations = new Map();
+    // Device colour spaces in use, with the pages they are used on
+    this.deviceColors = new Map();
+    // Objects already checked, by page
+    this.seen = new Map();
+  }
+
+  report(check, message, page = null) {
+    const key = `${check}\n${message}`;
+    if (!this.violations.has(key)) {
+      this.violations.set(key, { check, message, count: 0, pages: [] });
+    }
+    const violation = this.violations.get(key);
+    violation.count++;
+    if (page && !violation.pages.includes(page)) {
+      violation.pages.push(page);
+    }
+  }
+
+  /**
+   * Whether an object is met for the first time on a page
+   */
+  firstUse(object, page) {
+    if (!this.seen.has(object)) {
+      this.seen.set(object, new Set());
+    }
+    const pages = this.seen.get(object);
+    if (pages.has(page)) {
+      return false;
+    }
+    pages.add(page);
+    return true;
+  }
+
+  checkFileStructure() {
+    const head = this.bytes.subarray(0, 1024).toString('latin1');
+    if (!head.startsWith('%PDF-')) {
+      this.report('file-header', 'The file does not start with the %PDF header');
+    } else {
+      const comment = /^%PDF-[^\r\n]*(?:\r\n|\r|\n)%([^\r\n]{4})/.exec(head);
+      if (!comment || [...comment[1]].some(char => char.charCodeAt(0) < 128)) {
+        this.report('file-header', 'The header is not followed by a comment of four binary characters');
+      }
+    }
+
+    const tail = this.bytes.subarray(Math.max(0, this.bytes.length - 1024)).toString('latin1');
+    const eof = tail.lastIndexOf('%%EOF');
+    if (eof === -1) {
+      this.report('file-trailer', 'The file does not end with %%EOF');
+    } else if (!/^(\r\n|\r|\n)?$/.test(tail.slice(eof + 5))) {
+      this.report('file-trailer', 'Data follows the last %%EOF marker');
+    }
+
+    if (!this.context.trailerInfo.ID) {
+      this.report('file-trailer', 'The trailer has no file identifier (ID)');
+    }
+
+    if (this.part === '1' && /\/Type\s*\/(ObjStm|XRef)\b/.test(this.bytes.toString('latin1'))) {
+      this.report('file-structure', 'Object streams and cross-reference streams are not allowed in PDF/A-1');
+    }
+  }
+
+  checkMetadata() {
+    const metadata = this.pdfDoc.catalog.lookup(PDFName.of('Metadata'));
+    if (!(metadata instanceof PDFRawStream)) {
+      this.report('metadata', 'The document has no XMP metadata');
+      return null;
+    }
+    if (metadata.dict.has(PDFName.of('Filter'))) {
+      this.report('metadata', 'The XMP metadata stream is compressed');
+    }
+
+    const { xmp } = readMetadata(this.pdfDoc);
+    const claimed = readPdfaId(xmp);
+    const conformances = this.part === '1' ? ['A', 'B'] : ['A', 'B', 'U'];
+    if (!claimed) {
+      this.report('metadata', 'The XMP metadata has no PDF/A identification (pdfaid:part)');
+    } else if (claimed.part !== this.part) {
+      this.report('metadata', `The XMP metadata identifies the file as PDF/A-${claimed.part}, not PDF/A-${this.part}`);
+    } else if (!conformances.includes(claimed.conformance)) {
+      this.report('metadata', `Conformance level ${claimed.conformance || '(missing)'} is not valid for PDF/A-${this.part}`);
+    }
+
+    // Info entries must be repeated in the XMP metadata
+    const info = this.context.lookup(this.context.trailerInfo.Info);
+    const infoDates = readMetadata(this.pdfDoc).info;
+    if (info instanceof PDFDict) {
+      for (const [key, property] of Object.entries(INFO_XMP_PROPERTIES)) {
+        const value = textOf(info, key);
+        if (!value) {
+          continue;
+        }
+        const xmpValue = xmpProperty(xmp, property);
+        let matches = xmpValue !== null && xmpValue === value.trim();
+        if (xmpValue !== null && (key === 'CreationDate' || key === 'ModDate')) {
+          const infoDate = Date.parse(key === 'CreationDate' ? infoDates.creationDate : infoDates.modificationDate);
+          matches = infoDate === Date.parse(xmpValue);
+        }
+        if (!matches) {
+          this.report('metadata', `Info ${key} does not match the XMP metadata (${property})`);
+        }
+      }
+    }
+
+    return claimed;
+  }
+
+  checkCatalog() {
+    const { catalog } = this.pdfDoc;
+
+    const names = lookupAs(catalog, 'Names', PDFDict);
+    if (names?.has(PDFName.of('JavaScript'))) {
+      this.report('action', 'Document-level JavaScript is not allowed');
+    }
+
+    const acroForm = lookupAs(catalog, 'AcroForm', PDFDict);
+    if (lookupAs(acroForm, 'NeedAppearances', PDFBool)?.asBoolean()) {
+      this.report('form', 'NeedAppearances is set, form fields must have appearance streams');
+    }
+    if (acroForm?.has(PDFName.of('XFA'))) {
+      this.report('form', 'XFA forms are not allowed');
+    }
+
+    const ocProperties = lookupAs(catalog, 'OCProperties', PDFDict);
+    if (ocProperties && this.part === '1') {
+      this.report('optional-content', 'Optional content (layers) is not allowed in PDF/A-1');
+    } else if (ocProperties) {
+      const configs = [lookupAs(ocProperties, 'D', PDFDict), ...(lookupAs(ocProperties, 'Configs', PDFArray)?.asArray() || [])]
+        .map(config => this.context.lookup(config))
+        .filter(config => config instanceof PDFDict);
+      for (const config of configs) {
+        if (!textOf(config, 'Name')) {
+          this.report('optional-content', 'Optional content configurations must have a Name');
+        }
+        if (config.has(PDFName.of('AS'))) {
+          this.report('optional-content', 'Optional content configurations must not contain AS');
+        }
+      }
+    }
+  }
+
+  checkOutputIntents() {
+    const intents = (lookupAs(this.pdfDoc.catalog, 'OutputIntents', PDFArray)?.asArray() || [])
+      .map(intent => this.context.lookup(intent))
+      .filter(intent => intent instanceof PDFDict && nameOf(intent, 'S') === 'GTS_PDFA1');
+
+    const profileRefs = new Set(intents.map(intent => intent.get(PDFName.of('DestOutputProfile'))?.toString()));
+    if (profileRefs.size > 1) {
+      this.report('output-intent', 'PDF/A output intents use different ICC profiles');
+    }
+
+    const profile = intents.map(intent => intent.lookup(PDFName.of('DestOutputProfile'))).find(value => value instanceof PDFRawStream);
+    if (intents.length > 0 && !profile) {
+      this.report('output-intent', 'The PDF/A output intent has no ICC profile (DestOutputProfile)');
+      return;
+    }
+
+    const components = profile ? numberOf(profile.dict, 'N') : null;
+    for (const [color, pages] of this.deviceColors) {
+      for (const page of pages) {
+        if (!profile) {
+          this.report('output-intent', `Device${color} colour is used without a PDF/A output intent`, page);
+        } else if ((color === 'RGB' && components !== 3) || (color === 'CMYK' && components !== 4)) {
+          this.report('output-intent', `Device${color} colour does not match the output intent profile (${components} components)`, page);
+        }
+      }
+    }
+  }
+
+  /**
+   * Checks every object of the file for forbidden actions, filters and XObject features
+   */
+  checkObjects() {
+    for (const [, object] of this.context.enumerateIndirectObjects()) {
+      if (object instanceof PDFRawStream) {
+        this.checkStream(object.dict);
+        this.checkDict(object.dict, 0);
+      } else {
+        this.checkValue(object, 0);
+      }
+    }
+  }
+
+  checkValue(value, depth) {
+    if (depth > 32) {
+      return;
+    }
+    if (value instanceof PDFDict) {
+      this.checkDict(value, depth);
+    } else if (value instanceof PDFArray) {
+      value.asArray().forEach(item => this.checkValue(item, depth + 1));
+    }
+  }
+
+  checkDict(dict, depth) {
+    if (dict.has(PDFName.of('AA'))) {
+      this.report('action', 'Additional actions (AA) are not allowed');
+    }
+
+    const type = nameOf(dict, 'Type');
+    const action = nameOf(dict, 'S');
+    const forbidden = this.part === '1' ? [...FORBIDDEN_ACTIONS, ...FORBIDDEN_ACTIONS_PDFA1] : FORBIDDEN_ACTIONS;
+    if (action && (type === 'Action' || !type)) {
+      if (forbidden.includes(action)) {
+        this.report('action', `${action} actions are not allowed`);
+      } else if (action === 'Named' && !NAMED_ACTIONS.includes(nameOf(dict, 'N'))) {
+        this.report('action', `Named action ${nameOf(dict, 'N') || '(none)'} is not allowed`);
+      }
+    }
+
+    for (const [, value] of dict.entries()) {
+      this.checkValue(value, depth + 1);
+    }
+  }
+
+  checkStream(dict) {
+    const filters = filterNames(dict.lookup(PDFName.of('Filter')));
+    if (filters.some(filter => filter === 'LZWDecode' || filter === 'LZW')) {
+      this.report('filter', 'LZW compression is not allowed');
+    }
+    if (filters.includes('Crypt')) {
+      this.report('filter', 'Crypt filters are not allowed');
+    }
+    if (this.part === '1' && filters.includes('JPXDecode')) {
+      this.report('filter', 'JPEG 2000 images are not allowed in PDF/A-1');
+    }
+    if (['F', 'FFilter', 'FDecodeParms'].some(key => dict.has(PDFName.of(key)))) {
+      this.report('filter', 'Stream data in external files is not allowed');
+    }
+
+    const subtype = nameOf(dict, 'Subtype');
+    if (subtype === 'Image') {
+      if (dict.has(PDFName.of('Alternates'))) {
+        this.report('xobject', 'Alternate images are not allowed');
+      }
+      if (lookupAs(dict, 'Interpolate', PDFBool)?.asBoolean()) {
+        this.report('xobject', 'Image interpolation is not allowed');
+      }
+    }
+    if (subtype === 'PS' || nameOf(dict, 'Subtype2') === 'PS' || (subtype === 'Form' && dict.has(PDFName.of('PS')))) {
+      this.report('xobject', 'PostScript XObjects are not allowed');
+    }
+    if (subtype === 'Form' && dict.has(PDFName.of('Ref'))) {
+      this.report('xobject', 'Reference XObjects are not allowed');
+    }
+    if ((subtype === 'Image' || subtype === 'Form') && dict.has(PDFName.of('OPI'))) {
+      this.report('xobject', 'OPI comments are not allowed');
+    }
+  }
+
+  checkPage(page, pageNumber) {
+    const { node } = page;
+    if (this.part === '1' && nameOf(lookupAs(node, 'Group', PDFDict), 'S') === 'Transparency') {
+      this.report('transparency', 'Transparency groups are not allowed in PDF/A-1', pageNumber);
+    }
+
+    const contents = node.lookup(PDFName.of('Contents'));
+    const streams = contents instanceof PDFArray
+      ? contents.asArray().map(ref => this.context.lookup(ref))
+      : [contents];
+    const content = streams
+      .map(stream => decodeStream(stream)?.toString('latin1') || '')
+      .join('\n');
+    this.checkContent(content, node.Resources(), pageNumber, 0);
+
+    const annotations = lookupAs(node, 'Annots', PDFArray);
+    annotations?.asArray().forEach((ref) => {
+      const annotation = this.context.lookup(ref);
+      if (annotation instanceof PDFDict) {
+        this.checkAnnotation(annotation, pageNumber);
+      }
+    });
+  }
+
+  checkAnnotation(annotation, pageNumber) {
+    const subtype = nameOf(annotation, 'Subtype');
+    const allowed = this.part === '1' ? ANNOTATION_TYPES_PDFA1 : ANNOTATION_TYPES;
+    if (!allowed.includes(subtype)) {
+      this.report('annotation', `${subtype || 'Untyped'} annotations are not allowed`, pageNumber);
+      return;
+    }
+
+    const flags = numberOf(annotation, 'F') || 0;
+    if (subtype !== 'Popup' || this.part === '1') {
+      const hidden = ['Invisible', 'Hidden', 'NoView', ...(this.part === '1' ? [] : ['ToggleNoView'])]
+        .some(flag => flags & ANNOTATION_FLAGS[flag]);
+      if (!(flags & ANNOTATION_FLAGS.Print) || hidden) {
+        this.report('annotation', 'Annotations must be printable and visible (Print flag set, Hidden, Invisible and NoView not set)', pageNumber);
+      }
+    }
+
+    const opacity = numberOf(annotation, 'CA');
+    if (this.part === '1' && opacity !== null && opacity !== 1) {
+      this.report('transparency', 'Transparent annotations are not allowed in PDF/A-1', pageNumber);
+    }
+
+    const appearance = lookupAs(annotation, 'AP', PDFDict);
+    if (!appearance && this.part !== '1' && subtype !== 'Popup' && subtype !== 'Link') {
+      this.report('annotation', `${subtype} annotation has no appearance stream`, pageNumber);
+    }
+    if (appearance?.keys().some(key => key !== PDFName.of('N'))) {
+      this.report('annotation', 'Annotation appearances must only have a normal appearance (N)', pageNumber);
+    }
+
+    // Appearance streams are drawn like page content
+    const normal = appearance?.lookup(PDFName.of('N'));
+    const streams = normal instanceof PDFDict
+      ? normal.values().map(value => this.context.lookup(value))
+      : [normal];
+    for (const stream of streams) {
+      if (stream instanceof PDFRawStream) {
+        this.checkForm(stream, null, pageNumber, 0);
+      }
+    }
+  }
+
+  checkContent(content, resources, pageNumber, depth) {
+    const resource = (category, name) => lookupAs(resources, category, PDFDict)?.lookup(PDFName.of(name));
+    const stack = [];
+    let font = null;
+    let renderMode = 0;
+
+    for (const { operator, operands } of parseOperations(content)) {
+      const last = operands[operands.length - 1];
+      switch (operator) {
+        case 'q':
+          stack.push({ font, renderMode });
+          break;
+        case 'Q':
+          ({ font, renderMode } = stack.pop() || { font: null, renderMode: 0 });
+          break;
+        case 'Tf':
+          font = operands[0]?.type === 'name' ? resource('Font', operands[0].value) : null;
+          break;
+        case 'Tr':
+          renderMode = operands[0]?.value ?? 0;
+          break;
+        case 'rg':
+        case 'RG':
+          this.useDeviceColor('RGB', resources, pageNumber);
+          break;
+        case 'k':
+        case 'K':
+          this.useDeviceColor('CMYK', resources, pageNumber);
+          break;
+        case 'g':
+        case 'G':
+          this.useDeviceColor('Gray', resources, pageNumber);
+          break;
+        case 'cs':
+        case 'CS':
+          if (last?.type === 'name') {
+            this.checkColorSpace(PDFName.of(last.value), resources, pageNumber);
+          }
+          break;
+        case 'sh': {
+          const shading = last?.type === 'name' ? resource('Shading', last.value) : null;
+          const dict = shading instanceof PDFRawStream ? shading.dict : shading;
+          if (dict instanceof PDFDict) {
+            this.checkColorSpace(dict.lookup(PDFName.of('ColorSpace')), resources, pageNumber);
+          }
+          break;
+        }
+        case 'gs': {
+          const state = last?.type === 'name' ? resource('ExtGState', last.value) : null;
+          if (state instanceof PDFDict && this.firstUse(state, pageNumber)) {
+            this.checkGraphicsState(state, pageNumber);
+          }
+          break;
+        }
+        case 'ri':
+          if (last?.type === 'name' && !RENDERING_INTENTS.includes(last.value)) {
+            this.report('graphics-state', `Rendering intent ${last.value} is not allowed`, pageNumber);
+          }
+          break;
+        case 'ID':
+          this.checkInlineImage(operands, resources, pageNumber);
+          break;
+        case 'Do': {
+          const xObject = last?.type === 'name' ? resource('XObject', last.value) : null;
+          if (xObject instanceof PDFRawStream) {
+            this.checkXObject(xObject, resources, pageNumber, depth);
+          }
+          break;
+        }
+        case 'PS':
+          this.report('content', 'The PS operator is not allowed', pageNumber);
+          break;
+        default:
+          if (TEXT_OPERATORS.has(operator)) {
+            this.checkFont(font, renderMode, pageNumber);
+          }
+      }
+    }
+  }
+
+  checkFont(font, renderMode, pageNumber) {
+    // Invisible text (render mode 3) needs no embedded font from PDF/A-2 on
+    if (!(font instanceof PDFDict) || (renderMode === 3 && this.part !== '1') || !this.firstUse(font, pageNumber)) {
+      return;
+    }
+    if (!isFontEmbedded(font)) {
+      const name = (nameOf(font, 'BaseFont') || 'unnamed').replace(/^[A-Z]{6}\+/, '');
+      this.report('font', `Font ${name} is not embedded`, pageNumber);
+    }
+  }
+
+  useDeviceColor(color, resources, pageNumber) {
+    // A Default colour space in the resources makes device colours device independent
+    if (lookupAs(resources, 'ColorSpace', PDFDict)?.has(PDFName.of(`Default${color}`))) {
+      return;
+    }
+    if (!this.deviceColors.has(color)) {
+      this.deviceColors.set(color, new Set());
+    }
+    this.deviceColors.get(color).add(pageNumber);
+  }
+
+  checkColorSpace(colorSpace, resources, pageNumber, depth = 0) {
+    if (depth > 8) {
+      return;
+    }
+    if (colorSpace instanceof PDFName) {
+      const name = colorSpace.decodeText();
+      if (DEVICE_COLOR_SPACES[name]) {
+        this.useDeviceColor(DEVICE_COLOR_SPACES[name], resources, pageNumber);
+      } else if (name !== 'Pattern') {
+        const named = lookupAs(resources, 'ColorSpace', PDFDict)?.lookup(colorSpace);
+        if (named) {
+          this.checkColorSpace(named, resources, pageNumber, depth + 1);
+        }
+      }
+      return;
+    }
+    if (!(colorSpace instanceof PDFArray) || colorSpace.size() === 0) {
+      return;
+    }
+
+    // Colour spaces built on another one: Indexed and Pattern on their base, Separation and DeviceN on their alternate
+    const family = colorSpace.lookup(0);
+    const familyName = family instanceof PDFName ? family.decodeText() : null;
+    const baseIndex = { Indexed: 1, I: 1, Pattern: 1, Separation: 2, DeviceN: 2 }[familyName];
+    if (baseIndex !== undefined && colorSpace.size() > baseIndex) {
+      this.checkColorSpace(colorSpace.lookup(baseIndex), resources, pageNumber, depth + 1);
+    }
+  }
+
+  checkGraphicsState(state, pageNumber) {
+    if (this.part === '1') {
+      const softMask = state.lookup(PDFName.of('SMask'));
+      if (softMask && softMask !== PDFName.of('None')) {
+        this.report('transparency', 'Soft masks are not allowed in PDF/A-1', pageNumber);
+      }
+      const opacities = [numberOf(state, 'CA'), numberOf(state, 'ca')].filter(value => value !== null);
+      if (opacities.some(value => value !== 1)) {
+        this.report('transparency', 'Constant opacity below 1 is not allowed in PDF/A-1', pageNumber);
+      }
+      const blendModes = filterNames(state.lookup(PDFName.of('BM')));
+      if (blendModes.some(mode => mode !== 'Normal' && mode !== 'Compatible')) {
+        this.report('transparency', 'Blend modes other than Normal are not allowed in PDF/A-1', pageNumber);
+      }
+    }
+    if (state.has(PDFName.of('TR'))) {
+      this.report('graphics-state', 'Transfer functions (TR) are not allowed', pageNumber);
+    }
+    const transfer2 = state.lookup(PDFName.of('TR2'));
+    if (transfer2 && transfer2 !== PDFName.of('Default')) {
+      this.report('graphics-state', 'Transfer functions (TR2) other than Default are not allowed', pageNumber);
+    }
+    const intent = nameOf(state, 'RI');
+    if (intent && !RENDERING_INTENTS.includes(intent)) {
+      this.report('graphics-state', `Rendering intent ${intent} is not allowed`, pageNumber);
+    }
+  }
+
+  checkInlineImage(operands, resources, pageNumber) {
+    // Operands are the inline image dictionary (BI /W 10 /H 10 ... ID)
+    const entries = new Map();
+    for (let i = 0; i + 1 < operands.length; i += 2) {
+      if (operands[i].type === 'name') {
+        entries.set(operands[i].value, operands[i + 1]);
+      }
+    }
+    const entry = (...keys) => keys.map(key => entries.get(key)).find(value => value !== undefined);
+
+    const colorSpace = entry('CS', 'ColorSpace');
+    const base = colorSpace?.type === 'array' ? colorSpace.items[1] : colorSpace;
+    if (base?.type === 'name') {
+      this.checkColorSpace(PDFName.of(base.value), resources, pageNumber);
+    }
+
+    const filter = entry('F', 'Filter');
+    const filters = filter?.type === 'array' ? filter.items : [filter];
+    if (filters.some(item => item?.type === 'name' && (item.value === 'LZW' || item.value === 'LZWDecode'))) {
+      this.report('filter', 'LZW compression is not allowed', pageNumber);
+    }
+    if (entry('I', 'Interpolate')?.value === 'true') {
+      this.report('xobject', 'Image interpolation is not allowed', pageNumber);
+    }
+  }
+
+  checkXObject(xObject, resources, pageNumber, depth) {
+    if (!this.firstUse(xObject, pageNumber)) {
+      return;
+    }
+    const { dict } = xObject;
+    const subtype = nameOf(dict, 'Subtype');
+
+    if (subtype === 'Image') {
+      if (!lookupAs(dict, 'ImageMask', PDFBool)?.asBoolean()) {
+        this.checkColorSpace(dict.lookup(PDFName.of('ColorSpace')), resources, pageNumber);
+      }
+      if (this.part === '1' && dict.has(PDFName.of('SMask'))) {
+        this.report('transparency', 'Images with soft masks are not allowed in PDF/A-1', pageNumber);
+      }
+    } else if (subtype === 'Form' && depth < MAX_FORM_DEPTH) {
+      this.checkForm(xObject, resources, pageNumber, depth + 1);
+    }
+  }
+
+  checkForm(form, parentResources, pageNumber, depth) {
+    const { dict } = form;
+    if (this.part === '1' && nameOf(lookupAs(dict, 'Group', PDFDict), 'S') === 'Transparency') {
+      this.report('transparency', 'Transparency groups are not allowed in PDF/A-1', pageNumber);
+    }
+    const content = decodeStream(form)?.toString('latin1') || '';
+    const resources = lookupAs(dict, 'Resources', PDFDict) || parentResources;
+    this.checkContent(content, resources, pageNumber, depth);
+  }
+
+  async checkEmbeddedFiles() {
+    const fileSpecs = [];
+    const names = lookupAs(this.pdfDoc.catalog, 'Names', PDFDict);
+    const walk = (node, depth) => {
+      if (!(node instanceof PDFDict) || depth > 32) {
+        return;
+      }
+      const entries = lookupAs(node, 'Names', PDFArray);
+      for (let i = 1; entries && i < entries.size(); i += 2) {
+        fileSpecs.push({ fileSpec: entries.lookup(i), page: null });
+      }
+      lookupAs(node, 'Kids', PDFArray)?.asArray().forEach(kid => walk(this.context.lookup(kid), depth + 1));
+    };
+    walk(lookupAs(names, 'EmbeddedFiles', PDFDict), 0);
+
+    this.pdfDoc.getPages().forEach((page, index) => {
+      lookupAs(page.node, 'Annots', PDFArray)?.asArray().forEach((ref) => {
+        const annotation = this.context.lookup(ref);
+        if (annotation instanceof PDFDict && nameOf(annotation, 'Subtype') === 'FileAttachment') {
+          fileSpecs.push({ fileSpec: annotation.lookup(PDFName.of('FS')), page: index + 1 });
+        }
+      });
+    });
+
+    for (const { fileSpec, page } of fileSpecs) {
+      if (!(fileSpec instanceof PDFDict)) {
+        continue;
+      }
+      const embedded = lookupAs(fileSpec, 'EF', PDFDict);
+      const stream = embedded?.lookup(PDFName.of('UF')) || embedded?.lookup(PDFName.of('F'));
+      if (!(stream instanceof PDFRawStream)) {
+        continue;
+      }
+      const name = textOf(fileSpec, 'UF') || textOf(fileSpec, 'F') || 'attachment';
+
+      if (this.part === '1') {
+        this.report('embedded-file', 'Embedded files are not allowed in PDF/A-1', page);
+        continue;
+      }
+      if (!fileSpec.has(PDFName.of('F')) || !fileSpec.has(PDFName.of('UF'))) {
+        this.report('embedded-file', `The file specification of ${name} must have both F and UF`, page);
+      }
+      if (this.part === '2' && !(await this.isPdfaFile(stream))) {
+        this.report('embedded-file', `Embedded file ${name} is not a PDF/A file`, page);
+      }
+      if (this.part === '3') {
+        if (!fileSpec.has(PDFName.of('AFRelationship'))) {
+          this.report('embedded-file', `Embedded file ${name} has no AFRelationship`, page);
+        }
+        if (!nameOf(stream.dict, 'Subtype')) {
+          this.report('embedded-file', `Embedded file ${name} has no MIME type (Subtype)`, page);
+        }
+      }
+    }
+  }
+
+  async isPdfaFile(stream) {
+    try {
+      const data = decodeStream(stream);
+      if (!data || !data.subarray(0, 1024).toString('latin1').includes('%PDF-')) {
+        return false;
+      }
+      const embeddedDoc = await PDFDocument.load(data, { ignoreEncryption: true, updateMetadata: false });
+      return Boolean(readPdfaId(readMetadata(embeddedDoc).xmp));
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+/**
+ * Checks a PDF against PDF/A
+ *
+ * @param {string} inputPath - Path to PDF file
+ * @param {Object} [options]
+ * @param {string} [options.level] - '1b', '2b' or '3b' (default: the level the
+ *   file claims in its XMP metadata, else 2b)
+ * @returns {Promise<{ level: string, claimed: string|null, compliant: boolean, violations: Object[], warnings: string[] }>}
+ *   Each violation has a `check` category, a `message`, how often it occurs
+ *   (`count`) and the pages it occurs on (empty for document-level violations)
+ */
+async function validatePdfa(inputPath, options = {}) {
+  const { bytes, pdfDoc } = await loadPdf(inputPath);
+  const claimed = readPdfaId(readMetadata(pdfDoc).xmp);
+  const level = parsePdfaLevel(options.level, claimed && ['1', '2', '3'].includes(claimed.part) ? `${claimed.part}b` : '2b');
+  const validator = new PdfaValidator(pdfDoc, bytes, level[0]);
+  const warnings = [];
+
+  validator.checkFileStructure();
+  if (pdfDoc.isEncrypted) {
+    // Strings and streams cannot be read without decrypting
+    validator.report('encryption', 'Encryption is not allowed');
+    warnings.push('The file is encrypted, its content was not checked');
+  } else {
+    validator.checkMetadata();
+    validator.checkCatalog();
+    validator.checkObjects();
+    pdfDoc.getPages().forEach((page, index) => {
+      try {
+        validator.checkPage(page, index + 1);
+      } catch (error) {
+        warnings.push(`Page ${index + 1} could not be checked: ${error.message}`);
+      }
+    });
+    validator.checkOutputIntents();
+    await validator.checkEmbeddedFiles();
+  }
+
+  const violations = [...validator.violations.values()];
+  return {
+    level,
+    claimed: claimed ? `${claimed.part}${(claimed.conformance || '').toLowerCase()}` : null,
+    compliant: violations.length === 0,
+    violations,
+    warnings
+  };
+}
+
+module.exports = {
+  PDFA_LEVELS,
+  parsePdfaLevel,
+  convertToPdfa,
+  validatePdfa
+};
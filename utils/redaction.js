@@ -0,0 +1,1663 @@
+const fs = require('fs-extra');
+const sharp = require('sharp');
+const {
+  PDFName,
+  PDFDict,
+  PDFArray,
+  PDFRef,
+  PDFNumber,
+  PDFString,
+  PDFHexString,
+  PDFRawStream,
+  PDFStream,
+  decodePDFRawStream
+} = require('pdf-lib');
+const {
+  IDENTITY_MATRIX,
+  decodeStream,
+  parseOperations,
+  multiply,
+  transformPoint,
+  invert,
+  formatNumber,
+  formatHexString
+} = require('./contentStream');
+const { FontDecoder } = require('./pdfFonts');
+const { readMetadata, buildXmp, readPdfaId, setXmp } = require('./pdfMetadata');
+const { parsePageList } = require('./pageRanges');
+const { loadPdfFile } = require('./pdfRepair');
+const { lookupAs } = require('./pdfObjects');
+const { parseColor, toPageCoordinates } = require('./textPlacement');
+const { PatternWorker } = require('./patternWorker');
+
+/**
+ * Redaction: removes text, image pixels, annotations and metadata
+ *
+ * Text is found by search terms, regular expressions or presets, or by
+ * page areas. Matching glyphs are taken out of the content streams (the
+ * text after them keeps its position), image pixels under the redacted
+ * areas are overwritten, annotations over them are removed, and a filled
+ * box is drawn on top. The file is rewritten without unused objects, so the
+ * original streams are not left behind.
+ *
+ * Vector graphics (including text drawn as outlines) are only covered by
+ * the box, not removed.
+ */
+
+// Nesting limit for form XObjects (guards against self-referencing forms)
+const MAX_FORM_DEPTH = 8;
+
+const MAX_TERMS = 100;
+const MAX_PATTERNS = 20;
+const MAX_PATTERN_LENGTH = 500;
+const MAX_AREAS = 500;
+
+// A glyph is redacted by an area when at least this share of it is inside
+const AREA_COVERAGE = 0.5;
+
+// Replaces matches in bookmark titles
+const REPLACEMENT_TEXT = '[redacted]';
+
+// Marked content properties that repeat the text they enclose
+const TEXT_PROPERTIES = ['ActualText', 'Alt', 'E'];
+
+// Filters pdf-lib can decode; image data with other filters is not edited
+const DECODABLE_FILTERS = ['FlateDecode', 'Fl', 'LZWDecode', 'LZW', 'ASCII85Decode', 'A85', 'ASCIIHexDecode', 'AHx', 'RunLengthDecode', 'RL'];
+
+function luhn(value) {
+  const digits = value.replace(/\D/g, '');
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+function ibanChecksum(value) {
+  const iban = value.replace(/\s/g, '').toUpperCase();
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  let remainder = 0;
+  for (const char of rearranged) {
+    const digits = /\d/.test(char) ? char : String(char.charCodeAt(0) - 55);
+    for (const digit of digits) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+  return remainder === 1;
+}
+
+// Common personal data; accept() weeds out look-alikes the pattern cannot
+const PRESETS = {
+  email: {
+    pattern: /[\p{L}\p{N}._%+-]+@[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)*\.\p{L}{2,}/gu
+  },
+  phone: {
+    pattern: /(?<![\p{L}\p{N}])\+?(?:\(\d{1,4}\)[ .-]?)?\d[\d .()-]{5,}\d(?![\p{L}\p{N}])/gu,
+    accept: (value) => {
+      const digits = value.replace(/\D/g, '').length;
+      // Not dates such as 2024-01-31
+      return digits >= 7 && digits <= 15 && !/^\d{4}[-./]\d{1,2}[-./]\d{1,2}$/.test(value);
+    }
+  },
+  ssn: {
+    pattern: /(?<!\d)\d{3}[- ]?\d{2}[- ]?\d{4}(?!\d)/g,
+    accept: (value) => {
+      const digits = value.replace(/\D/g, '');
+      return !/^(000|666|9)/.test(digits) && digits.slice(3, 5) !== '00' && digits.slice(5) !== '0000';
+    }
+  },
+  creditCard: {
+    pattern: /(?<!\d)\d(?:[ -]?\d){12,18}(?!\d)/g,
+    accept: luhn
+  },
+  iban: {
+    pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/g,
+    accept: ibanChecksum
+  }
+};
+
+function redactionError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function throwIfCancelled(signal) {
+  if (signal?.aborted) {
+    const error = new Error('Redaction was cancelled');
+    error.cancelled = true;
+    throw error;
+  }
+}
+
+function decodeText(value) {
+  if (value instanceof PDFString || value instanceof PDFHexString) {
+    return value.decodeText();
+  }
+  return null;
+}
+
+function parseBoolean(value) {
+  return value === true || value === 'true';
+}
+
+/**
+ * Reads a list option: an array, a JSON array, or a single value
+ */
+function parseList(value, name) {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+  if (Array.isArray(value)) {
+    return value;
+  }
+  if (typeof value === 'string' && /^\s*[[{]/.test(value)) {
+    let parsed;
+    try {
+      parsed = JSON.parse(value);
+    } catch (error) {
+      throw redactionError(`${name} is not valid JSON: ${error.message}`);
+    }
+    return Array.isArray(parsed) ? parsed : [parsed];
+  }
+  return [value];
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function compilePattern(value, matchCase) {
+  const source = String(value);
+  if (!source || source.length > MAX_PATTERN_LENGTH) {
+    throw redactionError(`Patterns must be 1-${MAX_PATTERN_LENGTH} characters long`);
+  }
+  // "/body/flags" sets its own flags
+  const literal = /^\/(.+)\/([imsu]*)$/s.exec(source);
+  try {
+    if (literal) {
+      return new RegExp(literal[1], `${literal[2]}g`);
+    }
+    return new RegExp(source, matchCase ? 'g' : 'gi');
+  } catch (error) {
+    throw redactionError(`Invalid pattern ${JSON.stringify(source)}: ${error.message}`);
+  }
+}
+
+function parseArea(area) {
+  if (!area || typeof area !== 'object') {
+    throw redactionError('Each area must be an object with page, x, y, width and height');
+  }
+  const values = {};
+  for (const key of ['x', 'y', 'width', 'height']) {
+    const value = Number(area[key]);
+    if (area[key] === undefined || area[key] === '' || !Number.isFinite(value)) {
+      throw redactionError(`Area ${key} must be a number`);
+    }
+    values[key] = value;
+  }
+  if (values.width <= 0 || values.height <= 0) {
+    throw redactionError('Area width and height must be greater than 0');
+  }
+  if (area.page === undefined || area.page === null || area.page === '') {
+    throw redactionError('Each area needs a page: a page number or range, e.g. 1 or "2-4"');
+  }
+  return { pages: String(area.page), ...values };
+}
+
+/**
+ * Reads the redaction options of a request
+ *
+ * @param {Object} options - See redactPdf
+ * @returns {{ matchers: Object[], areas: Object[], pages: string|null, fillColor: RGB }}
+ */
+function parseRedactionOptions(options = {}) {
+  const matchCase = parseBoolean(options.matchCase);
+  const wholeWord = parseBoolean(options.wholeWord);
+  const matchers = [];
+
+  const terms = parseList(options.terms, 'terms').map(term => String(term).trim()).filter(Boolean);
+  if (terms.length > MAX_TERMS) {
+    throw redactionError(`At most ${MAX_TERMS} terms are allowed`);
+  }
+  for (const term of terms) {
+    if (term.length > MAX_PATTERN_LENGTH) {
+      throw redactionError(`Terms must be at most ${MAX_PATTERN_LENGTH} characters long`);
+    }
+    // Any run of white space matches any other, text extraction cannot tell them apart
+    let source = term.split(/\s+/).map(escapeRegExp).join('\\s+');
+    if (wholeWord) {
+      source = `(?<![\\p{L}\\p{N}_])(?:${source})(?![\\p{L}\\p{N}_])`;
+    }
+    matchers.push({ type: 'term', value: term, regex: new RegExp(source, matchCase ? 'gu' : 'giu') });
+  }
+
+  const patterns = parseList(options.patterns, 'patterns');
+  if (patterns.length > MAX_PATTERNS) {
+    throw redactionError(`At most ${MAX_PATTERNS} patterns are allowed`);
+  }
+  for (const pattern of patterns) {
+    matchers.push({ type: 'pattern', value: String(pattern), regex: compilePattern(pattern, matchCase) });
+  }
+
+  const presets = parseList(options.presets, 'presets')
+    .flatMap(preset => String(preset).split(','))
+    .map(preset => preset.trim())
+    .filter(Boolean);
+  for (const preset of new Set(presets)) {
+    if (!PRESETS[preset]) {
+      throw redactionError(`Unknown preset "${preset}". Supported: ${Object.keys(PRESETS).join(', ')}`);
+    }
+    const { pattern, accept } = PRESETS[preset];
+    matchers.push({ type: 'preset', value: preset, regex: new RegExp(pattern.source, pattern.flags), accept });
+  }
+
+  const areas = parseList(options.areas, 'areas').map(parseArea);
+  if (areas.length > MAX_AREAS) {
+    throw redactionError(`At most ${MAX_AREAS} areas are allowed`);
+  }
+
+  if (matchers.length === 0 && areas.length === 0) {
+    throw redactionError('Nothing to redact: pass terms, patterns, presets or areas');
+  }
+
+  return {
+    matchers,
+    areas,
+    pages: options.pages ? String(options.pages) : null,
+    fillColor: parseColor(options.fillColor || '#000000')
+  };
+}
+
+/**
+ * Finds all matches in a text
+ *
+ * Matchers with a `worker` (user patterns) are searched in that worker,
+ * under its time limit.
+ *
+ * @returns {Promise<{ matcher: Object, start: number, end: number }[]>}
+ */
+async function findMatches(text, matchers) {
+  const matches = [];
+  for (const matcher of matchers) {
+    const { regex } = matcher;
+    if (matcher.worker) {
+      for (const [start, end] of await matcher.worker.findAll(regex, text)) {
+        matches.push({ matcher, start, end });
+      }
+      continue;
+    }
+    regex.lastIndex = 0;
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+      if (match[0].length === 0) {
+        regex.lastIndex++;
+      } else if (!matcher.accept || matcher.accept(match[0])) {
+        matches.push({ matcher, start: match.index, end: match.index + match[0].length });
+      }
+    }
+  }
+  return matches;
+}
+
+function boundsOf(points) {
+  const xs = points.map(([x]) => x);
+  const ys = points.map(([, y]) => y);
+  return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+}
+
+function transformBox(matrix, [x1, y1, x2, y2]) {
+  return boundsOf([
+    transformPoint(matrix, x1, y1),
+    transformPoint(matrix, x2, y1),
+    transformPoint(matrix, x1, y2),
+    transformPoint(matrix, x2, y2)
+  ]);
+}
+
+function intersects(a, b) {
+  return a[0] < b[2] && b[0] < a[2] && a[1] < b[3] && b[1] < a[3];
+}
+
+/**
+ * Share of a box that lies inside an area (0-1)
+ */
+function coverage(box, area) {
+  const size = (box[2] - box[0]) * (box[3] - box[1]);
+  if (size <= 0) {
+    const x = (box[0] + box[2]) / 2;
+    const y = (box[1] + box[3]) / 2;
+    return x >= area[0] && x <= area[2] && y >= area[1] && y <= area[3] ? 1 : 0;
+  }
+  const width = Math.max(0, Math.min(box[2], area[2]) - Math.max(box[0], area[0]));
+  const height = Math.max(0, Math.min(box[3], area[3]) - Math.max(box[1], area[1]));
+  return (width * height) / size;
+}
+
+/**
+ * Converts an area on the visible page to a box in page coordinates
+ */
+function areaToBox(page, area) {
+  const corners = [
+    toPageCoordinates(page, area.x, area.y),
+    toPageCoordinates(page, area.x + area.width, area.y + area.height)
+  ];
+  return boundsOf(corners.map(({ x, y }) => [x, y]));
+}
+
+/**
+ * Text that separates two consecutive glyphs when the page text is put
+ * together: a line break when the second is on another line, a space when
+ * there is a gap between them
+ */
+function separatorBetween(previous, glyph) {
+  const dx = glyph.origin[0] - previous.end[0];
+  const dy = glyph.origin[1] - previous.end[1];
+  const [ux, uy] = previous.direction;
+  const along = dx * ux + dy * uy;
+  const across = dy * ux - dx * uy;
+  const size = previous.size || 1;
+
+  if (Math.abs(across) > size * 0.5) {
+    return '\n';
+  }
+  if ((along > size * 0.15 || along < -size) && !/\s$/.test(previous.text) && !/^\s/.test(glyph.text)) {
+    return ' ';
+  }
+  return '';
+}
+
+/**
+ * Puts the page text together, remembering which glyph each character is from
+ *
+ * @returns {{ text: string, owners: number[] }} `owners` holds the glyph index
+ *   of each character, -1 for inserted separators
+ */
+function assembleText(glyphs) {
+  let text = '';
+  const owners = [];
+  glyphs.forEach((glyph, index) => {
+    if (index > 0) {
+      const separator = separatorBetween(glyphs[index - 1], glyph);
+      if (separator) {
+        text += separator;
+        owners.push(-1);
+      }
+    }
+    // Glyphs without known text still take a place, so matches do not run across them
+    const value = glyph.text || '\uFFFD';
+    text += value;
+    for (let i = 0; i < value.length; i++) {
+      owners.push(index);
+    }
+  });
+  return { text, owners };
+}
+
+/**
+ * Splits matched glyphs into lines and returns the box around each line
+ */
+function lineBoxes(glyphs) {
+  const boxes = [];
+  let current = null;
+  glyphs.forEach((glyph, index) => {
+    if (!current || separatorBetween(glyphs[index - 1], glyph) === '\n') {
+      current = [...glyph.box];
+      boxes.push(current);
+    } else {
+      current[0] = Math.min(current[0], glyph.box[0]);
+      current[1] = Math.min(current[1], glyph.box[1]);
+      current[2] = Math.max(current[2], glyph.box[2]);
+      current[3] = Math.max(current[3], glyph.box[3]);
+    }
+  });
+  return boxes;
+}
+
+function numbersOf(operands) {
+  return operands.map(operand => (operand.type === 'number' ? operand.value : NaN));
+}
+
+/**
+ * Follows the content of a page and its form XObjects, recording every
+ * glyph (with its box on the page) and every image drawn
+ *
+ * Each content stream gets a record that collects the edits for it. Form
+ * XObjects are analysed per page, so a form shared with other pages is
+ * copied rather than changed in place.
+ */
+class PageAnalyzer {
+  /**
+   * @param {PDFContext} context - pdf-lib context
+   * @param {Map} fonts - Font dictionary → FontDecoder cache, shared across pages
+   * @param {Set<string>} warnings - Collects warnings
+   */
+  constructor(context, fonts, warnings) {
+    this.context = context;
+    this.fonts = fonts;
+    this.warnings = warnings;
+  }
+
+  /**
+   * @param {PDFPage} page - pdf-lib page
+   * @returns {{ page: Object, records: Map, glyphs: Object[], images: Object[] }}
+   */
+  analyze(page) {
+    const contents = page.node.Contents();
+    const streams = contents instanceof PDFArray
+      ? contents.asArray().map(ref => this.context.lookup(ref))
+      : [contents];
+    // Content streams of a page are one description, split at any point
+    const content = streams
+      .map(stream => (stream ? decodeStream(stream) : null))
+      .filter(Boolean)
+      .map(buffer => buffer.toString('latin1'))
+      .join('\n');
+
+    this.records = new Map();
+    this.glyphs = [];
+    this.images = [];
+    this.drawn = new Set();
+
+    const record = this.createRecord('page', content, page.node.Resources());
+    this.analyzeStream(record, IDENTITY_MATRIX, [], 0);
+    return { page: record, records: this.records, glyphs: this.glyphs, images: this.images, drawn: this.drawn };
+  }
+
+  createRecord(key, content, resources, stream = null) {
+    const record = {
+      key,
+      content,
+      operations: parseOperations(content),
+      resources,
+      stream,
+      children: new Map(),
+      textOperations: new Map(),
+      removedOperations: new Set(),
+      cleanedMarks: new Set(),
+      xObjectReplacements: new Map()
+    };
+    this.records.set(key, record);
+    return record;
+  }
+
+  fontFor(resources, name) {
+    const dict = lookupAs(lookupAs(resources, 'Font', PDFDict), name, PDFDict);
+    if (!dict) {
+      return null;
+    }
+    if (!this.fonts.has(dict)) {
+      let font = null;
+      try {
+        font = new FontDecoder(this.context, dict);
+      } catch (error) {
+        this.warnings.add(`Font ${name} could not be read; text shown with it was not redacted`);
+      }
+      this.fonts.set(dict, font);
+    }
+    return this.fonts.get(dict);
+  }
+
+  analyzeStream(record, baseMatrix, marks, depth) {
+    const { operations, resources } = record;
+    const stack = [];
+    let state = {
+      ctm: baseMatrix,
+      font: null,
+      fontSize: 0,
+      charSpacing: 0,
+      wordSpacing: 0,
+      scale: 1,
+      leading: 0,
+      rise: 0
+    };
+    const text = { matrix: IDENTITY_MATRIX, lineMatrix: IDENTITY_MATRIX };
+    const markStack = [];
+    let imageStart = -1;
+
+    const moveLine = (tx, ty) => {
+      text.lineMatrix = multiply([1, 0, 0, 1, tx, ty], text.lineMatrix);
+      text.matrix = text.lineMatrix;
+    };
+    const openMarks = () => marks.concat(markStack.filter(Boolean));
+
+    operations.forEach((operation, index) => {
+      const { operator, operands } = operation;
+      const values = numbersOf(operands);
+
+      switch (operator) {
+        case 'q':
+          stack.push({ ...state });
+          break;
+        case 'Q':
+          state = stack.pop() || state;
+          break;
+        case 'cm':
+          if (values.length === 6 && values.every(Number.isFinite)) {
+            state.ctm = multiply(values, state.ctm);
+          }
+          break;
+        case 'BT':
+          text.matrix = IDENTITY_MATRIX;
+          text.lineMatrix = IDENTITY_MATRIX;
+          break;
+        case 'Tc':
+          state.charSpacing = values[0] || 0;
+          break;
+        case 'Tw':
+          state.wordSpacing = values[0] || 0;
+          break;
+        case 'Tz':
+          state.scale = (values[0] ?? 100) / 100;
+          break;
+        case 'TL':
+          state.leading = values[0] || 0;
+          break;
+        case 'Ts':
+          state.rise = values[0] || 0;
+          break;
+        case 'Tf':
+          if (operands[0]?.type === 'name') {
+            state.font = this.fontFor(resources, operands[0].value);
+            state.fontSize = values[1] || 0;
+          }
+          break;
+        case 'Td':
+          moveLine(values[0] || 0, values[1] || 0);
+          break;
+        case 'TD':
+          state.leading = -(values[1] || 0);
+          moveLine(values[0] || 0, values[1] || 0);
+          break;
+        case 'Tm':
+          if (values.length === 6 && values.every(Number.isFinite)) {
+            text.lineMatrix = values;
+            text.matrix = values;
+          }
+          break;
+        case 'T*':
+          moveLine(0, -state.leading);
+          break;
+        case 'Tj':
+        case 'TJ':
+        case '\'':
+        case '"': {
+          if (operator === '"') {
+            state.wordSpacing = values[0] || 0;
+            state.charSpacing = values[1] || 0;
+          }
+          if (operator === '\'' || operator === '"') {
+            moveLine(0, -state.leading);
+          }
+          const shown = operands[operands.length - 1];
+          const items = shown?.type === 'array' ? shown.items : [shown];
+          this.showText(record, index, operation, items, state, text, openMarks());
+          break;
+        }
+        case 'BDC':
+        case 'BMC': {
+          const properties = operands[1];
+          const repeatsText = properties?.type === 'dict' &&
+            properties.entries.some(([key]) => TEXT_PROPERTIES.includes(key));
+          markStack.push(repeatsText ? { record, operation: index } : null);
+          break;
+        }
+        case 'EMC':
+          markStack.pop();
+          break;
+        case 'BI':
+          imageStart = index;
+          break;
+        case 'ID':
+          this.images.push({ record, inline: true, operations: [imageStart, index].filter(i => i >= 0), ctm: state.ctm });
+          imageStart = -1;
+          break;
+        case 'Do':
+          if (operands[0]?.type === 'name') {
+            if (record.resources === this.records.get('page').resources) {
+              this.drawn.add(operands[0].value);
+            }
+            this.drawXObject(record, index, operands[0].value, state.ctm, openMarks(), depth);
+          }
+          break;
+        default:
+          break;
+      }
+    });
+  }
+
+  showText(record, index, operation, items, state, text, marks) {
+    if (!record.textOperations.has(index)) {
+      record.textOperations.set(index, {
+        operation,
+        items: items.map(item => (item?.type === 'string' ? { type: 'string', glyphs: [] } : { type: 'number', value: item?.value || 0 }))
+      });
+    }
+    const shown = record.textOperations.get(index);
+    const { font, fontSize, scale } = state;
+    if (!font) {
+      if (items.some(item => item?.type === 'string' && item.value.length > 0)) {
+        this.warnings.add('Some text uses a font that could not be read and was not redacted');
+      }
+      return;
+    }
+    const vertical = font.vertical;
+    // TJ adjustments and glyph advances move along the writing direction
+    const advance = (distance) => {
+      text.matrix = multiply(vertical ? [1, 0, 0, 1, 0, distance] : [1, 0, 0, 1, distance, 0], text.matrix);
+    };
+
+    items.forEach((item, itemIndex) => {
+      if (item?.type === 'number') {
+        advance(-(item.value / 1000) * fontSize * (vertical ? 1 : scale));
+        return;
+      }
+      if (item?.type !== 'string') {
+        return;
+      }
+      font.decode(item.value).forEach((decoded, glyphIndex) => {
+        const renderMatrix = multiply([fontSize * scale, 0, 0, fontSize, 0, state.rise], multiply(text.matrix, state.ctm));
+        const spacing = state.charSpacing + (decoded.wordSpace ? state.wordSpacing : 0);
+        let distance;
+        let box;
+        if (vertical) {
+          // Vertical fonts: the default metrics, 1 em down, centred on the origin
+          distance = -fontSize + spacing;
+          box = [-decoded.width / 2, -1, decoded.width / 2, 0];
+        } else {
+          distance = (decoded.width * fontSize + spacing) * scale;
+          box = [0, font.descent, decoded.width, font.ascent];
+        }
+
+        const slots = shown.items[itemIndex].glyphs;
+        if (!slots[glyphIndex]) {
+          const factor = fontSize * (vertical ? 1 : scale);
+          slots[glyphIndex] = {
+            bytes: decoded.bytes,
+            removed: false,
+            // TJ adjustment that moves as far as the glyph did
+            adjustment: factor ? -(distance / factor) * 1000 : 0
+          };
+        }
+
+        const axis = vertical ? [-renderMatrix[2], -renderMatrix[3]] : [renderMatrix[0], renderMatrix[1]];
+        const length = Math.hypot(axis[0], axis[1]) || 1;
+        const glyph = {
+          slot: slots[glyphIndex],
+          text: decoded.text,
+          box: transformBox(renderMatrix, box),
+          origin: transformPoint(renderMatrix, 0, 0),
+          direction: [axis[0] / length, axis[1] / length],
+          size: Math.hypot(renderMatrix[2], renderMatrix[3]),
+          marks
+        };
+        advance(distance);
+        // Where the next glyph starts without adjustments, so character spacing is no gap
+        glyph.end = transformPoint(multiply(text.matrix, state.ctm), 0, state.rise);
+        this.glyphs.push(glyph);
+      });
+    });
+  }
+
+  drawXObject(record, index, name, ctm, marks, depth) {
+    const ref = lookupAs(record.resources, 'XObject', PDFDict)?.get(PDFName.of(name));
+    const xObject = this.context.lookup(ref);
+    if (!(xObject instanceof PDFRawStream)) {
+      return;
+    }
+    const subtype = lookupAs(xObject.dict, 'Subtype', PDFName)?.decodeText();
+
+    if (subtype === 'Image') {
+      this.images.push({ record, name, xObject, operations: [index], ctm });
+      return;
+    }
+    if (subtype !== 'Form' || depth >= MAX_FORM_DEPTH) {
+      return;
+    }
+
+    const key = ref instanceof PDFRef ? ref.toString() : `${record.key}/${name}`;
+    let child = this.records.get(key);
+    if (!child) {
+      const content = decodeStream(xObject);
+      if (!content) {
+        return;
+      }
+      // Forms without resources use those of the stream that draws them
+      const resources = lookupAs(xObject.dict, 'Resources', PDFDict) || record.resources;
+      child = this.createRecord(key, content.toString('latin1'), resources, xObject);
+    }
+    record.children.set(name, key);
+
+    const matrix = lookupAs(xObject.dict, 'Matrix', PDFArray)?.asArray().map(value => this.context.lookup(value));
+    const formMatrix = matrix?.length === 6 && matrix.every(value => value instanceof PDFNumber)
+      ? matrix.map(value => value.asNumber())
+      : IDENTITY_MATRIX;
+    this.analyzeStream(child, multiply(formMatrix, ctm), marks, depth + 1);
+  }
+}
+
+/**
+ * Rewrites a text showing operation without its removed glyphs
+ *
+ * Removed glyphs become TJ adjustments, so the remaining text keeps its
+ * position. ' and " are written out as the operations they stand for.
+ *
+ * @returns {string|null} null when no glyph was removed
+ */
+function rewriteTextOperation(shown) {
+  if (!shown.items.some(item => item.type === 'string' && item.glyphs.some(slot => slot.removed))) {
+    return null;
+  }
+
+  const parts = [];
+  let adjustment = 0;
+  const flush = () => {
+    if (Math.abs(adjustment) > 1e-9) {
+      parts.push(formatNumber(adjustment));
+    }
+    adjustment = 0;
+  };
+  for (const item of shown.items) {
+    if (item.type === 'number') {
+      adjustment += item.value;
+      continue;
+    }
+    let kept = '';
+    for (const slot of item.glyphs) {
+      if (slot.removed) {
+        if (kept) {
+          flush();
+          parts.push(formatHexString(kept));
+          kept = '';
+        }
+        adjustment += slot.adjustment;
+      } else {
+        kept += slot.bytes;
+      }
+    }
+    if (kept) {
+      flush();
+      parts.push(formatHexString(kept));
+    }
+  }
+  flush();
+
+  const array = `[${parts.join(' ')}] TJ`;
+  const { operator, operands } = shown.operation;
+  if (operator === '\'') {
+    return `T* ${array}`;
+  }
+  if (operator === '"') {
+    const [wordSpacing, charSpacing] = numbersOf(operands);
+    return `${formatNumber(wordSpacing || 0)} Tw ${formatNumber(charSpacing || 0)} Tc T* ${array}`;
+  }
+  return array;
+}
+
+/**
+ * Rewrites a marked content operation without the properties that repeat
+ * its text (ActualText, Alt, E)
+ */
+function rewriteMarkedContent(content, operation) {
+  const [tag, properties] = operation.operands;
+  const entries = properties.entries
+    .filter(([key]) => !TEXT_PROPERTIES.includes(key))
+    .map(([key, value]) => `/${key} ${content.slice(value.start, value.end)}`);
+  return `${content.slice(tag.start, tag.end)} <<${entries.join(' ')}>> BDC`;
+}
+
+/**
+ * Applies the recorded edits to a content stream
+ *
+ * @returns {string|null} New content, or null when nothing changed
+ */
+function rewriteContent(record) {
+  const { content, operations } = record;
+  let output = '';
+  let position = 0;
+  let changed = false;
+
+  operations.forEach((operation, index) => {
+    let replacement = null;
+    if (record.removedOperations.has(index)) {
+      replacement = '';
+    } else if (record.cleanedMarks.has(index)) {
+      replacement = rewriteMarkedContent(content, operation);
+    } else if (record.textOperations.has(index)) {
+      replacement = rewriteTextOperation(record.textOperations.get(index));
+    }
+    if (replacement !== null) {
+      output += content.slice(position, operation.start) + replacement;
+      position = operation.end;
+      changed = true;
+    }
+  });
+  return changed ? output + content.slice(position) : null;
+}
+
+/**
+ * Copies a resource dictionary with some XObjects replaced and others left out
+ */
+function replaceXObjects(context, resources, replacements, unused = []) {
+  const copy = resources ? resources.clone(context) : context.obj({});
+  const xObjects = lookupAs(resources, 'XObject', PDFDict);
+  const xObjectsCopy = xObjects ? xObjects.clone(context) : context.obj({});
+  for (const [name, ref] of replacements) {
+    xObjectsCopy.set(PDFName.of(name), ref);
+  }
+  for (const name of unused) {
+    xObjectsCopy.delete(PDFName.of(name));
+  }
+  copy.set(PDFName.of('XObject'), xObjectsCopy);
+  return copy;
+}
+
+/**
+ * Stream dictionary entries without the encoding ones, for a re-encoded copy
+ */
+function streamEntries(dict, exclude = []) {
+  return Object.fromEntries(dict.entries()
+    .filter(([key]) => !['Length', 'Filter', 'DecodeParms', ...exclude].includes(key.decodeText()))
+    .map(([key, value]) => [key.decodeText(), value]));
+}
+
+/**
+ * Writes the edited streams of a page: changed forms become new XObjects
+ * (the originals may be used elsewhere), the page gets one new content stream
+ *
+ * @returns {boolean} Whether the page content changed
+ */
+function writePageContent(context, page, analysis, boxes, fillColor) {
+  const replacementRefs = new Map();
+  const results = new Map();
+
+  const resolve = (record) => {
+    if (results.has(record.key)) {
+      return results.get(record.key);
+    }
+    results.set(record.key, false);
+
+    const replacements = new Map(record.xObjectReplacements);
+    for (const [name, key] of record.children) {
+      if (resolve(analysis.records.get(key))) {
+        replacements.set(name, replacementRefs.get(key));
+      }
+    }
+    const content = rewriteContent(record);
+    const changed = content !== null || replacements.size > 0;
+
+    if (changed && record.stream) {
+      const entries = streamEntries(record.stream.dict);
+      if (replacements.size > 0) {
+        entries.Resources = replaceXObjects(context, record.resources, replacements);
+      }
+      replacementRefs.set(record.key, context.register(
+        context.flateStream(Buffer.from(content ?? record.content, 'latin1'), entries)
+      ));
+    }
+    record.newContent = content;
+    record.replacements = replacements;
+    results.set(record.key, changed);
+    return changed;
+  };
+
+  const record = analysis.page;
+  const changed = resolve(record);
+
+  // XObjects the page does not draw would keep the originals of redacted images in the file
+  const xObjects = lookupAs(record.resources, 'XObject', PDFDict);
+  const unused = (xObjects?.keys() || []).map(key => key.decodeText()).filter(name => !analysis.drawn.has(name));
+  if (record.replacements.size > 0 || unused.length > 0) {
+    page.node.set(PDFName.of('Resources'), replaceXObjects(context, record.resources, record.replacements, unused));
+  }
+  if (!changed && boxes.length === 0) {
+    return false;
+  }
+
+  let content = `q\n${record.newContent ?? record.content}\nQ\n`;
+  if (boxes.length > 0) {
+    const { red, green, blue } = fillColor;
+    content += `q ${[red, green, blue].map(formatNumber).join(' ')} rg\n`;
+    content += boxes.map(([x1, y1, x2, y2]) => `${[x1, y1, x2 - x1, y2 - y1].map(formatNumber).join(' ')} re`).join('\n');
+    content += '\nf Q\n';
+  }
+  page.node.set(PDFName.of('Contents'), context.register(context.flateStream(Buffer.from(content, 'latin1'))));
+  return changed;
+}
+
+function filterNames(dict) {
+  const filter = dict.lookup(PDFName.of('Filter'));
+  if (filter instanceof PDFName) {
+    return [filter.decodeText()];
+  }
+  if (filter instanceof PDFArray) {
+    return filter.asArray().map(name => (name instanceof PDFName ? name.decodeText() : ''));
+  }
+  return [];
+}
+
+function componentCount(context, colorSpace) {
+  const space = context.lookup(colorSpace);
+  const name = space instanceof PDFName ? space.decodeText()
+    : space instanceof PDFArray ? context.lookup(space.get(0))?.decodeText?.() : null;
+  switch (name) {
+    case 'DeviceGray':
+    case 'CalGray':
+    case 'G':
+    case 'Indexed':
+    case 'I':
+    case 'Separation':
+      return 1;
+    case 'DeviceRGB':
+    case 'CalRGB':
+    case 'RGB':
+    case 'Lab':
+      return 3;
+    case 'DeviceCMYK':
+    case 'CMYK':
+      return 4;
+    case 'ICCBased': {
+      const profile = context.lookup(space.get(1));
+      return profile instanceof PDFRawStream ? lookupAs(profile.dict, 'N', PDFNumber)?.asNumber() ?? null : null;
+    }
+    case 'DeviceN': {
+      const names = context.lookup(space.get(1));
+      return names instanceof PDFArray ? names.size() : null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Reverses the PNG predictors of Flate or LZW encoded samples
+ *
+ * @returns {Uint8Array|null} null when the data does not fit the parameters
+ */
+function removePngPredictor(data, columns, colors, bitsPerComponent) {
+  const bytesPerPixel = Math.max(1, Math.ceil((colors * bitsPerComponent) / 8));
+  const rowLength = Math.ceil((columns * colors * bitsPerComponent) / 8);
+  const rows = Math.floor(data.length / (rowLength + 1));
+  const output = new Uint8Array(rows * rowLength);
+
+  for (let row = 0; row < rows; row++) {
+    const type = data[row * (rowLength + 1)];
+    const input = row * (rowLength + 1) + 1;
+    const offset = row * rowLength;
+    for (let i = 0; i < rowLength; i++) {
+      const left = i >= bytesPerPixel ? output[offset + i - bytesPerPixel] : 0;
+      const up = row > 0 ? output[offset - rowLength + i] : 0;
+      const upLeft = row > 0 && i >= bytesPerPixel ? output[offset - rowLength + i - bytesPerPixel] : 0;
+      let predicted;
+      switch (type) {
+        case 0: predicted = 0; break;
+        case 1: predicted = left; break;
+        case 2: predicted = up; break;
+        case 3: predicted = (left + up) >> 1; break;
+        case 4: {
+          const estimate = left + up - upLeft;
+          const [a, b, c] = [Math.abs(estimate - left), Math.abs(estimate - up), Math.abs(estimate - upLeft)];
+          predicted = a <= b && a <= c ? left : b <= c ? up : upLeft;
+          break;
+        }
+        default:
+          return null;
+      }
+      output[offset + i] = (data[input + i] + predicted) & 0xff;
+    }
+  }
+  return output;
+}
+
+/**
+ * Decodes the samples of an image XObject
+ *
+ * @returns {Uint8Array|null} null for filters pdf-lib cannot decode
+ */
+function decodeSamples(xObject) {
+  const filters = filterNames(xObject.dict);
+  if (!filters.every(filter => DECODABLE_FILTERS.includes(filter))) {
+    return null;
+  }
+  let data;
+  try {
+    data = decodePDFRawStream(xObject).decode();
+  } catch (error) {
+    return null;
+  }
+
+  let params = xObject.dict.lookup(PDFName.of('DecodeParms'));
+  if (params instanceof PDFArray) {
+    params = xObject.dict.context.lookup(params.get(params.size() - 1));
+  }
+  const parameter = (key, fallback) => (params instanceof PDFDict ? lookupAs(params, key, PDFNumber)?.asNumber() : undefined) ?? fallback;
+  const predictor = parameter('Predictor', 1);
+  if (predictor >= 10) {
+    return removePngPredictor(data, parameter('Columns', 1), parameter('Colors', 1), parameter('BitsPerComponent', 8));
+  }
+  return predictor === 1 ? data : null;
+}
+
+/**
+ * Clears pixel rectangles of a sample buffer (all bits 0)
+ */
+function clearPixels(data, width, bitsPerPixel, rects) {
+  const stride = Math.ceil((width * bitsPerPixel) / 8);
+  for (const [x1, y1, x2, y2] of rects) {
+    for (let y = y1; y < y2; y++) {
+      const row = y * stride;
+      if (bitsPerPixel % 8 === 0) {
+        data.fill(0, row + (x1 * bitsPerPixel) / 8, row + (x2 * bitsPerPixel) / 8);
+        continue;
+      }
+      for (let bit = x1 * bitsPerPixel; bit < x2 * bitsPerPixel; bit++) {
+        data[row + (bit >> 3)] &= ~(0x80 >> (bit & 7));
+      }
+    }
+  }
+}
+
+/**
+ * Image pixels under a page box, for an image drawn with the given matrix
+ *
+ * @returns {number[]|null} [x1, y1, x2, y2] in pixels (top-left origin), null when
+ *   the box misses the image
+ */
+function pixelRect(ctm, box, width, height) {
+  const inverse = invert(ctm);
+  if (!inverse) {
+    return null;
+  }
+  // Images fill the unit square of their matrix, row 0 at the top
+  const [u1, v1, u2, v2] = transformBox(inverse, box);
+  const x1 = Math.max(0, Math.floor(u1 * width));
+  const x2 = Math.min(width, Math.ceil(u2 * width));
+  const y1 = Math.max(0, Math.floor((1 - v2) * height));
+  const y2 = Math.min(height, Math.ceil((1 - v1) * height));
+  return x1 < x2 && y1 < y2 ? [x1, y1, x2, y2] : null;
+}
+
+/**
+ * Overwrites pixel rectangles of an image XObject in a copy of it
+ *
+ * Decodable samples are zeroed and stored with Flate; JPEG images are
+ * decoded, painted black and encoded again. Soft masks are cleared the
+ * same way.
+ *
+ * @returns {Promise<PDFRef|null>} The copy, or null when the image format
+ *   cannot be edited
+ */
+async function redactImage(context, xObject, rects) {
+  const { dict } = xObject;
+  const width = lookupAs(dict, 'Width', PDFNumber)?.asNumber();
+  const height = lookupAs(dict, 'Height', PDFNumber)?.asNumber();
+  if (!width || !height) {
+    return null;
+  }
+
+  const entries = {};
+  for (const key of ['SMask', 'Mask']) {
+    const mask = dict.lookup(PDFName.of(key));
+    if (mask instanceof PDFRawStream) {
+      const maskWidth = lookupAs(mask.dict, 'Width', PDFNumber)?.asNumber() || width;
+      const maskHeight = lookupAs(mask.dict, 'Height', PDFNumber)?.asNumber() || height;
+      const scaled = rects.map(([x1, y1, x2, y2]) => [
+        Math.floor((x1 * maskWidth) / width),
+        Math.floor((y1 * maskHeight) / height),
+        Math.ceil((x2 * maskWidth) / width),
+        Math.ceil((y2 * maskHeight) / height)
+      ]);
+      // A mask that cannot be edited is dropped, it would show the outline of the content
+      entries[key] = await redactImage(context, mask, scaled) || undefined;
+    }
+  }
+
+  const filters = filterNames(dict);
+  if (filters.length === 1 && ['DCTDecode', 'DCT'].includes(filters[0])) {
+    let image;
+    try {
+      const jpeg = Buffer.from(xObject.getContents());
+      const { channels } = await sharp(jpeg).metadata();
+      image = await sharp(jpeg)
+        .toColourspace(channels === 1 ? 'b-w' : 'srgb')
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+    } catch (error) {
+      return null;
+    }
+    const { data, info } = image;
+    if (info.width !== width || info.height !== height) {
+      return null;
+    }
+    clearPixels(data, width, info.channels * 8, rects);
+    const encoded = await sharp(data, { raw: { width, height, channels: info.channels } }).jpeg({ quality: 90 }).toBuffer();
+    return context.register(context.stream(encoded, {
+      ...streamEntries(dict, ['ColorSpace', 'Decode', 'BitsPerComponent']),
+      ...entries,
+      Filter: 'DCTDecode',
+      ColorSpace: info.channels === 1 ? 'DeviceGray' : 'DeviceRGB',
+      BitsPerComponent: 8
+    }));
+  }
+
+  const imageMask = dict.lookup(PDFName.of('ImageMask'))?.asBoolean?.() === true;
+  const components = imageMask ? 1 : componentCount(context, dict.get(PDFName.of('ColorSpace')));
+  const bitsPerComponent = imageMask ? 1 : lookupAs(dict, 'BitsPerComponent', PDFNumber)?.asNumber();
+  const data = components && bitsPerComponent ? decodeSamples(xObject) : null;
+  if (!data || data.length < Math.ceil((width * components * bitsPerComponent) / 8) * height) {
+    return null;
+  }
+  clearPixels(data, width, components * bitsPerComponent, rects);
+  return context.register(context.flateStream(data, { ...streamEntries(dict), ...entries }));
+}
+
+/**
+ * Clears the image pixels under the redaction boxes of a page
+ *
+ * Images that cannot be edited (JPEG 2000, JBIG2, CCITT and inline images)
+ * are removed from the page instead.
+ *
+ * @returns {Promise<{ images: number, imagesRemoved: number }>}
+ */
+async function redactImages(context, analysis, boxes, warnings) {
+  const counts = { images: 0, imagesRemoved: 0 };
+  const edits = new Map();
+
+  for (const image of analysis.images) {
+    if (image.inline) {
+      const bounds = transformBox(image.ctm, [0, 0, 1, 1]);
+      if (boxes.some(box => intersects(bounds, box))) {
+        image.operations.forEach(index => image.record.removedOperations.add(index));
+        counts.imagesRemoved++;
+      }
+      continue;
+    }
+    const width = lookupAs(image.xObject.dict, 'Width', PDFNumber)?.asNumber() || 0;
+    const height = lookupAs(image.xObject.dict, 'Height', PDFNumber)?.asNumber() || 0;
+    const rects = boxes.map(box => pixelRect(image.ctm, box, width, height)).filter(Boolean);
+    if (rects.length === 0) {
+      continue;
+    }
+    const key = `${image.record.key}|${image.name}`;
+    if (!edits.has(key)) {
+      edits.set(key, { ...image, rects: [], operations: [] });
+    }
+    edits.get(key).rects.push(...rects);
+    edits.get(key).operations.push(...image.operations);
+  }
+
+  for (const edit of edits.values()) {
+    const ref = await redactImage(context, edit.xObject, edit.rects);
+    if (ref) {
+      edit.record.xObjectReplacements.set(edit.name, ref);
+      counts.images++;
+    } else {
+      edit.operations.forEach(index => edit.record.removedOperations.add(index));
+      counts.imagesRemoved++;
+      warnings.add(`Image ${edit.name} (${filterNames(edit.xObject.dict).join(', ') || 'unknown format'}) could not be edited and was removed from the page`);
+    }
+  }
+  return counts;
+}
+
+function annotationTexts(context, annotation) {
+  const texts = ['Contents', 'T', 'Subj', 'RC', 'TU', 'V'].map(key => decodeText(annotation.lookup(PDFName.of(key))));
+  const parent = lookupAs(annotation, 'Parent', PDFDict);
+  if (parent) {
+    texts.push(decodeText(parent.lookup(PDFName.of('V'))));
+  }
+  const action = lookupAs(annotation, 'A', PDFDict);
+  texts.push(decodeText(action?.lookup(PDFName.of('URI'))));
+  return texts.filter(Boolean);
+}
+
+/**
+ * Removes a widget annotation from the field tree, and its field when it
+ * has no other widgets
+ */
+function removeWidget(pdfDoc, ref) {
+  const acroForm = lookupAs(pdfDoc.catalog, 'AcroForm', PDFDict);
+  if (!acroForm) {
+    return;
+  }
+  let node = ref;
+  while (node) {
+    const dict = pdfDoc.context.lookup(node);
+    const parent = lookupAs(dict, 'Parent', PDFDict);
+    const siblings = parent ? lookupAs(parent, 'Kids', PDFArray) : lookupAs(acroForm, 'Fields', PDFArray);
+    const index = siblings ? siblings.asArray().indexOf(node) : -1;
+    if (index !== -1) {
+      siblings.remove(index);
+    }
+    const calculationOrder = lookupAs(acroForm, 'CO', PDFArray);
+    const calculated = calculationOrder ? calculationOrder.asArray().indexOf(node) : -1;
+    if (calculated !== -1) {
+      calculationOrder.remove(calculated);
+    }
+    node = parent && siblings?.size() === 0 ? dict.get(PDFName.of('Parent')) : null;
+  }
+}
+
+/**
+ * Removes the annotations over the redaction boxes or with matching text
+ * (comments, link targets, form field values)
+ *
+ * @returns {number} Annotations removed
+ */
+async function redactAnnotations(pdfDoc, page, boxes, matchers) {
+  const { context } = pdfDoc;
+  const annotations = lookupAs(page.node, 'Annots', PDFArray);
+  if (!annotations) {
+    return 0;
+  }
+
+  const removed = new Set();
+  for (const ref of annotations.asArray()) {
+    const annotation = context.lookup(ref);
+    if (!(annotation instanceof PDFDict)) {
+      continue;
+    }
+    const rect = lookupAs(annotation, 'Rect', PDFArray)?.asArray().map(value => context.lookup(value));
+    const bounds = rect?.length === 4 && rect.every(value => value instanceof PDFNumber)
+      ? boundsOf([[rect[0].asNumber(), rect[1].asNumber()], [rect[2].asNumber(), rect[3].asNumber()]])
+      : null;
+    let hit = bounds && boxes.some(box => intersects(bounds, box));
+    for (const text of hit ? [] : annotationTexts(context, annotation)) {
+      if ((await findMatches(text, matchers)).length > 0) {
+        hit = true;
+        break;
+      }
+    }
+    if (hit) {
+      removed.add(ref);
+    }
+  }
+  // Pop-ups go with the annotation they belong to
+  for (const ref of annotations.asArray()) {
+    const parent = context.lookup(ref)?.get?.(PDFName.of('Parent'));
+    if (parent && removed.has(parent) && lookupAs(context.lookup(ref), 'Subtype', PDFName)?.decodeText() === 'Popup') {
+      removed.add(ref);
+    }
+  }
+
+  for (const ref of removed) {
+    const annotation = context.lookup(ref);
+    if (lookupAs(annotation, 'Subtype', PDFName)?.decodeText() === 'Widget') {
+      removeWidget(pdfDoc, ref);
+    }
+    const index = annotations.asArray().indexOf(ref);
+    if (index !== -1) {
+      annotations.remove(index);
+    }
+    // Structure elements may still point at it, the object itself must go
+    if (ref instanceof PDFRef) {
+      context.delete(ref);
+    }
+  }
+  return removed.size;
+}
+
+/**
+ * Removes the glyphs, image pixels and annotations to redact on one page
+ *
+ * @returns {Promise<Object>} Counts for the redaction report
+ */
+async function redactPage(pdfDoc, page, settings, analyzer, warnings) {
+  const analysis = analyzer.analyze(page);
+  const { glyphs } = analysis;
+  const boxes = [];
+  const boxKeys = new Set();
+  const addBox = (box) => {
+    const key = box.map(formatNumber).join(' ');
+    if (!boxKeys.has(key)) {
+      boxKeys.add(key);
+      boxes.push(box);
+    }
+  };
+  const matchCounts = new Map();
+  let matchCount = 0;
+
+  if (settings.matchers.length > 0) {
+    const { text, owners } = assembleText(glyphs);
+    for (const match of await findMatches(text, settings.matchers)) {
+      const indexes = [...new Set(owners.slice(match.start, match.end).filter(owner => owner >= 0))];
+      if (indexes.length === 0) {
+        continue;
+      }
+      const matched = indexes.map(index => glyphs[index]);
+      matched.forEach((glyph) => {
+        glyph.slot.removed = true;
+      });
+      lineBoxes(matched).forEach(addBox);
+      matchCount++;
+      matchCounts.set(match.matcher, (matchCounts.get(match.matcher) || 0) + 1);
+    }
+  }
+
+  for (const area of settings.areas) {
+    addBox(area);
+    for (const glyph of glyphs) {
+      if (coverage(glyph.box, area) >= AREA_COVERAGE) {
+        glyph.slot.removed = true;
+      }
+    }
+  }
+
+  const removedGlyphs = glyphs.filter(glyph => glyph.slot.removed);
+  for (const glyph of removedGlyphs) {
+    for (const mark of glyph.marks) {
+      mark.record.cleanedMarks.add(mark.operation);
+    }
+  }
+
+  const imageCounts = await redactImages(pdfDoc.context, analysis, boxes, warnings);
+  const annotations = await redactAnnotations(pdfDoc, page, boxes, settings.matchers);
+  writePageContent(pdfDoc.context, page, analysis, boxes, settings.fillColor);
+
+  // Thumbnails and application data would still show the original page
+  page.node.delete(PDFName.of('Thumb'));
+  page.node.delete(PDFName.of('PieceInfo'));
+
+  return {
+    counts: {
+      matches: matchCount,
+      characters: removedGlyphs.length,
+      areas: settings.areas.length,
+      images: imageCounts.images,
+      imagesRemoved: imageCounts.imagesRemoved,
+      annotations
+    },
+    matchCounts
+  };
+}
+
+/**
+ * Replaces the matches in a text, merging overlapping ones
+ */
+async function replaceMatches(text, matchers) {
+  const ranges = (await findMatches(text, matchers)).sort((a, b) => a.start - b.start);
+  let output = '';
+  let position = 0;
+  for (const { start, end } of ranges) {
+    if (start >= position) {
+      output += text.slice(position, start) + REPLACEMENT_TEXT;
+    }
+    position = Math.max(position, end);
+  }
+  return output + text.slice(position);
+}
+
+/**
+ * Removes matching text from the Info dictionary, XMP metadata, bookmark
+ * titles and structure tree alternate texts
+ *
+ * @returns {{ fields: string[], xmp: string|null, bookmarks: number, structureElements: number }}
+ */
+async function redactDocumentText(pdfDoc, matchers) {
+  const { context } = pdfDoc;
+  const result = { fields: [], xmp: null, bookmarks: 0, structureElements: 0 };
+  const matches = async text => text !== null && (await findMatches(text, matchers)).length > 0;
+  if (matchers.length === 0) {
+    return result;
+  }
+
+  const info = context.lookup(context.trailerInfo.Info);
+  if (info instanceof PDFDict) {
+    for (const [key, value] of info.entries()) {
+      if (await matches(decodeText(context.lookup(value)))) {
+        info.delete(key);
+        result.fields.push(key.decodeText());
+      }
+    }
+  }
+
+  const { xmp } = readMetadata(pdfDoc);
+  if (xmp) {
+    const xmpText = xmp
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, '\'')
+      .replace(/&amp;/g, '&');
+    if (result.fields.length > 0 || await matches(xmpText)) {
+      // Rebuilt from the cleaned Info values, other XMP properties are dropped
+      setXmp(pdfDoc, buildXmp(readMetadata(pdfDoc).info, { pdfa: readPdfaId(xmp) }));
+      result.xmp = 'rebuilt';
+    }
+  }
+
+  const visited = new Set();
+  const redactTitles = async (first) => {
+    let ref = first;
+    while (ref instanceof PDFRef && !visited.has(ref)) {
+      visited.add(ref);
+      const item = context.lookup(ref);
+      if (!(item instanceof PDFDict)) {
+        break;
+      }
+      const title = decodeText(item.lookup(PDFName.of('Title')));
+      if (await matches(title)) {
+        item.set(PDFName.of('Title'), PDFHexString.fromText(await replaceMatches(title, matchers)));
+        result.bookmarks++;
+      }
+      await redactTitles(item.get(PDFName.of('First')));
+      ref = item.get(PDFName.of('Next'));
+    }
+  };
+  await redactTitles(lookupAs(pdfDoc.catalog, 'Outlines', PDFDict)?.get(PDFName.of('First')));
+
+  const queue = [pdfDoc.catalog.get(PDFName.of('StructTreeRoot'))];
+  while (queue.length > 0) {
+    const next = queue.pop();
+    if (next instanceof PDFRef) {
+      if (visited.has(next)) {
+        continue;
+      }
+      visited.add(next);
+    }
+    const node = context.lookup(next);
+    if (node instanceof PDFArray) {
+      queue.push(...node.asArray());
+    } else if (node instanceof PDFDict && !(node instanceof PDFStream)) {
+      const keys = [];
+      for (const key of ['Alt', 'ActualText', 'E', 'T']) {
+        if (await matches(decodeText(node.lookup(PDFName.of(key))))) {
+          keys.push(key);
+        }
+      }
+      keys.forEach(key => node.delete(PDFName.of(key)));
+      if (keys.length > 0) {
+        result.structureElements++;
+      }
+      queue.push(node.get(PDFName.of('K')));
+    }
+  }
+  return result;
+}
+
+/**
+ * Deletes the objects that nothing refers to any more (the original
+ * content streams, images and annotations), so they are not written
+ */
+function removeUnreachableObjects(context) {
+  const reachable = new Set();
+  const queue = [context.trailerInfo.Root, context.trailerInfo.Info];
+  while (queue.length > 0) {
+    const object = queue.pop();
+    if (object instanceof PDFRef) {
+      if (!reachable.has(object)) {
+        reachable.add(object);
+        queue.push(context.lookup(object));
+      }
+    } else if (object instanceof PDFDict) {
+      queue.push(...object.entries().map(([, value]) => value));
+    } else if (object instanceof PDFArray) {
+      queue.push(...object.asArray());
+    } else if (object instanceof PDFStream) {
+      queue.push(object.dict);
+    }
+  }
+  for (const [ref] of context.enumerateIndirectObjects()) {
+    if (!reachable.has(ref)) {
+      context.delete(ref);
+    }
+  }
+}
+
+async function loadPdf(inputPath, signal) {
+  let pdfDoc;
+  try {
+    ({ pdfDoc } = await loadPdfFile(inputPath, { ignoreEncryption: true, updateMetadata: false }, { signal }));
+  } catch (error) {
+    if (error.cancelled) {
+      throw error;
+    }
+    throw redactionError(`PDF could not be read: ${error.message}`, 422);
+  }
+  // pdf-lib cannot decrypt, the content streams of encrypted files are unreadable
+  if (pdfDoc.isEncrypted) {
+    throw redactionError('The PDF is encrypted. Remove the password with /pdf/unlock first', 422);
+  }
+  return pdfDoc;
+}
+
+/**
+ * Redacts a PDF with parsed options (see redactPdf)
+ *
+ * @returns {Promise<{ outputPath: string, report: Object, warnings: string[] }>}
+ */
+async function redactDocument(inputPath, outputPath, settings) {
+  const pdfDoc = await loadPdf(inputPath, settings.signal);
+  const { context } = pdfDoc;
+  const pages = pdfDoc.getPages();
+
+  const searchedPages = new Set(settings.pages ? parsePageList(settings.pages, pages.length) : pages.map((page, index) => index + 1));
+  const areasByPage = new Map();
+  for (const area of settings.areas) {
+    for (const pageNumber of parsePageList(area.pages, pages.length)) {
+      if (!areasByPage.has(pageNumber)) {
+        areasByPage.set(pageNumber, []);
+      }
+      areasByPage.get(pageNumber).push(areaToBox(pages[pageNumber - 1], area));
+    }
+  }
+
+  const warnings = new Set();
+  const acroForm = lookupAs(pdfDoc.catalog, 'AcroForm', PDFDict);
+  if ((lookupAs(acroForm, 'SigFlags', PDFNumber)?.asNumber() ?? 0) & 1) {
+    warnings.add('The document was signed; redaction invalidates its signatures');
+  }
+
+  const analyzer = new PageAnalyzer(context, new Map(), warnings);
+  const reportPages = [];
+  const matchTotals = new Map(settings.matchers.map(matcher => [matcher, 0]));
+  for (const [index, page] of pages.entries()) {
+    throwIfCancelled(settings.signal);
+    const pageNumber = index + 1;
+    const pageSettings = {
+      matchers: searchedPages.has(pageNumber) ? settings.matchers : [],
+      areas: areasByPage.get(pageNumber) || [],
+      fillColor: settings.fillColor
+    };
+    if (pageSettings.matchers.length === 0 && pageSettings.areas.length === 0) {
+      continue;
+    }
+
+    const { counts, matchCounts } = await redactPage(pdfDoc, page, pageSettings, analyzer, warnings);
+    for (const [matcher, count] of matchCounts) {
+      matchTotals.set(matcher, matchTotals.get(matcher) + count);
+    }
+
+    // Whatever still matches was not rewritten (e.g. text in an unreadable font)
+    if (pageSettings.matchers.length > 0) {
+      const { text } = assembleText(analyzer.analyze(page).glyphs);
+      const remaining = (await findMatches(text, pageSettings.matchers)).length;
+      if (remaining > 0) {
+        warnings.add(`Page ${pageNumber}: ${remaining} match(es) could not be removed`);
+      }
+    }
+    if (Object.values(counts).some(value => value > 0)) {
+      reportPages.push({ page: pageNumber, ...counts });
+    }
+  }
+
+  throwIfCancelled(settings.signal);
+  const metadata = await redactDocumentText(pdfDoc, settings.matchers);
+  throwIfCancelled(settings.signal);
+  removeUnreachableObjects(context);
+  await fs.writeFile(outputPath, await pdfDoc.save({ updateFieldAppearances: false }));
+
+  const totals = { matches: 0, characters: 0, areas: 0, images: 0, imagesRemoved: 0, annotations: 0 };
+  for (const counts of reportPages) {
+    for (const key of Object.keys(totals)) {
+      totals[key] += counts[key];
+    }
+  }
+
+  return {
+    outputPath,
+    report: {
+      pages: reportPages,
+      totals,
+      matches: [...matchTotals].map(([matcher, count]) => ({ type: matcher.type, value: matcher.value, count })),
+      metadata
+    },
+    warnings: [...warnings]
+  };
+}
+
+/**
+ * Redacts a PDF
+ *
+ * Terms match case-insensitively anywhere in the text unless matchCase or
+ * wholeWord say otherwise. Patterns are JavaScript regular expressions,
+ * either plain ("\d{4}") or with flags ("/secret/i"). Presets: email,
+ * phone, ssn (US social security numbers), creditCard (Luhn-checked) and
+ * iban (checksum-verified). Patterns that take longer than
+ * PATTERN_TIMEOUT_MS on a text are stopped and rejected with status 400.
+ *
+ * Areas are in points on the visible page, origin bottom-left, like the
+ * other placement options: { page, x, y, width, height }, where page is a
+ * page number or range.
+ *
+ * @param {string} inputPath - Source PDF
+ * @param {string} outputPath - Output PDF
+ * @param {Object} options
+ * @param {string[]|string} [options.terms] - Text to redact (array or JSON array)
+ * @param {string[]|string} [options.patterns] - Regular expressions (array or JSON array)
+ * @param {string[]|string} [options.presets] - Preset names (array, JSON array or comma separated)
+ * @param {Object[]|string} [options.areas] - Page areas (array or JSON array)
+ * @param {string} [options.pages] - Page range searched for terms and patterns (default: all)
+ * @param {boolean|string} [options.matchCase] - Case-sensitive terms and patterns (default: false)
+ * @param {boolean|string} [options.wholeWord] - Terms only match whole words (default: false)
+ * @param {string} [options.fillColor] - Hex color of the boxes (default: #000000)
+ * @param {AbortSignal} [options.signal] - Stops the redaction and the pattern searches (e.g. job cancellation)
+ * @returns {Promise<{ outputPath: string, report: Object, warnings: string[] }>}
+ */
+async function redactPdf(inputPath, outputPath, options = {}) {
+  const settings = { ...parseRedactionOptions(options), signal: options.signal };
+  // A user pattern can backtrack for minutes, search them in a worker with a time limit
+  const patternWorker = new PatternWorker({ signal: options.signal });
+  settings.matchers
+    .filter(matcher => matcher.type === 'pattern')
+    .forEach((matcher) => {
+      matcher.worker = patternWorker;
+    });
+
+  try {
+    return await redactDocument(inputPath, outputPath, settings);
+  } finally {
+    await patternWorker.close();
+  }
+}
+
+module.exports = {
+  PRESETS,
+  parseRedactionOptions,
+  redactPdf
+};
@@ -0,0 +1,172 @@
+const fs = require('fs-extra');
+const { parsePageList } = require('./pageRanges');
+const { loadPdfFile } = require('./pdfRepair');
+const { embedFont, checkGlyphs, parseColor, validatePosition, drawTextAt } = require('./textPlacement');
+
+/**
+ * Page numbering and Bates stamping
+ *
+ * A template is stamped on every selected page. Placeholders:
+ * - {n}: running number, starting at `start` and zero-padded to `padding` digits
+ * - {total}: last running number, padded like {n}
+ * - {page}: page number in the file
+ * - {pages}: page count of the file
+ * - {file}: file name without extension
+ * "Page {n} of {total}" numbers pages, "ACME-{n}" with padding 6 gives Bates numbers.
+ */
+
+const PLACEHOLDER_PATTERN = /\{(n|total|page|pages|file)\}/g;
+
+function stampError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function parseInteger(value, name, { min, max, fallback }) {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw stampError(`${name} must be an integer between ${min} and ${max}`);
+  }
+  return number;
+}
+
+/**
+ * Validates stamp options and fills in defaults
+ *
+ * @param {Object} options - Request fields
+ * @returns {Object} Normalized options
+ */
+function parseStampOptions(options = {}) {
+  const template = options.template === undefined || options.template === '' ? 'Page {n} of {total}' : String(options.template);
+  if (/[\r\n]/.test(template)) {
+    throw stampError('template must be a single line');
+  }
+
+  return {
+    template,
+    start: parseInteger(options.start, 'start', { min: 0, max: 999999999, fallback: 1 }),
+    padding: parseInteger(options.padding, 'padding', { min: 0, max: 12, fallback: 0 }),
+    position: validatePosition(options.position || 'bottom-right'),
+    margin: parseInteger(options.margin, 'margin', { min: 0, max: 500, fallback: 36 }),
+    fontSize: parseInteger(options.fontSize, 'fontSize', { min: 4, max: 144, fallback: 10 }),
+    font: options.font || 'helvetica',
+    color: parseColor(options.color || '#000000'),
+    pages: options.pages || 'all',
+    continuous: options.continuous === true || options.continuous === 'true'
+  };
+}
+
+/**
+ * Fills in a stamp template
+ */
+function formatStamp(template, values, padding) {
+  const pad = number => String(number).padStart(padding, '0');
+  return template.replace(PLACEHOLDER_PATTERN, (match, key) => {
+    switch (key) {
+      case 'n': return pad(values.n);
+      case 'total': return pad(values.total);
+      default: return String(values[key]);
+    }
+  });
+}
+
+async function loadPdf(inputPath, name) {
+  try {
+    const { pdfDoc } = await loadPdfFile(inputPath);
+    return pdfDoc;
+  } catch (error) {
+    const loadError = new Error(`${name} could not be read: ${error.message}`);
+    loadError.status = 422;
+    throw loadError;
+  }
+}
+
+/**
+ * Stamps one or more PDFs
+ *
+ * With `continuous` the running number carries on from one file to the
+ * next and {total} is the last number of the whole set; otherwise every
+ * file starts at `start`.
+ *
+ * @param {{ path: string, outputPath: string, name: string }[]} files - Inputs in stamping order
+ * @param {Object} options - See parseStampOptions
+ * @returns {Promise<Object[]>} Per file: name, pageCount, stampedPages, first and last number and label
+ */
+async function stampPdfs(files, options) {
+  const settings = parseStampOptions(options);
+
+  // First pass: which pages of each file are stamped, to know {total} up front
+  const plans = [];
+  for (const file of files) {
+    const pdfDoc = await loadPdf(file.path, file.name);
+    const pageCount = pdfDoc.getPageCount();
+    try {
+      plans.push({ file, pageCount, pages: [...new Set(parsePageList(settings.pages, pageCount))].sort((a, b) => a - b) });
+    } catch (error) {
+      error.message = `${file.name}: ${error.message}`;
+      throw error;
+    }
+  }
+
+  const stampedOverall = plans.reduce((sum, plan) => sum + plan.pages.length, 0);
+  let next = settings.start;
+  const results = [];
+
+  for (const plan of plans) {
+    const pdfDoc = await loadPdf(plan.file.path, plan.file.name);
+    const font = await embedFont(pdfDoc, settings.font);
+    const stamped = settings.continuous ? stampedOverall : plan.pages.length;
+    if (!settings.continuous) {
+      next = settings.start;
+    }
+    const total = settings.start + stamped - 1;
+    const baseName = plan.file.name.replace(/\.[^.]+$/, '');
+
+    const labels = [];
+    for (const pageNumber of plan.pages) {
+      const label = formatStamp(settings.template, {
+        n: next,
+        total,
+        page: pageNumber,
+        pages: plan.pageCount,
+        file: baseName
+      }, settings.padding);
+
+      checkGlyphs(font, label);
+      drawTextAt(pdfDoc.getPage(pageNumber - 1), label, {
+        font,
+        size: settings.fontSize,
+        position: settings.position,
+        margin: settings.margin,
+        color: settings.color
+      });
+      labels.push({ number: next, label });
+      next++;
+    }
+
+    await fs.writeFile(plan.file.outputPath, await pdfDoc.save());
+
+    results.push({
+      name: plan.file.name,
+      outputPath: plan.file.outputPath,
+      pageCount: plan.pageCount,
+      stampedPages: plan.pages.length,
+      firstNumber: labels[0]?.number ?? null,
+      lastNumber: labels[labels.length - 1]?.number ?? null,
+      firstLabel: labels[0]?.label ?? null,
+      lastLabel: labels[labels.length - 1]?.label ?? null
+    });
+  }
+
+  return results;
+}
+
+module.exports = {
+  parseStampOptions,
+  formatStamp,
+  stampPdfs
+};
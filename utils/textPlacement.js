@@ -0,0 +1,264 @@
+const { StandardFonts, rgb, degrees } = require('pdf-lib');
+const fontkit = require('@pdf-lib/fontkit');
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * Placing text on pages as the reader sees them
+ *
+ * Positions are relative to the visible page: the crop box, turned by the
+ * page's /Rotate. A "bottom-right" stamp on a landscape scan stored as a
+ * rotated portrait page therefore ends up bottom right on screen, upright.
+ */
+
+const POSITIONS = ['top-left', 'top-center', 'top-right', 'bottom-left', 'bottom-center', 'bottom-right', 'center'];
+
+// Standard PDF fonts, available without embedding a font file
+const FONTS = {
+  'helvetica': StandardFonts.Helvetica,
+  'helvetica-bold': StandardFonts.HelveticaBold,
+  'helvetica-oblique': StandardFonts.HelveticaOblique,
+  'times': StandardFonts.TimesRoman,
+  'times-bold': StandardFonts.TimesRomanBold,
+  'times-italic': StandardFonts.TimesRomanItalic,
+  'courier': StandardFonts.Courier,
+  'courier-bold': StandardFonts.CourierBold
+};
+
+// TrueType and OpenType files usable by name from FONTS_DIR
+const FONT_FILE_EXTENSIONS = ['.ttf', '.otf'];
+
+function placementError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Lists the font files in FONTS_DIR (default: ./fonts), including subdirectories
+ *
+ * @returns {Promise<Object>} Lower-case file name without extension → path
+ */
+async function listFontFiles() {
+  const fontsDir = process.env.FONTS_DIR || './fonts';
+  const fonts = {};
+  const walk = async (dir) => {
+    const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+    for (const entry of entries) {
+      const entryPath = path.join(dir, entry.name);
+      const extension = path.extname(entry.name).toLowerCase();
+      if (entry.isDirectory()) {
+        await walk(entryPath);
+      } else if (FONT_FILE_EXTENSIONS.includes(extension)) {
+        fonts[path.basename(entry.name, path.extname(entry.name)).toLowerCase()] = entryPath;
+      }
+    }
+  };
+  await walk(fontsDir);
+  return fonts;
+}
+
+/**
+ * Embeds a font
+ *
+ * Standard fonts only cover Latin (WinAnsi) text. For Arabic, CJK and other
+ * scripts, pass the bytes of an uploaded TTF/OTF file, or the name of a font
+ * file in FONTS_DIR. Embedded fonts are subset to the glyphs used.
+ *
+ * @param {PDFDocument} pdfDoc - pdf-lib document
+ * @param {string} [name] - Key of FONTS, or a font file name in FONTS_DIR without
+ *   extension, e.g. "NotoSansArabic-Regular" (default: helvetica)
+ * @param {Buffer} [fontBytes] - TTF/OTF file content; takes precedence over `name`
+ * @returns {Promise<PDFFont>}
+ */
+async function embedFont(pdfDoc, name = 'helvetica', fontBytes = null) {
+  if (!fontBytes) {
+    const standardFont = FONTS[String(name).toLowerCase()];
+    if (standardFont) {
+      return pdfDoc.embedFont(standardFont);
+    }
+    const fontPath = (await listFontFiles())[String(name).toLowerCase()];
+    if (!fontPath) {
+      throw placementError(`Unknown font "${name}". Supported: ${Object.keys(FONTS).join(', ')}, or a TTF/OTF file in the fonts directory`);
+    }
+    fontBytes = await fs.readFile(fontPath);
+  }
+
+  pdfDoc.registerFontkit(fontkit);
+  try {
+    return await pdfDoc.embedFont(fontBytes, { subset: true });
+  } catch (error) {
+    throw placementError(`Font could not be read: ${error.message}`);
+  }
+}
+
+/**
+ * Lists the characters of a text that a font cannot draw
+ *
+ * @returns {string[]} Missing characters, without duplicates or whitespace
+ */
+function findMissingGlyphs(font, text) {
+  const characters = [...new Set(text)].filter(char => !/\s/.test(char));
+  // Embedded fonts expose their fontkit font; standard fonts fail to encode instead
+  const customFont = font.embedder && font.embedder.font;
+  if (customFont && typeof customFont.hasGlyphForCodePoint === 'function') {
+    return characters.filter(char => !customFont.hasGlyphForCodePoint(char.codePointAt(0)));
+  }
+  return characters.filter((char) => {
+    try {
+      font.encodeText(char);
+      return false;
+    } catch (error) {
+      return true;
+    }
+  });
+}
+
+/**
+ * Rejects a text the font cannot draw. Standard fonts only cover WinAnsi
+ * (Latin) characters; other scripts need a font file.
+ *
+ * @throws {Error} With status 400, listing the missing characters
+ */
+function checkGlyphs(font, text) {
+  const missing = findMissingGlyphs(font, text);
+  if (missing.length > 0) {
+    throw placementError(`Cannot draw "${text}": the font has no glyphs for ${missing.join(' ')}; use a TTF/OTF font that covers them`);
+  }
+}
+
+/**
+ * Parses a hex color (#RRGGBB or #RGB)
+ *
+ * @returns {RGB} pdf-lib color
+ */
+function parseColor(value = '#000000') {
+  let hex = String(value).trim().replace(/^#/, '');
+  if (/^[0-9a-f]{3}$/i.test(hex)) {
+    hex = hex.split('').map(char => char + char).join('');
+  }
+  if (!/^[0-9a-f]{6}$/i.test(hex)) {
+    throw placementError(`Invalid color "${value}". Use a hex color like #1a2b3c`);
+  }
+  return rgb(
+    parseInt(hex.substring(0, 2), 16) / 255,
+    parseInt(hex.substring(2, 4), 16) / 255,
+    parseInt(hex.substring(4, 6), 16) / 255
+  );
+}
+
+/**
+ * Checks a position name
+ *
+ * @returns {string} The position
+ */
+function validatePosition(position) {
+  if (!POSITIONS.includes(position)) {
+    throw placementError(`Invalid position "${position}". Supported: ${POSITIONS.join(', ')}`);
+  }
+  return position;
+}
+
+/**
+ * Returns the visible size of a page (crop box, turned by /Rotate)
+ *
+ * @returns {{ width: number, height: number, rotation: number }}
+ */
+function getVisibleSize(page) {
+  const { width, height } = page.getCropBox();
+  const rotation = ((page.getRotation().angle % 360) + 360) % 360;
+  const sideways = rotation === 90 || rotation === 270;
+  return {
+    width: sideways ? height : width,
+    height: sideways ? width : height,
+    rotation
+  };
+}
+
+/**
+ * Converts a point on the visible page to page coordinates
+ *
+ * @returns {{ x: number, y: number, rotate: Degrees }} Coordinates and the text
+ *   rotation that makes text upright on screen
+ */
+function toPageCoordinates(page, x, y) {
+  const box = page.getCropBox();
+  const { rotation } = getVisibleSize(page);
+
+  // The viewer turns the page clockwise by /Rotate
+  switch (rotation) {
+    case 90:
+      return { x: box.x + box.width - y, y: box.y + x, rotate: degrees(90) };
+    case 180:
+      return { x: box.x + box.width - x, y: box.y + box.height - y, rotate: degrees(180) };
+    case 270:
+      return { x: box.x + y, y: box.y + box.height - x, rotate: degrees(270) };
+    default:
+      return { x: box.x + x, y: box.y + y, rotate: degrees(0) };
+  }
+}
+
+/**
+ * Draws a line of text at a named position
+ *
+ * @param {PDFPage} page - pdf-lib page
+ * @param {string} text - Single line of text
+ * @param {Object} options
+ * @param {PDFFont} options.font - Embedded font
+ * @param {number} options.size - Font size in points
+ * @param {string} options.position - One of POSITIONS
+ * @param {number} [options.margin] - Distance from the page edges in points (default: 36)
+ * @param {RGB} [options.color] - pdf-lib color (default: black)
+ * @param {number} [options.opacity] - 0-1 (default: 1)
+ */
+function drawTextAt(page, text, options) {
+  const { font, size, position, margin = 36, color = rgb(0, 0, 0), opacity = 1 } = options;
+  const visible = getVisibleSize(page);
+  const textWidth = font.widthOfTextAtSize(text, size);
+  // Baseline to top of the tallest glyphs, without descenders
+  const textHeight = font.heightAtSize(size, { descender: false });
+
+  const [vertical, horizontal] = position === 'center' ? ['center', 'center'] : position.split('-');
+
+  let x;
+  if (horizontal === 'left') {
+    x = margin;
+  } else if (horizontal === 'right') {
+    x = visible.width - margin - textWidth;
+  } else {
+    x = (visible.width - textWidth) / 2;
+  }
+
+  let y;
+  if (vertical === 'top') {
+    y = visible.height - margin - textHeight;
+  } else if (vertical === 'bottom') {
+    y = margin;
+  } else {
+    y = (visible.height - textHeight) / 2;
+  }
+
+  const point = toPageCoordinates(page, x, y);
+  page.drawText(text, {
+    x: point.x,
+    y: point.y,
+    rotate: point.rotate,
+    font,
+    size,
+    color,
+    opacity
+  });
+}
+
+module.exports = {
+  POSITIONS,
+  FONTS,
+  embedFont,
+  findMissingGlyphs,
+  checkGlyphs,
+  parseColor,
+  validatePosition,
+  getVisibleSize,
+  toPageCoordinates,
+  drawTextAt
+};
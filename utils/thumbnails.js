@@ -0,0 +1,211 @@
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const sharp = require('sharp');
+const { v4: uuidv4 } = require('uuid');
+const { convertPdfToImages } = require('./imageConverter');
+const { parsePageList } = require('./pageRanges');
+const { loadPdfFile } = require('./pdfRepair');
+
+/**
+ * Page thumbnails with a render cache
+ *
+ * Renders are kept in `<outputDir>/thumbnails/<sha256 of the PDF>/`, one file
+ * per page, width and format, next to a `document.json` with the page count.
+ * Requesting the same document again only renders the pages that are not
+ * cached yet. The cleanup expires each document directory on its own,
+ * counting from its last use.
+ */
+
+// Directory inside the output directory holding the cache
+const THUMBNAIL_CACHE_DIR = 'thumbnails';
+
+const THUMBNAIL_FORMATS = ['webp', 'png', 'jpeg'];
+const EXTENSIONS = { webp: 'webp', png: 'png', jpeg: 'jpg' };
+
+const DEFAULT_WIDTH = 200;
+const MIN_WIDTH = 16;
+const MAX_WIDTH = 2000;
+
+function thumbnailError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function parseFormat(value) {
+  const format = String(value ?? 'webp').trim().toLowerCase();
+  const normalized = format === 'jpg' ? 'jpeg' : format;
+  if (!THUMBNAIL_FORMATS.includes(normalized)) {
+    throw thumbnailError(`format must be one of: ${THUMBNAIL_FORMATS.join(', ')}`);
+  }
+  return normalized;
+}
+
+function parseWidth(value) {
+  if (value === undefined || value === null || value === '') {
+    return DEFAULT_WIDTH;
+  }
+  const width = Number(value);
+  if (!Number.isInteger(width) || width < MIN_WIDTH || width > MAX_WIDTH) {
+    throw thumbnailError(`width must be an integer between ${MIN_WIDTH} and ${MAX_WIDTH}`);
+  }
+  return width;
+}
+
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * Reads the page count from the cache, or from the PDF on the first request
+ */
+async function readPageCount(inputPath, cacheDir, signal) {
+  const documentPath = path.join(cacheDir, 'document.json');
+  const cached = await fs.readJson(documentPath).catch(() => null);
+  if (cached?.pageCount) {
+    return cached.pageCount;
+  }
+
+  let pdfDoc;
+  try {
+    ({ pdfDoc } = await loadPdfFile(inputPath, { ignoreEncryption: true, updateMetadata: false }, { signal }));
+  } catch (error) {
+    if (error.cancelled) {
+      throw error;
+    }
+    throw thumbnailError(`PDF could not be read: ${error.message}`, 422);
+  }
+  if (pdfDoc.isEncrypted) {
+    throw thumbnailError('The PDF is encrypted. Remove the password with /pdf/unlock first', 422);
+  }
+
+  const pageCount = pdfDoc.getPageCount();
+  await fs.ensureDir(cacheDir);
+  await fs.writeJson(documentPath, { pageCount });
+  return pageCount;
+}
+
+/**
+ * Groups sorted page numbers into runs of consecutive pages, so pdftoppm
+ * renders each run in one call
+ *
+ * @returns {{ first: number, last: number }[]}
+ */
+function consecutiveRuns(pages) {
+  const runs = [];
+  for (const page of pages) {
+    const run = runs[runs.length - 1];
+    if (run && run.last === page - 1) {
+      run.last = page;
+    } else {
+      runs.push({ first: page, last: page });
+    }
+  }
+  return runs;
+}
+
+/**
+ * Renders page thumbnails, reusing cached renders of the same document
+ *
+ * @param {string} inputPath - Path to input PDF file
+ * @param {string} outputDir - Output directory the cache lives in
+ * @param {Object} [options]
+ * @param {string} [options.pages] - Page range, e.g. "1-3,5" (default: all)
+ * @param {number} [options.width] - Thumbnail width in pixels, 16-2000 (default: 200)
+ * @param {string} [options.format] - 'webp' (default), 'png' or 'jpeg'
+ * @param {AbortSignal} [options.signal] - Stops pdftoppm when aborted
+ * @returns {Promise<{ contentHash: string, pageCount: number, format: string, thumbnails: Object[] }>}
+ *   One thumbnail per requested page `{ page, path, relativePath, fileName, width, height, fileSize, cached }`;
+ *   `relativePath` is relative to outputDir, for download tokens
+ */
+async function renderThumbnails(inputPath, outputDir, options = {}) {
+  const format = parseFormat(options.format);
+  const width = parseWidth(options.width);
+  const extension = EXTENSIONS[format];
+
+  const contentHash = await hashFile(inputPath);
+  const cacheDir = path.join(outputDir, THUMBNAIL_CACHE_DIR, contentHash);
+  const pageCount = await readPageCount(inputPath, cacheDir, options.signal);
+  // The cleanup expires documents by last use
+  const now = new Date();
+  await fs.utimes(cacheDir, now, now).catch(() => {});
+
+  const pagesSpec = options.pages === undefined || options.pages === null || String(options.pages).trim() === ''
+    ? 'all'
+    : options.pages;
+  const pages = [...new Set(parsePageList(pagesSpec, pageCount))];
+
+  const fileNameOf = page => `page_${page}_w${width}.${extension}`;
+  const cachedPages = new Set();
+  for (const page of pages) {
+    if (await fs.pathExists(path.join(cacheDir, fileNameOf(page)))) {
+      cachedPages.add(page);
+    }
+  }
+
+  const missing = pages.filter(page => !cachedPages.has(page)).sort((a, b) => a - b);
+  if (missing.length > 0) {
+    const tempDir = path.join(outputDir, `temp_${uuidv4()}`);
+    try {
+      for (const { first, last } of consecutiveRuns(missing)) {
+        const images = await convertPdfToImages(inputPath, tempDir, {
+          format: 'png',
+          width,
+          firstPage: first,
+          lastPage: last,
+          signal: options.signal
+        });
+        for (const image of images) {
+          // pdftoppm names pages <prefix>-<page>.png, zero-padded
+          const page = Number(/-(\d+)\.png$/.exec(image)?.[1]);
+          if (!page) {
+            continue;
+          }
+          // Written under a temporary name, concurrent requests may render the same page
+          const target = path.join(cacheDir, fileNameOf(page));
+          const partial = `${target}.${uuidv4()}.tmp`;
+          await sharp(image).toFormat(format, format === 'png' ? {} : { quality: 80 }).toFile(partial);
+          await fs.move(partial, target, { overwrite: true });
+          await fs.remove(image);
+        }
+      }
+    } finally {
+      await fs.remove(tempDir).catch(() => {});
+    }
+  }
+
+  const thumbnails = [];
+  for (const page of pages) {
+    const fileName = fileNameOf(page);
+    const thumbnailPath = path.join(cacheDir, fileName);
+    if (!(await fs.pathExists(thumbnailPath))) {
+      throw new Error(`Page ${page} could not be rendered`);
+    }
+    const [metadata, stats] = await Promise.all([sharp(thumbnailPath).metadata(), fs.stat(thumbnailPath)]);
+    thumbnails.push({
+      page,
+      path: thumbnailPath,
+      relativePath: `${THUMBNAIL_CACHE_DIR}/${contentHash}/${fileName}`,
+      fileName,
+      width: metadata.width,
+      height: metadata.height,
+      fileSize: stats.size,
+      cached: cachedPages.has(page)
+    });
+  }
+
+  return { contentHash, pageCount, format, thumbnails };
+}
+
+module.exports = {
+  THUMBNAIL_CACHE_DIR,
+  THUMBNAIL_FORMATS,
+  renderThumbnails
+};
@@ -0,0 +1,156 @@
+const { spawn } = require('child_process');
+
+// Default limits for external tools (Ghostscript, LibreOffice, qpdf, poppler, ...)
+const TOOL_TIMEOUT_MS = (parseInt(process.env.TOOL_TIMEOUT_SECONDS) || 120) * 1000;
+const TOOL_MAX_OUTPUT_BYTES = (parseInt(process.env.TOOL_MAX_OUTPUT_MB) || 10) * 1024 * 1024;
+
+// Only the end of stderr is kept in error messages
+const STDERR_TAIL_LENGTH = 2000;
+
+/**
+ * Error raised when an external tool cannot be started, fails, times out or
+ * produces too much output
+ */
+class ToolError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'ToolError';
+    this.tool = details.tool;
+    this.exitCode = details.exitCode ?? null;
+    this.signal = details.signal ?? null;
+    this.stderr = details.stderr || '';
+    this.stdout = details.stdout || '';
+    this.notFound = Boolean(details.notFound);
+    this.timedOut = Boolean(details.timedOut);
+    this.outputLimitExceeded = Boolean(details.outputLimitExceeded);
+    this.cancelled = Boolean(details.cancelled);
+  }
+}
+
+/**
+ * Runs an external tool without a shell
+ *
+ * Arguments are passed to the binary as-is, so file names and passwords can
+ * contain quotes, spaces or `$()` without being interpreted.
+ *
+ * @param {string} tool - Binary name or path, e.g. 'gs'
+ * @param {string[]} args - Arguments
+ * @param {Object} [options]
+ * @param {number} [options.timeout] - Kill the process after this many ms (default: TOOL_TIMEOUT_SECONDS)
+ * @param {number} [options.maxOutputBytes] - Kill the process once stdout + stderr exceed this size
+ * @param {number[]} [options.allowedExitCodes] - Exit codes treated as success (default: [0])
+ * @param {string} [options.cwd] - Working directory
+ * @param {Object} [options.env] - Environment (default: process.env)
+ * @param {AbortSignal} [options.signal] - Kills the process when aborted (e.g. job cancellation)
+ * @returns {Promise<{ stdout: string, stderr: string, exitCode: number }>}
+ */
+function runTool(tool, args = [], options = {}) {
+  const {
+    timeout = TOOL_TIMEOUT_MS,
+    maxOutputBytes = TOOL_MAX_OUTPUT_BYTES,
+    allowedExitCodes = [0],
+    cwd,
+    env,
+    signal
+  } = options;
+
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      return reject(new ToolError(`${tool} was cancelled`, { tool, cancelled: true }));
+    }
+
+    const child = spawn(tool, args, {
+      cwd,
+      env: env || process.env,
+      stdio: ['ignore', 'pipe', 'pipe'],
+      shell: false,
+      // Own process group, so the tool can be killed together with its children
+      detached: true
+    });
+
+    const stdoutChunks = [];
+    const stderrChunks = [];
+    let outputBytes = 0;
+    let failure = null;
+    let settled = false;
+
+    const kill = (details) => {
+      if (!failure) {
+        failure = details;
+        // The whole group: the soffice wrapper leaves soffice.bin running (and
+        // holding the profile lock) when only the wrapper is killed
+        try {
+          process.kill(-child.pid, 'SIGKILL');
+        } catch (error) {
+          child.kill('SIGKILL');
+        }
+      }
+    };
+
+    const collect = (chunks) => (chunk) => {
+      outputBytes += chunk.length;
+      if (outputBytes > maxOutputBytes) {
+        kill({ outputLimitExceeded: true });
+        return;
+      }
+      chunks.push(chunk);
+    };
+
+    child.stdout.on('data', collect(stdoutChunks));
+    child.stderr.on('data', collect(stderrChunks));
+
+    const timer = setTimeout(() => kill({ timedOut: true }), timeout);
+    const onAbort = () => kill({ cancelled: true });
+    signal?.addEventListener('abort', onAbort);
+
+    const finish = (error, result) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      if (error) {
+        reject(error);
+      } else {
+        resolve(result);
+      }
+    };
+
+    child.on('error', (error) => {
+      if (error.code === 'ENOENT') {
+        finish(new ToolError(`${tool} is not installed on the server`, { tool, notFound: true }));
+      } else {
+        finish(new ToolError(`${tool} could not be started: ${error.message}`, { tool }));
+      }
+    });
+
+    child.on('close', (exitCode, exitSignal) => {
+      const stdout = Buffer.concat(stdoutChunks).toString('utf8');
+      const stderr = Buffer.concat(stderrChunks).toString('utf8');
+      const details = { tool, exitCode, signal: exitSignal, stdout, stderr };
+
+      if (failure?.timedOut) {
+        return finish(new ToolError(`${tool} timed out after ${timeout / 1000} seconds`, { ...details, ...failure }));
+      }
+      if (failure?.outputLimitExceeded) {
+        return finish(new ToolError(`${tool} produced more than ${maxOutputBytes} bytes of output`, { ...details, ...failure }));
+      }
+      if (failure?.cancelled) {
+        return finish(new ToolError(`${tool} was cancelled`, { ...details, ...failure }));
+      }
+      if (!allowedExitCodes.includes(exitCode)) {
+        const reason = stderr.trim().slice(-STDERR_TAIL_LENGTH) || stdout.trim().slice(-STDERR_TAIL_LENGTH);
+        const status = exitCode === null ? `was killed by ${exitSignal}` : `exited with code ${exitCode}`;
+        return finish(new ToolError(`${tool} ${status}${reason ? `: ${reason}` : ''}`, details));
+      }
+
+      finish(null, { stdout, stderr, exitCode });
+    });
+  });
+}
+
+module.exports = {
+  ToolError,
+  runTool
+};
@@ -0,0 +1,317 @@
+const { degrees } = require('pdf-lib');
+const fs = require('fs-extra');
+const { parsePageList } = require('./pageRanges');
+const { loadPdfFile } = require('./pdfRepair');
+const {
+  embedFont,
+  checkGlyphs,
+  parseColor,
+  validatePosition,
+  getVisibleSize,
+  toPageCoordinates
+} = require('./textPlacement');
+
+/**
+ * Text and image watermarks
+ *
+ * Layouts:
+ * - single: one mark at a named position, optionally rotated
+ * - diagonal: one mark centered along the page diagonal, bottom-left to top-right
+ * - tiled: marks repeated over the whole page in a staggered grid
+ *
+ * All placement works on the visible page (crop box and /Rotate) and on
+ * measured sizes, so marks are centered whatever the font, text or page.
+ */
+
+const LAYOUTS = ['single', 'diagonal', 'tiled'];
+const PLACEMENTS = ['over', 'behind'];
+
+// Image width relative to the visible page width, per layout
+const DEFAULT_IMAGE_SCALE = { single: 0.25, diagonal: 0.5, tiled: 0.15 };
+
+// Fitted diagonal text spans this share of the diagonal
+const DIAGONAL_FILL = 0.8;
+
+// Upper bound of marks per page in the tiled layout
+const MAX_TILES_PER_PAGE = 1000;
+
+function watermarkError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function parseNumber(value, name, min, max, fallback) {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || number > max) {
+    throw watermarkError(`${name} must be a number between ${min} and ${max}`);
+  }
+  return number;
+}
+
+function parseChoice(value, name, choices, fallback) {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+  if (!choices.includes(value)) {
+    throw watermarkError(`Invalid ${name} "${value}". Supported: ${choices.join(', ')}`);
+  }
+  return value;
+}
+
+/**
+ * Validates watermark options and fills in defaults
+ *
+ * @param {Object} options - See addWatermark
+ * @returns {Object} Normalized options
+ */
+function parseWatermarkOptions(options = {}) {
+  const image = options.image || null;
+  if (image && !['png', 'jpg'].includes(image.type)) {
+    throw watermarkError('Watermark image must be a PNG or JPEG file');
+  }
+
+  const text = image ? null : String(options.text || 'WATERMARK');
+  if (text !== null && /[\r\n]/.test(text)) {
+    throw watermarkError('text must be a single line');
+  }
+
+  const layout = parseChoice(options.layout, 'layout', LAYOUTS, 'single');
+
+  return {
+    text,
+    image,
+    layout,
+    position: layout === 'single' ? validatePosition(options.position || 'center') : 'center',
+    // Diagonal angle depends on the page; null means "measure it"
+    angle: parseNumber(options.angle, 'angle', -360, 360, layout === 'tiled' ? 45 : layout === 'diagonal' ? null : 0),
+    // Diagonal text without a size is fitted to the page
+    fontSize: parseNumber(options.fontSize, 'fontSize', 4, 500, layout === 'diagonal' ? null : 24),
+    font: options.font || 'helvetica',
+    fontBytes: options.fontBytes || null,
+    scale: parseNumber(options.scale, 'scale', 0.01, 1, DEFAULT_IMAGE_SCALE[layout]),
+    spacing: parseNumber(options.spacing, 'spacing', 0, 1000, 72),
+    margin: parseNumber(options.margin, 'margin', 0, 500, 50),
+    color: parseColor(options.color || '#000000'),
+    opacity: parseNumber(options.opacity, 'opacity', 0, 1, 0.5),
+    placement: parseChoice(options.placement, 'placement', PLACEMENTS, 'over'),
+    pageRange: String(options.pageRange || 'all')
+  };
+}
+
+/**
+ * Size of a box turned by an angle
+ */
+function rotatedBounds(width, height, angle) {
+  const radians = angle * Math.PI / 180;
+  const cos = Math.abs(Math.cos(radians));
+  const sin = Math.abs(Math.sin(radians));
+  return { width: width * cos + height * sin, height: width * sin + height * cos };
+}
+
+/**
+ * Center of a rotated box at a named position on the visible page
+ */
+function positionCenter(visible, bounds, position, margin) {
+  const [vertical, horizontal] = position === 'center' ? ['center', 'center'] : position.split('-');
+
+  let x = visible.width / 2;
+  if (horizontal === 'left') {
+    x = margin + bounds.width / 2;
+  } else if (horizontal === 'right') {
+    x = visible.width - margin - bounds.width / 2;
+  }
+
+  let y = visible.height / 2;
+  if (vertical === 'top') {
+    y = visible.height - margin - bounds.height / 2;
+  } else if (vertical === 'bottom') {
+    y = margin + bounds.height / 2;
+  }
+  return { x, y };
+}
+
+/**
+ * Centers of the tiles covering the visible page
+ *
+ * Rows run along the watermark angle; every other row is shifted by half
+ * a tile so the marks do not line up in columns.
+ */
+function tileCenters(visible, bounds, size, angle, spacing) {
+  const radians = angle * Math.PI / 180;
+  const stepX = size.width + spacing;
+  const stepY = size.height + spacing;
+  const along = { x: Math.cos(radians) * stepX, y: Math.sin(radians) * stepX };
+  const across = { x: -Math.sin(radians) * stepY, y: Math.cos(radians) * stepY };
+
+  // Enough rows and columns to cover the page diagonal in every direction
+  const reach = Math.hypot(visible.width, visible.height) / 2 + Math.max(bounds.width, bounds.height);
+  const columns = Math.ceil(reach / stepX) + 1;
+  const rows = Math.ceil(reach / stepY) + 1;
+  // The grid is larger than the page; refuse huge ones before walking them
+  if ((2 * columns + 1) * (2 * rows + 1) > MAX_TILES_PER_PAGE * 10) {
+    throw watermarkError('Too many tiles; increase fontSize, scale or spacing');
+  }
+
+  const centers = [];
+  for (let row = -rows; row <= rows; row++) {
+    const shift = row % 2 === 0 ? 0 : 0.5;
+    for (let column = -columns; column <= columns; column++) {
+      const x = visible.width / 2 + (column + shift) * along.x + row * across.x;
+      const y = visible.height / 2 + (column + shift) * along.y + row * across.y;
+      // Keep tiles that at least partly overlap the page
+      if (x > -bounds.width / 2 && x < visible.width + bounds.width / 2 &&
+          y > -bounds.height / 2 && y < visible.height + bounds.height / 2) {
+        centers.push({ x, y });
+      }
+    }
+  }
+  if (centers.length > MAX_TILES_PER_PAGE) {
+    throw watermarkError('Too many tiles; increase fontSize, scale or spacing');
+  }
+  return centers;
+}
+
+/**
+ * Origin (bottom-left corner, or text baseline start) and rotation in page
+ * coordinates of a box centered at a point of the visible page
+ */
+function boxOrigin(page, center, size, angle) {
+  const point = toPageCoordinates(page, center.x, center.y);
+  // The viewer turns the page clockwise by /Rotate; add it back so the mark keeps its angle on screen
+  const pageAngle = angle + point.rotate.angle;
+  const radians = pageAngle * Math.PI / 180;
+  const halfWidth = size.width / 2;
+  const halfHeight = size.height / 2;
+  return {
+    x: point.x - (halfWidth * Math.cos(radians) - halfHeight * Math.sin(radians)),
+    y: point.y - (halfWidth * Math.sin(radians) + halfHeight * Math.cos(radians)),
+    rotate: degrees(pageAngle)
+  };
+}
+
+/**
+ * Moves the content stream pdf-lib drew into to the front, so the page
+ * content is painted over it. pdf-lib has already wrapped the page content
+ * in q/Q, so the watermark's graphics state does not leak into it.
+ */
+function moveBehindContent(page) {
+  const contents = page.node.Contents();
+  const index = contents.asArray().indexOf(page.contentStreamRef);
+  if (index > 0) {
+    contents.remove(index);
+    contents.insert(0, page.contentStreamRef);
+  }
+}
+
+/**
+ * Adds a text or image watermark to a PDF
+ *
+ * @param {string} inputPath - Source PDF
+ * @param {string} outputPath - Output PDF
+ * @param {Object} options
+ * @param {string} [options.text] - Watermark text (default: WATERMARK); ignored with an image
+ * @param {{ bytes: Buffer, type: string }} [options.image] - PNG or JPEG logo ('png' or 'jpg')
+ * @param {string} [options.layout] - single, diagonal or tiled (default: single)
+ * @param {string} [options.position] - Named position for the single layout (default: center)
+ * @param {number} [options.angle] - Counterclockwise rotation in degrees (default: 0, the page
+ *   diagonal for the diagonal layout, 45 for tiled)
+ * @param {number} [options.fontSize] - Font size (default: 24; diagonal text is fitted to the page)
+ * @param {string} [options.font] - Standard font or font file name, see embedFont (default: helvetica)
+ * @param {Buffer} [options.fontBytes] - Uploaded TTF/OTF font, for non-Latin text
+ * @param {number} [options.scale] - Image width relative to the page width (default: 0.25,
+ *   diagonal 0.5, tiled 0.15)
+ * @param {number} [options.spacing] - Gap between tiles in points (default: 72)
+ * @param {number} [options.margin] - Distance from the page edges for the single layout (default: 50)
+ * @param {string} [options.color] - Hex text color (default: #000000)
+ * @param {number} [options.opacity] - 0-1 (default: 0.5)
+ * @param {string} [options.placement] - over or behind the page content (default: over)
+ * @param {string} [options.pageRange] - Page range (default: all)
+ * @returns {Promise<{ outputPath: string, pageCount: number, pages: number[] }>} `pageCount`
+ *   is the number of watermarked pages
+ */
+async function addWatermark(inputPath, outputPath, options = {}) {
+  const settings = parseWatermarkOptions(options);
+
+  let pdfDoc;
+  try {
+    ({ pdfDoc } = await loadPdfFile(inputPath));
+  } catch (error) {
+    const loadError = new Error(`PDF could not be read: ${error.message}`);
+    loadError.status = 422;
+    throw loadError;
+  }
+
+  const pages = [...new Set(parsePageList(settings.pageRange, pdfDoc.getPageCount()))].sort((a, b) => a - b);
+
+  let font = null;
+  let image = null;
+  if (settings.image) {
+    try {
+      image = settings.image.type === 'png'
+        ? await pdfDoc.embedPng(settings.image.bytes)
+        : await pdfDoc.embedJpg(settings.image.bytes);
+    } catch (error) {
+      throw watermarkError(`Watermark image could not be read: ${error.message}`);
+    }
+  } else {
+    font = await embedFont(pdfDoc, settings.font, settings.fontBytes);
+    checkGlyphs(font, settings.text);
+  }
+
+  for (const pageNumber of pages) {
+    const page = pdfDoc.getPage(pageNumber - 1);
+    const visible = getVisibleSize(page);
+    const angle = settings.angle === null
+      ? Math.atan2(visible.height, visible.width) * 180 / Math.PI
+      : settings.angle;
+
+    let size;
+    let fontSize = settings.fontSize;
+    if (image) {
+      const width = visible.width * settings.scale;
+      size = { width, height: width * image.height / image.width };
+    } else {
+      if (fontSize === null) {
+        const diagonal = Math.hypot(visible.width, visible.height);
+        fontSize = Math.min(500, Math.max(4, diagonal * DIAGONAL_FILL / font.widthOfTextAtSize(settings.text, 1)));
+      }
+      // Centered on the cap height; descenders hang below like on a printed line
+      size = {
+        width: font.widthOfTextAtSize(settings.text, fontSize),
+        height: font.heightAtSize(fontSize, { descender: false })
+      };
+    }
+
+    const bounds = rotatedBounds(size.width, size.height, angle);
+    const centers = settings.layout === 'tiled'
+      ? tileCenters(visible, bounds, size, angle, settings.spacing)
+      : [positionCenter(visible, bounds, settings.position, settings.margin)];
+
+    for (const center of centers) {
+      const origin = boxOrigin(page, center, size, angle);
+      if (image) {
+        page.drawImage(image, { ...origin, width: size.width, height: size.height, opacity: settings.opacity });
+      } else {
+        page.drawText(settings.text, { ...origin, font, size: fontSize, color: settings.color, opacity: settings.opacity });
+      }
+    }
+
+    if (settings.placement === 'behind') {
+      moveBehindContent(page);
+    }
+  }
+
+  await fs.writeFile(outputPath, await pdfDoc.save());
+  return { outputPath, pageCount: pages.length, pages };
+}
+
+module.exports = {
+  LAYOUTS,
+  PLACEMENTS,
+  parseWatermarkOptions,
+  addWatermark
+};
@@ -0,0 +1,273 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { Agent, fetch } = require('undici');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Completion webhooks
+ *
+ * Payloads are signed with HMAC-SHA256 over `<timestamp>.<body>` and sent in
+ * the `X-Webhook-Signature: t=<timestamp>,v1=<hex>` header. Failed deliveries
+ * are retried with exponential backoff; every attempt is kept in the
+ * delivery log.
+ */
+
+const WEBHOOK_MAX_ATTEMPTS = Math.max(1, parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5);
+
+// Delay before the first retry, doubled for every further retry
+const WEBHOOK_RETRY_BASE_SECONDS = parseFloat(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 2;
+
+const WEBHOOK_TIMEOUT_MS = (parseInt(process.env.WEBHOOK_TIMEOUT_SECONDS) || 10) * 1000;
+
+// Number of deliveries kept in the log
+const WEBHOOK_LOG_SIZE = 500;
+
+// Allow receivers on loopback and private networks, e.g. a local receiver while testing
+const WEBHOOK_ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE === 'true';
+
+// Loopback, private, link-local (including cloud metadata), shared, multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+let webhookSecret = process.env.WEBHOOK_SECRET;
+if (!webhookSecret) {
+  webhookSecret = crypto.randomBytes(32).toString('hex');
+  console.warn('⚠ WEBHOOK_SECRET is not set. Using a random secret, receivers cannot verify webhook signatures.');
+}
+
+const deliveries = new Map();
+
+function callbackError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Resolves the host of a receiver URL and checks that every address is public
+ * (IPv4-mapped IPv6 addresses are checked as IPv4)
+ *
+ * @returns {Promise<{ problem: string|null, addresses: Object[]|null }>} Why the host
+ *   is not allowed (null if it is) and the checked addresses `{ address, family }`;
+ *   addresses are null when WEBHOOK_ALLOW_PRIVATE skips the check
+ */
+async function checkReceiverHost(url) {
+  if (WEBHOOK_ALLOW_PRIVATE) {
+    return { problem: null, addresses: null };
+  }
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true, verbatim: true });
+  } catch (error) {
+    return { problem: 'the host could not be resolved', addresses: [] };
+  }
+  const blocked = addresses.some(({ address, family }) => BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4'));
+  return { problem: blocked ? 'it points to a loopback, private or link-local address' : null, addresses };
+}
+
+/**
+ * Creates a dispatcher that connects to the given addresses instead of
+ * resolving the host again, so a DNS record changed after the check cannot
+ * redirect the request. TLS still verifies the certificate for the host name.
+ *
+ * @param {Object[]} addresses - Checked addresses `{ address, family }`
+ * @returns {Agent} undici dispatcher; close it after the request
+ */
+function pinnedAgent(addresses) {
+  return new Agent({
+    connect: {
+      lookup: (hostname, options, callback) => {
+        if (options?.all) {
+          callback(null, addresses);
+        } else {
+          callback(null, addresses[0].address, addresses[0].family);
+        }
+      }
+    }
+  });
+}
+
+/**
+ * Checks a client supplied callback URL
+ *
+ * Receivers on loopback, private and link-local networks are rejected unless
+ * WEBHOOK_ALLOW_PRIVATE is set, so callbacks cannot reach internal services.
+ *
+ * @param {string} value - URL from the request
+ * @returns {Promise<string>} Normalized URL
+ * @throws {Error} With status 400 if the URL is not http(s) or its host is not allowed
+ */
+async function validateCallbackUrl(value) {
+  let url;
+  try {
+    url = new URL(String(value));
+  } catch (error) {
+    url = null;
+  }
+
+  if (!url || (url.protocol !== 'http:' && url.protocol !== 'https:')) {
+    throw callbackError('callbackUrl must be an absolute http or https URL');
+  }
+  const { problem } = await checkReceiverHost(url);
+  if (problem) {
+    throw callbackError(`callbackUrl is not allowed: ${problem}`);
+  }
+  return url.toString();
+}
+
+/**
+ * Signs a payload for the X-Webhook-Signature header
+ *
+ * @param {string} body - Raw JSON body
+ * @param {number} [timestamp] - Unix seconds (default: now)
+ * @returns {string} Header value `t=<timestamp>,v1=<hex>`
+ */
+function signPayload(body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac('sha256', webhookSecret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Returns the public representation of a delivery
+ */
+function serializeDelivery(delivery) {
+  return {
+    deliveryId: delivery.id,
+    url: delivery.url,
+    event: delivery.event,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    nextAttemptAt: delivery.nextAttemptAt
+  };
+}
+
+async function attemptDelivery(delivery) {
+  const attempt = {
+    attempt: delivery.attempts.length + 1,
+    at: new Date().toISOString(),
+    statusCode: null,
+    error: null,
+    durationMs: 0
+  };
+  const startedAt = Date.now();
+
+  // Checked again for every attempt, the DNS record may have changed since the request
+  const { problem, addresses } = await checkReceiverHost(new URL(delivery.url));
+  if (problem) {
+    attempt.error = `Receiver is not allowed: ${problem}`;
+  } else {
+    const dispatcher = addresses ? pinnedAgent(addresses) : undefined;
+    try {
+      const response = await fetch(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'PDFound-Webhooks/1.0',
+          'X-Webhook-Id': delivery.id,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Attempt': String(attempt.attempt),
+          'X-Webhook-Signature': signPayload(delivery.body)
+        },
+        body: delivery.body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+        dispatcher
+      });
+      attempt.statusCode = response.status;
+      if (!response.ok) {
+        attempt.error = `Receiver responded with ${response.status}`;
+      }
+      await response.body?.cancel().catch(() => {});
+    } catch (error) {
+      // Attempts are shown to API clients, network details only go to the server log
+      if (error.name === 'TimeoutError') {
+        attempt.error = `No response within ${WEBHOOK_TIMEOUT_MS / 1000} seconds`;
+      } else {
+        attempt.error = 'The receiver could not be reached';
+        console.warn(`Webhook ${delivery.id} to ${delivery.url}: ${error.cause?.message || error.message}`);
+      }
+    } finally {
+      dispatcher?.close().catch(() => {});
+    }
+  }
+
+  attempt.durationMs = Date.now() - startedAt;
+  delivery.attempts.push(attempt);
+
+  if (!attempt.error) {
+    delivery.status = 'delivered';
+    delivery.nextAttemptAt = null;
+    console.log(`Webhook ${delivery.id} delivered to ${delivery.url} (attempt ${attempt.attempt})`);
+    return;
+  }
+
+  console.warn(`Webhook ${delivery.id} attempt ${attempt.attempt} to ${delivery.url} failed: ${attempt.error}`);
+  if (delivery.attempts.length >= WEBHOOK_MAX_ATTEMPTS) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = null;
+    return;
+  }
+
+  const delay = WEBHOOK_RETRY_BASE_SECONDS * 1000 * 2 ** (delivery.attempts.length - 1);
+  delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+  setTimeout(() => attemptDelivery(delivery), delay).unref();
+}
+
+/**
+ * Sends a webhook in the background
+ *
+ * @param {string} url - Receiver URL (see validateCallbackUrl)
+ * @param {string} event - Event name, e.g. job.completed
+ * @param {Object} data - Event data, sent as `data` in the payload
+ * @returns {Object} Delivery record; its `status` and `attempts` update as the delivery progresses
+ */
+function sendWebhook(url, event, data) {
+  const id = uuidv4();
+  const delivery = {
+    id,
+    url,
+    event,
+    status: 'pending',
+    attempts: [],
+    nextAttemptAt: null,
+    body: JSON.stringify({
+      id,
+      event,
+      createdAt: new Date().toISOString(),
+      data
+    })
+  };
+
+  deliveries.set(id, delivery);
+  if (deliveries.size > WEBHOOK_LOG_SIZE) {
+    deliveries.delete(deliveries.keys().next().value);
+  }
+
+  attemptDelivery(delivery);
+  return delivery;
+}
+
+/**
+ * Lists recent deliveries, newest first
+ *
+ * @returns {Object[]} Public delivery records
+ */
+function listDeliveries() {
+  return Array.from(deliveries.values()).reverse().map(serializeDelivery);
+}
+
+module.exports = {
+  validateCallbackUrl,
+  signPayload,
+  sendWebhook,
+  serializeDelivery,
+  listDeliveries
+};
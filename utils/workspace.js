@@ -0,0 +1,54 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Makes a user supplied file name safe to use inside a workspace
+ * (no directories, no control characters)
+ *
+ * @param {string} name - File name, e.g. the original upload name
+ * @param {string} [fallback] - Name used when nothing usable is left
+ * @returns {string} Safe file name
+ */
+function safeFileName(name, fallback = 'file') {
+  const cleaned = path.basename(String(name || ''))
+    .replace(/[\u0000-\u001f\u007f/\\:*?"<>|]/g, '_')
+    .trim();
+  return cleaned && cleaned !== '.' && cleaned !== '..' ? cleaned : fallback;
+}
+
+/**
+ * Creates an isolated directory for one operation: `<rootDir>/<id>/`
+ *
+ * Outputs keep their friendly names inside the workspace, so concurrent
+ * requests for the same file name never collide.
+ *
+ * @param {string} rootDir - Directory the workspace is created in (DOWNLOAD_DIR or OUTPUT_DIR)
+ * @param {string} [id] - Workspace ID, e.g. the async job ID (default: new UUID)
+ * @returns {Promise<Object>} Workspace with `id`, `dir`, `file(name)`, `relative(name)`, `tempDir(prefix)` and `remove()`
+ */
+async function createWorkspace(rootDir, id = uuidv4()) {
+  const dir = path.join(rootDir, id);
+  await fs.ensureDir(dir);
+
+  return {
+    id,
+    dir,
+    // Absolute path of a file inside the workspace
+    file: (name) => path.join(dir, safeFileName(name)),
+    // Path relative to rootDir, used for download tokens
+    relative: (name) => `${id}/${safeFileName(name)}`,
+    // Scratch directory inside the workspace
+    tempDir: async (prefix = 'temp') => {
+      const tempDir = path.join(dir, `${prefix}_${uuidv4()}`);
+      await fs.ensureDir(tempDir);
+      return tempDir;
+    },
+    remove: () => fs.remove(dir).catch(() => {})
+  };
+}
+
+module.exports = {
+  safeFileName,
+  createWorkspace
+};